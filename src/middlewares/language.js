@@ -0,0 +1,33 @@
+const StudentProfile = require('../models/StudentProfile');
+const localization = require('../services/localization');
+const logger = require('../utils/logger');
+
+// Resolve the response language into req.language (use after authenticateToken)
+const resolveLanguage = async(req, res, next) => {
+  let preferred;
+
+  try {
+    if (req.user && req.user.role === 'student') {
+      const profile = await StudentProfile.findOne({ userId: req.user._id })
+        .select('preferredLanguage')
+        .lean();
+      preferred = profile && profile.preferredLanguage;
+    }
+  } catch (error) {
+    logger.error('Resolve language error:', error);
+  }
+
+  req.language = localization.resolveLanguage({
+    query: typeof req.query.lang === 'string' ? req.query.lang : undefined,
+    preferred,
+    acceptLanguage: req.headers['accept-language']
+  });
+
+  res.set('Content-Language', req.language);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = {
+  resolveLanguage
+};
@@ -0,0 +1,38 @@
+const multer = require('multer');
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// Accept a single file in memory; upload errors are returned in the
+// standard error format instead of reaching the global error handler
+const uploadSingle = (fieldName, { maxSize = DEFAULT_MAX_SIZE } = {}) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: {
+            message: `File is larger than ${Math.round(maxSize / (1024 * 1024))} MB`,
+            code: 'FILE_TOO_LARGE'
+          }
+        });
+      }
+
+      res.status(400).json({
+        error: {
+          message: error.message,
+          code: 'UPLOAD_ERROR'
+        }
+      });
+    });
+  };
+};
+
+module.exports = {
+  uploadSingle
+};
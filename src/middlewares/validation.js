@@ -1,5 +1,8 @@
 const Joi = require('joi');
 const { param, query, validationResult } = require('express-validator');
+const languageRegistry = require('../services/languageRegistry');
+const llmProvider = require('../services/llmProvider');
+const { isValidTimeZone } = require('../utils/timezone');
 
 // Validation error handler
 const handleValidationErrors = (req, res, next) => {
@@ -16,6 +19,28 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Language codes are checked against the registry at validation time, so newly enabled languages are accepted
+const enabledLanguage = Joi.string().lowercase().custom((value, helpers) => (
+  languageRegistry.isEnabled(value) ? value : helpers.error('any.invalid')
+), 'enabled language');
+const translationLanguage = enabledLanguage.invalid(languageRegistry.SOURCE_LANGUAGE);
+
+// IANA timezone name such as Asia/Kolkata
+// A built-in or registered LLM provider
+const providerName = Joi.string().trim().custom((value, helpers) => (
+  llmProvider.getProviderNames().includes(value) ? value : helpers.error('any.invalid')
+), 'LLM provider');
+
+const timezone = Joi.string().trim().max(64).custom((value, helpers) => (
+  isValidTimeZone(value) ? value : helpers.error('any.invalid')
+), 'IANA timezone');
+
+// A real date written as YYYY-MM-DD
+const calendarDay = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('Dates must be YYYY-MM-DD').custom((value, helpers) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value) ? value : helpers.error('any.invalid');
+}, 'calendar day');
+
 // Auth validation schemas
 const registerSchema = Joi.object({
   name: Joi.string().trim().min(2).max(100).required(),
@@ -60,7 +85,10 @@ const updateUserSchema = Joi.object({
   learningPreferences: Joi.object({
     difficulty: Joi.string().valid('easy', 'medium', 'hard').optional(),
     topics: Joi.array().items(Joi.string().trim()).optional()
-  }).optional()
+  }).optional(),
+  preferredLanguage: enabledLanguage.optional(),
+  timezone: timezone.optional(),
+  reviewLanguages: Joi.array().items(translationLanguage).unique().optional()
 });
 
 // Question validation schemas
@@ -76,8 +104,9 @@ const createQuestionSchema = Joi.object({
   topicId: Joi.string().hex().length(24).required(),
   passage: Joi.string().trim().max(5000).optional(),
   explanation: Joi.string().trim().max(1000).optional(),
+  hints: Joi.array().items(Joi.string().trim().max(500)).max(3).optional(),
   isGenerated: Joi.boolean().optional(),
-  generatedBy: Joi.string().valid('openai', 'manual', 'seed', 'mock').optional()
+  generatedBy: Joi.alternatives().try(Joi.string().valid('manual', 'seed'), providerName).optional()
 });
 
 const updateQuestionSchema = Joi.object({
@@ -92,14 +121,46 @@ const updateQuestionSchema = Joi.object({
   topicId: Joi.string().hex().length(24).optional(),
   passage: Joi.string().trim().max(5000).optional(),
   explanation: Joi.string().trim().max(1000).optional(),
+  hints: Joi.array().items(Joi.string().trim().max(500)).max(3).optional(),
   isActive: Joi.boolean().optional()
 });
 
+// Multipart fields of a bulk question upload (the file itself is checked by the route)
+const bulkUploadSchema = Joi.object({
+  format: Joi.string().valid('csv', 'json', 'qti').optional(),
+  dryRun: Joi.boolean().optional(),
+  async: Joi.boolean().optional(),
+  chapterId: Joi.string().hex().length(24).optional(),
+  topicId: Joi.string().hex().length(24).optional(),
+  grade: Joi.string().valid('6', '7', '8', '9').optional(),
+  difficulty: Joi.number().min(0).max(1).optional()
+});
+
+// Question bank export filters
+const questionExportSchema = Joi.object({
+  format: Joi.string().valid('qti', 'moodle', 'gift').required(),
+  chapterId: Joi.string().hex().length(24).optional(),
+  topicId: Joi.string().hex().length(24).optional(),
+  questionType: Joi.string().valid('mcq', 'fill-in-blank', 'short-answer').optional(),
+  grade: Joi.string().valid('6', '7', '8', '9').optional(),
+  minDifficulty: Joi.number().min(0).max(1).optional(),
+  maxDifficulty: Joi.number().min(0).max(1).optional(),
+  tags: Joi.string().optional() // Comma-separated tags
+});
+
 // Assessment validation schemas
 const startAssessmentSchema = Joi.object({
-  sessionType: Joi.string().valid('adaptive', 'fixed').required(),
-  mode: Joi.string().valid('assessment', 'practice', 'revision').required(),
-  chapterId: Joi.string().required(),
+  // Assignment attempts take their configuration from the assignment
+  assignmentId: Joi.string().hex().length(24).optional(),
+  sessionType: Joi.string().valid('adaptive', 'fixed').when('assignmentId', {
+    is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required()
+  }),
+  mode: Joi.string().valid('assessment', 'practice', 'revision').when('assignmentId', {
+    is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required()
+  }),
+  chapterId: Joi.string().when('assignmentId', {
+    is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required()
+  }),
   grade: Joi.string().valid('6', '7', '8', '9').optional(),
   topic: Joi.string().trim().min(2).max(100).optional(),
   maxQuestions: Joi.number().integer().min(5).max(50).optional(),
@@ -108,7 +169,13 @@ const startAssessmentSchema = Joi.object({
     difficultyStep: Joi.number().min(0.05).max(0.3).optional(),
     maxQuestions: Joi.number().integer().min(5).max(50).optional(),
     minQuestions: Joi.number().integer().min(3).max(20).optional(),
-    confidenceThreshold: Joi.number().min(0.5).max(0.95).optional()
+    confidenceThreshold: Joi.number().min(0.5).max(0.95).optional(),
+    estimationMethod: Joi.string().valid('EAP', 'MLE').optional(),
+    selectionStrategy: Joi.string().trim().max(50).optional(),
+    exposureControl: Joi.string().valid('none', 'randomesque', 'sympson-hetter').optional(),
+    contentBalancing: Joi.boolean().optional(),
+    passMark: Joi.number().min(0).max(1).optional(),
+    classificationConfidence: Joi.number().min(0.8).max(0.99).optional()
   }).optional()
 });
 
@@ -129,7 +196,131 @@ const submitAnswerSchema = Joi.object({
 const generateQuestionSchema = Joi.object({
   topic: Joi.string().trim().min(2).max(100).required(),
   grade: Joi.string().valid('6', '7', '8', '9').required(),
-  difficulty: Joi.number().min(0).max(1).required()
+  difficulty: Joi.number().min(0).max(1).required(),
+  // Topic the question is meant for once approved
+  topicId: Joi.string().hex().length(24).optional()
+});
+
+// Review of generated questions
+const generatedQuestionEdits = {
+  stem: Joi.string().trim().min(10).max(2000).optional(),
+  choices: Joi.array().items(Joi.string().trim().min(1).max(500)).min(2).max(4).optional(),
+  correctIndex: Joi.number().integer().min(0).optional(),
+  difficulty: Joi.number().min(0).max(1).optional(),
+  tags: Joi.array().items(Joi.string().trim().max(50)).optional(),
+  explanation: Joi.string().trim().max(1000).allow('').optional(),
+  passage: Joi.string().trim().max(5000).allow('').optional(),
+  topicId: Joi.string().hex().length(24).optional()
+};
+
+const editGeneratedQuestionSchema = Joi.object(generatedQuestionEdits).min(1);
+
+const approveGeneratedQuestionSchema = Joi.object(generatedQuestionEdits);
+
+const rejectGeneratedQuestionSchema = Joi.object({
+  reason: Joi.string().valid(
+    'incorrect_answer',
+    'ambiguous',
+    'off_syllabus',
+    'wrong_difficulty',
+    'duplicate',
+    'poor_language',
+    'inappropriate',
+    'other'
+  ).required(),
+  note: Joi.string().trim().max(1000).when('reason', {
+    is: 'other',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+});
+
+// Badge validation schemas; rules are described in services/badgeRules
+const badgeConditionSchema = Joi.object({
+  metric: Joi.string().valid(
+    'completedSessions',
+    'sessionAccuracy',
+    'answers',
+    'correctAnswers',
+    'streakDays',
+    'level',
+    'points',
+    'masteredTopics',
+    'masteredQuestions'
+  ).required(),
+  min: Joi.number().min(0).required(),
+  window: Joi.object({
+    days: Joi.number().integer().min(1).max(365).required()
+  }).optional(),
+  scope: Joi.object({
+    chapterId: Joi.string().hex().length(24).optional(),
+    topicId: Joi.string().hex().length(24).optional()
+  }).min(1).optional(),
+  levels: Joi.array().items(Joi.string().valid('beginner', 'developing', 'proficient', 'advanced')).min(1).optional(),
+  minQuestions: Joi.number().integer().min(1).max(100).optional()
+});
+
+const badgeRuleSchema = Joi.alternatives().try(
+  Joi.object({ all: Joi.array().items(Joi.link('#badgeRule')).min(1).max(10).required() }),
+  Joi.object({ any: Joi.array().items(Joi.link('#badgeRule')).min(1).max(10).required() }),
+  badgeConditionSchema
+).id('badgeRule');
+
+const createBadgeSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(60).required(),
+  description: Joi.string().trim().min(2).max(200).required(),
+  rule: badgeRuleSchema.required(),
+  // Required for teachers; admins may leave it out to create a badge for every student
+  classroomId: Joi.string().hex().length(24).optional()
+});
+
+const updateBadgeSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(60).optional(),
+  description: Joi.string().trim().min(2).max(200).optional(),
+  rule: badgeRuleSchema.optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+// Leaderboard validation schemas
+const leaderboardQuerySchema = Joi.object({
+  scope: Joi.string().valid('class', 'grade').optional(),
+  period: Joi.string().valid('weekly', 'monthly', 'all_time').optional(),
+  classroomId: Joi.string().hex().length(24).optional(),
+  grade: Joi.string().valid('6', '7', '8', '9').optional(),
+  limit: Joi.number().integer().min(1).max(50).optional()
+});
+
+const leaderboardSettingsSchema = Joi.object({
+  optOut: Joi.boolean().optional(),
+  usePseudonym: Joi.boolean().optional(),
+  // Draw a new pseudonym
+  newPseudonym: Joi.boolean().valid(true).optional()
+}).min(1);
+
+// Daily goal validation schemas
+const dailyGoalSchema = Joi.object({
+  type: Joi.string().valid('questions', 'minutes').required(),
+  target: Joi.number().integer().min(1).when('type', {
+    is: 'questions',
+    then: Joi.number().max(200),
+    otherwise: Joi.number().max(240)
+  }).required()
+});
+
+const calendarQuerySchema = Joi.object({
+  from: calendarDay.optional(),
+  to: calendarDay.optional(),
+  studentId: Joi.string().hex().length(24).optional()
+});
+
+const reviewQueueSchema = Joi.object({
+  status: Joi.string().valid('draft', 'approved', 'rejected').optional(),
+  topic: Joi.string().trim().max(100).optional(),
+  grade: Joi.string().valid('6', '7', '8', '9').optional(),
+  modelUsed: Joi.string().trim().max(100).optional(),
+  provider: providerName.optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
 });
 
 // Query parameter validation
@@ -149,7 +340,8 @@ const questionQuerySchema = Joi.object({
   isActive: Joi.boolean().optional(),
   isGenerated: Joi.boolean().optional(),
   sortBy: Joi.string().valid('createdAt', 'difficulty', 'usageCount', 'successRate').default('createdAt'),
-  sortOrder: Joi.string().valid('asc', 'desc').default('desc')
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+  lang: enabledLanguage.optional()
 });
 
 const studentQuerySchema = Joi.object({
@@ -157,10 +349,249 @@ const studentQuerySchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20),
   grade: Joi.string().valid('6', '7', '8', '9').optional(),
   schoolName: Joi.string().trim().max(200).optional(),
+  classroomId: Joi.string().hex().length(24).optional(),
   sortBy: Joi.string().valid('createdAt', 'name', 'grade').default('createdAt'),
   sortOrder: Joi.string().valid('asc', 'desc').default('desc')
 });
 
+// Classroom validation schemas
+const createClassroomSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  grade: Joi.string().valid('6', '7', '8', '9').required(),
+  section: Joi.string().trim().max(10).required(),
+  subject: Joi.string().valid('Math', 'Science', 'Social Science').required(),
+  academicYear: Joi.string().pattern(/^\d{4}-\d{2}$/).optional(),
+  schoolName: Joi.string().trim().max(200).optional(),
+  teachers: Joi.array().items(Joi.string().hex().length(24)).optional(),
+  students: Joi.array().items(Joi.string().hex().length(24)).optional()
+});
+
+const updateClassroomSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  grade: Joi.string().valid('6', '7', '8', '9').optional(),
+  section: Joi.string().trim().max(10).optional(),
+  subject: Joi.string().valid('Math', 'Science', 'Social Science').optional(),
+  academicYear: Joi.string().pattern(/^\d{4}-\d{2}$/).optional(),
+  schoolName: Joi.string().trim().max(200).optional(),
+  teachers: Joi.array().items(Joi.string().hex().length(24)).min(1).optional(),
+  joinCodeEnabled: Joi.boolean().optional(),
+  leaderboard: Joi.object({
+    enabled: Joi.boolean().optional(),
+    pseudonymsOnly: Joi.boolean().optional()
+  }).min(1).optional()
+});
+
+const joinClassroomSchema = Joi.object({
+  joinCode: Joi.string().trim().alphanum().min(4).max(12).required()
+});
+
+// Assignment validation schemas
+const assignmentFields = {
+  title: Joi.string().trim().min(3).max(200),
+  instructions: Joi.string().trim().max(2000).allow(''),
+  classroomId: Joi.string().hex().length(24),
+  studentIds: Joi.array().items(Joi.string().hex().length(24)),
+  mode: Joi.string().valid('assessment', 'practice'),
+  sessionType: Joi.string().valid('adaptive', 'fixed'),
+  chapterId: Joi.string().hex().length(24),
+  questionIds: Joi.array().items(Joi.string().hex().length(24)).max(100),
+  adaptiveParameters: Joi.object({
+    initialDifficulty: Joi.number().min(0).max(1).optional(),
+    maxQuestions: Joi.number().integer().min(5).max(50).optional(),
+    minQuestions: Joi.number().integer().min(3).max(20).optional(),
+    confidenceThreshold: Joi.number().min(0.5).max(0.95).optional(),
+    selectionStrategy: Joi.string().trim().max(50).optional(),
+    passMark: Joi.number().min(0).max(1).optional()
+  }),
+  opensAt: Joi.date().iso(),
+  closesAt: Joi.date().iso(),
+  timeLimitMinutes: Joi.number().integer().min(1).max(300).allow(null),
+  maxAttempts: Joi.number().integer().min(1).max(10),
+  status: Joi.string().valid('draft', 'published', 'archived')
+};
+
+const createAssignmentSchema = Joi.object({
+  ...assignmentFields,
+  title: assignmentFields.title.required(),
+  sessionType: assignmentFields.sessionType.required(),
+  chapterId: assignmentFields.chapterId.required(),
+  closesAt: assignmentFields.closesAt.required(),
+  questionIds: assignmentFields.questionIds.when('sessionType', {
+    is: 'fixed', then: Joi.array().min(1).required()
+  })
+}).or('classroomId', 'studentIds');
+
+const updateAssignmentSchema = Joi.object(assignmentFields).min(1);
+
+// Translation review schemas
+const translationReviewQuerySchema = Joi.object({
+  language: translationLanguage.optional(),
+  status: Joi.string().valid('machine', 'reviewed', 'approved').optional(),
+  entityType: Joi.string().valid('question', 'chapter', 'topic', 'recommendation', 'ui').optional(),
+  entityId: Joi.string().trim().optional(),
+  outdated: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const reviewTranslationSchema = Joi.object({
+  fields: Joi.array().items(Joi.object({
+    path: Joi.string().trim().required(),
+    text: Joi.string().trim().min(1).max(5000).required()
+  })).unique('path').optional(),
+  notes: Joi.string().trim().max(1000).allow('').optional()
+});
+
+const approveTranslationSchema = Joi.object({
+  notes: Joi.string().trim().max(1000).allow('').optional()
+});
+
+// Language registry schemas
+const languageFields = {
+  name: Joi.string().trim().min(2).max(50),
+  nativeName: Joi.string().trim().min(1).max(50),
+  script: Joi.string().pattern(/^[A-Z][a-z]{3}$/).messages({ 'string.pattern.base': 'Script must be an ISO 15924 code, e.g. Deva' }),
+  direction: Joi.string().valid('ltr', 'rtl'),
+  numeralSystem: Joi.string().pattern(/^[a-z]{4,8}$/).messages({ 'string.pattern.base': 'Numeral system must be a CLDR numbering system, e.g. deva' }),
+  enabled: Joi.boolean()
+};
+
+const createLanguageSchema = Joi.object({
+  ...languageFields,
+  code: Joi.string().lowercase().pattern(/^[a-z]{2,3}$/).required().messages({ 'string.pattern.base': 'Code must be an ISO 639 code, e.g. or' }),
+  name: languageFields.name.required(),
+  nativeName: languageFields.nativeName.required(),
+  script: languageFields.script.required()
+});
+
+const updateLanguageSchema = Joi.object(languageFields).min(1);
+
+const translationCoverageQuerySchema = Joi.object({
+  language: translationLanguage.optional()
+});
+
+// Chatbot schemas
+const chatbotAskSchema = Joi.object({
+  message: Joi.string().max(2000).allow('').optional(),
+  question: Joi.string().max(2000).allow('').optional(),
+  // Older clients send the page name as a string
+  context: Joi.alternatives().try(
+    Joi.object({
+      page: Joi.string().max(100).optional(),
+      questionId: Joi.string().hex().length(24).optional(),
+      chapterId: Joi.string().hex().length(24).optional(),
+      topicId: Joi.string().hex().length(24).optional()
+    }).unknown(true),
+    Joi.string().max(100)
+  ).optional(),
+  conversationId: Joi.string().hex().length(24).optional()
+});
+
+const chatbotExplainSchema = Joi.object({
+  specificAspect: Joi.string().trim().max(100).optional(),
+  conversationId: Joi.string().hex().length(24).optional()
+});
+
+const conversationQuerySchema = Joi.object({
+  studentId: Joi.string().hex().length(24).optional(),
+  classroomId: Joi.string().hex().length(24).optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+});
+
+// Moderation schemas
+const moderationAction = Joi.string().valid('block', 'redact', 'log', 'off');
+const moderationTerms = Joi.array().items(Joi.string().trim().min(1).max(100)).max(500);
+
+const updateModerationPolicySchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  rules: Joi.object({
+    profanity: Joi.object({ action: moderationAction.required() }).optional(),
+    pii: Joi.object({ action: moderationAction.required() }).optional(),
+    // Off-topic text has nothing to redact
+    offTopic: Joi.object({ action: Joi.string().valid('block', 'log', 'off').required() }).optional()
+  }).min(1).optional(),
+  scopes: Joi.object({
+    input: Joi.boolean().optional(),
+    output: Joi.boolean().optional()
+  }).min(1).optional(),
+  blockedTerms: moderationTerms.optional(),
+  allowedTerms: moderationTerms.optional()
+}).min(1);
+
+const moderationEventQuerySchema = Joi.object({
+  studentId: Joi.string().hex().length(24).optional(),
+  classroomId: Joi.string().hex().length(24).optional(),
+  category: Joi.string().valid('profanity', 'pii', 'offTopic').optional(),
+  source: Joi.string().valid('chatbot', 'hint', 'question_generation', 'recommendation').optional(),
+  action: Joi.string().valid('blocked', 'redacted', 'logged').optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+});
+
+// Textbook content schemas
+const chapterContentSchema = Joi.object({
+  sections: Joi.array().items(Joi.object({
+    heading: Joi.string().trim().max(200).optional(),
+    topicId: Joi.string().hex().length(24).optional(),
+    text: Joi.string().trim().min(1).max(20000).required()
+  })).max(100).required()
+});
+
+const contentSearchSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(500).required(),
+  chapterId: Joi.string().hex().length(24).optional(),
+  topicId: Joi.string().hex().length(24).optional(),
+  class: Joi.string().valid('6', '7').optional(),
+  subject: Joi.string().valid('Math', 'Science', 'Social Science').optional(),
+  limit: Joi.number().integer().min(1).max(10).optional()
+});
+
+// UI message catalog schemas
+const catalogNamespace = Joi.string().lowercase().pattern(/^[a-z][a-z0-9_-]{0,49}$/)
+  .messages({ 'string.pattern.base': 'Namespace may only contain lowercase letters, digits, - and _' });
+
+const createUiMessageSchema = Joi.object({
+  namespace: catalogNamespace.required(),
+  key: Joi.string().pattern(/^[A-Za-z0-9_.-]{1,100}$/).required()
+    .messages({ 'string.pattern.base': 'Key may only contain letters, digits, ., - and _' }),
+  message: Joi.string().max(2000).required(),
+  description: Joi.string().trim().max(500).allow('').optional()
+});
+
+const catalogExportQuerySchema = Joi.object({
+  namespace: catalogNamespace.required(),
+  language: enabledLanguage.required(),
+  format: Joi.string().valid('json', 'po').default('json')
+});
+
+const catalogImportSchema = Joi.object({
+  namespace: catalogNamespace.required(),
+  language: enabledLanguage.required(),
+  format: Joi.string().valid('json', 'po').optional(),
+  approve: Joi.boolean().optional()
+});
+
+// Analytics report filters, as query parameters or in an export request
+const analyticsFiltersSchema = Joi.object({
+  classroomId: Joi.string().hex().length(24).optional(),
+  chapterId: Joi.string().hex().length(24).optional(),
+  class: Joi.string().valid('6', '7').optional(),
+  subject: Joi.string().valid('Math', 'Science', 'Social Science').optional(),
+  questionType: Joi.string().valid('mcq', 'fill-in-blank', 'short-answer').optional(),
+  difficulty: Joi.number().min(0).max(1).optional(),
+  limit: Joi.number().integer().min(1).optional()
+});
+
+// Analytics export; the route checks the report type and format itself
+const analyticsExportSchema = Joi.object({
+  type: Joi.string().optional(),
+  format: Joi.string().optional(),
+  filters: analyticsFiltersSchema.optional()
+});
+
 // Validation middleware functions
 const validateRegister = (req, res, next) => {
   const { error } = registerSchema.validate(req.body);
@@ -246,6 +677,34 @@ const validateUpdateQuestion = (req, res, next) => {
   next();
 };
 
+const validateBulkUpload = (req, res, next) => {
+  const { error } = bulkUploadSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateQuestionExport = (req, res, next) => {
+  const { error } = questionExportSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
 const validateStartAssessment = (req, res, next) => {
   const { error } = startAssessmentSchema.validate(req.body);
   if (error) {
@@ -316,7 +775,469 @@ const validateStudentQuery = (req, res, next) => {
   next();
 };
 
+const validateCreateClassroom = (req, res, next) => {
+  const { error } = createClassroomSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateUpdateClassroom = (req, res, next) => {
+  const { error } = updateClassroomSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateJoinClassroom = (req, res, next) => {
+  const { error } = joinClassroomSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateCreateAssignment = (req, res, next) => {
+  const { error } = createAssignmentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateUpdateAssignment = (req, res, next) => {
+  const { error } = updateAssignmentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
 // Express-validator middleware for common validations
+const validateTranslationReviewQuery = (req, res, next) => {
+  const { error } = translationReviewQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateReviewTranslation = (req, res, next) => {
+  const { error } = reviewTranslationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateApproveTranslation = (req, res, next) => {
+  const { error } = approveTranslationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateCreateLanguage = (req, res, next) => {
+  const { error } = createLanguageSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateUpdateLanguage = (req, res, next) => {
+  const { error } = updateLanguageSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateTranslationCoverageQuery = (req, res, next) => {
+  const { error } = translationCoverageQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateCreateUiMessage = (req, res, next) => {
+  const { error } = createUiMessageSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateCatalogExportQuery = (req, res, next) => {
+  const { error } = catalogExportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateCatalogImport = (req, res, next) => {
+  const { error } = catalogImportSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateChatbotAsk = (req, res, next) => {
+  const { error } = chatbotAskSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateChatbotExplain = (req, res, next) => {
+  const { error } = chatbotExplainSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateConversationQuery = (req, res, next) => {
+  const { error } = conversationQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateUpdateModerationPolicy = (req, res, next) => {
+  const { error } = updateModerationPolicySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateModerationEventQuery = (req, res, next) => {
+  const { error } = moderationEventQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateChapterContent = (req, res, next) => {
+  const { error } = chapterContentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateContentSearch = (req, res, next) => {
+  const { error } = contentSearchSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateEditGeneratedQuestion = (req, res, next) => {
+  const { error } = editGeneratedQuestionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateApproveGeneratedQuestion = (req, res, next) => {
+  const { error } = approveGeneratedQuestionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateRejectGeneratedQuestion = (req, res, next) => {
+  const { error } = rejectGeneratedQuestionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateReviewQueue = (req, res, next) => {
+  const { error } = reviewQueueSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateCreateBadge = (req, res, next) => {
+  const { error } = createBadgeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateUpdateBadge = (req, res, next) => {
+  const { error } = updateBadgeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateLeaderboardQuery = (req, res, next) => {
+  const { error } = leaderboardQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateLeaderboardSettings = (req, res, next) => {
+  const { error } = leaderboardSettingsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateDailyGoal = (req, res, next) => {
+  const { error } = dailyGoalSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateCalendarQuery = (req, res, next) => {
+  const { error } = calendarQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateAnalyticsExport = (req, res, next) => {
+  const { error } = analyticsExportSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
+const validateAnalyticsQuery = (req, res, next) => {
+  const { error } = analyticsFiltersSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: error.details
+      }
+    });
+  }
+  next();
+};
+
 const validateObjectId = (paramName) => [
   param(paramName).isMongoId().withMessage('Invalid ID format'),
   handleValidationErrors
@@ -335,11 +1256,46 @@ module.exports = {
   validateUpdateUser,
   validateCreateQuestion,
   validateUpdateQuestion,
+  validateBulkUpload,
+  validateQuestionExport,
   validateStartAssessment,
   validateSubmitAnswer,
   validateGenerateQuestion,
   validateQuestionQuery,
   validateStudentQuery,
+  validateCreateClassroom,
+  validateUpdateClassroom,
+  validateJoinClassroom,
+  validateCreateAssignment,
+  validateUpdateAssignment,
+  validateTranslationReviewQuery,
+  validateReviewTranslation,
+  validateApproveTranslation,
+  validateCreateLanguage,
+  validateUpdateLanguage,
+  validateTranslationCoverageQuery,
+  validateCreateUiMessage,
+  validateCatalogExportQuery,
+  validateCatalogImport,
+  validateChatbotAsk,
+  validateChatbotExplain,
+  validateConversationQuery,
+  validateUpdateModerationPolicy,
+  validateModerationEventQuery,
+  validateChapterContent,
+  validateContentSearch,
+  validateEditGeneratedQuestion,
+  validateApproveGeneratedQuestion,
+  validateRejectGeneratedQuestion,
+  validateReviewQueue,
+  validateLeaderboardQuery,
+  validateLeaderboardSettings,
+  validateCreateBadge,
+  validateUpdateBadge,
+  validateDailyGoal,
+  validateCalendarQuery,
+  validateAnalyticsExport,
+  validateAnalyticsQuery,
   validateObjectId,
   validatePagination,
   handleValidationErrors
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const IRTEngine = require('../services/irtEngine');
+
+// Session modes in which students may ask for hints; 'assessment' sessions are tests
+const HINT_MODES = ['practice', 'revision'];
+const MAX_HINTS = 3;
+// Credit lost on a correct answer for each hint used
+const HINT_PENALTY = 0.25;
 
 const assessmentSessionSchema = new mongoose.Schema({
   studentId: {
@@ -19,6 +26,14 @@ const assessmentSessionSchema = new mongoose.Schema({
     enum: ['active', 'completed', 'abandoned', 'paused'],
     default: 'active'
   },
+  stopReason: {
+    type: String,
+    enum: ['max_questions', 'standard_error', 'classification', 'time_limit', 'pool_exhausted', 'student_ended', 'abandoned']
+  },
+  classification: {
+    type: String,
+    enum: ['pass', 'fail']
+  },
   sessionType: {
     type: String,
     enum: ['adaptive', 'fixed'],
@@ -30,10 +45,24 @@ const assessmentSessionSchema = new mongoose.Schema({
     required: true,
     default: 'assessment'
   },
+  // Revision sessions without a chapter review what is due across all chapters
   chapterId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Chapter',
-    required: true
+    required() {
+      return this.mode !== 'revision';
+    }
+  },
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic'
+  },
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment'
+  },
+  expiresAt: {
+    type: Date // Set when the session has a time limit
   },
   allowRetry: {
     type: Boolean,
@@ -59,6 +88,15 @@ const assessmentSessionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Sum of item credit: 1 per correct answer, less HINT_PENALTY per hint used
+  score: {
+    type: Number,
+    default: 0
+  },
+  hintsUsed: {
+    type: Number,
+    default: 0
+  },
   items: [{
     questionId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -90,12 +128,45 @@ const assessmentSessionSchema = new mongoose.Schema({
     },
     topic: {
       type: String
+    },
+    irtParameters: {
+      a: Number,
+      b: Number,
+      c: Number
+    },
+    hintsUsed: {
+      type: Number,
+      default: 0
+    },
+    hints: [{
+      level: Number,
+      text: String,
+      source: {
+        type: String,
+        enum: ['teacher', 'generated', 'rule']
+      },
+      requestedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Credit for the answer (0-1), reduced by the hints used
+    score: {
+      type: Number
     }
   }],
   estimatedAbility: {
     type: Number,
     default: 0.5 // Initial ability estimate (0-1 scale)
   },
+  abilityTheta: {
+    type: Number,
+    default: 0 // IRT ability estimate (logit scale)
+  },
+  abilityStandardError: {
+    type: Number,
+    default: 1 // Prior standard deviation until the first answer
+  },
   abilityHistory: [{
     timestamp: {
       type: Date,
@@ -104,6 +175,12 @@ const assessmentSessionSchema = new mongoose.Schema({
     ability: {
       type: Number
     },
+    theta: {
+      type: Number
+    },
+    standardError: {
+      type: Number
+    },
     confidence: {
       type: Number
     }
@@ -128,6 +205,33 @@ const assessmentSessionSchema = new mongoose.Schema({
     confidenceThreshold: {
       type: Number,
       default: 0.8
+    },
+    estimationMethod: {
+      type: String,
+      enum: ['EAP', 'MLE'],
+      default: 'EAP'
+    },
+    selectionStrategy: {
+      type: String,
+      default: 'max-information'
+    },
+    exposureControl: {
+      type: String,
+      enum: ['none', 'randomesque', 'sympson-hetter'],
+      default: 'randomesque'
+    },
+    contentBalancing: {
+      type: Boolean,
+      default: true
+    },
+    passMark: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    classificationConfidence: {
+      type: Number,
+      default: 0.95
     }
   },
   metadata: {
@@ -154,6 +258,7 @@ assessmentSessionSchema.index({ mode: 1 });
 assessmentSessionSchema.index({ chapterId: 1 });
 assessmentSessionSchema.index({ studentId: 1, mode: 1 });
 assessmentSessionSchema.index({ studentId: 1, chapterId: 1 });
+assessmentSessionSchema.index({ assignmentId: 1, studentId: 1 });
 
 // Update updatedAt on save
 assessmentSessionSchema.pre('save', function(next) {
@@ -186,7 +291,9 @@ assessmentSessionSchema.methods.addItem = function(questionId, questionData) {
     questionNumber: this.items.length + 1,
     presentedAt: new Date(),
     difficulty: questionData.difficulty,
-    topic: questionData.topic
+    topic: questionData.topic,
+    irtParameters: questionData.irtParameters ||
+      IRTEngine.parametersFromDifficulty(questionData.difficulty)
   };
 
   this.items.push(item);
@@ -206,8 +313,10 @@ assessmentSessionSchema.methods.answerQuestion = function(questionNumber, answer
   item.answerIndex = answerIndex;
   item.responseTimeMs = responseTimeMs;
   item.isCorrect = isCorrect;
+  item.score = isCorrect ? this.constructor.creditForHints(item.hintsUsed) : 0;
 
   this.answeredQuestions += 1;
+  this.score = (this.score || 0) + item.score;
 
   // Update ability estimate (simplified version)
   this.updateAbilityEstimate();
@@ -215,26 +324,64 @@ assessmentSessionSchema.methods.answerQuestion = function(questionNumber, answer
   return this.save();
 };
 
-// Method to update ability estimate (simplified adaptive algorithm)
+// Method to update ability estimate from the IRT model
 assessmentSessionSchema.methods.updateAbilityEstimate = function() {
-  if (this.answeredQuestions === 0) return;
-
-  const correctRate = this.correctAnswers / this.answeredQuestions;
-  const averageDifficulty = this.items
+  const responses = this.items
     .filter(item => item.answeredAt)
-    .reduce((sum, item) => sum + item.difficulty, 0) / this.answeredQuestions;
+    .map(item => ({
+      params: item.irtParameters && item.irtParameters.b !== undefined ?
+        item.irtParameters :
+        IRTEngine.parametersFromDifficulty(item.difficulty),
+      isCorrect: Boolean(item.isCorrect),
+      score: item.score
+    }));
+
+  if (responses.length === 0) return;
 
-  // Simple ability estimation based on performance vs difficulty
-  this.estimatedAbility = Math.max(0, Math.min(1, correctRate + (averageDifficulty - 0.5) * 0.2));
+  const method = this.adaptiveParameters?.estimationMethod || 'EAP';
+  const { theta, standardError } = IRTEngine.estimateAbility(responses, method, this.abilityTheta);
+
+  this.abilityTheta = theta;
+  this.abilityStandardError = standardError;
+  this.estimatedAbility = IRTEngine.thetaToScore(theta);
 
   // Record ability history
   this.abilityHistory.push({
     timestamp: new Date(),
     ability: this.estimatedAbility,
-    confidence: Math.min(1, this.answeredQuestions / 10) // Confidence increases with more questions
+    theta,
+    standardError,
+    confidence: IRTEngine.precisionFromStandardError(standardError)
   });
 };
 
+// Method to check whether students may ask for hints in this session
+assessmentSessionSchema.methods.allowsHints = function() {
+  return HINT_MODES.includes(this.mode);
+};
+
+// Method to record a hint shown for an unanswered question
+assessmentSessionSchema.methods.recordHint = function(questionNumber, { level, text, source }) {
+  const item = this.items.find(item => item.questionNumber === questionNumber);
+  if (!item) {
+    throw new Error('Question not found in session');
+  }
+  if (item.answeredAt) {
+    throw new Error('Question already answered');
+  }
+
+  item.hints.push({ level, text, source, requestedAt: new Date() });
+  item.hintsUsed = item.hints.length;
+  this.hintsUsed = (this.hintsUsed || 0) + 1;
+
+  return this.save();
+};
+
+// Method to check whether the session's time limit has run out
+assessmentSessionSchema.methods.isExpired = function(at = new Date()) {
+  return Boolean(this.expiresAt) && at >= this.expiresAt;
+};
+
 // Method to complete the session
 assessmentSessionSchema.methods.complete = function() {
   this.finishedAt = new Date();
@@ -246,6 +393,7 @@ assessmentSessionSchema.methods.complete = function() {
 assessmentSessionSchema.methods.abandon = function() {
   this.finishedAt = new Date();
   this.status = 'abandoned';
+  this.stopReason = 'abandoned';
   return this.save();
 };
 
@@ -254,9 +402,28 @@ assessmentSessionSchema.statics.findActiveByStudent = function(studentId) {
   return this.findOne({ studentId, status: 'active' });
 };
 
-// Static method to get session statistics
+// Static method to check whether a question is in one of the student's active test sessions
+assessmentSessionSchema.statics.isInActiveTest = async function(studentId, questionId) {
+  const session = await this.exists({
+    studentId,
+    status: 'active',
+    mode: { $nin: HINT_MODES },
+    'items.questionId': questionId
+  });
+  return Boolean(session);
+};
+
+// Static method to get the credit for a correct answer reached with hints
+assessmentSessionSchema.statics.creditForHints = function(hintsUsed = 0) {
+  return Math.max(1 - (hintsUsed || 0) * HINT_PENALTY, 0);
+};
+
+// Static method to get session statistics for one student or several
 assessmentSessionSchema.statics.getStatistics = function(studentId, dateRange) {
-  const query = { studentId };
+  const toObjectId = id => new mongoose.Types.ObjectId(id.toString());
+  const query = {
+    studentId: Array.isArray(studentId) ? { $in: studentId.map(toObjectId) } : toObjectId(studentId)
+  };
   if (dateRange) {
     query.startedAt = {
       $gte: dateRange.start,
@@ -273,14 +440,31 @@ assessmentSessionSchema.statics.getStatistics = function(studentId, dateRange) {
         completedSessions: {
           $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
         },
-        averageAccuracy: { $avg: '$accuracyPercentage' },
-        averageDuration: { $avg: '$durationMinutes' },
+        // Virtuals are not stored, so accuracy and duration are worked out here
+        averageAccuracy: {
+          $avg: {
+            $cond: [
+              { $gt: ['$answeredQuestions', 0] },
+              { $multiply: [{ $divide: ['$correctAnswers', '$answeredQuestions'] }, 100] },
+              0
+            ]
+          }
+        },
+        averageDuration: {
+          $avg: {
+            $cond: ['$finishedAt', { $divide: [{ $subtract: ['$finishedAt', '$startedAt'] }, 60000] }, null]
+          }
+        },
         totalQuestions: { $sum: '$answeredQuestions' }
       }
     }
   ]);
 };
 
+assessmentSessionSchema.statics.HINT_MODES = HINT_MODES;
+assessmentSessionSchema.statics.MAX_HINTS = MAX_HINTS;
+assessmentSessionSchema.statics.HINT_PENALTY = HINT_PENALTY;
+
 // Ensure virtual fields are serialized
 assessmentSessionSchema.set('toJSON', { virtuals: true });
 
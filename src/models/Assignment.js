@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Classroom = require('./Classroom');
+
+const assignmentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Instructions cannot be more than 2000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Target: a whole class, individual students, or both
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  },
+  studentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mode: {
+    type: String,
+    enum: ['assessment', 'practice'],
+    default: 'assessment'
+  },
+  sessionType: {
+    type: String,
+    enum: ['adaptive', 'fixed'],
+    required: true
+  },
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: [true, 'Chapter is required']
+  },
+  // Questions for a fixed set, presented in this order
+  questionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
+  adaptiveParameters: {
+    initialDifficulty: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.5
+    },
+    maxQuestions: {
+      type: Number,
+      min: 5,
+      max: 50,
+      default: 20
+    },
+    minQuestions: {
+      type: Number,
+      min: 3,
+      max: 20,
+      default: 5
+    },
+    confidenceThreshold: {
+      type: Number,
+      min: 0.5,
+      max: 0.95,
+      default: 0.8
+    },
+    selectionStrategy: {
+      type: String,
+      default: 'max-information'
+    },
+    passMark: {
+      type: Number,
+      min: 0,
+      max: 1
+    }
+  },
+  opensAt: {
+    type: Date,
+    default: Date.now
+  },
+  closesAt: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  timeLimitMinutes: {
+    type: Number,
+    min: [1, 'Time limit must be at least 1 minute'],
+    max: [300, 'Time limit cannot exceed 300 minutes']
+  },
+  maxAttempts: {
+    type: Number,
+    default: 1,
+    min: [1, 'At least one attempt must be allowed'],
+    max: [10, 'Attempt limit cannot exceed 10']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'published'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+assignmentSchema.index({ classroomId: 1, status: 1 });
+assignmentSchema.index({ studentIds: 1, status: 1 });
+assignmentSchema.index({ createdBy: 1, createdAt: -1 });
+assignmentSchema.index({ closesAt: 1 });
+
+// Validate the target, window and question configuration
+assignmentSchema.pre('validate', function(next) {
+  if (!this.classroomId && this.studentIds.length === 0) {
+    this.invalidate('classroomId', 'An assignment needs a class or at least one student');
+  }
+  if (this.closesAt && this.opensAt && this.closesAt <= this.opensAt) {
+    this.invalidate('closesAt', 'Due date must be after the open date');
+  }
+  if (this.sessionType === 'fixed' && this.questionIds.length === 0) {
+    this.invalidate('questionIds', 'A fixed assignment needs at least one question');
+  }
+  next();
+});
+
+// Update updatedAt on save
+assignmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for the number of questions a student will see
+assignmentSchema.virtual('questionCount').get(function() {
+  if (this.sessionType === 'fixed') return this.questionIds.length;
+  return this.adaptiveParameters.maxQuestions;
+});
+
+// Method to check whether the assignment window is open
+assignmentSchema.methods.isOpen = function(at = new Date()) {
+  return this.status === 'published' && this.opensAt <= at && at < this.closesAt;
+};
+
+// Method to list every student the assignment targets
+assignmentSchema.methods.getTargetStudentIds = async function() {
+  const ids = new Map(this.studentIds.map(id => [id.toString(), id]));
+
+  if (this.classroomId) {
+    const classroom = await Classroom.findById(this.classroomId).select('students');
+    if (classroom) {
+      classroom.students.forEach(id => ids.set(id.toString(), id));
+    }
+  }
+
+  return Array.from(ids.values());
+};
+
+// Method to check whether a student is targeted by the assignment
+assignmentSchema.methods.targetsStudent = async function(studentId) {
+  const targets = await this.getTargetStudentIds();
+  return targets.some(id => id.toString() === studentId.toString());
+};
+
+// Static method to find published assignments for a student
+assignmentSchema.statics.findForStudent = async function(studentId) {
+  const classrooms = await Classroom.find({ students: studentId, isActive: true }).select('_id');
+
+  return this.find({
+    status: 'published',
+    $or: [
+      { classroomId: { $in: classrooms.map(classroom => classroom._id) } },
+      { studentIds: studentId }
+    ]
+  }).sort({ closesAt: 1 });
+};
+
+// Ensure virtual fields are serialized
+assignmentSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const badgeDefinitionSchema = new mongoose.Schema({
+  // Stored on the gamification profile when the badge is earned
+  key: {
+    type: String,
+    required: [true, 'Badge key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]+$/, 'Badge key may only contain letters, numbers, _ and -'],
+    maxlength: [80, 'Badge key cannot be more than 80 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Badge name is required'],
+    trim: true,
+    maxlength: [60, 'Badge name cannot be more than 60 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Badge description is required'],
+    trim: true,
+    maxlength: [200, 'Badge description cannot be more than 200 characters']
+  },
+  // Declarative rule evaluated by services/badgeRules
+  rule: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Badge rule is required']
+  },
+  // Badges of a class are only awarded to its students; unset means every student
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    default: null
+  },
+  // Built-in badges from services/badgeCatalog
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+badgeDefinitionSchema.index({ isActive: 1, classroomId: 1 });
+
+// Update updatedAt on save
+badgeDefinitionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to get the badge as shown to students
+badgeDefinitionSchema.methods.toSummary = function() {
+  return {
+    _id: this._id,
+    id: this.key,
+    name: this.name,
+    description: this.description,
+    classroomId: this.classroomId,
+    isSystem: this.isSystem,
+    rule: this.rule
+  };
+};
+
+// Ensure virtual fields are serialized
+badgeDefinitionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('BadgeDefinition', badgeDefinitionSchema);
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Join codes avoid characters that are easy to confuse (0/O, 1/I/L)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+const classroomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Class name cannot be more than 100 characters']
+  },
+  grade: {
+    type: String,
+    required: [true, 'Grade is required'],
+    enum: {
+      values: ['6', '7', '8', '9'],
+      message: 'Grade must be 6, 7, 8, or 9'
+    }
+  },
+  section: {
+    type: String,
+    required: [true, 'Section is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Section cannot be more than 10 characters']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    enum: ['Math', 'Science', 'Social Science'],
+    trim: true
+  },
+  academicYear: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}-\d{2}$/, 'Academic year must look like 2024-25']
+  },
+  schoolName: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'School name cannot be more than 200 characters']
+  },
+  teachers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  joinCode: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  joinCodeEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Leaderboards stay hidden from students until a teacher turns them on
+  leaderboard: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Show every student by pseudonym, whatever their own setting
+    pseudonymsOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+classroomSchema.index({ teachers: 1, isActive: 1 });
+classroomSchema.index({ students: 1, isActive: 1 });
+classroomSchema.index({ grade: 1, section: 1, subject: 1 });
+
+// Update updatedAt on save
+classroomSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for a display label such as "7B Science"
+classroomSchema.virtual('displayName').get(function() {
+  return this.name || `${this.grade}${this.section} ${this.subject}`;
+});
+
+// Virtual for enrolled students count
+classroomSchema.virtual('studentsCount').get(function() {
+  return Array.isArray(this.students) ? this.students.length : 0;
+});
+
+// Method to check whether a user teaches this class
+classroomSchema.methods.hasTeacher = function(userId) {
+  return this.teachers.some(id => id.toString() === userId.toString());
+};
+
+// Method to check whether a student is enrolled
+classroomSchema.methods.hasStudent = function(userId) {
+  return this.students.some(id => id.toString() === userId.toString());
+};
+
+// Method to enroll a student
+classroomSchema.methods.addStudent = function(studentId) {
+  if (!this.hasStudent(studentId)) {
+    this.students.push(studentId);
+    return this.save();
+  }
+  return Promise.resolve(this);
+};
+
+// Method to remove a student
+classroomSchema.methods.removeStudent = function(studentId) {
+  this.students = this.students.filter(id => id.toString() !== studentId.toString());
+  return this.save();
+};
+
+// Static method to generate a join code not used by any other class
+classroomSchema.statics.generateJoinCode = async function() {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    let code = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+      code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+    }
+    if (!(await this.exists({ joinCode: code }))) {
+      return code;
+    }
+  }
+  throw new Error('Could not generate a unique join code');
+};
+
+// Static method to find the active classes a teacher teaches
+classroomSchema.statics.findForTeacher = function(teacherId) {
+  return this.find({ teachers: teacherId, isActive: true });
+};
+
+// Static method to get the ids of students enrolled in a teacher's classes,
+// optionally narrowed to a single class
+classroomSchema.statics.getStudentIdsForTeacher = async function(teacherId, classroomId) {
+  const query = { teachers: teacherId, isActive: true };
+  if (classroomId) query._id = classroomId;
+
+  const classrooms = await this.find(query).select('students');
+  const ids = new Map();
+  classrooms.forEach(classroom => {
+    classroom.students.forEach(id => ids.set(id.toString(), id));
+  });
+  return Array.from(ids.values());
+};
+
+// Static method to get the students of classes whose teacher turned leaderboards on
+classroomSchema.statics.getLeaderboardStudentIds = function() {
+  return this.distinct('students', { isActive: true, 'leaderboard.enabled': true });
+};
+
+// Static method to check whether a student is in any of a teacher's classes
+classroomSchema.statics.teacherHasStudent = async function(teacherId, studentId) {
+  return Boolean(await this.exists({ teachers: teacherId, students: studentId, isActive: true }));
+};
+
+// Ensure virtual fields are serialized
+classroomSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Classroom', classroomSchema);
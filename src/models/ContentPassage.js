@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Chapter text is written by teachers; the other sources are copied from
+// topics and questions and rebuilt whenever those change
+const SOURCE_TYPES = ['chapter_text', 'topic_description', 'concepts', 'learning_objectives', 'question_explanation'];
+const DERIVED_SOURCE_TYPES = SOURCE_TYPES.filter(type => type !== 'chapter_text');
+
+const contentPassageSchema = new mongoose.Schema({
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: [true, 'Chapter ID is required']
+  },
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic'
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  },
+  sourceType: {
+    type: String,
+    required: true,
+    enum: SOURCE_TYPES
+  },
+  // Copied from the chapter and topic so citations need no lookups
+  class: String,
+  subject: String,
+  chapterNumber: Number,
+  chapterName: String,
+  topicName: String,
+  // Section heading of chapter text
+  heading: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Heading cannot be more than 200 characters']
+  },
+  // Order of chapter text: section, then passage within the section
+  section: {
+    type: Number,
+    default: 0
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  text: {
+    type: String,
+    required: [true, 'Passage text is required'],
+    maxlength: [4000, 'Passage cannot be more than 4000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+contentPassageSchema.index({ chapterId: 1, sourceType: 1, section: 1, position: 1 });
+contentPassageSchema.index({ questionId: 1 });
+
+// Update updatedAt on save
+contentPassageSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to get the reference shown with answers that use the passage
+contentPassageSchema.methods.toCitation = function() {
+  return {
+    passageId: this._id,
+    chapterId: this.chapterId,
+    topicId: this.topicId,
+    sourceType: this.sourceType,
+    label: [
+      `Class ${this.class} ${this.subject}, Chapter ${this.chapterNumber}: ${this.chapterName}`,
+      this.topicName,
+      this.heading
+    ].filter(Boolean).join(' - ')
+  };
+};
+
+contentPassageSchema.statics.SOURCE_TYPES = SOURCE_TYPES;
+contentPassageSchema.statics.DERIVED_SOURCE_TYPES = DERIVED_SOURCE_TYPES;
+
+// Ensure virtual fields are serialized
+contentPassageSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ContentPassage', contentPassageSchema);
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['user', 'assistant'];
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    enum: ROLES
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: [8000, 'Message cannot be more than 8000 characters']
+  },
+  // Page context sent with the user's message
+  context: {
+    page: String,
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    chapterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chapter'
+    },
+    topicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Topic'
+    }
+  },
+  // Model and token usage of assistant replies
+  model: String,
+  usage: {
+    promptTokens: Number,
+    completionTokens: Number,
+    totalTokens: Number,
+    estimated: Boolean
+  },
+  // Set when a streamed reply was cancelled or failed part way
+  incomplete: Boolean,
+  // Textbook passages an assistant reply was based on
+  citations: [{
+    _id: false,
+    number: Number,
+    chapterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chapter'
+    },
+    topicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Topic'
+    },
+    sourceType: String,
+    label: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const conversationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  messages: [messageSchema],
+  // Summary of the first `summarizedCount` messages; only later messages are sent verbatim
+  summary: {
+    type: String,
+    maxlength: [4000, 'Summary cannot be more than 4000 characters']
+  },
+  summarizedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Stored so lists can load only the last message
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+// Update the updatedAt field before saving
+conversationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to append a message, titling the conversation after the first question
+conversationSchema.methods.addMessage = function(role, content, { context, model, usage, incomplete, citations } = {}) {
+  this.messages.push({ role, content, context, model, usage, incomplete, citations });
+  this.messageCount = this.messages.length;
+  this.lastMessageAt = new Date();
+  if (!this.title && role === 'user') {
+    const text = content.replace(/\s+/g, ' ').trim();
+    this.title = text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  }
+  return this;
+};
+
+// Method to get the messages not yet folded into the summary
+conversationSchema.methods.getUnsummarizedMessages = function() {
+  return this.messages.slice(this.summarizedCount);
+};
+
+// Method to replace the summary, covering messages up to `count`
+conversationSchema.methods.applySummary = function(summary, count) {
+  this.summary = summary;
+  this.summarizedCount = Math.min(count, this.messages.length);
+  return this;
+};
+
+// Method to check whether a user may read the conversation
+conversationSchema.methods.isOwnedBy = function(userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+// Method to get the fields shown in conversation lists (works with only the last message loaded)
+conversationSchema.methods.getListItem = function() {
+  const last = this.messages[this.messages.length - 1];
+  return {
+    _id: this._id,
+    userId: this.userId,
+    title: this.title,
+    messageCount: this.messageCount,
+    lastMessage: last ? last.content.slice(0, 200) : null,
+    lastMessageAt: this.lastMessageAt,
+    createdAt: this.createdAt
+  };
+};
+
+conversationSchema.statics.ROLES = ROLES;
+
+// Ensure virtual fields are serialized
+conversationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// What a student did on one day in their timezone, for daily goals, streaks and the activity calendar
+const dailyActivitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // YYYY-MM-DD in the student's timezone
+  day: {
+    type: String,
+    required: [true, 'Day is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be YYYY-MM-DD']
+  },
+  questions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  correctAnswers: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Time spent answering, in milliseconds
+  timeSpentMs: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  points: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // The daily goal was reached, so the day counts toward the streak
+  goalMet: {
+    type: Boolean,
+    default: false
+  },
+  // A streak freeze kept the streak going on this missed day
+  frozen: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+dailyActivitySchema.index({ userId: 1, day: 1 }, { unique: true });
+
+// Update updatedAt on save
+dailyActivitySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for whole minutes practised
+dailyActivitySchema.virtual('minutes').get(function() {
+  return Math.floor(this.timeSpentMs / 60000);
+});
+
+// Static method to add to a day's totals, creating the day if needed
+dailyActivitySchema.statics.record = function(userId, day, { questions = 0, correctAnswers = 0, timeSpentMs = 0, points = 0 }) {
+  return this.findOneAndUpdate(
+    { userId, day },
+    {
+      $inc: { questions, correctAnswers, timeSpentMs, points },
+      $set: { updatedAt: new Date() }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to get a student's days between two dates, inclusive
+dailyActivitySchema.statics.getRange = function(userId, from, to) {
+  return this.find({ userId, day: { $gte: from, $lte: to } }).sort({ day: 1 });
+};
+
+// Ensure virtual fields are serialized
+dailyActivitySchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('DailyActivity', dailyActivitySchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Questions remembered for repeat answers, most recently answered first
+const MAX_RECENT_QUESTIONS = 200;
+
 const badgeSchema = new mongoose.Schema(
   {
     badgeId: {
@@ -22,7 +25,7 @@ const eventSchema = new mongoose.Schema(
   {
     type: {
       type: String,
-      enum: ['answer', 'session', 'badge', 'streak', 'level'],
+      enum: ['answer', 'session', 'mastery', 'badge', 'streak', 'level'],
       required: true
     },
     delta: {
@@ -45,11 +48,75 @@ const streakSchema = new mongoose.Schema(
   {
     current: { type: Number, default: 0 },
     longest: { type: Number, default: 0 },
-    lastActive: { type: Date }
+    lastActive: { type: Date },
+    // Last day (YYYY-MM-DD, student's timezone) the daily goal was met
+    lastDay: { type: String },
+    // Streak freezes held; each covers one missed day
+    freezes: { type: Number, default: 0, min: 0 }
+  },
+  { _id: false }
+);
+
+// A day counts toward the streak once the goal is reached
+const dailyGoalSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['questions', 'minutes'], default: 'questions' },
+    target: { type: Number, default: 1, min: 1, max: 240 }
+  },
+  { _id: false }
+);
+
+// Points earned in the current week and month; a stale start date means none yet
+const periodPointsSchema = new mongoose.Schema(
+  {
+    weekStart: { type: Date },
+    week: { type: Number, default: 0 },
+    monthStart: { type: Date },
+    month: { type: Number, default: 0 }
+  },
+  { _id: false }
+);
+
+const leaderboardSettingsSchema = new mongoose.Schema(
+  {
+    // Students who opt out are left out of every ranking
+    optOut: { type: Boolean, default: false },
+    // Show the pseudonym instead of the student's name to classmates
+    usePseudonym: { type: Boolean, default: false },
+    pseudonym: {
+      type: String,
+      trim: true,
+      maxlength: 40
+    }
+  },
+  { _id: false }
+);
+
+// Recent answers to a question, for paying less when it is repeated
+const recentQuestionSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question',
+      required: true
+    },
+    attempts: { type: Number, default: 0 },
+    lastAt: { type: Date }
   },
   { _id: false }
 );
 
+// Leaderboard periods start on Monday and on the 1st of the month (UTC)
+const periodStart = (period, date = new Date()) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === 'weekly') {
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+  } else if (period === 'monthly') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
 const gamificationProfileSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -57,6 +124,16 @@ const gamificationProfileSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Copied from the student profile for grade leaderboards
+  grade: {
+    type: String,
+    enum: ['6', '7', '8', '9']
+  },
+  // Copied from the student profile; days for goals and streaks are in this timezone
+  timezone: {
+    type: String,
+    trim: true
+  },
   points: {
     type: Number,
     default: 0,
@@ -76,6 +153,22 @@ const gamificationProfileSchema = new mongoose.Schema({
     type: streakSchema,
     default: () => ({})
   },
+  dailyGoal: {
+    type: dailyGoalSchema,
+    default: () => ({})
+  },
+  periodPoints: {
+    type: periodPointsSchema,
+    default: () => ({})
+  },
+  leaderboard: {
+    type: leaderboardSettingsSchema,
+    default: () => ({})
+  },
+  recentQuestions: {
+    type: [recentQuestionSchema],
+    default: []
+  },
   badges: {
     type: [badgeSchema],
     default: []
@@ -97,6 +190,10 @@ const gamificationProfileSchema = new mongoose.Schema({
 gamificationProfileSchema.index({ userId: 1 }, { unique: true });
 gamificationProfileSchema.index({ level: -1, points: -1 });
 gamificationProfileSchema.index({ 'badges.badgeId': 1 });
+// Leaderboards read the top of these indexes instead of scanning profiles
+gamificationProfileSchema.index({ grade: 1, points: -1 });
+gamificationProfileSchema.index({ grade: 1, 'periodPoints.weekStart': 1, 'periodPoints.week': -1 });
+gamificationProfileSchema.index({ grade: 1, 'periodPoints.monthStart': 1, 'periodPoints.month': -1 });
 
 gamificationProfileSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -112,8 +209,48 @@ gamificationProfileSchema.methods.addEvent = function(event) {
   }
 };
 
+// Method to add points to the all-time, weekly and monthly totals
+gamificationProfileSchema.methods.addPoints = function(delta, now = new Date()) {
+  const weekStart = periodStart('weekly', now);
+  const monthStart = periodStart('monthly', now);
+  const current = this.periodPoints || {};
+
+  this.points += delta;
+  this.periodPoints = {
+    weekStart,
+    week: current.weekStart && current.weekStart.getTime() === weekStart.getTime() ? current.week + delta : delta,
+    monthStart,
+    month: current.monthStart && current.monthStart.getTime() === monthStart.getTime() ? current.month + delta : delta
+  };
+};
+
+// Method to record an answer to a question; returns the earlier answers within the window
+gamificationProfileSchema.methods.trackQuestion = function(questionId, windowMs, now = new Date()) {
+  const index = this.recentQuestions.findIndex(entry => entry.questionId.toString() === questionId.toString());
+  const entry = index === -1 ? null : this.recentQuestions[index];
+  const previous = entry && now - entry.lastAt <= windowMs ? entry.attempts : 0;
+
+  if (index !== -1) {
+    this.recentQuestions.splice(index, 1);
+  }
+  this.recentQuestions.unshift({ questionId, attempts: previous + 1, lastAt: now });
+  if (this.recentQuestions.length > MAX_RECENT_QUESTIONS) {
+    this.recentQuestions = this.recentQuestions.slice(0, MAX_RECENT_QUESTIONS);
+  }
+  return previous;
+};
+
+// Method to check whether a day's activity reaches the daily goal
+gamificationProfileSchema.methods.meetsDailyGoal = function(activity) {
+  const { type, target } = this.dailyGoal;
+  const done = type === 'minutes' ? activity.timeSpentMs / 60000 : activity.questions;
+  return done >= target;
+};
+
 gamificationProfileSchema.methods.hasBadge = function(badgeId) {
   return this.badges.some(badge => badge.badgeId === badgeId);
 };
 
+gamificationProfileSchema.statics.periodStart = periodStart;
+
 module.exports = mongoose.model('GamificationProfile', gamificationProfileSchema);
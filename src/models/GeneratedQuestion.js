@@ -1,4 +1,42 @@
 const mongoose = require('mongoose');
+const llmProvider = require('../services/llmProvider');
+
+const REVIEW_STATUSES = ['draft', 'approved', 'rejected'];
+const REJECTION_REASONS = [
+  'incorrect_answer',
+  'ambiguous',
+  'off_syllabus',
+  'wrong_difficulty',
+  'duplicate',
+  'poor_language',
+  'inappropriate',
+  'other'
+];
+// Question fields a reviewer may change before approving
+const EDITABLE_FIELDS = ['stem', 'choices', 'correctIndex', 'difficulty', 'tags', 'explanation', 'passage'];
+
+// Match stage for the statistics filters
+const statsMatch = (filters) => {
+  const matchStage = {};
+
+  if (filters.modelUsed) matchStage.modelUsed = filters.modelUsed;
+  if (filters.provider) matchStage.provider = filters.provider;
+  if (filters.dateRange) {
+    matchStage.generatedAt = {};
+    if (filters.dateRange.start) matchStage.generatedAt.$gte = filters.dateRange.start;
+    if (filters.dateRange.end) matchStage.generatedAt.$lte = filters.dateRange.end;
+  }
+
+  return matchStage;
+};
+
+// Review outcome counters for $group stages; records from before the review step have no status
+const reviewCounts = {
+  draftCount: { $sum: { $cond: [{ $eq: ['$reviewStatus', 'draft'] }, 1, 0] } },
+  approvedCount: { $sum: { $cond: [{ $eq: ['$reviewStatus', 'approved'] }, 1, 0] } },
+  rejectedCount: { $sum: { $cond: [{ $eq: ['$reviewStatus', 'rejected'] }, 1, 0] } },
+  editedCount: { $sum: { $cond: [{ $and: [{ $eq: ['$reviewStatus', 'approved'] }, '$edited'] }, 1, 0] } }
+};
 
 const generatedQuestionSchema = new mongoose.Schema({
   inputPrompt: {
@@ -18,7 +56,42 @@ const generatedQuestionSchema = new mongoose.Schema({
   modelUsed: {
     type: String,
     required: [true, 'Model used is required'],
-    enum: ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo', 'mock']
+    trim: true
+  },
+  // A built-in or registered LLM provider
+  provider: {
+    type: String,
+    default: 'openai',
+    validate: {
+      validator: name => llmProvider.getProviderNames().includes(name),
+      message: props => `${props.value} is not a registered LLM provider`
+    }
+  },
+  tokenUsage: {
+    promptTokens: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    completionTokens: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    totalTokens: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    estimated: {
+      type: Boolean,
+      default: false
+    }
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+    min: 1
   },
   latencyMs: {
     type: Number,
@@ -43,6 +116,49 @@ const generatedQuestionSchema = new mongoose.Schema({
       max: 1
     }
   },
+  // Teacher who asked for the question
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Where the question goes once approved; may also be chosen on approval
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter'
+  },
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic'
+  },
+  // Generated questions wait as drafts until a teacher approves or rejects them
+  reviewStatus: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'draft'
+  },
+  // The question as edited by the reviewer; outputJSON keeps what the model returned
+  editedJSON: String,
+  edited: {
+    type: Boolean,
+    default: false
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // Why the question was rejected, kept to improve the generation prompt
+  rejection: {
+    reason: {
+      type: String,
+      enum: REJECTION_REASONS
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Rejection note cannot be more than 1000 characters']
+    }
+  },
   questionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Question'
@@ -79,9 +195,11 @@ const generatedQuestionSchema = new mongoose.Schema({
 // Indexes for efficient queries
 generatedQuestionSchema.index({ generatedAt: -1 });
 generatedQuestionSchema.index({ modelUsed: 1 });
+generatedQuestionSchema.index({ provider: 1, modelUsed: 1 });
 generatedQuestionSchema.index({ 'parameters.topic': 1 });
 generatedQuestionSchema.index({ 'parameters.grade': 1 });
 generatedQuestionSchema.index({ isStored: 1 });
+generatedQuestionSchema.index({ reviewStatus: 1, generatedAt: -1 });
 
 // Virtual for parsed output
 generatedQuestionSchema.virtual('parsedOutput').get(function() {
@@ -92,6 +210,15 @@ generatedQuestionSchema.virtual('parsedOutput').get(function() {
   }
 });
 
+// Virtual for the question as it will be saved: the reviewer's edits, or the model output
+generatedQuestionSchema.virtual('reviewedQuestion').get(function() {
+  try {
+    return JSON.parse(this.editedJSON || this.outputJSON);
+  } catch (error) {
+    return null;
+  }
+});
+
 // Virtual for generation time in seconds
 generatedQuestionSchema.virtual('generationTimeSeconds').get(function() {
   return Math.round(this.latencyMs / 1000 * 100) / 100;
@@ -199,20 +326,80 @@ generatedQuestionSchema.methods.updateUsageStats = function(isCorrect) {
   return this.save();
 };
 
-// Static method to get generation statistics
-generatedQuestionSchema.statics.getGenerationStats = function(filters = {}) {
-  const matchStage = {};
-
-  if (filters.modelUsed) matchStage.modelUsed = filters.modelUsed;
-  if (filters.dateRange) {
-    matchStage.generatedAt = {
-      $gte: filters.dateRange.start,
-      $lte: filters.dateRange.end
-    };
+// Method to apply a reviewer's changes to the draft
+generatedQuestionSchema.methods.applyEdits = function(changes) {
+  const question = { ...this.reviewedQuestion };
+  let changed = false;
+  EDITABLE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined && JSON.stringify(changes[field]) !== JSON.stringify(question[field])) {
+      question[field] = changes[field];
+      changed = true;
+    }
+  });
+  if (changed) {
+    this.editedJSON = JSON.stringify(question);
+    this.edited = true;
   }
+  return changed;
+};
+
+// Method to build the question bank entry saved on approval
+generatedQuestionSchema.methods.toQuestionData = function(topic, userId) {
+  const question = this.reviewedQuestion || {};
+  return {
+    stem: question.stem,
+    choices: question.choices,
+    correctIndex: question.correctIndex,
+    questionType: 'mcq',
+    difficulty: typeof question.difficulty === 'number' ? question.difficulty : this.parameters.difficulty,
+    tags: question.tags || [],
+    explanation: question.explanation || undefined,
+    passage: question.passage || undefined,
+    grade: this.parameters.grade,
+    topic: topic.topicName,
+    chapterId: topic.chapterId,
+    topicId: topic._id,
+    isGenerated: true,
+    generatedBy: this.provider,
+    isActive: true,
+    createdBy: userId
+  };
+};
 
+// Method to mark the draft approved once its question is saved
+generatedQuestionSchema.methods.approve = function(userId, questionId) {
+  this.reviewStatus = 'approved';
+  this.reviewedBy = userId;
+  this.reviewedAt = new Date();
+  this.questionId = questionId;
+  this.isStored = true;
+  return this.save();
+};
+
+// Static method to claim a draft for approval, so only one reviewer saves it;
+// resolves to null when it was reviewed or claimed first
+generatedQuestionSchema.statics.claimForApproval = function(id) {
+  return this.findOneAndUpdate({ _id: id, reviewStatus: 'draft', isStored: false }, { $set: { isStored: true } });
+};
+
+// Static method to give up a claim when the question could not be saved
+generatedQuestionSchema.statics.releaseClaim = function(id) {
+  return this.updateOne({ _id: id, reviewStatus: 'draft' }, { $set: { isStored: false } });
+};
+
+// Method to reject the draft
+generatedQuestionSchema.methods.reject = function(userId, reason, note) {
+  this.reviewStatus = 'rejected';
+  this.reviewedBy = userId;
+  this.reviewedAt = new Date();
+  this.rejection = { reason, note };
+  return this.save();
+};
+
+// Static method to get generation statistics
+generatedQuestionSchema.statics.getGenerationStats = function(filters = {}) {
   return this.aggregate([
-    { $match: matchStage },
+    { $match: statsMatch(filters) },
     {
       $group: {
         _id: null,
@@ -222,27 +409,37 @@ generatedQuestionSchema.statics.getGenerationStats = function(filters = {}) {
         storedCount: {
           $sum: { $cond: ['$isStored', 1, 0] }
         },
+        ...reviewCounts,
         averageUsageCount: { $avg: '$usageCount' },
-        averageSuccessRate: { $avg: '$successRate' }
+        averageSuccessRate: { $avg: '$successRate' },
+        totalTokens: { $sum: '$tokenUsage.totalTokens' },
+        averageTokens: { $avg: '$tokenUsage.totalTokens' }
       }
     }
   ]);
 };
 
 // Static method to get model performance
-generatedQuestionSchema.statics.getModelPerformance = function() {
+generatedQuestionSchema.statics.getModelPerformance = function(filters = {}) {
   return this.aggregate([
+    { $match: statsMatch(filters) },
     {
       $group: {
         _id: '$modelUsed',
+        provider: { $first: '$provider' },
         totalGenerated: { $sum: 1 },
         averageLatency: { $avg: '$latencyMs' },
         averageQualityScore: { $avg: '$qualityScore' },
         storedCount: {
           $sum: { $cond: ['$isStored', 1, 0] }
         },
+        ...reviewCounts,
         averageUsageCount: { $avg: '$usageCount' },
-        averageSuccessRate: { $avg: '$successRate' }
+        averageSuccessRate: { $avg: '$successRate' },
+        promptTokens: { $sum: '$tokenUsage.promptTokens' },
+        completionTokens: { $sum: '$tokenUsage.completionTokens' },
+        totalTokens: { $sum: '$tokenUsage.totalTokens' },
+        averageAttempts: { $avg: '$attempts' }
       }
     },
     {
@@ -251,6 +448,44 @@ generatedQuestionSchema.statics.getModelPerformance = function() {
   ]);
 };
 
+// Static method to get review outcomes per requested topic and grade
+generatedQuestionSchema.statics.getTopicReviewStats = function(filters = {}) {
+  return this.aggregate([
+    { $match: statsMatch(filters) },
+    {
+      $group: {
+        _id: { topic: { $toLower: '$parameters.topic' }, grade: '$parameters.grade' },
+        topic: { $first: '$parameters.topic' },
+        totalGenerated: { $sum: 1 },
+        ...reviewCounts
+      }
+    },
+    {
+      $sort: { totalGenerated: -1 }
+    }
+  ]);
+};
+
+// Static method to count rejection reasons per model
+generatedQuestionSchema.statics.getRejectionReasons = function(filters = {}) {
+  return this.aggregate([
+    { $match: { ...statsMatch(filters), reviewStatus: 'rejected' } },
+    {
+      $group: {
+        _id: { reason: '$rejection.reason', model: '$modelUsed' },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $sort: { count: -1 }
+    }
+  ]);
+};
+
+generatedQuestionSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+generatedQuestionSchema.statics.REJECTION_REASONS = REJECTION_REASONS;
+generatedQuestionSchema.statics.EDITABLE_FIELDS = EDITABLE_FIELDS;
+
 // Ensure virtual fields are serialized
 generatedQuestionSchema.set('toJSON', { virtuals: true });
 
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+// Row-level problems are capped so a badly formatted file cannot produce
+// an oversized job document
+const MAX_ROW_ERRORS = 500;
+
+const rowErrorSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  field: {
+    type: String
+  },
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const importJobSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json', 'qti'],
+    required: [true, 'Import format is required']
+  },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // Values applied to rows that do not set them
+  defaults: {
+    chapterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chapter'
+    },
+    topicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Topic'
+    },
+    grade: {
+      type: String,
+      enum: ['6', '7', '8', '9']
+    },
+    difficulty: {
+      type: Number,
+      min: 0,
+      max: 1
+    }
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  validRows: {
+    type: Number,
+    default: 0
+  },
+  importedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [rowErrorSchema],
+  rowErrorsTruncated: {
+    type: Boolean,
+    default: false
+  },
+  questionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
+  failureReason: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+importJobSchema.index({ status: 1 });
+
+// Update updatedAt on save
+importJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for processing time in milliseconds
+importJobSchema.virtual('duration').get(function() {
+  if (!this.startedAt || !this.finishedAt) return null;
+  return this.finishedAt - this.startedAt;
+});
+
+// Method to record a problem with one row
+importJobSchema.methods.addRowError = function(row, field, message) {
+  if (this.rowErrors.length >= MAX_ROW_ERRORS) {
+    this.rowErrorsTruncated = true;
+    return;
+  }
+  this.rowErrors.push({ row, field, message });
+};
+
+// Method to summarise the job for API responses
+importJobSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    filename: this.filename,
+    format: this.format,
+    dryRun: this.dryRun,
+    status: this.status,
+    totalRows: this.totalRows,
+    validRows: this.validRows,
+    importedCount: this.importedCount,
+    failedCount: this.failedCount,
+    failureReason: this.failureReason,
+    createdAt: this.createdAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+importJobSchema.statics.MAX_ROW_ERRORS = MAX_ROW_ERRORS;
+
+// Ensure virtual fields are serialized
+importJobSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
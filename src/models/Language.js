@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const languageSchema = new mongoose.Schema({
+  // ISO 639 code, e.g. 'hi'
+  code: {
+    type: String,
+    required: [true, 'Language code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z]{2,3}$/, 'Language code must be an ISO 639 code']
+  },
+  name: {
+    type: String,
+    required: [true, 'Language name is required'],
+    trim: true,
+    maxlength: [50, 'Language name cannot be more than 50 characters']
+  },
+  nativeName: {
+    type: String,
+    required: [true, 'Native name is required'],
+    trim: true,
+    maxlength: [50, 'Native name cannot be more than 50 characters']
+  },
+  // ISO 15924 script code, e.g. 'Deva'
+  script: {
+    type: String,
+    required: [true, 'Script is required'],
+    match: [/^[A-Z][a-z]{3}$/, 'Script must be an ISO 15924 code']
+  },
+  direction: {
+    type: String,
+    enum: ['ltr', 'rtl'],
+    default: 'ltr'
+  },
+  // CLDR numbering system, e.g. 'deva' for ०-९
+  numeralSystem: {
+    type: String,
+    default: 'latn',
+    match: [/^[a-z]{4,8}$/, 'Numeral system must be a CLDR numbering system']
+  },
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+languageSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to get the fields the registry serves
+languageSchema.methods.toDefinition = function() {
+  return {
+    code: this.code,
+    name: this.name,
+    nativeName: this.nativeName,
+    script: this.script,
+    direction: this.direction,
+    numeralSystem: this.numeralSystem,
+    enabled: this.enabled
+  };
+};
+
+module.exports = mongoose.model('Language', languageSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const SOURCES = ['chatbot', 'hint', 'question_generation', 'recommendation'];
+const CATEGORIES = ['profanity', 'pii', 'offTopic'];
+
+const moderationEventSchema = new mongoose.Schema({
+  // Student who sent the message, or whose request produced the content
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: SOURCES
+  },
+  direction: {
+    type: String,
+    required: true,
+    enum: ['input', 'output']
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['blocked', 'redacted', 'logged']
+  },
+  categories: [{
+    type: String,
+    enum: CATEGORIES
+  }],
+  // Profane or off-topic terms found; personal details are never stored
+  terms: [String],
+  piiTypes: [String],
+  // Start of the text with personal details removed
+  excerpt: {
+    type: String,
+    maxlength: [300, 'Excerpt cannot be more than 300 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+moderationEventSchema.index({ userId: 1, createdAt: -1 });
+moderationEventSchema.index({ createdAt: -1 });
+
+moderationEventSchema.statics.SOURCES = SOURCES;
+moderationEventSchema.statics.CATEGORIES = CATEGORIES;
+
+// Ensure virtual fields are serialized
+moderationEventSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ModerationEvent', moderationEventSchema);
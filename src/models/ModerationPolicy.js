@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['block', 'redact', 'log', 'off'];
+
+const ruleSchema = (defaultAction) => ({
+  action: {
+    type: String,
+    enum: ACTIONS,
+    default: defaultAction
+  }
+});
+
+const moderationPolicySchema = new mongoose.Schema({
+  // A single policy applies to the whole platform
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  rules: {
+    profanity: ruleSchema('block'),
+    pii: ruleSchema('redact'),
+    offTopic: ruleSchema('block')
+  },
+  // Whether student messages (input) and model replies (output) are checked
+  scopes: {
+    input: {
+      type: Boolean,
+      default: true
+    },
+    output: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Extra profanity terms, in any language; a trailing * matches word prefixes
+  blockedTerms: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Blocked term cannot be more than 100 characters']
+  }],
+  // Words never treated as profane or off-topic, to fix false positives
+  allowedTerms: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Allowed term cannot be more than 100 characters']
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+moderationPolicySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to get the settings the moderation service uses
+moderationPolicySchema.methods.toSettings = function() {
+  return {
+    enabled: this.enabled,
+    rules: {
+      profanity: { action: this.rules.profanity.action },
+      pii: { action: this.rules.pii.action },
+      offTopic: { action: this.rules.offTopic.action }
+    },
+    scopes: {
+      input: this.scopes.input,
+      output: this.scopes.output
+    },
+    blockedTerms: [...this.blockedTerms],
+    allowedTerms: [...this.allowedTerms],
+    updatedBy: this.updatedBy,
+    updatedAt: this.updatedAt
+  };
+};
+
+moderationPolicySchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('ModerationPolicy', moderationPolicySchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const llmProvider = require('../services/llmProvider');
+
+// Sources of questions besides the LLM providers
+const QUESTION_SOURCES = ['manual', 'seed'];
 
 const questionSchema = new mongoose.Schema({
   stem: {
@@ -100,14 +104,37 @@ const questionSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Explanation cannot be more than 1000 characters']
   },
+  // Teacher-authored hints, from a gentle nudge to the most specific; not
+  // selected by default so they stay out of question payloads
+  hints: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [500, 'Each hint cannot be more than 500 characters']
+    }],
+    select: false,
+    validate: {
+      validator: v => v.length <= 3,
+      message: 'A question cannot have more than 3 hints'
+    }
+  },
+  // Generated hints cached by level where no teacher hint exists
+  generatedHints: {
+    type: [String],
+    select: false
+  },
   isGenerated: {
     type: Boolean,
     default: false
   },
+  // manual, seed or the LLM provider that generated the question
   generatedBy: {
     type: String,
-    enum: ['openai', 'manual', 'seed', 'mock'],
-    default: 'manual'
+    default: 'manual',
+    validate: {
+      validator: source => QUESTION_SOURCES.includes(source) || llmProvider.getProviderNames().includes(source),
+      message: props => `${props.value} is not a question source or registered LLM provider`
+    }
   },
   usageCount: {
     type: Number,
@@ -123,6 +150,45 @@ const questionSchema = new mongoose.Schema({
     type: Number,
     default: 0 // in milliseconds
   },
+  irt: {
+    model: {
+      type: String,
+      enum: ['2PL', '3PL'],
+      default: '3PL'
+    },
+    discrimination: {
+      type: Number,
+      min: [0, 'Discrimination cannot be negative'],
+      max: [4, 'Discrimination cannot exceed 4']
+    },
+    difficulty: {
+      type: Number,
+      min: [-4, 'IRT difficulty must be at least -4'],
+      max: [4, 'IRT difficulty must be at most 4']
+    },
+    guessing: {
+      type: Number,
+      min: [0, 'Guessing must be at least 0'],
+      max: [0.5, 'Guessing cannot exceed 0.5']
+    },
+    calibrated: {
+      type: Boolean,
+      default: false
+    },
+    calibratedAt: {
+      type: Date
+    },
+    sampleSize: {
+      type: Number,
+      default: 0
+    },
+    exposureParameter: {
+      type: Number,
+      default: 1, // Sympson-Hetter probability of administering when selected; set by npm run calibrate
+      min: [0, 'Exposure parameter must be at least 0'],
+      max: [1, 'Exposure parameter must be at most 1']
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -157,6 +223,10 @@ questionSchema.index({ questionType: 1, difficulty: 1 });
 // Update updatedAt on save
 questionSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  // Cached hints may no longer fit an edited question
+  if (!this.isNew && ['stem', 'choices', 'correctIndex', 'correctAnswer'].some(path => this.isModified(path))) {
+    this.generatedHints = [];
+  }
   next();
 });
 
@@ -187,6 +257,21 @@ questionSchema.methods.updateUsageStats = function(isCorrect, responseTime) {
   return this.save();
 };
 
+// Method to get IRT item parameters, deriving provisional values from the
+// authored difficulty when the item has not been calibrated yet
+questionSchema.methods.getIrtParameters = function() {
+  const IRTEngine = require('../services/irtEngine');
+  const choicesCount = this.questionType === 'mcq' ? (this.choices || []).length : 0;
+  const fallback = IRTEngine.parametersFromDifficulty(this.difficulty, choicesCount);
+  const irt = this.irt || {};
+
+  return {
+    a: irt.discrimination ?? fallback.a,
+    b: irt.difficulty ?? fallback.b,
+    c: irt.model === '2PL' ? 0 : (irt.guessing ?? fallback.c)
+  };
+};
+
 // Static method to find questions by criteria
 questionSchema.statics.findByCriteria = function(criteria) {
   const query = { isActive: true };
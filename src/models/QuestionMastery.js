@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// A question a student has marked as mastered during revision
+const questionMasterySchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student ID is required']
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: [true, 'Question ID is required']
+  },
+  // Copied from the question so progress and badges can count by chapter or topic
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter'
+  },
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic'
+  },
+  // Revision session the question was mastered in
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssessmentSession'
+  },
+  masteredAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+questionMasterySchema.index({ studentId: 1, questionId: 1 }, { unique: true });
+questionMasterySchema.index({ studentId: 1, chapterId: 1 });
+questionMasterySchema.index({ studentId: 1, masteredAt: -1 });
+
+// Update updatedAt on save
+questionMasterySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to record a mastered question; returns true only the first time
+questionMasterySchema.statics.markMastered = async function({ studentId, question, sessionId }) {
+  const result = await this.updateOne(
+    { studentId, questionId: question._id },
+    {
+      $setOnInsert: {
+        chapterId: question.chapterId,
+        topicId: question.topicId,
+        sessionId,
+        masteredAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+// Static method to count a student's mastered questions in a chapter, or in all chapters
+questionMasterySchema.statics.countForChapter = function(studentId, chapterId) {
+  const query = { studentId };
+  if (chapterId) query.chapterId = chapterId;
+  return this.countDocuments(query);
+};
+
+// Ensure virtual fields are serialized
+questionMasterySchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('QuestionMastery', questionMasterySchema);
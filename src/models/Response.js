@@ -51,6 +51,11 @@ const responseSchema = new mongoose.Schema({
     min: 0,
     max: 1
   },
+  hintsUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   metadata: {
     deviceType: String,
     browser: String,
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Reviews this far apart mean the question is in long-term memory
+const MATURE_INTERVAL_DAYS = 21;
+
+// Spaced-repetition state of one question for one student (SM-2)
+const reviewItemSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student ID is required']
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: [true, 'Question ID is required']
+  },
+  // Copied from the question so the queue can be filtered by chapter or topic
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter'
+  },
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic'
+  },
+  easeFactor: {
+    type: Number,
+    default: 2.5,
+    min: [1.3, 'Ease factor must be at least 1.3']
+  },
+  // Days until the next review
+  interval: {
+    type: Number,
+    default: 0,
+    min: [0, 'Interval cannot be negative']
+  },
+  // Successful reviews in a row
+  repetitions: {
+    type: Number,
+    default: 0,
+    min: [0, 'Repetitions cannot be negative']
+  },
+  // Times the question was forgotten after being learnt
+  lapses: {
+    type: Number,
+    default: 0,
+    min: [0, 'Lapses cannot be negative']
+  },
+  reviews: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reviews cannot be negative']
+  },
+  // YYYY-MM-DD in the student's timezone
+  dueDay: {
+    type: String,
+    required: [true, 'Due day is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Due day must be YYYY-MM-DD']
+  },
+  lastReviewedAt: {
+    type: Date
+  },
+  // Grade of the last review, 0 (forgotten) to 5 (perfect recall)
+  lastQuality: {
+    type: Number,
+    min: 0,
+    max: 5
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+reviewItemSchema.index({ studentId: 1, questionId: 1 }, { unique: true });
+reviewItemSchema.index({ studentId: 1, dueDay: 1 });
+reviewItemSchema.index({ studentId: 1, chapterId: 1, dueDay: 1 });
+
+// Update updatedAt on save
+reviewItemSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for whether the question is in long-term memory
+reviewItemSchema.virtual('isMature').get(function() {
+  return this.interval >= MATURE_INTERVAL_DAYS;
+});
+
+// Static method to find a student's review of a question
+reviewItemSchema.statics.findByStudentAndQuestion = function(studentId, questionId) {
+  return this.findOne({ studentId, questionId });
+};
+
+reviewItemSchema.statics.MATURE_INTERVAL_DAYS = MATURE_INTERVAL_DAYS;
+
+// Ensure virtual fields are serialized
+reviewItemSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ReviewItem', reviewItemSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const studentProfileSchema = new mongoose.Schema({
   userId: {
@@ -34,6 +35,26 @@ const studentProfileSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'School name cannot be more than 200 characters']
   },
+  // Language content is served in; unset means follow the browser's Accept-Language
+  preferredLanguage: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z]{2,3}$/, 'Preferred language must be an ISO 639 code']
+  },
+  // IANA timezone; days for daily goals and streaks end at midnight here. Unset means DEFAULT_TIMEZONE
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be an IANA timezone such as Asia/Kolkata'
+    }
+  },
+  // When mistakes from before spaced repetition were turned into review items
+  reviewsImportedAt: {
+    type: Date
+  },
   learningPreferences: {
     difficulty: {
       type: String,
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Mastery levels that count as having mastered a topic
+const MASTERED_LEVELS = ['proficient', 'advanced'];
+
 const topicPerformanceSchema = new mongoose.Schema({
   studentId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -45,6 +48,15 @@ const topicPerformanceSchema = new mongoose.Schema({
     enum: ['beginner', 'developing', 'proficient', 'advanced'],
     default: 'beginner'
   },
+  // When the topic last reached proficient or advanced; unset below that
+  masteredAt: {
+    type: Date
+  },
+  // Mastery levels already rewarded with points, so dropping and regaining a level pays once
+  rewardedLevels: [{
+    type: String,
+    enum: ['developing', 'proficient', 'advanced']
+  }],
   consecutiveFailures: {
     type: Number,
     default: 0,
@@ -78,6 +90,7 @@ const topicPerformanceSchema = new mongoose.Schema({
 // Compound index for efficient queries
 topicPerformanceSchema.index({ studentId: 1, topicId: 1 }, { unique: true });
 topicPerformanceSchema.index({ studentId: 1, masteryLevel: 1 });
+topicPerformanceSchema.index({ studentId: 1, masteredAt: -1 });
 topicPerformanceSchema.index({ topicId: 1, averageScore: 1 });
 topicPerformanceSchema.index({ lastAttemptDate: -1 });
 
@@ -139,6 +152,8 @@ topicPerformanceSchema.methods.recordAttempt = function(isCorrect, responseTimeM
 
 // Method to update mastery level
 topicPerformanceSchema.methods.updateMasteryLevel = function() {
+  const wasMastered = MASTERED_LEVELS.includes(this.masteryLevel);
+
   if (this.attemptsCount < 3) {
     this.masteryLevel = 'beginner';
   } else if (this.successRate >= 0.9 && this.attemptsCount >= 5) {
@@ -150,6 +165,13 @@ topicPerformanceSchema.methods.updateMasteryLevel = function() {
   } else {
     this.masteryLevel = 'beginner';
   }
+
+  const isMastered = MASTERED_LEVELS.includes(this.masteryLevel);
+  if (isMastered && !wasMastered) {
+    this.masteredAt = new Date();
+  } else if (!isMastered) {
+    this.masteredAt = undefined;
+  }
 };
 
 // Method to update difficulty based on consecutive performance
@@ -227,6 +249,8 @@ topicPerformanceSchema.statics.getClassPerformance = function(topicId) {
   ]);
 };
 
+topicPerformanceSchema.statics.MASTERED_LEVELS = MASTERED_LEVELS;
+
 // Ensure virtual fields are serialized
 topicPerformanceSchema.set('toJSON', { virtuals: true });
 
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const ENTITY_TYPES = ['question', 'chapter', 'topic', 'recommendation', 'ui'];
+const STATUSES = ['machine', 'reviewed', 'approved'];
+
+// Allowed status changes; any edit of the text goes back through review
+const STATUS_TRANSITIONS = {
+  machine: ['reviewed'],
+  reviewed: ['reviewed', 'approved'],
+  approved: ['reviewed']
+};
+
+const hashText = text => crypto.createHash('sha256').update(String(text)).digest('hex');
+
+const translatedFieldSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  sourceText: {
+    type: String,
+    required: true
+  },
+  sourceHash: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  outdated: {
+    type: Boolean,
+    default: false
+  },
+  // Text as last approved; served to students while the field's source is unchanged
+  approvedText: {
+    type: String
+  }
+}, { _id: false });
+
+const translationSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required'],
+    enum: ENTITY_TYPES
+  },
+  // ObjectId of the translated document, or the message key for UI text
+  entityId: {
+    type: String,
+    required: [true, 'Entity ID is required'],
+    trim: true
+  },
+  language: {
+    type: String,
+    required: [true, 'Language is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z]{2,3}$/, 'Language must be an ISO 639 code']
+  },
+  sourceLanguage: {
+    type: String,
+    default: 'en'
+  },
+  fields: {
+    type: [translatedFieldSchema],
+    validate: [fields => fields.length > 0, 'At least one translated field is required']
+  },
+  // Hash over every source field; changes when any English text changes
+  sourceHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'machine'
+  },
+  machineTranslation: {
+    provider: String,
+    model: String,
+    translatedAt: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes cannot be more than 1000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+translationSchema.index({ entityType: 1, entityId: 1, language: 1 }, { unique: true });
+translationSchema.index({ language: 1, status: 1, updatedAt: -1 });
+
+// Update the updatedAt field before saving
+translationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for fields whose English source changed since they were reviewed
+translationSchema.virtual('outdatedFields').get(function() {
+  return (this.fields || []).filter(field => field.outdated).map(field => field.path);
+});
+
+// Method to get translated text keyed by field path
+translationSchema.methods.getTextMap = function() {
+  return this.fields.reduce((map, field) => {
+    map[field.path] = field.text;
+    return map;
+  }, {});
+};
+
+// Method to get approved text keyed by field path, skipping fields whose source changed
+translationSchema.methods.getApprovedTextMap = function(sourceFields) {
+  return this.fields.reduce((map, field) => {
+    if (field.approvedText && sourceFields[field.path] !== undefined &&
+        field.sourceHash === hashText(sourceFields[field.path])) {
+      map[field.path] = field.approvedText;
+    }
+    return map;
+  }, {});
+};
+
+// Method to check whether the stored translation matches the current source
+translationSchema.methods.isStale = function(sourceFields) {
+  return this.sourceHash !== this.constructor.hashSource(sourceFields);
+};
+
+// Method to check whether a status change is allowed
+translationSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to apply a reviewer's corrections and mark the translation reviewed
+translationSchema.methods.review = function(reviewerId, corrections = [], notes) {
+  const byPath = new Map(this.fields.map(field => [field.path, field]));
+  corrections.forEach(({ path, text }) => {
+    byPath.get(path).text = text;
+  });
+  this.fields.forEach(field => {
+    field.outdated = false;
+  });
+
+  this.status = 'reviewed';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.approvedBy = undefined;
+  this.approvedAt = undefined;
+  if (notes !== undefined) this.reviewNotes = notes;
+  return this;
+};
+
+// Method to approve a reviewed translation
+translationSchema.methods.approve = function(approverId, notes) {
+  this.fields.forEach(field => {
+    field.approvedText = field.text;
+  });
+  this.status = 'approved';
+  this.approvedBy = approverId;
+  this.approvedAt = new Date();
+  if (notes !== undefined) this.reviewNotes = notes;
+  return this;
+};
+
+// Static method to hash a set of source fields ({ path: text })
+translationSchema.statics.hashSource = function(sourceFields) {
+  const canonical = Object.keys(sourceFields).sort().map(path => [path, sourceFields[path]]);
+  return hashText(JSON.stringify(canonical));
+};
+
+// Static method to hash a single source text
+translationSchema.statics.hashText = hashText;
+
+translationSchema.statics.ENTITY_TYPES = ENTITY_TYPES;
+translationSchema.statics.STATUSES = STATUSES;
+
+// Ensure virtual fields are serialized
+translationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Translation', translationSchema);
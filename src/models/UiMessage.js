@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const uiMessageSchema = new mongoose.Schema({
+  // Group of keys the web client loads together, e.g. 'common' or 'assessment'
+  namespace: {
+    type: String,
+    required: [true, 'Namespace is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{0,49}$/, 'Namespace may only contain lowercase letters, digits, - and _']
+  },
+  key: {
+    type: String,
+    required: [true, 'Message key is required'],
+    unique: true,
+    trim: true,
+    match: [/^[A-Za-z0-9_.-]{1,100}$/, 'Message key may only contain letters, digits, ., - and _']
+  },
+  // English source in ICU MessageFormat, e.g. "{count, plural, one {# question} other {# questions}}"
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [2000, 'Message cannot be more than 2000 characters']
+  },
+  // Context shown to translators
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+uiMessageSchema.index({ namespace: 1, key: 1 });
+
+// Update the updatedAt field before saving
+uiMessageSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('UiMessage', uiMessageSchema);
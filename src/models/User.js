@@ -34,6 +34,12 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Languages a teacher is fluent in and may review translations for
+  reviewLanguages: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   createdAt: {
     type: Date,
     default: Date.now
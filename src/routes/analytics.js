@@ -1,17 +1,20 @@
 const express = require('express');
 const AssessmentSession = require('../models/AssessmentSession');
-const Question = require('../models/Question');
 const Chapter = require('../models/Chapter');
-const Topic = require('../models/Topic');
 const TopicPerformance = require('../models/TopicPerformance');
-const Response = require('../models/Response');
 const User = require('../models/User');
+const Classroom = require('../models/Classroom');
 const { authenticateToken, authorize } = require('../middlewares/auth');
-const { validateObjectId } = require('../middlewares/validation');
+const { validateObjectId, validateAnalyticsExport, validateAnalyticsQuery } = require('../middlewares/validation');
+const analyticsService = require('../services/analyticsService');
+const analyticsExport = require('../services/analyticsExport');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Students whose data the requester may see, narrowed with ?classroomId=
+const getStudentScope = req => analyticsService.getStudentScope(req.user, req.query.classroomId);
+
 /**
  * @swagger
  * components:
@@ -78,6 +81,11 @@ const router = express.Router();
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: classroomId
+ *         schema:
+ *           type: string
+ *         description: Limit to students of one class (teachers always see only their own classes)
+ *       - in: query
  *         name: class
  *         schema:
  *           type: string
@@ -106,106 +114,30 @@ const router = express.Router();
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/ChapterAnalytics'
+ *       400:
+ *         description: Invalid filters
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied (teachers and admins only)
  */
-router.get('/chapters', authenticateToken, authorize('teacher', 'admin'), async (req, res) => {
+router.get('/chapters', authenticateToken, authorize('teacher', 'admin'), validateAnalyticsQuery, async (req, res) => {
   try {
-    const { class: classLevel, subject, chapterId } = req.query;
-
-    let chapters;
-    if (chapterId) {
-      chapters = await Chapter.findById(chapterId);
-      if (!chapters) {
-        return res.status(404).json({
-          error: {
-            message: 'Chapter not found',
-            code: 'CHAPTER_NOT_FOUND'
-          }
-        });
-      }
-      chapters = [chapters];
-    } else {
-      const query = { isActive: true };
-      if (classLevel) query.class = classLevel;
-      if (subject) query.subject = subject;
-      
-      chapters = await Chapter.find(query).populate('topics');
-    }
-
-    const analytics = await Promise.all(chapters.map(async (chapter) => {
-      // Get all sessions for this chapter
-      const sessions = await AssessmentSession.find({
-        chapterId: chapter._id,
-        status: 'completed'
-      }).populate('studentId', 'name email');
-
-      const totalStudents = sessions.length;
-      const completedStudents = sessions.filter(s => s.status === 'completed').length;
-      
-      const averageScore = sessions.length > 0 
-        ? sessions.reduce((sum, s) => sum + (s.correctAnswers / s.answeredQuestions), 0) / sessions.length
-        : 0;
-
-      const averageTime = sessions.length > 0
-        ? sessions.reduce((sum, s) => sum + (s.finishedAt - s.startedAt), 0) / sessions.length
-        : 0;
+    const { chapterId } = req.query;
 
-      // Get difficulty distribution
-      const difficultyDistribution = {
-        easy: 0,
-        medium: 0,
-        hard: 0
-      };
-
-      sessions.forEach(session => {
-        session.items.forEach(item => {
-          if (item.difficulty <= 0.3) difficultyDistribution.easy++;
-          else if (item.difficulty <= 0.7) difficultyDistribution.medium++;
-          else difficultyDistribution.hard++;
-        });
+    if (chapterId && !(await Chapter.exists({ _id: chapterId }))) {
+      return res.status(404).json({
+        error: {
+          message: 'Chapter not found',
+          code: 'CHAPTER_NOT_FOUND'
+        }
       });
+    }
 
-      // Get topic performance
-      const topicPerformance = await Promise.all(chapter.topics.map(async (topic) => {
-        const topicSessions = sessions.filter(s => 
-          s.items.some(item => item.topic === topic._id.toString())
-        );
-
-        const topicScores = topicSessions.map(session => {
-          const topicItems = session.items.filter(item => item.topic === topic._id.toString());
-          const correctAnswers = topicItems.filter(item => item.isCorrect).length;
-          return topicItems.length > 0 ? correctAnswers / topicItems.length : 0;
-        });
-
-        const averageTopicScore = topicScores.length > 0
-          ? topicScores.reduce((sum, score) => sum + score, 0) / topicScores.length
-          : 0;
-
-        return {
-          topicId: topic._id,
-          topicName: topic.topicName,
-          totalAttempts: topicSessions.length,
-          averageScore: averageTopicScore,
-          difficulty: topic.difficulty
-        };
-      }));
-
-      return {
-        chapterId: chapter._id,
-        chapterName: chapter.chapterName,
-        class: chapter.class,
-        subject: chapter.subject,
-        totalStudents,
-        completedStudents,
-        averageScore: Math.round(averageScore * 100) / 100,
-        averageTime: Math.round(averageTime / 1000), // in seconds
-        difficultyDistribution,
-        topicPerformance
-      };
-    }));
+    const studentScope = await getStudentScope(req);
+    const analytics = await analyticsService.collect(
+      analyticsService.chapterAnalytics(req.query, studentScope)
+    );
 
     res.json({
       analytics
@@ -231,6 +163,11 @@ router.get('/chapters', authenticateToken, authorize('teacher', 'admin'), async
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: classroomId
+ *         schema:
+ *           type: string
+ *         description: Limit to students of one class (teachers always see only their own classes)
+ *       - in: query
  *         name: class
  *         schema:
  *           type: string
@@ -261,76 +198,21 @@ router.get('/chapters', authenticateToken, authorize('teacher', 'admin'), async
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/StudentAnalytics'
+ *       400:
+ *         description: Invalid filters
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied (teachers and admins only)
  */
-router.get('/students', authenticateToken, authorize('teacher', 'admin'), async (req, res) => {
+router.get('/students', authenticateToken, authorize('teacher', 'admin'), validateAnalyticsQuery, async (req, res) => {
   try {
-    const { class: classLevel, chapterId, limit = 20 } = req.query;
-
-    // Get students who have completed sessions
-    const query = { status: 'completed' };
-    if (chapterId) query.chapterId = chapterId;
-
-    const sessions = await AssessmentSession.find(query)
-      .populate('studentId', 'name email role')
-      .populate('chapterId', 'chapterName class subject');
-
-    // Filter by class if specified
-    const filteredSessions = classLevel 
-      ? sessions.filter(s => s.chapterId && s.chapterId.class === classLevel)
-      : sessions;
-
-    // Group by student
-    const studentSessions = {};
-    filteredSessions.forEach(session => {
-      const studentId = session.studentId._id.toString();
-      if (!studentSessions[studentId]) {
-        studentSessions[studentId] = {
-          student: session.studentId,
-          sessions: []
-        };
-      }
-      studentSessions[studentId].sessions.push(session);
-    });
+    const { limit = 20 } = req.query;
 
-    // Calculate analytics for each student
-    const analytics = Object.values(studentSessions)
-      .slice(0, parseInt(limit))
-      .map(({ student, sessions }) => {
-        const totalSessions = sessions.length;
-        const averageScore = sessions.length > 0
-          ? sessions.reduce((sum, s) => sum + (s.correctAnswers / s.answeredQuestions), 0) / sessions.length
-          : 0;
-
-        const totalTimeSpent = sessions.reduce((sum, s) => 
-          sum + (s.finishedAt - s.startedAt), 0
-        );
-
-        // Get chapter progress
-        const chapterProgress = sessions.map(session => ({
-          chapterId: session.chapterId._id,
-          chapterName: session.chapterId.chapterName,
-          score: session.correctAnswers / session.answeredQuestions,
-          timeSpent: session.finishedAt - session.startedAt,
-          completedAt: session.finishedAt
-        }));
-
-        return {
-          studentId: student._id,
-          studentName: student.name,
-          studentEmail: student.email,
-          totalSessions,
-          averageScore: Math.round(averageScore * 100) / 100,
-          totalTimeSpent: Math.round(totalTimeSpent / 1000), // in seconds
-          chapterProgress
-        };
-      });
-
-    // Sort by average score descending
-    analytics.sort((a, b) => b.averageScore - a.averageScore);
+    const studentScope = await getStudentScope(req);
+    const analytics = await analyticsService.collect(
+      analyticsService.studentAnalytics({ ...req.query, limit }, studentScope)
+    );
 
     res.json({
       analytics
@@ -394,6 +276,15 @@ router.get('/student/:studentId', authenticateToken, validateObjectId('studentId
       });
     }
 
+    if (req.user.role === 'teacher' && !(await Classroom.teacherHasStudent(req.user._id, studentId))) {
+      return res.status(403).json({
+        error: {
+          message: 'Student is not enrolled in any of your classes',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
     const student = await User.findById(studentId);
     if (!student) {
       return res.status(404).json({
@@ -422,6 +313,8 @@ router.get('/student/:studentId', authenticateToken, validateObjectId('studentId
     // Get chapter progress - group by chapter to get best score and mark as completed
     const chapterProgressMap = new Map();
     sessions.forEach(session => {
+      // Revision sessions across all chapters have no chapter to credit
+      if (!session.chapterId) return;
       const chapterId = session.chapterId._id.toString();
       const existing = chapterProgressMap.get(chapterId);
       const score = session.answeredQuestions > 0 
@@ -516,6 +409,11 @@ router.get('/student/:studentId', authenticateToken, validateObjectId('studentId
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: classroomId
+ *         schema:
+ *           type: string
+ *         description: Limit to students of one class (teachers always see only their own classes)
+ *       - in: query
  *         name: chapterId
  *         schema:
  *           type: string
@@ -559,71 +457,19 @@ router.get('/student/:studentId', authenticateToken, validateObjectId('studentId
  *                         type: number
  *                       masteryDistribution:
  *                         type: object
+ *       400:
+ *         description: Invalid filters
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied (teachers and admins only)
  */
-router.get('/topics', authenticateToken, authorize('teacher', 'admin'), async (req, res) => {
+router.get('/topics', authenticateToken, authorize('teacher', 'admin'), validateAnalyticsQuery, async (req, res) => {
   try {
-    const { chapterId, class: classLevel, subject } = req.query;
-
-    let topics;
-    if (chapterId) {
-      const chapter = await Chapter.findById(chapterId).populate('topics');
-      topics = chapter ? chapter.topics : [];
-    } else {
-      const query = { isActive: true };
-      if (classLevel || subject) {
-        const chapterQuery = {};
-        if (classLevel) chapterQuery.class = classLevel;
-        if (subject) chapterQuery.subject = subject;
-        
-        const chapters = await Chapter.find(chapterQuery);
-        const chapterIds = chapters.map(c => c._id);
-        query.chapterId = { $in: chapterIds };
-      }
-      
-      topics = await Topic.find(query).populate('chapterId', 'chapterName class subject');
-    }
-
-    const analytics = await Promise.all(topics.map(async (topic) => {
-      // Get topic performance data
-      const topicPerformances = await TopicPerformance.find({ topicId: topic._id });
-      
-      const totalStudents = topicPerformances.length;
-      const averageScore = totalStudents > 0
-        ? topicPerformances.reduce((sum, tp) => sum + tp.averageScore, 0) / totalStudents
-        : 0;
-
-      const strugglingStudents = topicPerformances.filter(tp => 
-        tp.averageScore < 0.4 && tp.attemptsCount >= 2
-      ).length;
-
-      const masteryDistribution = {
-        beginner: 0,
-        developing: 0,
-        proficient: 0,
-        advanced: 0
-      };
-
-      topicPerformances.forEach(tp => {
-        masteryDistribution[tp.masteryLevel]++;
-      });
-
-      return {
-        topicId: topic._id,
-        topicName: topic.topicName,
-        chapterName: topic.chapterId?.chapterName || 'Unknown',
-        chapterClass: topic.chapterId?.class,
-        chapterSubject: topic.chapterId?.subject,
-        totalStudents,
-        averageScore: Math.round(averageScore * 100) / 100,
-        strugglingStudents,
-        masteryDistribution,
-        difficulty: topic.difficulty
-      };
-    }));
+    const studentScope = await getStudentScope(req);
+    const analytics = await analyticsService.collect(
+      analyticsService.topicAnalytics(req.query, studentScope)
+    );
 
     res.json({
       analytics
@@ -649,6 +495,11 @@ router.get('/topics', authenticateToken, authorize('teacher', 'admin'), async (r
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: classroomId
+ *         schema:
+ *           type: string
+ *         description: Limit to students of one class (teachers always see only their own classes)
+ *       - in: query
  *         name: chapterId
  *         schema:
  *           type: string
@@ -695,52 +546,19 @@ router.get('/topics', authenticateToken, authorize('teacher', 'admin'), async (r
  *                         type: number
  *                       discriminationIndex:
  *                         type: number
+ *       400:
+ *         description: Invalid filters
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied (teachers and admins only)
  */
-router.get('/questions', authenticateToken, authorize('teacher', 'admin'), async (req, res) => {
+router.get('/questions', authenticateToken, authorize('teacher', 'admin'), validateAnalyticsQuery, async (req, res) => {
   try {
-    const { chapterId, questionType, difficulty } = req.query;
-
-    const query = { isActive: true };
-    if (chapterId) query.chapterId = chapterId;
-    if (questionType) query.questionType = questionType;
-    if (difficulty) {
-      const difficultyNum = parseFloat(difficulty);
-      if (!isNaN(difficultyNum)) {
-        query.difficulty = {
-          $gte: difficultyNum - 0.1,
-          $lte: difficultyNum + 0.1
-        };
-      }
-    }
-
-    const questions = await Question.find(query)
-      .populate('chapterId', 'chapterName class subject')
-      .populate('topicId', 'topicName')
-      .sort({ usageCount: -1 });
-
-    const analytics = questions.map(question => {
-      // Calculate discrimination index (simplified)
-      const discriminationIndex = question.usageCount > 0 
-        ? question.successRate 
-        : 0;
-
-      return {
-        questionId: question._id,
-        stem: question.stem.substring(0, 100) + (question.stem.length > 100 ? '...' : ''),
-        questionType: question.questionType,
-        difficulty: question.difficulty,
-        chapterName: question.chapterId?.chapterName || 'Unknown',
-        topicName: question.topicId?.topicName || 'Unknown',
-        usageCount: question.usageCount,
-        successRate: Math.round(question.successRate * 100) / 100,
-        averageResponseTime: Math.round(question.averageResponseTime),
-        discriminationIndex: Math.round(discriminationIndex * 100) / 100
-      };
-    });
+    const studentScope = await getStudentScope(req);
+    const analytics = await analyticsService.collect(
+      analyticsService.questionAnalytics(req.query, studentScope)
+    );
 
     res.json({
       analytics
@@ -756,11 +574,16 @@ router.get('/questions', authenticateToken, authorize('teacher', 'admin'), async
   }
 });
 
+
 /**
  * @swagger
  * /api/analytics/export:
  *   post:
- *     summary: Export analytics data as CSV
+ *     summary: Export analytics data as CSV, XLSX or JSON Lines
+ *     description: |
+ *       Runs the same report as the matching GET /api/analytics endpoint and
+ *       streams it as a file download. Teachers only export data for students
+ *       in their own classes.
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
@@ -777,30 +600,57 @@ router.get('/questions', authenticateToken, authorize('teacher', 'admin'), async
  *                 type: string
  *                 enum: [chapters, students, topics, questions]
  *                 description: Type of analytics to export
+ *               format:
+ *                 type: string
+ *                 enum: [csv, xlsx, jsonl]
+ *                 default: csv
+ *                 description: File format
  *               filters:
  *                 type: object
- *                 description: Filters to apply
+ *                 description: Same filters as the matching GET endpoint
+ *                 properties:
+ *                   classroomId:
+ *                     type: string
+ *                   class:
+ *                     type: string
+ *                   subject:
+ *                     type: string
+ *                   chapterId:
+ *                     type: string
+ *                   questionType:
+ *                     type: string
+ *                   difficulty:
+ *                     type: number
+ *                   limit:
+ *                     type: integer
+ *                     description: Maximum rows for the students report (all by default)
  *     responses:
  *       200:
- *         description: Analytics data exported successfully
+ *         description: Analytics file streamed as an attachment
  *         content:
- *           application/json:
+ *           text/csv:
  *             schema:
- *               type: object
- *               properties:
- *                 csvData:
- *                   type: string
- *                 filename:
- *                   type: string
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing or invalid export type or format, or invalid filters
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied (teachers and admins only)
+ *       404:
+ *         description: Chapter not found
  */
-router.post('/export', authenticateToken, authorize('teacher', 'admin'), async (req, res) => {
-  try {
-    const { type, filters = {} } = req.body;
+router.post('/export', authenticateToken, authorize('teacher', 'admin'), validateAnalyticsExport, async(req, res) => {
+  const { type, format = 'csv', filters = {} } = req.body;
 
+  try {
     if (!type) {
       return res.status(400).json({
         error: {
@@ -810,46 +660,49 @@ router.post('/export', authenticateToken, authorize('teacher', 'admin'), async (
       });
     }
 
-    let csvData = '';
-    let filename = '';
-
-    switch (type) {
-      case 'chapters':
-        // This would generate CSV for chapter analytics
-        csvData = 'Chapter Name,Class,Subject,Total Students,Average Score,Average Time\n';
-        filename = 'chapter_analytics.csv';
-        break;
-      case 'students':
-        // This would generate CSV for student analytics
-        csvData = 'Student Name,Email,Total Sessions,Average Score,Total Time Spent\n';
-        filename = 'student_analytics.csv';
-        break;
-      case 'topics':
-        // This would generate CSV for topic analytics
-        csvData = 'Topic Name,Chapter,Total Students,Average Score,Struggling Students\n';
-        filename = 'topic_analytics.csv';
-        break;
-      case 'questions':
-        // This would generate CSV for question analytics
-        csvData = 'Question Stem,Type,Difficulty,Usage Count,Success Rate,Response Time\n';
-        filename = 'question_analytics.csv';
-        break;
-      default:
-        return res.status(400).json({
-          error: {
-            message: 'Invalid export type',
-            code: 'INVALID_EXPORT_TYPE'
-          }
-        });
+    if (!analyticsService.REPORT_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid export type',
+          code: 'INVALID_EXPORT_TYPE'
+        }
+      });
     }
 
-    res.json({
-      csvData,
-      filename,
-      message: 'Analytics data exported successfully'
-    });
+    if (!analyticsExport.EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: {
+          message: `Export format must be one of: ${analyticsExport.EXPORT_FORMATS.join(', ')}`,
+          code: 'INVALID_EXPORT_FORMAT'
+        }
+      });
+    }
+
+    if (filters.chapterId && !(await Chapter.exists({ _id: filters.chapterId }))) {
+      return res.status(404).json({
+        error: {
+          message: 'Chapter not found',
+          code: 'CHAPTER_NOT_FOUND'
+        }
+      });
+    }
+
+    const studentScope = await analyticsService.getStudentScope(req.user, filters.classroomId);
+    const rows = analyticsService.getReport(type, filters, studentScope);
+
+    res.setHeader('Content-Type', analyticsExport.FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${analyticsExport.exportFilename(type, format)}"`);
+
+    const count = await analyticsExport.writeExport(type, format, rows, res);
+    logger.info(`Analytics export: ${type} as ${format}, ${count} rows, by ${req.user._id}`);
   } catch (error) {
     logger.error('Export analytics error:', error);
+
+    // Once the download has started the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
     res.status(500).json({
       error: {
         message: 'Failed to export analytics data',
@@ -4,6 +4,7 @@ const Question = require('../models/Question');
 const Response = require('../models/Response');
 // const StudentProfile = require('../models/StudentProfile');
 const { authenticateToken } = require('../middlewares/auth');
+const { resolveLanguage } = require('../middlewares/language');
 const {
   validateStartAssessment,
   validateSubmitAnswer,
@@ -12,6 +13,13 @@ const {
 const logger = require('../utils/logger');
 const GamificationProfile = require('../models/GamificationProfile');
 const gamificationService = require('../services/gamificationService');
+const spacedRepetition = require('../services/spacedRepetition');
+const IRTEngine = require('../services/irtEngine');
+const itemSelection = require('../services/itemSelection');
+const stoppingRules = require('../services/stoppingRules');
+const Assignment = require('../models/Assignment');
+const assignmentService = require('../services/assignmentService');
+const localization = require('../services/localization');
 
 const router = express.Router();
 
@@ -33,6 +41,13 @@ const router = express.Router();
  *         status:
  *           type: string
  *           enum: [active, completed, abandoned, paused]
+ *         assignmentId:
+ *           type: string
+ *           description: Assignment this session is an attempt at, if any
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the session's time limit runs out
  *         sessionType:
  *           type: string
  *           enum: [adaptive, fixed]
@@ -69,6 +84,21 @@ const router = express.Router();
  *                 type: string
  *         estimatedAbility:
  *           type: number
+ *           description: Ability estimate mapped onto a 0-1 scale
+ *         abilityTheta:
+ *           type: number
+ *           description: IRT ability estimate on the logit scale
+ *         abilityStandardError:
+ *           type: number
+ *           description: Standard error of the IRT ability estimate
+ *         stopReason:
+ *           type: string
+ *           enum: [max_questions, standard_error, classification, time_limit, pool_exhausted, student_ended, abandoned]
+ *           description: Why the session ended
+ *         classification:
+ *           type: string
+ *           enum: [pass, fail]
+ *           description: Pass/fail decision against adaptiveParameters.passMark
  *         completionPercentage:
  *           type: number
  *         accuracyPercentage:
@@ -77,11 +107,11 @@ const router = express.Router();
  *           type: number
  *     StartAssessmentRequest:
  *       type: object
- *       required:
- *         - sessionType
- *         - mode
- *         - chapterId
+ *       description: sessionType, mode and chapterId are required unless assignmentId is given
  *       properties:
+ *         assignmentId:
+ *           type: string
+ *           description: Start an attempt at an assignment using its configuration
  *         sessionType:
  *           type: string
  *           enum: [adaptive, fixed]
@@ -123,6 +153,29 @@ const router = express.Router();
  *               type: number
  *               minimum: 0.5
  *               maximum: 0.95
+ *             estimationMethod:
+ *               type: string
+ *               enum: [EAP, MLE]
+ *             selectionStrategy:
+ *               type: string
+ *               enum: [max-information, target-difficulty]
+ *               description: Next-question selection strategy for adaptive sessions
+ *             exposureControl:
+ *               type: string
+ *               enum: [none, randomesque, sympson-hetter]
+ *             contentBalancing:
+ *               type: boolean
+ *               description: Spread questions evenly across the chapter's topics
+ *             passMark:
+ *               type: number
+ *               minimum: 0
+ *               maximum: 1
+ *               description: Ability cut score for early pass/fail classification
+ *             classificationConfidence:
+ *               type: number
+ *               minimum: 0.8
+ *               maximum: 0.99
+ *               description: Confidence required before classifying against the pass mark
  *     SubmitAnswerRequest:
  *       type: object
  *       required:
@@ -168,14 +221,54 @@ const router = express.Router();
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Assignment is not assigned to the student
+ *       404:
+ *         description: Assignment not found
  *       409:
- *         description: Active session already exists
+ *         description: Active session already exists, or the assignment is closed or out of attempts
  */
-router.post('/start', authenticateToken, validateStartAssessment, async(req, res) => {
+router.post('/start', authenticateToken, resolveLanguage, validateStartAssessment, async(req, res) => {
   try {
-    const { sessionType, mode, chapterId, grade, topic, maxQuestions, adaptiveParameters } = req.body;
+    const { assignmentId, grade, topic, maxQuestions, adaptiveParameters } = req.body;
+    let { sessionType, mode, chapterId } = req.body;
     const studentId = req.user._id;
 
+    let assignment = null;
+    if (assignmentId) {
+      assignment = await Assignment.findById(assignmentId);
+      if (!assignment) {
+        return res.status(404).json({
+          error: {
+            message: 'Assignment not found',
+            code: 'ASSIGNMENT_NOT_FOUND'
+          }
+        });
+      }
+
+      const eligibility = await assignmentService.checkEligibility(assignment, studentId);
+      if (!eligibility.allowed) {
+        return res.status(eligibility.status).json({
+          error: {
+            message: eligibility.message,
+            code: eligibility.code
+          }
+        });
+      }
+
+      ({ sessionType, mode, chapterId } = assignment);
+    }
+
+    const selectionStrategy = adaptiveParameters?.selectionStrategy || itemSelection.DEFAULT_STRATEGY;
+    if (!itemSelection.getStrategyNames().includes(selectionStrategy)) {
+      return res.status(400).json({
+        error: {
+          message: `Unknown selection strategy: ${selectionStrategy}`,
+          code: 'INVALID_SELECTION_STRATEGY'
+        }
+      });
+    }
+
     // Check if student already has an active session
     const existingSession = await AssessmentSession.findActiveByStudent(studentId);
     if (existingSession) {
@@ -210,22 +303,43 @@ router.post('/start', authenticateToken, validateStartAssessment, async(req, res
         difficultyStep: adaptiveParameters?.difficultyStep || 0.1,
         maxQuestions: maxQuestions || adaptiveParameters?.maxQuestions || 20,
         minQuestions: adaptiveParameters?.minQuestions || 5,
-        confidenceThreshold: adaptiveParameters?.confidenceThreshold || 0.8
+        confidenceThreshold: adaptiveParameters?.confidenceThreshold || 0.8,
+        estimationMethod: adaptiveParameters?.estimationMethod || 'EAP',
+        selectionStrategy,
+        exposureControl: adaptiveParameters?.exposureControl || 'randomesque',
+        contentBalancing: adaptiveParameters?.contentBalancing ?? true,
+        passMark: adaptiveParameters?.passMark,
+        classificationConfidence: adaptiveParameters?.classificationConfidence || 0.95
       }
     };
 
+    // Assignment attempts use the teacher's configuration
+    if (assignment) {
+      const config = assignmentService.buildSessionConfig(assignment);
+      Object.assign(sessionData, config, {
+        adaptiveParameters: { ...sessionData.adaptiveParameters, ...config.adaptiveParameters }
+      });
+    }
+
     const session = new AssessmentSession(sessionData);
 
     // Select first question based on session type and mode
     let firstQuestion;
     const AdaptiveDifficultyEngine = require('../services/adaptiveDifficulty');
     
-    if (mode === 'revision') {
+    if (assignment && assignment.sessionType === 'fixed') {
+      firstQuestion = await assignmentService.getNextFixedQuestion(assignment, []);
+    } else if (mode === 'revision') {
       // For revision mode, get questions the student got wrong previously
       firstQuestion = await getRevisionQuestion(studentId, chapterId);
     } else if (sessionType === 'adaptive') {
-      // Use adaptive difficulty engine for chapter-based questions
-      firstQuestion = await AdaptiveDifficultyEngine.getNextQuestion(studentId, null, []);
+      // Use the session's selection strategy for chapter-based questions
+      firstQuestion = await AdaptiveDifficultyEngine.selectNextQuestion({
+        ...getSelectionOptions(session),
+        studentId,
+        excludeQuestionIds: [],
+        theta: IRTEngine.difficultyToLogit(session.adaptiveParameters.initialDifficulty)
+      });
       if (!firstQuestion) {
         // Fallback to any question in the chapter
         firstQuestion = await getRandomChapterQuestion(chapterId, []);
@@ -247,20 +361,23 @@ router.post('/start', authenticateToken, validateStartAssessment, async(req, res
     // Add first question to session
     await session.addItem(firstQuestion._id, {
       difficulty: firstQuestion.difficulty,
-      topic: firstQuestion.topic
+      topic: firstQuestion.topic,
+      irtParameters: firstQuestion.getIrtParameters()
     });
 
     await session.save();
 
-    logger.info(`Assessment session started: ${session._id} for student ${studentId}`);
+    logger.info(`Assessment session started: ${session._id} for student ${studentId}${assignment ? ` (assignment ${assignment._id})` : ''}`);
+
+    const shownQuestion = await localization.localize('question', firstQuestion, req.language);
 
     res.status(201).json({
       session,
       firstQuestion: {
         id: firstQuestion._id,
-        stem: firstQuestion.stem,
-        choices: firstQuestion.choices,
-        passage: firstQuestion.passage,
+        stem: shownQuestion.stem,
+        choices: shownQuestion.choices,
+        passage: shownQuestion.passage,
         questionNumber: 1,
         totalQuestions: session.adaptiveParameters.maxQuestions
       }
@@ -311,6 +428,12 @@ router.post('/start', authenticateToken, validateStartAssessment, async(req, res
  *                   $ref: '#/components/schemas/Question'
  *                 isComplete:
  *                   type: boolean
+ *                 stopReason:
+ *                   type: string
+ *                   description: Why the session ended, when isComplete is true
+ *                 classification:
+ *                   type: string
+ *                   enum: [pass, fail]
  *       400:
  *         description: Validation error
  *       401:
@@ -320,7 +443,7 @@ router.post('/start', authenticateToken, validateStartAssessment, async(req, res
  *       409:
  *         description: Session not active
  */
-router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId'), validateSubmitAnswer, async(req, res) => {
+router.post('/:sessionId/answer', authenticateToken, resolveLanguage, validateObjectId('sessionId'), validateSubmitAnswer, async(req, res) => {
   try {
     const { sessionId } = req.params;
     const { answerIndex, answer, responseTimeMs } = req.body;
@@ -357,6 +480,19 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
       });
     }
 
+    // Answers after the time limit are not accepted
+    if (session.isExpired()) {
+      session.stopReason = 'time_limit';
+      await session.complete();
+      await gamificationService.recordSessionComplete(session);
+      return res.status(409).json({
+        error: {
+          message: 'Time limit for this session has run out',
+          code: 'SESSION_EXPIRED'
+        }
+      });
+    }
+
     // Get current question (last unanswered question)
     const currentItem = session.items[session.items.length - 1];
     if (!currentItem || currentItem.answeredAt) {
@@ -379,10 +515,11 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
       });
     }
 
-    // Validate answer based on question type
+    // Validate answer based on question type, against the question as the student saw it
     const AnswerValidator = require('../services/answerValidator');
     const userAnswer = answer !== undefined ? answer : answerIndex;
-    const validationResult = AnswerValidator.validateAnswer(question, userAnswer);
+    const shownQuestion = await localization.localize('question', question, req.language);
+    const validationResult = AnswerValidator.validateAnswer(shownQuestion, userAnswer, localization.answerOptions(question));
     
     if (!validationResult.isValid) {
       return res.status(400).json({
@@ -396,7 +533,7 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
 
     const isCorrect = validationResult.isCorrect;
     // Get feedback for the answer
-    const feedback = AnswerValidator.getFeedback(question, userAnswer, validationResult);
+    const feedback = AnswerValidator.getFeedback(shownQuestion, userAnswer, validationResult);
 
     // For non-MCQ questions, answerIndex might be undefined, use 0 as default
     // The actual answer is stored in the answer field for validation
@@ -424,38 +561,61 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
     });
     await response.save();
 
+    // Mistakes are scheduled for revision, and due questions answered count as reviews
+    await spacedRepetition.recordAnswer({
+      studentId,
+      question,
+      isCorrect,
+      responseTimeMs,
+      hintsUsed: currentItem.hintsUsed || 0,
+      mode: session.mode
+    });
+
     // Update question usage statistics
     await question.updateUsageStats(isCorrect, responseTimeMs);
 
     // Update adaptive difficulty tracking
+    let mastery = null;
     if (question.topicId) {
       const AdaptiveDifficultyEngine = require('../services/adaptiveDifficulty');
-      await AdaptiveDifficultyEngine.recordAttempt(studentId, question.topicId, isCorrect, responseTimeMs, question.difficulty);
+      mastery = await AdaptiveDifficultyEngine.recordAttempt(studentId, question.topicId, isCorrect, responseTimeMs, question.difficulty);
     }
 
-    // Gamification: award per-answer points/xp
-    await gamificationService.awardForAnswer({
+    // Gamification: award per-answer points/xp and any mastery change
+    await gamificationService.recordAnswer({
       userId: studentId,
+      question,
       isCorrect,
-      difficulty: question.difficulty ?? 0.5,
-      responseTimeMs
+      responseTimeMs,
+      mode: session.mode,
+      mastery
     });
 
-    // Check if session should continue
-    const shouldContinue = await shouldContinueSession(session, question);
+    // Check if session should stop
+    const stopDecision = stoppingRules.evaluate(session);
     let nextQuestion = null;
     let isComplete = false;
 
-    if (shouldContinue) {
+    if (!stopDecision.shouldStop) {
       // Select next question based on mode and session type
       const usedQuestionIds = session.items.map(item => item.questionId);
-      
-      if (session.mode === 'revision') {
-        nextQuestion = await getRevisionQuestion(studentId, session.chapterId);
+      const assignment = session.assignmentId && session.sessionType === 'fixed' ?
+        await Assignment.findById(session.assignmentId) :
+        null;
+
+      if (assignment) {
+        nextQuestion = await assignmentService.getNextFixedQuestion(assignment, usedQuestionIds);
+      } else if (session.mode === 'revision') {
+        nextQuestion = await getRevisionQuestion(studentId, session.chapterId, usedQuestionIds);
       } else if (session.sessionType === 'adaptive') {
-        // Use adaptive difficulty engine
+        // Use the session's selection strategy at the current ability estimate
         const AdaptiveDifficultyEngine = require('../services/adaptiveDifficulty');
-        nextQuestion = await AdaptiveDifficultyEngine.getNextQuestion(studentId, question.topicId, usedQuestionIds);
+        nextQuestion = await AdaptiveDifficultyEngine.selectNextQuestion({
+          ...getSelectionOptions(session),
+          studentId,
+          excludeQuestionIds: usedQuestionIds,
+          theta: session.abilityTheta
+        });
         if (!nextQuestion) {
           // Fallback to random question from chapter
           nextQuestion = await getRandomChapterQuestion(session.chapterId, usedQuestionIds);
@@ -468,28 +628,23 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
       if (nextQuestion) {
         await session.addItem(nextQuestion._id, {
           difficulty: nextQuestion.difficulty,
-          topic: nextQuestion.topic
+          topic: nextQuestion.topic,
+          irtParameters: nextQuestion.getIrtParameters()
         });
       } else {
         isComplete = true;
+        session.stopReason = 'pool_exhausted';
       }
     } else {
       isComplete = true;
+      session.stopReason = stopDecision.reason;
+      session.classification = stopDecision.classification;
     }
 
     // Complete session if needed
     if (isComplete) {
-      const completedSessionsBefore = await AssessmentSession.countDocuments({
-        studentId,
-        status: 'completed'
-      });
       await session.complete();
-      await gamificationService.awardForSession({
-        userId: studentId,
-        correctAnswers: session.correctAnswers,
-        answeredQuestions: session.answeredQuestions,
-        completedSessions: completedSessionsBefore + 1
-      });
+      await gamificationService.recordSessionComplete(session);
     }
 
     await session.save();
@@ -513,12 +668,18 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
       }
     };
 
+    if (isComplete) {
+      responseData.data.stopReason = session.stopReason;
+      responseData.data.classification = session.classification;
+    }
+
     if (nextQuestion && !isComplete) {
+      const shownNext = await localization.localize('question', nextQuestion, req.language);
       responseData.data.nextQuestion = {
         id: nextQuestion._id,
-        stem: nextQuestion.stem,
-        choices: nextQuestion.choices,
-        passage: nextQuestion.passage,
+        stem: shownNext.stem,
+        choices: shownNext.choices,
+        passage: shownNext.passage,
         questionNumber: session.items.length,
         totalQuestions: session.adaptiveParameters?.maxQuestions || session.totalQuestions
       };
@@ -609,7 +770,7 @@ router.get('/active', authenticateToken, async(req, res) => {
  *       404:
  *         description: Session not found
  */
-router.get('/:sessionId', authenticateToken, validateObjectId('sessionId'), async(req, res) => {
+router.get('/:sessionId', authenticateToken, resolveLanguage, validateObjectId('sessionId'), async(req, res) => {
   try {
     const { sessionId } = req.params;
     const studentId = req.user._id;
@@ -641,11 +802,12 @@ router.get('/:sessionId', authenticateToken, validateObjectId('sessionId'), asyn
     if (session.items && session.items.length > 0) {
       const lastItem = session.items[session.items.length - 1];
       if (lastItem.questionId && !lastItem.answeredAt) {
+        const shownQuestion = await localization.localize('question', lastItem.questionId, req.language);
         currentQuestion = {
           id: lastItem.questionId._id,
-          stem: lastItem.questionId.stem,
-          choices: lastItem.questionId.choices,
-          passage: lastItem.questionId.passage,
+          stem: shownQuestion.stem,
+          choices: shownQuestion.choices,
+          passage: shownQuestion.passage,
           topic: lastItem.questionId.topic,
           difficulty: lastItem.questionId.difficulty,
           questionNumber: lastItem.questionNumber
@@ -837,31 +999,19 @@ async function selectFixedQuestion(grade, topic, excludeQuestionIds = []) {
   return await Question.findOne(criteria).sort({ usageCount: 1 });
 }
 
-async function shouldContinueSession(session, _currentQuestion) {
-  const { adaptiveParameters } = session;
-
-  // Check if we've reached minimum questions
-  if (session.answeredQuestions < adaptiveParameters.minQuestions) {
-    return true;
-  }
-
-  // Check if we've reached maximum questions
-  if (session.answeredQuestions >= adaptiveParameters.maxQuestions) {
-    return false;
-  }
-
-  // For adaptive sessions, check confidence threshold
-  if (session.sessionType === 'adaptive') {
-    const confidence = Math.min(1, session.answeredQuestions / 10);
-    return confidence < adaptiveParameters.confidenceThreshold;
-  }
+// New helper functions for chapter-based question selection
 
-  // For fixed sessions, continue until max questions
-  return true;
+function getSelectionOptions(session) {
+  const { adaptiveParameters } = session;
+  return {
+    chapterId: session.chapterId,
+    topicId: session.topicId,
+    strategy: adaptiveParameters.selectionStrategy,
+    exposureControl: adaptiveParameters.exposureControl,
+    contentBalancing: adaptiveParameters.contentBalancing
+  };
 }
 
-// New helper functions for chapter-based question selection
-
 async function getRandomChapterQuestion(chapterId, excludeQuestionIds = []) {
   const criteria = {
     chapterId,
@@ -875,54 +1025,19 @@ async function getRandomChapterQuestion(chapterId, excludeQuestionIds = []) {
   return await Question.findOne(criteria).sort({ usageCount: 1 });
 }
 
-async function getRevisionQuestion(studentId, chapterId) {
-  // Get questions the student got wrong in previous sessions
-  const Response = require('../models/Response');
-  const wrongQuestions = await Response.aggregate([
-    {
-      $match: {
-        studentId: require('mongoose').Types.ObjectId(studentId),
-        correct: false
-      }
-    },
-    {
-      $lookup: {
-        from: 'questions',
-        localField: 'questionId',
-        foreignField: '_id',
-        as: 'question'
-      }
-    },
-    {
-      $unwind: '$question'
-    },
-    {
-      $match: {
-        'question.chapterId': require('mongoose').Types.ObjectId(chapterId),
-        'question.isActive': true
-      }
-    },
-    {
-      $group: {
-        _id: '$questionId',
-        wrongCount: { $sum: 1 },
-        lastAttempt: { $max: '$createdAt' }
-      }
-    },
-    {
-      $sort: { wrongCount: -1, lastAttempt: -1 }
-    },
-    {
-      $limit: 1
-    }
-  ]);
-
-  if (wrongQuestions.length > 0) {
-    return await Question.findById(wrongQuestions[0]._id);
+async function getRevisionQuestion(studentId, chapterId, excludeQuestionIds = []) {
+  // The question most overdue for review in the chapter
+  const [dueQuestion] = await spacedRepetition.getDueQuestions(studentId, {
+    chapterId,
+    excludeIds: excludeQuestionIds,
+    limit: 1
+  });
+  if (dueQuestion) {
+    return dueQuestion;
   }
 
-  // Fallback to random question if no wrong questions found
-  return await getRandomChapterQuestion(chapterId);
+  // Fallback to random question if nothing is due
+  return await getRandomChapterQuestion(chapterId, excludeQuestionIds);
 }
 
 module.exports = router;
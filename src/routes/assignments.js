@@ -0,0 +1,689 @@
+const express = require('express');
+const Assignment = require('../models/Assignment');
+const Classroom = require('../models/Classroom');
+const Chapter = require('../models/Chapter');
+const Question = require('../models/Question');
+const AssessmentSession = require('../models/AssessmentSession');
+const assignmentService = require('../services/assignmentService');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const {
+  validateCreateAssignment,
+  validateUpdateAssignment,
+  validateObjectId
+} = require('../middlewares/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Assignment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         instructions:
+ *           type: string
+ *         classroomId:
+ *           type: string
+ *         studentIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         mode:
+ *           type: string
+ *           enum: [assessment, practice]
+ *         sessionType:
+ *           type: string
+ *           enum: [adaptive, fixed]
+ *         chapterId:
+ *           type: string
+ *         questionIds:
+ *           type: array
+ *           description: Fixed question set, in presentation order
+ *           items:
+ *             type: string
+ *         adaptiveParameters:
+ *           type: object
+ *         opensAt:
+ *           type: string
+ *           format: date-time
+ *         closesAt:
+ *           type: string
+ *           format: date-time
+ *         timeLimitMinutes:
+ *           type: number
+ *         maxAttempts:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [draft, published, archived]
+ *         questionCount:
+ *           type: number
+ *     AssignmentProgress:
+ *       type: object
+ *       properties:
+ *         attemptsUsed:
+ *           type: number
+ *         attemptsRemaining:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [not_started, in_progress, completed]
+ *         bestScore:
+ *           type: number
+ *         lastScore:
+ *           type: number
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         activeSessionId:
+ *           type: string
+ */
+
+// Admins, the author and the teachers of the targeted class may manage an assignment
+const canManage = async(assignment, user) => {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'teacher') return false;
+  if (assignment.createdBy.toString() === user._id.toString()) return true;
+  if (!assignment.classroomId) return false;
+  return Boolean(await Classroom.exists({ _id: assignment.classroomId, teachers: user._id }));
+};
+
+const findAssignment = async(id, res) => {
+  const assignment = await Assignment.findById(id);
+  if (!assignment) {
+    res.status(404).json({
+      error: {
+        message: 'Assignment not found',
+        code: 'ASSIGNMENT_NOT_FOUND'
+      }
+    });
+  }
+  return assignment;
+};
+
+const denyAccess = (res) => res.status(403).json({
+  error: {
+    message: 'Access denied to this assignment',
+    code: 'ASSIGNMENT_ACCESS_DENIED'
+  }
+});
+
+/**
+ * Check the target and content of an assignment before saving it.
+ * Returns an error body, or null when everything is valid.
+ */
+const validateTargets = async(data, user) => {
+  if (data.classroomId) {
+    const classroom = await Classroom.findOne({ _id: data.classroomId, isActive: true });
+    if (!classroom) {
+      return { message: 'Class not found', code: 'CLASSROOM_NOT_FOUND' };
+    }
+    if (user.role === 'teacher' && !classroom.hasTeacher(user._id)) {
+      return { message: 'You do not teach this class', code: 'CLASSROOM_ACCESS_DENIED' };
+    }
+  }
+
+  if (data.studentIds && data.studentIds.length > 0 && user.role === 'teacher') {
+    const ownStudents = new Set(
+      (await Classroom.getStudentIdsForTeacher(user._id)).map(id => id.toString())
+    );
+    if (!data.studentIds.every(id => ownStudents.has(id.toString()))) {
+      return { message: 'Students must be enrolled in one of your classes', code: 'INVALID_STUDENTS' };
+    }
+  }
+
+  if (data.chapterId && !(await Chapter.exists({ _id: data.chapterId }))) {
+    return { message: 'Chapter not found', code: 'CHAPTER_NOT_FOUND' };
+  }
+
+  if (data.questionIds && data.questionIds.length > 0) {
+    const unique = [...new Set(data.questionIds.map(id => id.toString()))];
+    const found = await Question.countDocuments({ _id: { $in: unique } });
+    if (unique.length !== data.questionIds.length || found !== unique.length) {
+      return { message: 'Question set contains unknown or duplicate questions', code: 'INVALID_QUESTIONS' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/assignments:
+ *   post:
+ *     summary: Create an assignment for a class or specific students
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - sessionType
+ *               - chapterId
+ *               - closesAt
+ *             properties:
+ *               title:
+ *                 type: string
+ *               instructions:
+ *                 type: string
+ *               classroomId:
+ *                 type: string
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [assessment, practice]
+ *               sessionType:
+ *                 type: string
+ *                 enum: [adaptive, fixed]
+ *               chapterId:
+ *                 type: string
+ *               questionIds:
+ *                 type: array
+ *                 description: Required for fixed assignments
+ *                 items:
+ *                   type: string
+ *               adaptiveParameters:
+ *                 type: object
+ *               opensAt:
+ *                 type: string
+ *                 format: date-time
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *               timeLimitMinutes:
+ *                 type: number
+ *               maxAttempts:
+ *                 type: number
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *     responses:
+ *       201:
+ *         description: Assignment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 assignment:
+ *                   $ref: '#/components/schemas/Assignment'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (teachers and admins only)
+ */
+router.post('/', authenticateToken, authorize('teacher', 'admin'), validateCreateAssignment, async(req, res) => {
+  try {
+    const targetError = await validateTargets(req.body, req.user);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+
+    const assignment = new Assignment({
+      ...req.body,
+      createdBy: req.user._id
+    });
+    await assignment.save();
+
+    logger.info(`Assignment created: ${assignment._id} by user ${req.user._id}`);
+
+    res.status(201).json({
+      assignment
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: Object.values(error.errors).map(err => err.message)
+        }
+      });
+    }
+    logger.error('Create assignment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to create assignment',
+        code: 'CREATE_ASSIGNMENT_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/assignments:
+ *   get:
+ *     summary: List assignments
+ *     description: Teachers see assignments they wrote or that target their classes; students see their published assignments with their own progress.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: classroomId
+ *         schema:
+ *           type: string
+ *         description: Filter by class
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published, archived]
+ *         description: Filter by status (teachers and admins)
+ *     responses:
+ *       200:
+ *         description: Assignments retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, async(req, res) => {
+  try {
+    const { classroomId, status } = req.query;
+
+    if (req.user.role === 'student') {
+      let assignments = await Assignment.findForStudent(req.user._id);
+      if (classroomId) {
+        assignments = assignments.filter(a => a.classroomId && a.classroomId.toString() === classroomId);
+      }
+      return res.json({
+        assignments: await assignmentService.withStudentProgress(assignments, req.user._id)
+      });
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (classroomId) query.classroomId = classroomId;
+    if (req.user.role === 'teacher') {
+      const classrooms = await Classroom.findForTeacher(req.user._id).select('_id');
+      query.$or = [
+        { createdBy: req.user._id },
+        { classroomId: { $in: classrooms.map(classroom => classroom._id) } }
+      ];
+    }
+
+    const assignments = await Assignment.find(query)
+      .populate('classroomId', 'grade section subject name')
+      .populate('chapterId', 'chapterName class subject')
+      .sort({ closesAt: -1 });
+
+    res.json({
+      assignments
+    });
+  } catch (error) {
+    logger.error('Get assignments error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve assignments',
+        code: 'GET_ASSIGNMENTS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/assignments/pending:
+ *   get:
+ *     summary: Assignments the student still has to do
+ *     description: Open assignments that are not completed and have attempts left, soonest due first.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending assignments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 assignments:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Assignment'
+ *                       - type: object
+ *                         properties:
+ *                           progress:
+ *                             $ref: '#/components/schemas/AssignmentProgress'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (students only)
+ */
+router.get('/pending', authenticateToken, authorize('student'), async(req, res) => {
+  try {
+    const assignments = await Assignment.findForStudent(req.user._id);
+    const withProgress = await assignmentService.withStudentProgress(assignments, req.user._id);
+
+    const pending = withProgress.filter(assignment =>
+      assignment.isOpen &&
+      assignment.progress.status !== 'completed' &&
+      (assignment.progress.attemptsRemaining > 0 || assignment.progress.activeSessionId)
+    );
+
+    res.json({
+      assignments: pending
+    });
+  } catch (error) {
+    logger.error('Get pending assignments error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve pending assignments',
+        code: 'GET_PENDING_ASSIGNMENTS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/assignments/{id}:
+ *   get:
+ *     summary: Get an assignment
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     responses:
+ *       200:
+ *         description: Assignment retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Assignment not found
+ */
+router.get('/:id', authenticateToken, validateObjectId('id'), async(req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.id, res);
+    if (!assignment) return;
+
+    if (await canManage(assignment, req.user)) {
+      await assignment.populate([
+        { path: 'classroomId', select: 'grade section subject name' },
+        { path: 'chapterId', select: 'chapterName class subject' },
+        { path: 'questionIds', select: 'stem questionType difficulty' }
+      ]);
+      return res.json({ assignment });
+    }
+
+    if (req.user.role === 'student' && assignment.status === 'published' &&
+      await assignment.targetsStudent(req.user._id)) {
+      const [summary] = await assignmentService.withStudentProgress([assignment], req.user._id);
+      return res.json({ assignment: summary });
+    }
+
+    return denyAccess(res);
+  } catch (error) {
+    logger.error('Get assignment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve assignment',
+        code: 'GET_ASSIGNMENT_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/assignments/{id}:
+ *   put:
+ *     summary: Update an assignment
+ *     description: The question configuration cannot change once a student has started an attempt.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     responses:
+ *       200:
+ *         description: Assignment updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Assignment not found
+ *       409:
+ *         description: Attempts already exist
+ */
+router.put('/:id', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), validateUpdateAssignment, async(req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.id, res);
+    if (!assignment) return;
+    if (!(await canManage(assignment, req.user))) return denyAccess(res);
+
+    const updates = req.body;
+    const contentFields = ['sessionType', 'chapterId', 'questionIds', 'adaptiveParameters', 'mode'];
+    if (contentFields.some(field => updates[field] !== undefined) &&
+      await AssessmentSession.exists({ assignmentId: assignment._id })) {
+      return res.status(409).json({
+        error: {
+          message: 'Questions cannot be changed after students have started the assignment',
+          code: 'ASSIGNMENT_HAS_ATTEMPTS'
+        }
+      });
+    }
+
+    const targetError = await validateTargets(updates, req.user);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+
+    Object.keys(updates).forEach(key => {
+      if (updates[key] === undefined) return;
+      if (key === 'adaptiveParameters') {
+        Object.assign(assignment.adaptiveParameters, updates[key]);
+      } else {
+        assignment[key] = updates[key];
+      }
+    });
+    await assignment.save();
+
+    logger.info(`Assignment updated: ${assignment._id} by user ${req.user._id}`);
+
+    res.json({
+      assignment
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: Object.values(error.errors).map(err => err.message)
+        }
+      });
+    }
+    logger.error('Update assignment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to update assignment',
+        code: 'UPDATE_ASSIGNMENT_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/assignments/{id}:
+ *   delete:
+ *     summary: Archive an assignment
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     responses:
+ *       200:
+ *         description: Assignment archived successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Assignment not found
+ */
+router.delete('/:id', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), async(req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.id, res);
+    if (!assignment) return;
+    if (!(await canManage(assignment, req.user))) return denyAccess(res);
+
+    // Soft delete keeps the sessions' link back to the assignment
+    assignment.status = 'archived';
+    await assignment.save();
+
+    logger.info(`Assignment archived: ${assignment._id} by user ${req.user._id}`);
+
+    res.json({
+      message: 'Assignment archived successfully'
+    });
+  } catch (error) {
+    logger.error('Delete assignment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to archive assignment',
+        code: 'DELETE_ASSIGNMENT_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/assignments/{id}/roster:
+ *   get:
+ *     summary: Completion and scores per student
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     responses:
+ *       200:
+ *         description: Roster retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     assigned:
+ *                       type: number
+ *                     completed:
+ *                       type: number
+ *                     inProgress:
+ *                       type: number
+ *                     notStarted:
+ *                       type: number
+ *                     completionRate:
+ *                       type: number
+ *                     averageScore:
+ *                       type: number
+ *                 students:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       studentId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [not_started, in_progress, completed]
+ *                       attemptsUsed:
+ *                         type: number
+ *                       bestScore:
+ *                         type: number
+ *                       lastScore:
+ *                         type: number
+ *                       completedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       late:
+ *                         type: boolean
+ *                       sessionIds:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Assignment not found
+ */
+router.get('/:id/roster', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), async(req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.id, res);
+    if (!assignment) return;
+    if (!(await canManage(assignment, req.user))) return denyAccess(res);
+
+    const roster = await assignmentService.buildRoster(assignment);
+
+    res.json({
+      assignmentId: assignment._id,
+      title: assignment.title,
+      closesAt: assignment.closesAt,
+      ...roster
+    });
+  } catch (error) {
+    logger.error('Get assignment roster error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve assignment roster',
+        code: 'GET_ASSIGNMENT_ROSTER_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
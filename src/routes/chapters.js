@@ -2,7 +2,10 @@ const express = require('express');
 const Chapter = require('../models/Chapter');
 const Topic = require('../models/Topic');
 const { authenticateToken, authorize } = require('../middlewares/auth');
-const { validateObjectId } = require('../middlewares/validation');
+const { resolveLanguage } = require('../middlewares/language');
+const { validateObjectId, validateChapterContent } = require('../middlewares/validation');
+const localization = require('../services/localization');
+const contentRetrieval = require('../services/contentRetrieval');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -211,6 +214,8 @@ router.post('/', authenticateToken, authorize('teacher', 'admin'), async (req, r
  *           maximum: 100
  *           default: 20
  *         description: Number of chapters per page
+ *       - $ref: '#/components/parameters/lang'
+ *       - $ref: '#/components/parameters/acceptLanguage'
  *     responses:
  *       200:
  *         description: Chapters retrieved successfully
@@ -237,7 +242,7 @@ router.post('/', authenticateToken, authorize('teacher', 'admin'), async (req, r
  *       401:
  *         description: Unauthorized
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, resolveLanguage, async (req, res) => {
   try {
     const { class: classLevel, subject, page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
@@ -260,7 +265,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const total = await Chapter.countDocuments(query);
 
     res.json({
-      chapters,
+      chapters: await localization.localizeChapters(chapters, req.language),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -296,6 +301,8 @@ router.get('/', authenticateToken, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Chapter ID
+ *       - $ref: '#/components/parameters/lang'
+ *       - $ref: '#/components/parameters/acceptLanguage'
  *     responses:
  *       200:
  *         description: Chapter retrieved successfully
@@ -311,7 +318,7 @@ router.get('/', authenticateToken, async (req, res) => {
  *       404:
  *         description: Chapter not found
  */
-router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
+router.get('/:id', authenticateToken, resolveLanguage, validateObjectId('id'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -328,8 +335,10 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
       });
     }
 
+    const [localizedChapter] = await localization.localizeChapters([chapter], req.language);
+
     res.json({
-      chapter
+      chapter: localizedChapter
     });
   } catch (error) {
     logger.error('Get chapter error:', error);
@@ -405,6 +414,7 @@ router.put('/:id', authenticateToken, authorize('teacher', 'admin'), validateObj
     });
 
     await chapter.save();
+    await contentRetrieval.syncChapter(chapter._id);
 
     logger.info(`Chapter updated: ${chapter._id} by user ${req.user._id}`);
 
@@ -471,6 +481,7 @@ router.delete('/:id', authenticateToken, authorize('teacher', 'admin'), validate
     // Soft delete
     chapter.isActive = false;
     await chapter.save();
+    await contentRetrieval.syncChapter(chapter._id);
 
     logger.info(`Chapter soft deleted: ${chapter._id} by user ${req.user._id}`);
 
@@ -583,6 +594,7 @@ router.post('/:id/topics', authenticateToken, authorize('teacher', 'admin'), val
 
     // Add topic to chapter
     await chapter.addTopic(topic._id);
+    await contentRetrieval.syncChapter(chapter._id);
 
     logger.info(`Topic added to chapter: ${topic._id} to chapter ${chapter._id}`);
 
@@ -669,6 +681,7 @@ router.delete('/:id/topics/:topicId', authenticateToken, authorize('teacher', 'a
     // Soft delete topic
     topic.isActive = false;
     await topic.save();
+    await contentRetrieval.syncChapter(chapter._id);
 
     logger.info(`Topic removed from chapter: ${topicId} from chapter ${id}`);
 
@@ -686,6 +699,181 @@ router.delete('/:id/topics/:topicId', authenticateToken, authorize('teacher', 'a
   }
 });
 
+/**
+ * @swagger
+ * /api/chapters/{id}/content:
+ *   get:
+ *     summary: Get the text of a chapter
+ *     description: The textbook text the AI assistant answers from, in sections.
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chapter ID
+ *     responses:
+ *       200:
+ *         description: Chapter text retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 chapterId:
+ *                   type: string
+ *                 sections:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       heading:
+ *                         type: string
+ *                       topicId:
+ *                         type: string
+ *                       text:
+ *                         type: string
+ *                       passages:
+ *                         type: integer
+ *                         description: Number of passages the section was split into
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Chapter not found
+ */
+router.get('/:id/content', authenticateToken, validateObjectId('id'), async(req, res) => {
+  try {
+    const chapter = await Chapter.findById(req.params.id);
+    if (!chapter || (!chapter.isActive && req.user.role === 'student')) {
+      return res.status(404).json({
+        error: {
+          message: 'Chapter not found',
+          code: 'CHAPTER_NOT_FOUND'
+        }
+      });
+    }
+
+    res.json({
+      chapterId: chapter._id,
+      sections: await contentRetrieval.getChapterText(chapter._id)
+    });
+  } catch (error) {
+    logger.error('Get chapter content error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve chapter content',
+        code: 'GET_CHAPTER_CONTENT_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chapters/{id}/content:
+ *   put:
+ *     summary: Replace the text of a chapter
+ *     description: |
+ *       Stores the chapter's textbook text for the AI assistant. Each section
+ *       is split into passages of about 120 words at paragraph breaks
+ *       (blank lines) and indexed for search; answers cite the chapter, and
+ *       the topic when the section has one. Send an empty list to remove
+ *       the text.
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chapter ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sections
+ *             properties:
+ *               sections:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - text
+ *                   properties:
+ *                     heading:
+ *                       type: string
+ *                       maxLength: 200
+ *                     topicId:
+ *                       type: string
+ *                       description: Topic of the chapter the section covers
+ *                     text:
+ *                       type: string
+ *                       maxLength: 20000
+ *     responses:
+ *       200:
+ *         description: Chapter text saved successfully
+ *       400:
+ *         description: Validation error, or a topic that is not part of the chapter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (teachers and admins only)
+ *       404:
+ *         description: Chapter not found
+ */
+router.put('/:id/content', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), validateChapterContent, async(req, res) => {
+  try {
+    const { sections } = req.body;
+
+    const chapter = await Chapter.findById(req.params.id);
+    if (!chapter) {
+      return res.status(404).json({
+        error: {
+          message: 'Chapter not found',
+          code: 'CHAPTER_NOT_FOUND'
+        }
+      });
+    }
+
+    const topicIds = chapter.topics.map(topicId => topicId.toString());
+    const unknownTopic = sections.find(section => section.topicId && !topicIds.includes(section.topicId));
+    if (unknownTopic) {
+      return res.status(400).json({
+        error: {
+          message: `Topic ${unknownTopic.topicId} is not part of this chapter`,
+          code: 'INVALID_TOPIC'
+        }
+      });
+    }
+
+    const passages = await contentRetrieval.setChapterText(chapter, sections, req.user._id);
+
+    res.json({
+      message: 'Chapter content saved successfully',
+      chapterId: chapter._id,
+      sections: sections.length,
+      passages
+    });
+  } catch (error) {
+    logger.error('Update chapter content error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to save chapter content',
+        code: 'UPDATE_CHAPTER_CONTENT_ERROR'
+      }
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/chapters/statistics:
@@ -1,25 +1,38 @@
 const express = require('express');
-const { generateQuestion } = require('../services/llmClient');
+const llm = require('../services/llmProvider');
 const Question = require('../models/Question');
 const Chapter = require('../models/Chapter');
 const Topic = require('../models/Topic');
-const { authenticateToken } = require('../middlewares/auth');
-const { validateObjectId } = require('../middlewares/validation');
+const Conversation = require('../models/Conversation');
+const Classroom = require('../models/Classroom');
+const AssessmentSession = require('../models/AssessmentSession');
+const StudentProfile = require('../models/StudentProfile');
+const chatbotConversation = require('../services/chatbotConversation');
+const AnswerValidator = require('../services/answerValidator');
+const hintService = require('../services/hintService');
+const moderation = require('../services/moderation');
+const contentRetrieval = require('../services/contentRetrieval');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { resolveLanguage } = require('../middlewares/language');
+const {
+  validateObjectId,
+  validateChatbotAsk,
+  validateChatbotExplain,
+  validateConversationQuery,
+  validateContentSearch
+} = require('../middlewares/validation');
+const { openEventStream } = require('../utils/sse');
 const logger = require('../utils/logger');
-const OpenAI = require('openai');
 
-// Initialize OpenAI client
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
-} else {
-  logger.warn('OpenAI API key not configured. Chatbot will use fallback responses.');
+if (!llm.isConfigured('chatbot')) {
+  logger.warn('Chatbot LLM provider not configured. Chatbot will use fallback responses.');
 }
 
 const router = express.Router();
 
+// Textbook passages given to the model with each message
+const SOURCE_LIMIT = 3;
+
 /**
  * @swagger
  * components:
@@ -32,6 +45,9 @@ const router = express.Router();
  *         message:
  *           type: string
  *           description: User's message to the chatbot
+ *         conversationId:
+ *           type: string
+ *           description: Conversation to continue; a new conversation is started when omitted
  *         context:
  *           type: object
  *           properties:
@@ -47,12 +63,32 @@ const router = express.Router();
  *             topicId:
  *               type: string
  *               description: Current topic ID if applicable
+ *     Citation:
+ *       type: object
+ *       properties:
+ *         number:
+ *           type: integer
+ *         passageId:
+ *           type: string
+ *         chapterId:
+ *           type: string
+ *         topicId:
+ *           type: string
+ *         sourceType:
+ *           type: string
+ *           enum: [chapter_text, topic_description, concepts, learning_objectives, question_explanation]
+ *         label:
+ *           type: string
+ *           example: 'Class 6 Science, Chapter 4: Sorting Materials into Groups - Properties of Materials'
  *     ChatbotResponse:
  *       type: object
  *       properties:
  *         response:
  *           type: string
  *           description: Bot's response message
+ *         conversationId:
+ *           type: string
+ *           description: Conversation the exchange was stored in (/ask only)
  *         suggestions:
  *           type: array
  *           items:
@@ -61,6 +97,14 @@ const router = express.Router();
  *         context:
  *           type: object
  *           description: Additional context or resources
+ *         citations:
+ *           type: array
+ *           description: Textbook passages the answer is based on; the reply refers to them as [1], [2], ...
+ *           items:
+ *             $ref: '#/components/schemas/Citation'
+ *         moderated:
+ *           type: boolean
+ *           description: Whether the reply was redacted or replaced by the content filter
  *         timestamp:
  *           type: string
  *           format: date-time
@@ -71,6 +115,12 @@ const router = express.Router();
  * /api/chatbot/ask:
  *   post:
  *     summary: Ask AI assistant for help
+ *     description: |
+ *       Each exchange is stored in a conversation. Send the returned
+ *       conversationId with the next message to ask follow-up questions;
+ *       older turns are summarised so the prompt stays bounded. The answer
+ *       is based on the textbook passages that best match the message, which
+ *       are returned as citations.
  *     tags: [Chatbot]
  *     security:
  *       - bearerAuth: []
@@ -88,106 +138,69 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ChatbotResponse'
  *       400:
- *         description: Validation error
+ *         description: Validation error, or the message was blocked by the content filter (MESSAGE_BLOCKED)
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Conversation not found
  *       500:
  *         description: Server error
  */
-router.post('/ask', authenticateToken, async (req, res) => {
+router.post('/ask', authenticateToken, validateChatbotAsk, requireMessage, moderateMessage, async (req, res) => {
   try {
     // Support both 'message' and 'question' field names for compatibility
-    const { message, question, context = {} } = req.body;
+    const { message, question, context = {}, conversationId } = req.body;
     const userMessage = message || question;
     const userId = req.user._id;
     const userRole = req.user.role;
 
-    if (!userMessage || userMessage.trim().length === 0) {
-      return res.status(400).json({
-        error: {
-          message: 'Message or question is required',
-          code: 'MISSING_MESSAGE'
-        }
-      });
-    }
+    const conversation = await loadConversation(conversationId, req, res);
+    if (!conversation) return;
 
-    // Build context information for the AI
-    let contextInfo = '';
-    if (context.questionId) {
-      const question = await Question.findById(context.questionId).populate('topicId chapterId');
-      if (question) {
-        contextInfo += `\nCurrent Question Context:\n- Topic: ${question.topicId?.topicName || question.topic}\n- Chapter: ${question.chapterId?.chapterName || 'N/A'}\n- Difficulty: ${question.difficulty}\n`;
-      }
-    }
-    if (context.chapterId) {
-      const chapter = await Chapter.findById(context.chapterId);
-      if (chapter) {
-        contextInfo += `\nCurrent Chapter: ${chapter.chapterName}\n`;
-      }
-    }
-    if (context.topicId) {
-      const topic = await Topic.findById(context.topicId);
-      if (topic) {
-        contextInfo += `\nCurrent Topic: ${topic.topicName}\n`;
-      }
-    }
+    const sources = await retrieveSources(userMessage, context, req.user);
 
-    // Generate response using OpenAI if available, otherwise use fallback
-    let aiResponse;
-    if (openai) {
+    // Generate the response with the configured provider; the rule-based
+    // helper doubles as the mock provider and the fallback on failure
+    const fallback = async() => buildFallbackReply(userMessage, context, userRole, userId, sources);
+    let reply;
+    if (llm.isConfigured('chatbot')) {
       try {
-        const systemPrompt = `You are a helpful AI learning assistant for middle school students (grades 6-9). Your role is to:
-- Explain concepts clearly and age-appropriately
-- Help students understand questions and problems
-- Provide study tips and learning strategies
-- Guide students through the learning platform
-- Be encouraging and supportive
-
-User Role: ${userRole}
-${contextInfo}
-
-Keep responses concise (2-3 sentences), friendly, and focused on helping the student learn.`;
-
-        const completion = await openai.chat.completions.create({
-          model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            },
-            {
-              role: 'user',
-              content: userMessage
-            }
-          ],
-          max_tokens: 300,
-          temperature: 0.7
+        const systemPrompt = await buildSystemPrompt(context, userRole, sources);
+        reply = await llm.complete('chatbot', {
+          messages: chatbotConversation.buildPromptMessages(conversation, systemPrompt, userMessage),
+          maxTokens: 300,
+          temperature: 0.7,
+          mock: fallback
         });
-
-        aiResponse = completion.choices[0].message.content.trim();
-      } catch (openaiError) {
-        logger.error('OpenAI API error:', openaiError);
-        // Fall back to rule-based response if OpenAI fails
-        const fallbackResponse = await generateContextualResponse(userMessage, context, userRole, userId);
-        aiResponse = fallbackResponse.message;
+      } catch (llmError) {
+        logger.error('Chatbot LLM error:', llmError);
+        // Fall back to rule-based response if the provider fails
+        reply = { text: await fallback() };
       }
     } else {
-      // Use rule-based fallback if OpenAI is not configured
-      const fallbackResponse = await generateContextualResponse(userMessage, context, userRole, userId);
-      aiResponse = fallbackResponse.message;
+      // Use rule-based fallback if no provider is configured
+      reply = { text: await fallback() };
     }
+    reply = await moderateReply(reply, userId);
+    reply.citations = citeSources(sources, reply);
+    const aiResponse = reply.text;
 
     // Generate suggestions based on the response
     const suggestions = generateSuggestions(userMessage, context, userRole);
 
-    logger.info(`Chatbot response generated for user ${userId}`);
+    await chatbotConversation.recordExchange(conversation, userMessage, context, reply);
+
+    logger.info(`Chatbot response generated for user ${userId} in conversation ${conversation._id}`);
 
     res.json({
       success: true,
       data: {
         response: aiResponse,
+        conversationId: conversation._id,
         suggestions: suggestions,
         context: context,
+        citations: reply.citations,
+        moderated: Boolean(reply.moderated),
         timestamp: new Date().toISOString()
       }
     });
@@ -203,6 +216,82 @@ Keep responses concise (2-3 sentences), friendly, and focused on helping the stu
   }
 });
 
+/**
+ * @swagger
+ * /api/chatbot/ask/stream:
+ *   post:
+ *     summary: Ask AI assistant for help, streaming the answer
+ *     description: |
+ *       Same request as /api/chatbot/ask, answered as Server-Sent Events:
+ *       `start` with the conversationId, a `token` event per text chunk, then
+ *       `done` with the full response, suggestions, citations and token usage. If the
+ *       answer breaks off part way, `error` is sent instead of `done`. Closing
+ *       the connection cancels generation; the text received so far is
+ *       stored and marked incomplete.
+ *     tags: [Chatbot]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatbotRequest'
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error, or the message was blocked by the content filter (MESSAGE_BLOCKED)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Conversation not found
+ */
+router.post('/ask/stream', authenticateToken, validateChatbotAsk, requireMessage, moderateMessage, async(req, res) => {
+  let events;
+  try {
+    const { message, question, context = {}, conversationId } = req.body;
+    const userMessage = message || question;
+    const userId = req.user._id;
+    const userRole = req.user.role;
+
+    const conversation = await loadConversation(conversationId, req, res);
+    if (!conversation) return;
+
+    const sources = await retrieveSources(userMessage, context, req.user);
+    const systemPrompt = await buildSystemPrompt(context, userRole, sources);
+    const fallback = async() => buildFallbackReply(userMessage, context, userRole, userId, sources);
+
+    events = openEventStream(res);
+    events.send('start', { conversationId: conversation._id });
+
+    const reply = await streamReply({
+      messages: chatbotConversation.buildPromptMessages(conversation, systemPrompt, userMessage),
+      maxTokens: 300,
+      temperature: 0.7,
+      mock: fallback
+    }, events, userId);
+    reply.citations = citeSources(sources, reply);
+
+    await chatbotConversation.recordExchange(conversation, userMessage, context, reply);
+
+    logger.info(`Chatbot response streamed for user ${userId} in conversation ${conversation._id}${reply.incomplete ? ' (incomplete)' : ''}`);
+
+    finishStream(events, reply, {
+      conversationId: conversation._id,
+      suggestions: generateSuggestions(userMessage, context, userRole),
+      citations: reply.citations
+    });
+  } catch (error) {
+    logger.error('Chatbot ask stream error:', error);
+    failStream(res, events, 'Failed to generate bot response', 'CHATBOT_ERROR');
+  }
+});
+
 /**
  * @swagger
  * /api/chatbot/explain/{questionId}:
@@ -235,12 +324,16 @@ Keep responses concise (2-3 sentences), friendly, and focused on helping the stu
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ChatbotResponse'
+ *       400:
+ *         description: Validation error, or the message was blocked by the content filter (MESSAGE_BLOCKED)
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: The question is part of the student's active assessment
  *       404:
  *         description: Question not found
  */
-router.post('/explain/:questionId', authenticateToken, validateObjectId('questionId'), async (req, res) => {
+router.post('/explain/:questionId', authenticateToken, validateObjectId('questionId'), rejectDuringTest, validateChatbotExplain, moderateMessage, async (req, res) => {
   try {
     const { questionId } = req.params;
     const { specificAspect } = req.body;
@@ -283,6 +376,259 @@ router.post('/explain/:questionId', authenticateToken, validateObjectId('questio
   }
 });
 
+/**
+ * @swagger
+ * /api/chatbot/explain/{questionId}/stream:
+ *   post:
+ *     summary: Explain a question, streaming the answer
+ *     description: |
+ *       Streams the explanation as Server-Sent Events (`start`, `token`,
+ *       `done` or `error`, as for /api/chatbot/ask/stream). The exchange is
+ *       stored in the given conversation, or in a new one.
+ *     tags: [Chatbot]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               specificAspect:
+ *                 type: string
+ *                 description: Specific aspect to explain (e.g., "solution method", "concept")
+ *               conversationId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error, or the message was blocked by the content filter (MESSAGE_BLOCKED)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The question is part of the student's active assessment
+ *       404:
+ *         description: Question or conversation not found
+ */
+router.post('/explain/:questionId/stream', authenticateToken, validateObjectId('questionId'), rejectDuringTest, validateChatbotExplain, moderateMessage, async(req, res) => {
+  let events;
+  try {
+    const { specificAspect, conversationId } = req.body;
+
+    const question = await Question.findById(req.params.questionId)
+      .populate('topicId', 'topicName description')
+      .populate('chapterId', 'chapterName class subject');
+
+    if (!question) {
+      return res.status(404).json({
+        error: {
+          message: 'Question not found',
+          code: 'QUESTION_NOT_FOUND'
+        }
+      });
+    }
+
+    const conversation = await loadConversation(conversationId, req, res);
+    if (!conversation) return;
+
+    const userMessage = `Explain this question${specificAspect ? ` (${specificAspect})` : ''}: ${question.stem}`;
+    const context = { questionId: question._id.toString() };
+
+    events = openEventStream(res);
+    events.send('start', { conversationId: conversation._id });
+
+    const reply = await streamReply({
+      messages: chatbotConversation.buildPromptMessages(conversation, buildExplanationPrompt(question), userMessage),
+      maxTokens: 500,
+      temperature: 0.5,
+      mock: async() => (await generateQuestionExplanation(question, specificAspect)).message
+    }, events, req.user._id);
+
+    await chatbotConversation.recordExchange(conversation, userMessage, context, reply);
+
+    logger.info(`Question explanation streamed for user ${req.user._id} in conversation ${conversation._id}${reply.incomplete ? ' (incomplete)' : ''}`);
+
+    finishStream(events, reply, {
+      conversationId: conversation._id,
+      context: {
+        questionId: question._id,
+        topic: question.topicId?.topicName || question.topic,
+        chapter: question.chapterId?.chapterName
+      }
+    });
+  } catch (error) {
+    logger.error('Chatbot explain stream error:', error);
+    failStream(res, events, 'Failed to generate question explanation', 'EXPLAIN_ERROR');
+  }
+});
+
+/**
+ * @swagger
+ * /api/chatbot/hints/{sessionId}:
+ *   post:
+ *     summary: Get the next hint for the current question of a session
+ *     description: |
+ *       Returns the next of up to three Socratic hints for the session's
+ *       unanswered question, each more specific than the last and none
+ *       giving the answer away. Teacher-authored hints are used where the
+ *       question has them; otherwise a hint is generated. Hints are recorded
+ *       on the session item and each one lowers the credit for a correct
+ *       answer. Only practice and revision sessions allow hints.
+ *     tags: [Chatbot]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/lang'
+ *       - $ref: '#/components/parameters/acceptLanguage'
+ *     responses:
+ *       200:
+ *         description: Hint generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 hint:
+ *                   type: object
+ *                   properties:
+ *                     level:
+ *                       type: integer
+ *                     text:
+ *                       type: string
+ *                     source:
+ *                       type: string
+ *                       enum: [teacher, generated, rule]
+ *                 questionNumber:
+ *                   type: integer
+ *                 hintsUsed:
+ *                   type: integer
+ *                 hintsRemaining:
+ *                   type: integer
+ *                 maxCredit:
+ *                   type: number
+ *                   description: Credit a correct answer now earns (0-1)
+ *       400:
+ *         description: Session not active or no unanswered question
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the student's session, or hints are disabled in assessments
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: All hints for the question have been used
+ */
+router.post('/hints/:sessionId', authenticateToken, resolveLanguage, validateObjectId('sessionId'), async(req, res) => {
+  try {
+    const session = await AssessmentSession.findById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        error: {
+          message: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        }
+      });
+    }
+
+    if (session.studentId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this session',
+          code: 'SESSION_ACCESS_DENIED'
+        }
+      });
+    }
+
+    if (!session.allowsHints()) {
+      return res.status(403).json({
+        error: {
+          message: 'Hints are not available in assessments',
+          code: 'HINTS_DISABLED'
+        }
+      });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(400).json({
+        error: {
+          message: 'Session is not active',
+          code: 'SESSION_NOT_ACTIVE'
+        }
+      });
+    }
+
+    const currentItem = session.items.find(item => !item.answeredAt);
+    if (!currentItem) {
+      return res.status(400).json({
+        error: {
+          message: 'No current question to give a hint for',
+          code: 'NO_CURRENT_QUESTION'
+        }
+      });
+    }
+
+    const hintsUsed = currentItem.hintsUsed || 0;
+    if (hintsUsed >= AssessmentSession.MAX_HINTS) {
+      return res.status(409).json({
+        error: {
+          message: `All ${AssessmentSession.MAX_HINTS} hints for this question have been used`,
+          code: 'HINT_LIMIT_REACHED'
+        }
+      });
+    }
+
+    const question = await Question.findById(currentItem.questionId)
+      .select('+hints +generatedHints')
+      .populate('topicId', 'topicName');
+    if (!question) {
+      return res.status(404).json({
+        error: {
+          message: 'Question not found',
+          code: 'QUESTION_NOT_FOUND'
+        }
+      });
+    }
+
+    const hint = await hintService.getHint(question, hintsUsed + 1, req.language, currentItem.hints.map(previous => previous.text));
+    await session.recordHint(currentItem.questionNumber, hint);
+
+    logger.info(`Hint ${hint.level} (${hint.source}) given for question ${question._id} in session ${session._id}`);
+
+    res.json({
+      hint,
+      questionNumber: currentItem.questionNumber,
+      hintsUsed: currentItem.hintsUsed,
+      hintsRemaining: AssessmentSession.MAX_HINTS - currentItem.hintsUsed,
+      maxCredit: AssessmentSession.creditForHints(currentItem.hintsUsed)
+    });
+  } catch (error) {
+    logger.error('Chatbot hint error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to generate hint',
+        code: 'HINT_ERROR'
+      }
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/chatbot/help/{topic}:
@@ -425,8 +771,655 @@ router.post('/navigation', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/chatbot/conversations:
+ *   get:
+ *     summary: List chatbot conversations
+ *     description: |
+ *       Lists the user's own conversations, newest first. Teachers can pass a
+ *       studentId, or a classroomId, to see the conversations of students in
+ *       their classes; admins can see anyone's.
+ *     tags: [Chatbot]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classroomId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Conversations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Student or class is not visible to the user
+ */
+router.get('/conversations', authenticateToken, validateConversationQuery, async(req, res) => {
+  try {
+    const { studentId, classroomId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { role, _id: userId } = req.user;
+
+    const query = { userId };
+    if (studentId && studentId !== userId.toString()) {
+      const allowed = role === 'admin' ||
+        (role === 'teacher' && await Classroom.teacherHasStudent(userId, studentId));
+      if (!allowed) {
+        return res.status(403).json({
+          error: {
+            message: 'Student is not enrolled in any of your classes',
+            code: 'ACCESS_DENIED'
+          }
+        });
+      }
+      query.userId = studentId;
+    } else if (classroomId) {
+      if (role === 'student') {
+        return res.status(403).json({
+          error: {
+            message: 'Access denied. Teacher or admin role required.',
+            code: 'ACCESS_DENIED'
+          }
+        });
+      }
+      const classroom = await Classroom.findById(classroomId).select('students teachers');
+      if (!classroom || (role === 'teacher' && !classroom.hasTeacher(userId))) {
+        return res.status(403).json({
+          error: {
+            message: 'Class not found or not taught by you',
+            code: 'ACCESS_DENIED'
+          }
+        });
+      }
+      query.userId = { $in: classroom.students };
+    }
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(query)
+        .select({ messages: { $slice: -1 }, summary: 0 })
+        .sort({ lastMessageAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Conversation.countDocuments(query)
+    ]);
+
+    res.json({
+      conversations: conversations.map(conversation => conversation.getListItem()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('List conversations error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve conversations',
+        code: 'GET_CONVERSATIONS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chatbot/conversations/{conversationId}:
+ *   get:
+ *     summary: Get a conversation with its messages
+ *     description: Available to the owner, teachers of the student's classes and admins. Resume it by sending its id to /api/chatbot/ask.
+ *     tags: [Chatbot]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Conversation not found
+ */
+router.get('/conversations/:conversationId', authenticateToken, validateObjectId('conversationId'), async(req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.conversationId);
+    if (!conversation || !(await chatbotConversation.canView(req.user, conversation))) {
+      return res.status(404).json({
+        error: {
+          message: 'Conversation not found',
+          code: 'CONVERSATION_NOT_FOUND'
+        }
+      });
+    }
+
+    res.json({
+      conversation
+    });
+  } catch (error) {
+    logger.error('Get conversation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve conversation',
+        code: 'GET_CONVERSATION_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chatbot/conversations/{conversationId}:
+ *   delete:
+ *     summary: Delete a conversation
+ *     description: Owners can delete their conversations; admins can delete any.
+ *     tags: [Chatbot]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Conversation not found
+ */
+router.delete('/conversations/:conversationId', authenticateToken, validateObjectId('conversationId'), async(req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.conversationId).select('userId');
+    if (!conversation || !(conversation.isOwnedBy(req.user._id) || req.user.role === 'admin')) {
+      return res.status(404).json({
+        error: {
+          message: 'Conversation not found',
+          code: 'CONVERSATION_NOT_FOUND'
+        }
+      });
+    }
+
+    await Conversation.deleteOne({ _id: conversation._id });
+
+    logger.info(`Conversation ${conversation._id} deleted by ${req.user.email}`);
+
+    res.json({
+      message: 'Conversation deleted'
+    });
+  } catch (error) {
+    logger.error('Delete conversation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to delete conversation',
+        code: 'DELETE_CONVERSATION_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chatbot/sources:
+ *   get:
+ *     summary: Search the textbook content the assistant answers from (Teachers/Admins)
+ *     description: |
+ *       Returns the passages the assistant would use for a message, to check
+ *       that chapter text and topic descriptions cover what students ask.
+ *     tags: [Chatbot]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: chapterId
+ *         schema:
+ *           type: string
+ *         description: Favour passages from this chapter
+ *       - in: query
+ *         name: topicId
+ *         schema:
+ *           type: string
+ *         description: Favour passages from this topic
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *           enum: [6, 7]
+ *         description: Favour passages for this class
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *           enum: [Math, Science, Social Science]
+ *         description: Only passages of this subject
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 10
+ *     responses:
+ *       200:
+ *         description: Matching passages, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       citation:
+ *                         $ref: '#/components/schemas/Citation'
+ *                       text:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                 index:
+ *                   type: object
+ *                   properties:
+ *                     passages:
+ *                       type: integer
+ *                     terms:
+ *                       type: integer
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (teachers and admins only)
+ */
+router.get('/sources', authenticateToken, authorize('teacher', 'admin'), validateContentSearch, (req, res) => {
+  const { q, chapterId, topicId, subject } = req.query;
+  const hits = contentRetrieval.search(q, {
+    chapterId,
+    topicId,
+    classLevel: req.query.class,
+    subject,
+    limit: parseInt(req.query.limit) || 5
+  });
+
+  res.json({
+    results: hits.map(({ passage, score }, index) => ({
+      citation: { number: index + 1, ...passage.toCitation() },
+      text: passage.text,
+      score: Math.round(score * 1000) / 1000
+    })),
+    index: contentRetrieval.getStats()
+  });
+});
+
+/**
+ * @swagger
+ * /api/chatbot/sources/reindex:
+ *   post:
+ *     summary: Rebuild the textbook content index (Admin only)
+ *     description: |
+ *       Copies every chapter's topic descriptions, concepts, learning
+ *       objectives and question explanations into the content store again
+ *       and reloads the search index. Edits through the API update the index
+ *       as they happen; this is for data loaded directly into the database,
+ *       e.g. by the seed scripts.
+ *     tags: [Chatbot]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Index rebuilt
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (admins only)
+ */
+router.post('/sources/reindex', authenticateToken, authorize('admin'), async(req, res) => {
+  try {
+    const { chapters, passages } = await contentRetrieval.rebuild();
+
+    logger.info(`Content index rebuilt by ${req.user.email}: ${passages} passages from ${chapters} chapters`);
+
+    res.json({
+      message: 'Content index rebuilt',
+      chapters,
+      passages
+    });
+  } catch (error) {
+    logger.error('Content reindex error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to rebuild the content index',
+        code: 'REINDEX_ERROR'
+      }
+    });
+  }
+});
+
 // Helper functions
 
+/**
+ * Reject requests without a message or question
+ */
+function requireMessage(req, res, next) {
+  const userMessage = req.body.message || req.body.question;
+  if (!userMessage || userMessage.trim().length === 0) {
+    return res.status(400).json({
+      error: {
+        message: 'Message or question is required',
+        code: 'MISSING_MESSAGE'
+      }
+    });
+  }
+  next();
+}
+
+/**
+ * Check the student's text against the moderation policy: blocked text is
+ * rejected with 400, redacted text replaces the original
+ */
+async function moderateMessage(req, res, next) {
+  try {
+    const fields = ['message', 'question', 'specificAspect'].filter(field => typeof req.body[field] === 'string' && req.body[field]);
+    for (const field of fields) {
+      const result = await moderation.moderate(req.body[field], { source: 'chatbot', direction: 'input', userId: req.user._id });
+      if (result.action === 'block') {
+        return res.status(400).json({
+          error: {
+            message: moderation.blockedMessage(result.categories),
+            code: 'MESSAGE_BLOCKED',
+            categories: result.categories
+          }
+        });
+      }
+      req.body[field] = result.text;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Refuse to explain a question while it is part of the student's active
+ * assessment; practice and revision sessions offer hints instead
+ */
+async function rejectDuringTest(req, res, next) {
+  try {
+    if (req.user.role === 'student' && await AssessmentSession.isInActiveTest(req.user._id, req.params.questionId)) {
+      return res.status(403).json({
+        error: {
+          message: 'Explanations are not available during an assessment',
+          code: 'EXPLANATION_LOCKED'
+        }
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Load the conversation to continue, or start a new one; sends 404 and
+ * returns null when the id does not belong to the user
+ */
+async function loadConversation(conversationId, req, res) {
+  if (!conversationId) {
+    return new Conversation({ userId: req.user._id });
+  }
+
+  const conversation = await chatbotConversation.findOwned(conversationId, req.user);
+  if (!conversation) {
+    res.status(404).json({
+      error: {
+        message: 'Conversation not found',
+        code: 'CONVERSATION_NOT_FOUND'
+      }
+    });
+    return null;
+  }
+  return conversation;
+}
+
+/**
+ * Textbook passages matching the message, favouring the chapter and topic
+ * the student is looking at and their class. Explanations of questions in
+ * the student's active assessment are left out.
+ */
+async function retrieveSources(message, context, user) {
+  try {
+    let { chapterId, topicId } = context;
+    if (context.questionId && !chapterId) {
+      const question = await Question.findById(context.questionId).select('chapterId topicId');
+      if (question) {
+        chapterId = question.chapterId;
+        topicId = topicId || question.topicId;
+      }
+    }
+
+    let classLevel;
+    if (user.role === 'student') {
+      const profile = await StudentProfile.findOne({ userId: user._id }).select('grade').lean();
+      classLevel = profile?.grade;
+    }
+
+    const hits = contentRetrieval.search(message, { chapterId, topicId, classLevel, limit: SOURCE_LIMIT + 2 });
+    const locked = await Promise.all(hits.map(({ passage }) => Boolean(passage.questionId) &&
+      user.role === 'student' &&
+      AssessmentSession.isInActiveTest(user._id, passage.questionId)));
+    return hits.filter((hit, index) => !locked[index]).slice(0, SOURCE_LIMIT);
+  } catch (error) {
+    logger.error('Chatbot content retrieval error:', error);
+    return [];
+  }
+}
+
+/**
+ * Rule-based reply, used as the mock provider and when the model fails: the
+ * best matching textbook passage, or the canned answers when none matches
+ */
+async function buildFallbackReply(message, context, userRole, userId, sources) {
+  if (sources.length > 0 && !context.questionId) {
+    const [{ passage }] = sources;
+    return `Here is what your textbook says (${passage.toCitation().label}):\n\n${passage.text} [1]`;
+  }
+  return (await generateContextualResponse(message, context, userRole, userId)).message;
+}
+
+/**
+ * Citations for a reply; none when the content filter replaced it
+ */
+function citeSources(sources, reply) {
+  return reply.text === moderation.SAFE_REPLY ? [] : contentRetrieval.citationsFor(sources, reply.text);
+}
+
+/**
+ * Build the assistant's system prompt with the page context
+ */
+async function buildSystemPrompt(context, userRole, sources = []) {
+  let contextInfo = '';
+  if (context.questionId) {
+    const question = await Question.findById(context.questionId).populate('topicId chapterId');
+    if (question) {
+      contextInfo += `\nCurrent Question Context:\n- Topic: ${question.topicId?.topicName || question.topic}\n- Chapter: ${question.chapterId?.chapterName || 'N/A'}\n- Difficulty: ${question.difficulty}\n`;
+    }
+  }
+  if (context.chapterId) {
+    const chapter = await Chapter.findById(context.chapterId);
+    if (chapter) {
+      contextInfo += `\nCurrent Chapter: ${chapter.chapterName}\n`;
+    }
+  }
+  if (context.topicId) {
+    const topic = await Topic.findById(context.topicId);
+    if (topic) {
+      contextInfo += `\nCurrent Topic: ${topic.topicName}\n`;
+    }
+  }
+
+  return `You are a helpful AI learning assistant for middle school students (grades 6-9). Your role is to:
+- Explain concepts clearly and age-appropriately
+- Help students understand questions and problems
+- Provide study tips and learning strategies
+- Guide students through the learning platform
+- Be encouraging and supportive
+
+User Role: ${userRole}
+${contextInfo}
+
+Keep responses concise (2-3 sentences), friendly, and focused on helping the student learn.
+${contentRetrieval.buildPromptContext(sources)}`;
+}
+
+/**
+ * Build the system prompt for explaining a question
+ */
+function buildExplanationPrompt(question) {
+  const choices = (question.choices || []).map((choice, index) => `${String.fromCharCode(65 + index)}. ${choice}`).join('\n');
+  const [answer] = AnswerValidator.getCorrectAnswers(question);
+
+  return `You are a patient tutor for middle school students (grades 6-9).
+Explain the question below step by step in simple language, then say why the correct answer is right.
+
+Topic: ${question.topicId?.topicName || question.topic}
+Chapter: ${question.chapterId?.chapterName || 'N/A'}
+Question: ${question.stem}
+${choices ? `Choices:\n${choices}\n` : ''}Correct answer: ${answer || 'N/A'}
+${question.explanation ? `Teacher's explanation: ${question.explanation}` : ''}`;
+}
+
+/**
+ * Stream a chatbot completion to the client as `token` events. Without a
+ * configured provider the rule-based answer from `request.mock` is streamed;
+ * if the provider fails before sending anything, the same fallback is used.
+ * The text is checked as it arrives: once it would be blocked, generation
+ * stops and the safe reply replaces it.
+ * @returns {Promise<Object>} { text, model, usage, incomplete, moderated, error }
+ */
+async function streamReply(request, events, userId) {
+  const controller = new AbortController();
+  events.signal.addEventListener('abort', () => controller.abort(), { once: true });
+
+  let streamed = '';
+  let blocked = false;
+  const options = {
+    onToken: text => {
+      if (blocked) return;
+      streamed += text;
+      if (moderation.check(streamed, { direction: 'output' }).action === 'block') {
+        blocked = true;
+        controller.abort();
+        return;
+      }
+      events.send('token', { text });
+    },
+    signal: controller.signal,
+    fallbackToMock: true
+  };
+
+  let result;
+  try {
+    result = await llm.stream('chatbot', request, options);
+  } catch (llmError) {
+    logger.error('Chatbot LLM stream error:', llmError);
+    if (llmError.partialText && !blocked) {
+      // Part of the answer has been sent; keep it rather than start over
+      return { ...await moderateReply({ text: llmError.partialText.trim() }, userId), incomplete: true, error: llmError };
+    }
+    if (!blocked) {
+      streamed = '';
+      result = await llm.stream('chatbot', request, { ...options, provider: 'mock' });
+    }
+  }
+
+  if (blocked) {
+    await moderation.moderate(streamed, { source: 'chatbot', direction: 'output', userId });
+    return { ...result, text: moderation.SAFE_REPLY, cancelled: false, incomplete: false, moderated: true };
+  }
+  return { ...await moderateReply(result, userId), incomplete: result.cancelled };
+}
+
+/**
+ * Check a reply before it is shown or stored, replacing a blocked one with the safe reply
+ * @returns {Promise<Object>} The reply with moderated text and `moderated` set when it changed
+ */
+async function moderateReply(reply, userId) {
+  const result = await moderation.moderate(reply.text, { source: 'chatbot', direction: 'output', userId });
+  if (result.action === 'block') {
+    return { ...reply, text: moderation.SAFE_REPLY, moderated: true };
+  }
+  return { ...reply, text: result.text, moderated: result.text !== reply.text };
+}
+
+/**
+ * Send the final `done` (or `error` for a broken-off answer) event and close the stream
+ */
+function finishStream(events, reply, extra) {
+  if (reply.error) {
+    events.send('error', {
+      message: 'The answer was interrupted; please ask again',
+      code: 'STREAM_INTERRUPTED',
+      ...extra
+    });
+  } else {
+    events.send('done', {
+      response: reply.text,
+      ...extra,
+      model: reply.model,
+      usage: reply.usage,
+      cancelled: Boolean(reply.cancelled),
+      moderated: Boolean(reply.moderated),
+      timestamp: new Date().toISOString()
+    });
+  }
+  events.end();
+}
+
+/**
+ * Report an unexpected failure as JSON before the stream starts, or as an `error` event after
+ */
+function failStream(res, events, message, code) {
+  if (!events) {
+    return res.status(500).json({
+      error: {
+        message,
+        code
+      }
+    });
+  }
+  events.send('error', { message, code });
+  events.end();
+}
+
 /**
  * Generate contextual response based on user message and context
  */
@@ -0,0 +1,761 @@
+const express = require('express');
+const Classroom = require('../models/Classroom');
+const User = require('../models/User');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const {
+  validateCreateClassroom,
+  validateUpdateClassroom,
+  validateJoinClassroom,
+  validateObjectId
+} = require('../middlewares/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Classroom:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         grade:
+ *           type: string
+ *           enum: [6, 7, 8, 9]
+ *         section:
+ *           type: string
+ *         subject:
+ *           type: string
+ *           enum: [Math, Science, Social Science]
+ *         academicYear:
+ *           type: string
+ *           example: 2024-25
+ *         schoolName:
+ *           type: string
+ *         teachers:
+ *           type: array
+ *           items:
+ *             type: string
+ *         students:
+ *           type: array
+ *           items:
+ *             type: string
+ *         joinCode:
+ *           type: string
+ *         joinCodeEnabled:
+ *           type: boolean
+ *         leaderboard:
+ *           $ref: '#/components/schemas/ClassroomLeaderboardSettings'
+ *         isActive:
+ *           type: boolean
+ *         displayName:
+ *           type: string
+ *         studentsCount:
+ *           type: number
+ *     ClassroomLeaderboardSettings:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           description: Whether students of the class can see its leaderboards (off by default)
+ *         pseudonymsOnly:
+ *           type: boolean
+ *           description: Show every student by pseudonym
+ *     CreateClassroomRequest:
+ *       type: object
+ *       required:
+ *         - grade
+ *         - section
+ *         - subject
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         grade:
+ *           type: string
+ *           enum: [6, 7, 8, 9]
+ *         section:
+ *           type: string
+ *           maxLength: 10
+ *         subject:
+ *           type: string
+ *           enum: [Math, Science, Social Science]
+ *         academicYear:
+ *           type: string
+ *         schoolName:
+ *           type: string
+ *         teachers:
+ *           type: array
+ *           description: Additional co-teachers (the creator is always added)
+ *           items:
+ *             type: string
+ *         students:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+// Teachers of the class and admins may manage it
+const canManage = (classroom, user) => user.role === 'admin' || classroom.hasTeacher(user._id);
+
+const findActiveClassroom = async(id, res) => {
+  const classroom = await Classroom.findOne({ _id: id, isActive: true });
+  if (!classroom) {
+    res.status(404).json({
+      error: {
+        message: 'Class not found',
+        code: 'CLASSROOM_NOT_FOUND'
+      }
+    });
+  }
+  return classroom;
+};
+
+const denyAccess = (res) => res.status(403).json({
+  error: {
+    message: 'Access denied to this class',
+    code: 'CLASSROOM_ACCESS_DENIED'
+  }
+});
+
+// Check that every id belongs to an active user with the given role
+const allHaveRole = async(ids, role) => {
+  if (!ids || ids.length === 0) return true;
+  const unique = [...new Set(ids.map(id => id.toString()))];
+  const count = await User.countDocuments({ _id: { $in: unique }, role, isActive: true });
+  return count === unique.length;
+};
+
+/**
+ * @swagger
+ * /api/classrooms:
+ *   post:
+ *     summary: Create a class
+ *     tags: [Classrooms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateClassroomRequest'
+ *     responses:
+ *       201:
+ *         description: Class created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 classroom:
+ *                   $ref: '#/components/schemas/Classroom'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (teachers and admins only)
+ */
+router.post('/', authenticateToken, authorize('teacher', 'admin'), validateCreateClassroom, async(req, res) => {
+  try {
+    const { name, grade, section, subject, academicYear, schoolName, teachers = [], students = [] } = req.body;
+
+    // Teachers creating a class always teach it
+    const teacherIds = [...new Set(teachers)];
+    if (req.user.role === 'teacher' && !teacherIds.includes(req.user._id.toString())) {
+      teacherIds.unshift(req.user._id.toString());
+    }
+
+    if (teacherIds.length === 0) {
+      return res.status(400).json({
+        error: {
+          message: 'A class needs at least one teacher',
+          code: 'TEACHER_REQUIRED'
+        }
+      });
+    }
+
+    if (!(await allHaveRole(teacherIds, 'teacher'))) {
+      return res.status(400).json({
+        error: {
+          message: 'All teachers must be active teacher accounts',
+          code: 'INVALID_TEACHERS'
+        }
+      });
+    }
+
+    if (!(await allHaveRole(students, 'student'))) {
+      return res.status(400).json({
+        error: {
+          message: 'All students must be active student accounts',
+          code: 'INVALID_STUDENTS'
+        }
+      });
+    }
+
+    const classroom = new Classroom({
+      name,
+      grade,
+      section,
+      subject,
+      academicYear,
+      schoolName,
+      teachers: teacherIds,
+      students: [...new Set(students)],
+      joinCode: await Classroom.generateJoinCode(),
+      createdBy: req.user._id
+    });
+    await classroom.save();
+
+    logger.info(`Classroom created: ${classroom._id} by user ${req.user._id}`);
+
+    res.status(201).json({
+      classroom
+    });
+  } catch (error) {
+    logger.error('Create classroom error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to create class',
+        code: 'CREATE_CLASSROOM_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classrooms:
+ *   get:
+ *     summary: List classes
+ *     description: Teachers see the classes they teach, students the classes they are enrolled in and admins every class.
+ *     tags: [Classrooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *         description: Filter by grade
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: Filter by subject
+ *     responses:
+ *       200:
+ *         description: Classes retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 classrooms:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Classroom'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, async(req, res) => {
+  try {
+    const { grade, subject } = req.query;
+
+    const query = { isActive: true };
+    if (grade) query.grade = grade;
+    if (subject) query.subject = subject;
+    if (req.user.role === 'teacher') query.teachers = req.user._id;
+    if (req.user.role === 'student') query.students = req.user._id;
+
+    let classrooms = Classroom.find(query)
+      .populate('teachers', 'name email')
+      .sort({ grade: 1, section: 1, subject: 1 });
+
+    // Students do not need the roster or the join code
+    if (req.user.role === 'student') {
+      classrooms = classrooms.select('-students -joinCode');
+    }
+
+    res.json({
+      classrooms: await classrooms
+    });
+  } catch (error) {
+    logger.error('Get classrooms error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve classes',
+        code: 'GET_CLASSROOMS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classrooms/join:
+ *   post:
+ *     summary: Join a class with its join code
+ *     tags: [Classrooms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - joinCode
+ *             properties:
+ *               joinCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Joined class successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (students only)
+ *       404:
+ *         description: No class with this join code
+ */
+router.post('/join', authenticateToken, authorize('student'), validateJoinClassroom, async(req, res) => {
+  try {
+    const joinCode = req.body.joinCode.trim().toUpperCase();
+
+    const classroom = await Classroom.findOne({ joinCode, isActive: true, joinCodeEnabled: true });
+    if (!classroom) {
+      return res.status(404).json({
+        error: {
+          message: 'No class found for this join code',
+          code: 'INVALID_JOIN_CODE'
+        }
+      });
+    }
+
+    const alreadyEnrolled = classroom.hasStudent(req.user._id);
+    await classroom.addStudent(req.user._id);
+
+    if (!alreadyEnrolled) {
+      logger.info(`Student ${req.user._id} joined classroom ${classroom._id}`);
+    }
+
+    res.json({
+      classroom: {
+        _id: classroom._id,
+        displayName: classroom.displayName,
+        grade: classroom.grade,
+        section: classroom.section,
+        subject: classroom.subject
+      },
+      alreadyEnrolled
+    });
+  } catch (error) {
+    logger.error('Join classroom error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to join class',
+        code: 'JOIN_CLASSROOM_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classrooms/{id}:
+ *   get:
+ *     summary: Get class details with roster
+ *     tags: [Classrooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Class ID
+ *     responses:
+ *       200:
+ *         description: Class retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 classroom:
+ *                   $ref: '#/components/schemas/Classroom'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Class not found
+ */
+router.get('/:id', authenticateToken, validateObjectId('id'), async(req, res) => {
+  try {
+    const classroom = await findActiveClassroom(req.params.id, res);
+    if (!classroom) return;
+
+    if (canManage(classroom, req.user)) {
+      await classroom.populate([
+        { path: 'teachers', select: 'name email' },
+        { path: 'students', select: 'name email' }
+      ]);
+      return res.json({ classroom });
+    }
+
+    if (req.user.role === 'student' && classroom.hasStudent(req.user._id)) {
+      await classroom.populate('teachers', 'name email');
+      const summary = classroom.toJSON();
+      delete summary.students;
+      delete summary.joinCode;
+      return res.json({ classroom: summary });
+    }
+
+    return denyAccess(res);
+  } catch (error) {
+    logger.error('Get classroom error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve class',
+        code: 'GET_CLASSROOM_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classrooms/{id}:
+ *   put:
+ *     summary: Update class details, its teachers or its leaderboard settings
+ *     tags: [Classrooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Class ID
+ *     responses:
+ *       200:
+ *         description: Class updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Class not found
+ */
+router.put('/:id', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), validateUpdateClassroom, async(req, res) => {
+  try {
+    const classroom = await findActiveClassroom(req.params.id, res);
+    if (!classroom) return;
+    if (!canManage(classroom, req.user)) return denyAccess(res);
+
+    const updates = req.body;
+    if (updates.teachers && !(await allHaveRole(updates.teachers, 'teacher'))) {
+      return res.status(400).json({
+        error: {
+          message: 'All teachers must be active teacher accounts',
+          code: 'INVALID_TEACHERS'
+        }
+      });
+    }
+
+    Object.keys(updates).forEach(key => {
+      if (key === 'leaderboard') {
+        // Only the settings sent change
+        Object.keys(updates.leaderboard).forEach(setting => {
+          classroom.set(`leaderboard.${setting}`, updates.leaderboard[setting]);
+        });
+      } else if (updates[key] !== undefined) {
+        classroom[key] = key === 'teachers' ? [...new Set(updates[key])] : updates[key];
+      }
+    });
+    await classroom.save();
+
+    logger.info(`Classroom updated: ${classroom._id} by user ${req.user._id}`);
+
+    res.json({
+      classroom
+    });
+  } catch (error) {
+    logger.error('Update classroom error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to update class',
+        code: 'UPDATE_CLASSROOM_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classrooms/{id}:
+ *   delete:
+ *     summary: Archive a class
+ *     tags: [Classrooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Class ID
+ *     responses:
+ *       200:
+ *         description: Class archived successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Class not found
+ */
+router.delete('/:id', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), async(req, res) => {
+  try {
+    const classroom = await findActiveClassroom(req.params.id, res);
+    if (!classroom) return;
+    if (!canManage(classroom, req.user)) return denyAccess(res);
+
+    // Soft delete
+    classroom.isActive = false;
+    await classroom.save();
+
+    logger.info(`Classroom archived: ${classroom._id} by user ${req.user._id}`);
+
+    res.json({
+      message: 'Class archived successfully'
+    });
+  } catch (error) {
+    logger.error('Delete classroom error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to archive class',
+        code: 'DELETE_CLASSROOM_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classrooms/{id}/students:
+ *   post:
+ *     summary: Enroll students in a class
+ *     tags: [Classrooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Class ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentIds
+ *             properties:
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Students enrolled successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Class not found
+ */
+router.post('/:id/students', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), async(req, res) => {
+  try {
+    const { studentIds } = req.body;
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      return res.status(400).json({
+        error: {
+          message: 'studentIds must be a non-empty array',
+          code: 'MISSING_STUDENT_IDS'
+        }
+      });
+    }
+
+    const classroom = await findActiveClassroom(req.params.id, res);
+    if (!classroom) return;
+    if (!canManage(classroom, req.user)) return denyAccess(res);
+
+    if (!studentIds.every(id => /^[0-9a-fA-F]{24}$/.test(id)) || !(await allHaveRole(studentIds, 'student'))) {
+      return res.status(400).json({
+        error: {
+          message: 'All students must be active student accounts',
+          code: 'INVALID_STUDENTS'
+        }
+      });
+    }
+
+    studentIds.forEach(studentId => {
+      if (!classroom.hasStudent(studentId)) {
+        classroom.students.push(studentId);
+      }
+    });
+    await classroom.save();
+
+    res.json({
+      classroom
+    });
+  } catch (error) {
+    logger.error('Enroll students error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to enroll students',
+        code: 'ENROLL_STUDENTS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classrooms/{id}/students/{studentId}:
+ *   delete:
+ *     summary: Remove a student from a class
+ *     description: Teachers of the class can remove any student; students can remove themselves.
+ *     tags: [Classrooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Class ID
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Student removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Class not found
+ */
+router.delete('/:id/students/:studentId', authenticateToken, validateObjectId('id'), validateObjectId('studentId'), async(req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const classroom = await findActiveClassroom(req.params.id, res);
+    if (!classroom) return;
+
+    const isSelf = req.user._id.toString() === studentId;
+    if (!canManage(classroom, req.user) && !isSelf) return denyAccess(res);
+
+    await classroom.removeStudent(studentId);
+
+    logger.info(`Student ${studentId} removed from classroom ${classroom._id} by user ${req.user._id}`);
+
+    res.json({
+      message: 'Student removed from class'
+    });
+  } catch (error) {
+    logger.error('Remove student error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to remove student from class',
+        code: 'REMOVE_STUDENT_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classrooms/{id}/join-code:
+ *   post:
+ *     summary: Issue a new join code for a class
+ *     description: The previous code stops working immediately.
+ *     tags: [Classrooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Class ID
+ *     responses:
+ *       200:
+ *         description: Join code regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 joinCode:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Class not found
+ */
+router.post('/:id/join-code', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), async(req, res) => {
+  try {
+    const classroom = await findActiveClassroom(req.params.id, res);
+    if (!classroom) return;
+    if (!canManage(classroom, req.user)) return denyAccess(res);
+
+    classroom.joinCode = await Classroom.generateJoinCode();
+    await classroom.save();
+
+    res.json({
+      joinCode: classroom.joinCode
+    });
+  } catch (error) {
+    logger.error('Regenerate join code error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to regenerate join code',
+        code: 'REGENERATE_JOIN_CODE_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,203 @@
+const crypto = require('crypto');
 const express = require('express');
-const { authenticateToken } = require('../middlewares/auth');
-const { badgeCatalog } = require('../services/badgeCatalog');
+const BadgeDefinition = require('../models/BadgeDefinition');
+const Classroom = require('../models/Classroom');
+const StudentProfile = require('../models/StudentProfile');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const {
+  validateObjectId,
+  validateLeaderboardQuery,
+  validateLeaderboardSettings,
+  validateCreateBadge,
+  validateUpdateBadge,
+  validateDailyGoal,
+  validateCalendarQuery
+} = require('../middlewares/validation');
 const gamificationService = require('../services/gamificationService');
+const badgeRules = require('../services/badgeRules');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const leaderboardSettings = (profile) => ({
+  optOut: profile.leaderboard.optOut,
+  usePseudonym: profile.leaderboard.usePseudonym,
+  pseudonym: profile.leaderboard.pseudonym
+});
+
+// Teachers manage the badges of their own classes; everything else is for admins
+const canManageBadge = async(badge, user) => {
+  if (user.role === 'admin') return true;
+  if (!badge.classroomId) return false;
+  return Boolean(await Classroom.exists({ _id: badge.classroomId, teachers: user._id, isActive: true }));
+};
+
+const denyBadgeAccess = (res) => res.status(403).json({
+  error: {
+    message: 'Access denied to this badge',
+    code: 'BADGE_ACCESS_DENIED'
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BadgeRule:
+ *       type: object
+ *       description: >
+ *         Either a combination, { all: [rules] } or { any: [rules] }, or a condition
+ *         that holds when the metric is at least min. A window counts only the last
+ *         N days and a scope only one chapter or topic.
+ *       properties:
+ *         all:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BadgeRule'
+ *         any:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BadgeRule'
+ *         metric:
+ *           type: string
+ *           enum: [completedSessions, sessionAccuracy, answers, correctAnswers, streakDays, level, points, masteredTopics, masteredQuestions]
+ *         min:
+ *           type: number
+ *         window:
+ *           type: object
+ *           properties:
+ *             days:
+ *               type: integer
+ *               minimum: 1
+ *               maximum: 365
+ *         scope:
+ *           type: object
+ *           properties:
+ *             chapterId:
+ *               type: string
+ *             topicId:
+ *               type: string
+ *         levels:
+ *           type: array
+ *           description: Mastery levels counted by masteredTopics (default proficient and advanced)
+ *           items:
+ *             type: string
+ *             enum: [beginner, developing, proficient, advanced]
+ *         minQuestions:
+ *           type: integer
+ *           description: Fewest answers for sessionAccuracy to count
+ *       example:
+ *         metric: masteredTopics
+ *         min: 3
+ *         scope:
+ *           chapterId: 64f1c2e9a1b2c3d4e5f60718
+ *         window:
+ *           days: 7
+ *     Badge:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         id:
+ *           type: string
+ *           description: Key stored on profiles that earn the badge
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         classroomId:
+ *           type: string
+ *           nullable: true
+ *           description: Class the badge belongs to; null for badges every student can earn
+ *         isSystem:
+ *           type: boolean
+ *         rule:
+ *           $ref: '#/components/schemas/BadgeRule'
+ *     LeaderboardEntry:
+ *       type: object
+ *       properties:
+ *         rank:
+ *           type: number
+ *           description: Students with equal points share a rank
+ *         name:
+ *           type: string
+ *           description: The student's name or pseudonym
+ *         isPseudonym:
+ *           type: boolean
+ *         points:
+ *           type: number
+ *           description: Points earned in the period
+ *         level:
+ *           type: number
+ *         isYou:
+ *           type: boolean
+ *         studentId:
+ *           type: string
+ *           description: Only for teachers and admins, and only when the name is shown
+ *     LeaderboardSettings:
+ *       type: object
+ *       properties:
+ *         optOut:
+ *           type: boolean
+ *           description: Leave every leaderboard
+ *         usePseudonym:
+ *           type: boolean
+ *           description: Show the pseudonym instead of the name to classmates
+ *         pseudonym:
+ *           type: string
+ *           example: Curious Otter 42
+ *     Streak:
+ *       type: object
+ *       properties:
+ *         current:
+ *           type: number
+ *           description: Days in a row the daily goal was met; 0 once a missed day is not covered by a freeze
+ *         longest:
+ *           type: number
+ *         freezes:
+ *           type: number
+ *           description: Streak freezes held, one earned every 7 days of streak (at most 2)
+ *         lastDay:
+ *           type: string
+ *           example: '2026-06-10'
+ *         todayGoalMet:
+ *           type: boolean
+ *         timezone:
+ *           type: string
+ *           example: Asia/Kolkata
+ *     DailyGoal:
+ *       type: object
+ *       required:
+ *         - type
+ *         - target
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [questions, minutes]
+ *         target:
+ *           type: integer
+ *           description: Questions answered (up to 200) or minutes practised (up to 240) in a day
+ *     CalendarDay:
+ *       type: object
+ *       properties:
+ *         day:
+ *           type: string
+ *           example: '2026-06-10'
+ *         questions:
+ *           type: number
+ *         correctAnswers:
+ *           type: number
+ *         minutes:
+ *           type: number
+ *         points:
+ *           type: number
+ *         goalMet:
+ *           type: boolean
+ *         frozen:
+ *           type: boolean
+ *           description: Missed, but a streak freeze kept the streak going
+ */
+
 /**
  * @swagger
  * /api/gamification/profile:
@@ -38,9 +231,11 @@ router.get('/profile', authenticateToken, async(req, res) => {
         points: profile.points,
         xp: profile.xp,
         level: profile.level,
-        streak: profile.streak,
+        streak: gamificationService.getStreak(profile),
+        dailyGoal: profile.dailyGoal,
         badges: profile.badges,
         events: profile.events,
+        leaderboard: leaderboardSettings(profile),
         levelProgress
       }
     });
@@ -58,16 +253,853 @@ router.get('/profile', authenticateToken, async(req, res) => {
  * @swagger
  * /api/gamification/badges:
  *   get:
- *     summary: Get badge catalog
+ *     summary: Get the badges the user can earn or manage
+ *     description: Badges for every student plus those of the user's classes (all class badges for admins).
  *     tags: [Gamification]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Badge catalog retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 badges:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Badge'
+ */
+router.get('/badges', authenticateToken, async(req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.user.role !== 'admin') {
+      const member = req.user.role === 'student' ? { students: req.user._id } : { teachers: req.user._id };
+      const classrooms = await Classroom.find({ ...member, isActive: true }).select('_id');
+      filter.classroomId = { $in: [null, ...classrooms.map(classroom => classroom._id)] };
+    }
+
+    const badges = await BadgeDefinition.find(filter).sort({ classroomId: 1, createdAt: 1 });
+
+    res.json({ badges: badges.map(badge => badge.toSummary()) });
+  } catch (error) {
+    logger.error('Get badges error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch badges',
+        code: 'GET_BADGES_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gamification/badges:
+ *   post:
+ *     summary: Create a badge
+ *     description: Teachers create badges for a class they teach; admins may also create badges for every student.
+ *     tags: [Gamification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - description
+ *               - rule
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 60
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *               rule:
+ *                 $ref: '#/components/schemas/BadgeRule'
+ *               classroomId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Badge created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 badge:
+ *                   $ref: '#/components/schemas/Badge'
+ *       400:
+ *         description: Validation error, or no class given by a teacher
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a teacher of the class
+ *       404:
+ *         description: Class not found
+ */
+router.post('/badges', authenticateToken, authorize('teacher', 'admin'), validateCreateBadge, async(req, res) => {
+  try {
+    const { name, description, rule, classroomId } = req.body;
+
+    if (!classroomId && req.user.role !== 'admin') {
+      return res.status(400).json({
+        error: {
+          message: 'classroomId is required',
+          code: 'CLASSROOM_REQUIRED'
+        }
+      });
+    }
+
+    if (classroomId) {
+      const classroom = await Classroom.findOne({ _id: classroomId, isActive: true });
+      if (!classroom) {
+        return res.status(404).json({
+          error: {
+            message: 'Class not found',
+            code: 'CLASSROOM_NOT_FOUND'
+          }
+        });
+      }
+      if (req.user.role !== 'admin' && !classroom.hasTeacher(req.user._id)) {
+        return res.status(403).json({
+          error: {
+            message: 'Access denied to this class',
+            code: 'CLASSROOM_ACCESS_DENIED'
+          }
+        });
+      }
+    }
+
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'badge';
+    const badge = await BadgeDefinition.create({
+      key: `${slug}_${crypto.randomBytes(3).toString('hex')}`,
+      name,
+      description,
+      rule,
+      classroomId: classroomId || null,
+      createdBy: req.user._id
+    });
+    await badgeRules.load();
+
+    logger.info(`Badge created: ${badge.key} by ${req.user.email}`);
+
+    res.status(201).json({ badge: badge.toSummary() });
+  } catch (error) {
+    logger.error('Create badge error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to create badge',
+        code: 'CREATE_BADGE_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gamification/badges/{id}:
+ *   put:
+ *     summary: Update a badge
+ *     description: Students keep badges they have already earned. Built-in and school-wide badges can only be changed by admins.
+ *     tags: [Gamification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               rule:
+ *                 $ref: '#/components/schemas/BadgeRule'
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Badge updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied to this badge
+ *       404:
+ *         description: Badge not found
+ */
+router.put('/badges/:id', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), validateUpdateBadge, async(req, res) => {
+  try {
+    const badge = await BadgeDefinition.findById(req.params.id);
+    if (!badge) {
+      return res.status(404).json({
+        error: {
+          message: 'Badge not found',
+          code: 'BADGE_NOT_FOUND'
+        }
+      });
+    }
+    if (!(await canManageBadge(badge, req.user))) return denyBadgeAccess(res);
+
+    ['name', 'description', 'rule', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) badge[field] = req.body[field];
+    });
+    await badge.save();
+    await badgeRules.load();
+
+    logger.info(`Badge updated: ${badge.key} by ${req.user.email}`);
+
+    res.json({ badge: badge.toSummary() });
+  } catch (error) {
+    logger.error('Update badge error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to update badge',
+        code: 'UPDATE_BADGE_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gamification/badges/{id}:
+ *   delete:
+ *     summary: Retire a badge
+ *     description: The badge can no longer be earned; students who earned it keep it.
+ *     tags: [Gamification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Badge retired
+ *       403:
+ *         description: Access denied to this badge
+ *       404:
+ *         description: Badge not found
+ */
+router.delete('/badges/:id', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), async(req, res) => {
+  try {
+    const badge = await BadgeDefinition.findById(req.params.id);
+    if (!badge || !badge.isActive) {
+      return res.status(404).json({
+        error: {
+          message: 'Badge not found',
+          code: 'BADGE_NOT_FOUND'
+        }
+      });
+    }
+    if (!(await canManageBadge(badge, req.user))) return denyBadgeAccess(res);
+
+    badge.isActive = false;
+    await badge.save();
+    await badgeRules.load();
+
+    logger.info(`Badge retired: ${badge.key} by ${req.user.email}`);
+
+    res.json({ message: 'Badge retired' });
+  } catch (error) {
+    logger.error('Delete badge error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retire badge',
+        code: 'DELETE_BADGE_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gamification/leaderboard:
+ *   get:
+ *     summary: Get a class or grade leaderboard
+ *     description: >
+ *       Students see their class leaderboards only once a teacher turns them on for the class,
+ *       and the grade leaderboard only if one of their classes has them on. The grade leaderboard
+ *       shown to students ranks only students in classes with leaderboards on; teachers and admins
+ *       see the whole grade. Students who opted out are not ranked. Classmates appear by name unless they chose a pseudonym or the class
+ *       uses pseudonyms only; grade leaderboards show pseudonyms to students. Teachers always
+ *       see their classes and the names of their own students.
+ *     tags: [Gamification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [class, grade]
+ *           default: class
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [weekly, monthly, all_time]
+ *           default: weekly
+ *         description: Weeks start on Monday and months on the 1st (UTC)
+ *       - in: query
+ *         name: classroomId
+ *         schema:
+ *           type: string
+ *         description: Class to rank (required for teachers; students default to their first class)
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *           enum: [6, 7, 8, 9]
+ *         description: Grade to rank (teachers and admins; students get their own grade)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Leaderboard retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 scope:
+ *                   type: string
+ *                 period:
+ *                   type: string
+ *                 periodStart:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 classroom:
+ *                   type: object
+ *                   nullable: true
+ *                 grade:
+ *                   type: string
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeaderboardEntry'
+ *                 total:
+ *                   type: number
+ *                   description: Students ranked in the period
+ *                 you:
+ *                   type: object
+ *                   description: The student's own place (students only)
+ *                   properties:
+ *                     rank:
+ *                       type: number
+ *                       nullable: true
+ *                     points:
+ *                       type: number
+ *                     optedOut:
+ *                       type: boolean
+ *       400:
+ *         description: Validation error, or no class or grade to rank
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of the class, or leaderboards are turned off
+ *       404:
+ *         description: Class not found
  */
-router.get('/badges', authenticateToken, (req, res) => {
-  res.json({ badges: badgeCatalog });
+router.get('/leaderboard', authenticateToken, validateLeaderboardQuery, async(req, res) => {
+  try {
+    const { user } = req;
+    const scope = req.query.scope || 'class';
+    const period = req.query.period || 'weekly';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const isStudent = user.role === 'student';
+
+    let classroom = null;
+    let grade;
+    let userIds;
+    let namedIds = new Set();
+    let showNames = false;
+
+    if (scope === 'class') {
+      if (req.query.classroomId) {
+        classroom = await Classroom.findOne({ _id: req.query.classroomId, isActive: true });
+      } else if (isStudent) {
+        classroom = await Classroom.findOne({ students: user._id, isActive: true }).sort({ createdAt: 1 });
+      } else {
+        return res.status(400).json({
+          error: {
+            message: 'classroomId is required',
+            code: 'CLASSROOM_REQUIRED'
+          }
+        });
+      }
+
+      if (!classroom) {
+        return res.status(404).json({
+          error: {
+            message: 'Class not found',
+            code: 'CLASSROOM_NOT_FOUND'
+          }
+        });
+      }
+
+      const teaches = user.role === 'admin' || classroom.hasTeacher(user._id);
+      if (!teaches && !(isStudent && classroom.hasStudent(user._id))) {
+        return res.status(403).json({
+          error: {
+            message: 'Access denied to this class',
+            code: 'CLASSROOM_ACCESS_DENIED'
+          }
+        });
+      }
+
+      if (!teaches && !classroom.leaderboard.enabled) {
+        return res.status(403).json({
+          error: {
+            message: 'Your teacher has not turned on leaderboards for this class',
+            code: 'LEADERBOARD_DISABLED'
+          }
+        });
+      }
+
+      grade = classroom.grade;
+      userIds = classroom.students;
+      if (teaches) {
+        namedIds = new Set(classroom.students.map(id => id.toString()));
+      } else {
+        showNames = !classroom.leaderboard.pseudonymsOnly;
+      }
+    } else if (isStudent) {
+      const [studentProfile, rankedIds] = await Promise.all([
+        StudentProfile.findOne({ userId: user._id }).select('grade'),
+        Classroom.getLeaderboardStudentIds()
+      ]);
+
+      if (!rankedIds.some(id => id.toString() === user._id.toString())) {
+        return res.status(403).json({
+          error: {
+            message: 'Leaderboards are not turned on for any of your classes',
+            code: 'LEADERBOARD_DISABLED'
+          }
+        });
+      }
+      if (!studentProfile) {
+        return res.status(400).json({
+          error: {
+            message: 'Your grade is not set',
+            code: 'GRADE_REQUIRED'
+          }
+        });
+      }
+      grade = studentProfile.grade;
+      // Students whose teacher kept leaderboards off are not shown to other students
+      userIds = rankedIds;
+    } else {
+      grade = req.query.grade;
+      if (!grade) {
+        return res.status(400).json({
+          error: {
+            message: 'grade is required',
+            code: 'GRADE_REQUIRED'
+          }
+        });
+      }
+      if (user.role === 'teacher') {
+        const ids = await Classroom.getStudentIdsForTeacher(user._id);
+        namedIds = new Set(ids.map(id => id.toString()));
+      }
+    }
+
+    const board = await gamificationService.getLeaderboard({
+      period,
+      userIds,
+      grade: classroom ? undefined : grade,
+      limit,
+      viewerId: isStudent ? user._id : undefined
+    });
+
+    const entries = board.entries.map(({ rank, points, profile }) => {
+      const student = profile.userId;
+      const studentId = student ? student._id.toString() : null;
+      const isYou = studentId === user._id.toString();
+      const named = Boolean(student) && (
+        isYou ||
+        user.role === 'admin' ||
+        namedIds.has(studentId) ||
+        (showNames && !profile.leaderboard.usePseudonym)
+      );
+
+      const entry = {
+        rank,
+        name: named ? student.name : profile.leaderboard.pseudonym,
+        isPseudonym: !named,
+        points,
+        level: profile.level,
+        isYou
+      };
+      if (!isStudent && named) entry.studentId = studentId;
+      return entry;
+    });
+
+    const response = {
+      scope,
+      period,
+      periodStart: board.periodStart,
+      classroom: classroom ? { _id: classroom._id, displayName: classroom.displayName } : null,
+      grade,
+      entries,
+      total: board.total
+    };
+
+    if (isStudent) {
+      const profile = await gamificationService.getProfile(user._id);
+      response.you = {
+        rank: board.viewer ? board.viewer.rank : null,
+        points: board.viewer ? board.viewer.points : 0,
+        optedOut: profile.leaderboard.optOut
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Get leaderboard error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch leaderboard',
+        code: 'LEADERBOARD_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gamification/leaderboard/settings:
+ *   get:
+ *     summary: Get the current student's leaderboard privacy settings
+ *     tags: [Gamification]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 settings:
+ *                   $ref: '#/components/schemas/LeaderboardSettings'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (students only)
+ */
+router.get('/leaderboard/settings', authenticateToken, authorize('student'), async(req, res) => {
+  try {
+    const profile = await gamificationService.getProfile(req.user._id);
+
+    res.json({ settings: leaderboardSettings(profile) });
+  } catch (error) {
+    logger.error('Get leaderboard settings error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch leaderboard settings',
+        code: 'LEADERBOARD_SETTINGS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gamification/leaderboard/settings:
+ *   put:
+ *     summary: Opt out of leaderboards or appear under a pseudonym
+ *     tags: [Gamification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               optOut:
+ *                 type: boolean
+ *               usePseudonym:
+ *                 type: boolean
+ *               newPseudonym:
+ *                 type: boolean
+ *                 description: Draw a new pseudonym
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 settings:
+ *                   $ref: '#/components/schemas/LeaderboardSettings'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (students only)
+ */
+router.put('/leaderboard/settings', authenticateToken, authorize('student'), validateLeaderboardSettings, async(req, res) => {
+  try {
+    const profile = await gamificationService.updateLeaderboardSettings(req.user._id, req.body);
+
+    logger.info(`Leaderboard settings updated by student ${req.user._id}`);
+
+    res.json({ settings: leaderboardSettings(profile) });
+  } catch (error) {
+    logger.error('Update leaderboard settings error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to update leaderboard settings',
+        code: 'LEADERBOARD_SETTINGS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gamification/daily-goal:
+ *   get:
+ *     summary: Get the daily goal and today's progress toward it
+ *     tags: [Gamification]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Daily goal retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 today:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: string
+ *                     goal:
+ *                       $ref: '#/components/schemas/DailyGoal'
+ *                     questions:
+ *                       type: number
+ *                     minutes:
+ *                       type: number
+ *                     progress:
+ *                       type: number
+ *                       description: Questions or minutes, whichever the goal counts
+ *                     goalMet:
+ *                       type: boolean
+ *                 streak:
+ *                   $ref: '#/components/schemas/Streak'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (students only)
+ */
+router.get('/daily-goal', authenticateToken, authorize('student'), async(req, res) => {
+  try {
+    const profile = await gamificationService.getProfile(req.user._id);
+
+    res.json({
+      today: await gamificationService.getDailyProgress(profile),
+      streak: gamificationService.getStreak(profile)
+    });
+  } catch (error) {
+    logger.error('Get daily goal error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch daily goal',
+        code: 'DAILY_GOAL_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gamification/daily-goal:
+ *   put:
+ *     summary: Set the daily goal that counts a day toward the streak
+ *     description: Applies from the next answer; a day already counted stays counted.
+ *     tags: [Gamification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DailyGoal'
+ *     responses:
+ *       200:
+ *         description: Daily goal updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dailyGoal:
+ *                   $ref: '#/components/schemas/DailyGoal'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (students only)
+ */
+router.put('/daily-goal', authenticateToken, authorize('student'), validateDailyGoal, async(req, res) => {
+  try {
+    const profile = await gamificationService.updateDailyGoal(req.user._id, req.body);
+
+    logger.info(`Daily goal updated by student ${req.user._id}`);
+
+    res.json({ dailyGoal: profile.dailyGoal });
+  } catch (error) {
+    logger.error('Update daily goal error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to update daily goal',
+        code: 'DAILY_GOAL_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/gamification/calendar:
+ *   get:
+ *     summary: Get per-day activity for a heatmap
+ *     description: One entry per day in the student's timezone, including days without activity. Teachers can view students in their classes and admins any student.
+ *     tags: [Gamification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: '2026-01-01'
+ *         description: First day (defaults to a year before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: '2026-06-30'
+ *         description: Last day (defaults to today)
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         description: Student to view (teachers and admins; required for them)
+ *     responses:
+ *       200:
+ *         description: Calendar retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 calendar:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     timezone:
+ *                       type: string
+ *                     dailyGoal:
+ *                       $ref: '#/components/schemas/DailyGoal'
+ *                     streak:
+ *                       $ref: '#/components/schemas/Streak'
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CalendarDay'
+ *       400:
+ *         description: Validation error, or a range that is empty or longer than 366 days
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not one of the teacher's students
+ */
+router.get('/calendar', authenticateToken, validateCalendarQuery, async(req, res) => {
+  try {
+    const { user } = req;
+    let studentId = user._id;
+
+    if (user.role !== 'student') {
+      if (!req.query.studentId) {
+        return res.status(400).json({
+          error: {
+            message: 'studentId is required',
+            code: 'STUDENT_REQUIRED'
+          }
+        });
+      }
+      if (user.role === 'teacher') {
+        const ids = await Classroom.getStudentIdsForTeacher(user._id);
+        if (!ids.some(id => id.toString() === req.query.studentId)) {
+          return res.status(403).json({
+            error: {
+              message: 'Access denied to this student',
+              code: 'STUDENT_ACCESS_DENIED'
+            }
+          });
+        }
+      }
+      studentId = req.query.studentId;
+    }
+
+    const calendar = await gamificationService.getCalendar(studentId, { from: req.query.from, to: req.query.to });
+    if (!calendar) {
+      return res.status(400).json({
+        error: {
+          message: `The calendar covers 1 to ${gamificationService.MAX_CALENDAR_DAYS} days`,
+          code: 'INVALID_DATE_RANGE'
+        }
+      });
+    }
+
+    res.json({ calendar });
+  } catch (error) {
+    logger.error('Get activity calendar error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch activity calendar',
+        code: 'CALENDAR_ERROR'
+      }
+    });
+  }
 });
 
 module.exports = router;
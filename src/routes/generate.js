@@ -1,13 +1,59 @@
 const express = require('express');
 const { generateQuestion } = require('../services/llmClient');
+const llm = require('../services/llmProvider');
 const Question = require('../models/Question');
+const Topic = require('../models/Topic');
 const GeneratedQuestion = require('../models/GeneratedQuestion');
+const contentRetrieval = require('../services/contentRetrieval');
 const { authenticateToken, authorize } = require('../middlewares/auth');
-const { validateGenerateQuestion } = require('../middlewares/validation');
+const {
+  validateObjectId,
+  validateGenerateQuestion,
+  validateEditGeneratedQuestion,
+  validateApproveGeneratedQuestion,
+  validateRejectGeneratedQuestion,
+  validateReviewQueue
+} = require('../middlewares/validation');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const SERVICE_UNAVAILABLE_MESSAGE = 'AI service is not configured. Set LLM_PROVIDER (or LLM_GENERATION_PROVIDER) and the provider settings, or use ?mock=true for testing.';
+
+// Review outcome of a statistics group; rates count reviewed questions only
+const summarizeReview = (group) => {
+  const approved = group.approvedCount || 0;
+  const rejected = group.rejectedCount || 0;
+  const reviewed = approved + rejected;
+  return {
+    draft: group.draftCount || 0,
+    approved,
+    rejected,
+    edited: group.editedCount || 0,
+    approvalRate: reviewed > 0 ? Math.round(approved / reviewed * 100) / 100 : null,
+    editRate: approved > 0 ? Math.round((group.editedCount || 0) / approved * 100) / 100 : null
+  };
+};
+
+// Error response when an edited draft no longer has a valid answer
+const checkCorrectIndex = (record) => {
+  const question = record.reviewedQuestion || {};
+  const choices = question.choices || [];
+  if (question.correctIndex >= choices.length) {
+    return {
+      message: `correctIndex must be less than the number of choices (${choices.length})`,
+      code: 'INVALID_CORRECT_INDEX'
+    };
+  }
+  return null;
+};
+
+// Error response when a generated question has already left the review queue
+const alreadyReviewed = (record) => ({
+  message: `This question has already been ${record.isStored ? 'saved' : record.reviewStatus}`,
+  code: 'ALREADY_REVIEWED'
+});
+
 /**
  * @swagger
  * components:
@@ -31,6 +77,9 @@ const router = express.Router();
  *           minimum: 0
  *           maximum: 1
  *           description: Difficulty level (0=easy, 1=hard)
+ *         topicId:
+ *           type: string
+ *           description: Topic the question will be added to once approved
  *     GeneratedQuestionResponse:
  *       type: object
  *       properties:
@@ -55,10 +104,114 @@ const router = express.Router();
  *                 type: string
  *         generationId:
  *           type: string
+ *           description: ID of the draft in the review queue
+ *         reviewStatus:
+ *           type: string
+ *           enum: [draft]
  *         modelUsed:
  *           type: string
+ *         provider:
+ *           type: string
+ *           description: openai, llamacpp, ollama, mock or a registered provider
+ *         tokenUsage:
+ *           type: object
+ *           properties:
+ *             promptTokens:
+ *               type: integer
+ *             completionTokens:
+ *               type: integer
+ *             totalTokens:
+ *               type: integer
  *         latencyMs:
  *           type: number
+ *     ReviewSummary:
+ *       type: object
+ *       properties:
+ *         draft:
+ *           type: number
+ *         approved:
+ *           type: number
+ *         rejected:
+ *           type: number
+ *         edited:
+ *           type: number
+ *           description: Approved after the reviewer changed the question
+ *         approvalRate:
+ *           type: number
+ *           nullable: true
+ *           description: Approved share of reviewed questions (0-1); null before any review
+ *         editRate:
+ *           type: number
+ *           nullable: true
+ *           description: Share of approved questions that needed edits
+ *     GeneratedQuestionEdits:
+ *       type: object
+ *       properties:
+ *         stem:
+ *           type: string
+ *         choices:
+ *           type: array
+ *           items:
+ *             type: string
+ *           minItems: 2
+ *           maxItems: 4
+ *         correctIndex:
+ *           type: integer
+ *         difficulty:
+ *           type: number
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         explanation:
+ *           type: string
+ *         passage:
+ *           type: string
+ *         topicId:
+ *           type: string
+ *           description: Topic the question is saved under
+ *     GeneratedQuestionReview:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         reviewedQuestion:
+ *           type: object
+ *           description: The question with the reviewer's edits applied
+ *         parsedOutput:
+ *           type: object
+ *           description: The question as the model returned it
+ *         modelUsed:
+ *           type: string
+ *         provider:
+ *           type: string
+ *         parameters:
+ *           type: object
+ *         chapterId:
+ *           type: string
+ *         topicId:
+ *           type: string
+ *         reviewStatus:
+ *           type: string
+ *           enum: [draft, approved, rejected]
+ *         edited:
+ *           type: boolean
+ *         rejection:
+ *           type: object
+ *           properties:
+ *             reason:
+ *               type: string
+ *               enum: [incorrect_answer, ambiguous, off_syllabus, wrong_difficulty, duplicate, poor_language, inappropriate, other]
+ *             note:
+ *               type: string
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         questionId:
+ *           type: string
+ *           description: Question bank entry created on approval
  */
 
 /**
@@ -66,6 +219,10 @@ const router = express.Router();
  * /api/generate/question:
  *   post:
  *     summary: Generate a question using AI
+ *     description: |
+ *       The question is stored as a draft in the review queue. It joins the
+ *       question bank, and becomes available to assessments, only when a
+ *       teacher approves it.
  *     tags: [Generate]
  *     security:
  *       - bearerAuth: []
@@ -95,30 +252,54 @@ const router = express.Router();
  *         description: Unauthorized
  *       403:
  *         description: Access denied (teachers and admins only)
+ *       404:
+ *         description: Topic not found
+ *       422:
+ *         description: The generated question was blocked by the content filter
  *       503:
  *         description: AI service unavailable
+ *       504:
+ *         description: AI service timed out
  */
 router.post('/question', authenticateToken, authorize('teacher', 'admin'), validateGenerateQuestion, async(req, res) => {
   try {
-    const { topic, grade, difficulty } = req.body;
+    const { topic, grade, difficulty, topicId } = req.body;
     const { mock } = req.query;
 
-    // Check if OpenAI API key is available when not using mock
-    if (mock !== 'true' && !process.env.OPENAI_API_KEY) {
+    // Check the configured generation provider when not using mock
+    if (mock !== 'true' && !llm.isConfigured('generation')) {
       return res.status(503).json({
         error: {
-          message: 'AI service is not configured. Please set OPENAI_API_KEY environment variable or use ?mock=true for testing.',
+          message: SERVICE_UNAVAILABLE_MESSAGE,
           code: 'AI_SERVICE_UNAVAILABLE'
         }
       });
     }
 
+    let target;
+    if (topicId) {
+      target = await Topic.findOne({ _id: topicId, isActive: true }).select('chapterId');
+      if (!target) {
+        return res.status(404).json({
+          error: {
+            message: 'Topic not found',
+            code: 'TOPIC_NOT_FOUND'
+          }
+        });
+      }
+    }
+
     // Generate the question
     const result = await generateQuestion({
       topic,
       grade,
       difficulty,
-      mock: mock === 'true'
+      mock: mock === 'true',
+      opts: {
+        userId: req.user._id,
+        chapterId: target?.chapterId,
+        topicId: target?._id
+      }
     });
 
     // Prepare the question data for the frontend (don't save yet)
@@ -131,7 +312,7 @@ router.post('/question', authenticateToken, authorize('teacher', 'admin'), valid
       grade,
       topic,
       isGenerated: true,
-      generatedBy: result.modelUsed === 'mock' ? 'mock' : 'openai'
+      generatedBy: result.provider
     };
 
     // Only add optional fields if they have values
@@ -142,26 +323,47 @@ router.post('/question', authenticateToken, authorize('teacher', 'admin'), valid
       questionData.passage = result.question.passage;
     }
 
-    logger.info(`Question generated using ${result.modelUsed}`);
+    logger.info(`Question generated using ${result.provider}/${result.modelUsed}`);
 
     res.json({
       question: questionData,
       generationId: result.generationId,
+      reviewStatus: result.reviewStatus,
       modelUsed: result.modelUsed,
+      provider: result.provider,
+      tokenUsage: result.tokenUsage,
       latencyMs: result.latencyMs
     });
   } catch (error) {
     logger.error('Generate question error:', error);
 
-    if (error.message.includes('OpenAI API key not configured')) {
+    if (error.code === 'LLM_NOT_CONFIGURED') {
       return res.status(503).json({
         error: {
-          message: 'AI service is not configured. Please set OPENAI_API_KEY environment variable or use ?mock=true for testing.',
+          message: SERVICE_UNAVAILABLE_MESSAGE,
           code: 'AI_SERVICE_UNAVAILABLE'
         }
       });
     }
 
+    if (error.code === 'LLM_CONTENT_BLOCKED') {
+      return res.status(422).json({
+        error: {
+          message: 'The generated question did not pass the content filter; please try again',
+          code: 'CONTENT_BLOCKED'
+        }
+      });
+    }
+
+    if (error.code === 'LLM_TIMEOUT') {
+      return res.status(504).json({
+        error: {
+          message: 'The AI service did not respond in time',
+          code: 'AI_SERVICE_TIMEOUT'
+        }
+      });
+    }
+
     res.status(500).json({
       error: {
         message: 'Failed to generate question',
@@ -184,8 +386,12 @@ router.post('/question', authenticateToken, authorize('teacher', 'admin'), valid
  *         name: modelUsed
  *         schema:
  *           type: string
- *           enum: [gpt-3.5-turbo, gpt-4, gpt-4-turbo, mock]
- *         description: Filter by model used
+ *         description: Filter by model used (e.g. gpt-3.5-turbo, llama3, mock)
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         description: Filter by LLM provider (openai, llamacpp, ollama, mock or a registered provider)
  *       - in: query
  *         name: startDate
  *         schema:
@@ -218,6 +424,10 @@ router.post('/question', authenticateToken, authorize('teacher', 'admin'), valid
  *                   type: number
  *                 averageSuccessRate:
  *                   type: number
+ *                 totalTokens:
+ *                   type: number
+ *                 review:
+ *                   $ref: '#/components/schemas/ReviewSummary'
  *                 modelPerformance:
  *                   type: array
  *                   items:
@@ -225,12 +435,43 @@ router.post('/question', authenticateToken, authorize('teacher', 'admin'), valid
  *                     properties:
  *                       model:
  *                         type: string
+ *                       provider:
+ *                         type: string
+ *                       totalTokens:
+ *                         type: number
  *                       totalGenerated:
  *                         type: number
  *                       averageLatency:
  *                         type: number
  *                       averageQualityScore:
  *                         type: number
+ *                       review:
+ *                         $ref: '#/components/schemas/ReviewSummary'
+ *                 topicPerformance:
+ *                   type: array
+ *                   description: Review outcomes per requested topic and grade, most generated first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       topic:
+ *                         type: string
+ *                       grade:
+ *                         type: string
+ *                       totalGenerated:
+ *                         type: number
+ *                       review:
+ *                         $ref: '#/components/schemas/ReviewSummary'
+ *                 rejectionReasons:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       reason:
+ *                         type: string
+ *                       model:
+ *                         type: string
+ *                       count:
+ *                         type: number
  *       401:
  *         description: Unauthorized
  *       403:
@@ -238,10 +479,11 @@ router.post('/question', authenticateToken, authorize('teacher', 'admin'), valid
  */
 router.get('/stats', authenticateToken, authorize('teacher', 'admin'), async(req, res) => {
   try {
-    const { modelUsed, startDate, endDate } = req.query;
+    const { modelUsed, provider, startDate, endDate } = req.query;
 
     const filters = {};
     if (modelUsed) filters.modelUsed = modelUsed;
+    if (provider) filters.provider = provider;
     if (startDate || endDate) {
       filters.dateRange = {};
       if (startDate) filters.dateRange.start = new Date(startDate);
@@ -252,7 +494,11 @@ router.get('/stats', authenticateToken, authorize('teacher', 'admin'), async(req
     const overallStats = await GeneratedQuestion.getGenerationStats(filters);
 
     // Get model performance comparison
-    const modelPerformance = await GeneratedQuestion.getModelPerformance();
+    const modelPerformance = await GeneratedQuestion.getModelPerformance(filters);
+    const [topicPerformance, rejectionReasons] = await Promise.all([
+      GeneratedQuestion.getTopicReviewStats(filters),
+      GeneratedQuestion.getRejectionReasons(filters)
+    ]);
 
     const stats = overallStats.length > 0 ? overallStats[0] : {
       totalGenerated: 0,
@@ -270,14 +516,33 @@ router.get('/stats', authenticateToken, authorize('teacher', 'admin'), async(req
       storedCount: stats.storedCount,
       averageUsageCount: Math.round(stats.averageUsageCount * 100) / 100,
       averageSuccessRate: Math.round(stats.averageSuccessRate * 100) / 100,
+      totalTokens: stats.totalTokens || 0,
+      review: summarizeReview(stats),
       modelPerformance: modelPerformance.map(model => ({
         model: model._id,
+        provider: model.provider,
         totalGenerated: model.totalGenerated,
         averageLatency: Math.round(model.averageLatency * 100) / 100,
         averageQualityScore: Math.round(model.averageQualityScore * 100) / 100,
         storedCount: model.storedCount,
         averageUsageCount: Math.round(model.averageUsageCount * 100) / 100,
-        averageSuccessRate: Math.round(model.averageSuccessRate * 100) / 100
+        averageSuccessRate: Math.round(model.averageSuccessRate * 100) / 100,
+        promptTokens: model.promptTokens,
+        completionTokens: model.completionTokens,
+        totalTokens: model.totalTokens,
+        averageAttempts: Math.round(model.averageAttempts * 100) / 100,
+        review: summarizeReview(model)
+      })),
+      topicPerformance: topicPerformance.map(topic => ({
+        topic: topic.topic,
+        grade: topic._id.grade,
+        totalGenerated: topic.totalGenerated,
+        review: summarizeReview(topic)
+      })),
+      rejectionReasons: rejectionReasons.map(({ _id, count }) => ({
+        reason: _id.reason,
+        model: _id.model,
+        count
       }))
     });
   } catch (error) {
@@ -319,8 +584,7 @@ router.get('/stats', authenticateToken, authorize('teacher', 'admin'), async(req
  *         name: modelUsed
  *         schema:
  *           type: string
- *           enum: [gpt-3.5-turbo, gpt-4, gpt-4-turbo, mock]
- *         description: Filter by model used
+ *         description: Filter by model used (e.g. gpt-3.5-turbo, llama3, mock)
  *       - in: query
  *         name: isStored
  *         schema:
@@ -337,6 +601,12 @@ router.get('/stats', authenticateToken, authorize('teacher', 'admin'), async(req
  *           type: string
  *           enum: [6, 7, 8, 9]
  *         description: Filter by grade
+ *       - in: query
+ *         name: reviewStatus
+ *         schema:
+ *           type: string
+ *           enum: [draft, approved, rejected]
+ *         description: Filter by review status
  *     responses:
  *       200:
  *         description: Generated questions retrieved successfully
@@ -369,6 +639,8 @@ router.get('/stats', authenticateToken, authorize('teacher', 'admin'), async(req
  *                         type: string
  *                       isStored:
  *                         type: boolean
+ *                       reviewStatus:
+ *                         type: string
  *                       qualityScore:
  *                         type: number
  *                       usageCount:
@@ -399,7 +671,8 @@ router.get('/questions', authenticateToken, authorize('teacher', 'admin'), async
       modelUsed,
       isStored,
       topic,
-      grade
+      grade,
+      reviewStatus
     } = req.query;
 
     const skip = (page - 1) * limit;
@@ -410,6 +683,7 @@ router.get('/questions', authenticateToken, authorize('teacher', 'admin'), async
     if (isStored !== undefined) filter.isStored = isStored === 'true';
     if (topic) filter['parameters.topic'] = new RegExp(topic, 'i');
     if (grade) filter['parameters.grade'] = grade;
+    if (reviewStatus) filter.reviewStatus = reviewStatus;
 
     // Get generated questions with pagination
     const questions = await GeneratedQuestion.find(filter)
@@ -440,4 +714,437 @@ router.get('/questions', authenticateToken, authorize('teacher', 'admin'), async
   }
 });
 
+/**
+ * @swagger
+ * /api/generate/review:
+ *   get:
+ *     summary: List generated questions waiting for review
+ *     description: Generated questions are drafts until a teacher approves them; only approved questions join the question bank.
+ *     tags: [Generate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, approved, rejected]
+ *           default: draft
+ *       - in: query
+ *         name: topic
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *           enum: [6, 7, 8, 9]
+ *       - in: query
+ *         name: modelUsed
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         description: openai, llamacpp, ollama, mock or a registered provider
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Review queue retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 questions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GeneratedQuestionReview'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (teachers and admins only)
+ */
+router.get('/review', authenticateToken, authorize('teacher', 'admin'), validateReviewQueue, async(req, res) => {
+  try {
+    const { status = 'draft', topic, grade, modelUsed, provider } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = { reviewStatus: status };
+    // Questions saved before the review step are already in the question bank
+    if (status === 'draft') filter.isStored = { $ne: true };
+    if (topic) filter['parameters.topic'] = new RegExp(topic.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    if (grade) filter['parameters.grade'] = grade;
+    if (modelUsed) filter.modelUsed = modelUsed;
+    if (provider) filter.provider = provider;
+
+    const [questions, total] = await Promise.all([
+      GeneratedQuestion.find(filter)
+        .select('-inputPrompt')
+        .populate('requestedBy', 'name')
+        .populate('reviewedBy', 'name')
+        .populate('topicId', 'topicName')
+        .sort({ generatedAt: status === 'draft' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GeneratedQuestion.countDocuments(filter)
+    ]);
+
+    res.json({
+      questions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get review queue error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve the review queue',
+        code: 'GET_REVIEW_QUEUE_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/generate/review/{id}:
+ *   put:
+ *     summary: Edit a draft generated question
+ *     description: The model output is kept; edits are stored separately and used when the question is approved.
+ *     tags: [Generate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GeneratedQuestionEdits'
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GeneratedQuestionReview'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Generated question or topic not found
+ *       409:
+ *         description: The question has already been reviewed
+ */
+router.put('/review/:id', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), validateEditGeneratedQuestion, async(req, res) => {
+  try {
+    const record = await GeneratedQuestion.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        error: {
+          message: 'Generated question not found',
+          code: 'GENERATED_QUESTION_NOT_FOUND'
+        }
+      });
+    }
+
+    if (record.reviewStatus !== 'draft' || record.isStored) {
+      return res.status(409).json({ error: alreadyReviewed(record) });
+    }
+
+    if (req.body.topicId) {
+      const topic = await Topic.findOne({ _id: req.body.topicId, isActive: true }).select('chapterId');
+      if (!topic) {
+        return res.status(404).json({
+          error: {
+            message: 'Topic not found',
+            code: 'TOPIC_NOT_FOUND'
+          }
+        });
+      }
+      record.topicId = topic._id;
+      record.chapterId = topic.chapterId;
+    }
+
+    record.applyEdits(req.body);
+    const invalid = checkCorrectIndex(record);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await record.save();
+
+    logger.info(`Generated question ${record._id} edited by ${req.user.email}`);
+
+    res.json(record);
+  } catch (error) {
+    logger.error('Edit generated question error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to update generated question',
+        code: 'EDIT_GENERATED_QUESTION_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/generate/review/{id}/approve:
+ *   post:
+ *     summary: Approve a generated question
+ *     description: Saves the question, with any edits, to the question bank as active so adaptive practice can select it.
+ *     tags: [Generate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GeneratedQuestionEdits'
+ *     responses:
+ *       201:
+ *         description: Question approved and saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 question:
+ *                   type: object
+ *                 generation:
+ *                   $ref: '#/components/schemas/GeneratedQuestionReview'
+ *       400:
+ *         description: Validation error, or no topic chosen for the question
+ *       404:
+ *         description: Generated question or topic not found
+ *       409:
+ *         description: Already reviewed, or the question bank has the same question
+ */
+router.post('/review/:id/approve', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), validateApproveGeneratedQuestion, async(req, res) => {
+  try {
+    const record = await GeneratedQuestion.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        error: {
+          message: 'Generated question not found',
+          code: 'GENERATED_QUESTION_NOT_FOUND'
+        }
+      });
+    }
+
+    if (record.reviewStatus !== 'draft' || record.isStored) {
+      return res.status(409).json({ error: alreadyReviewed(record) });
+    }
+
+    const topicId = req.body.topicId || record.topicId;
+    if (!topicId) {
+      return res.status(400).json({
+        error: {
+          message: 'Choose the topic this question belongs to before approving it',
+          code: 'TOPIC_REQUIRED'
+        }
+      });
+    }
+
+    const topic = await Topic.findOne({ _id: topicId, isActive: true }).select('topicName chapterId');
+    if (!topic) {
+      return res.status(404).json({
+        error: {
+          message: 'Topic not found',
+          code: 'TOPIC_NOT_FOUND'
+        }
+      });
+    }
+
+    record.applyEdits(req.body);
+    const invalid = checkCorrectIndex(record);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const questionData = record.toQuestionData(topic, req.user._id);
+
+    // Check for duplicate questions based on stem content
+    const existingQuestion = await Question.findOne({
+      stem: { $regex: new RegExp(`^${String(questionData.stem).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') },
+      isActive: true
+    });
+
+    if (existingQuestion) {
+      return res.status(409).json({
+        error: {
+          message: 'A question with this content already exists in the database',
+          code: 'DUPLICATE_QUESTION',
+          details: {
+            existingQuestionId: existingQuestion._id,
+            existingQuestionStem: existingQuestion.stem
+          }
+        }
+      });
+    }
+
+    // Two approvals at once, such as a double click, would otherwise both save the question
+    if (!(await GeneratedQuestion.claimForApproval(record._id))) {
+      const current = await GeneratedQuestion.findById(record._id);
+      return res.status(409).json({ error: alreadyReviewed(current || record) });
+    }
+
+    const question = new Question(questionData);
+    try {
+      await question.save();
+    } catch (error) {
+      await GeneratedQuestion.releaseClaim(record._id);
+      throw error;
+    }
+
+    record.topicId = topic._id;
+    record.chapterId = topic.chapterId;
+    await record.approve(req.user._id, question._id);
+    await contentRetrieval.syncQuestion(question);
+
+    logger.info(`Generated question ${record._id} approved as ${question._id} by ${req.user.email}`);
+
+    res.status(201).json({
+      question,
+      generation: record
+    });
+  } catch (error) {
+    logger.error('Approve generated question error:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message,
+        value: err.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: validationErrors
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        message: 'Failed to approve generated question',
+        code: 'APPROVE_GENERATED_QUESTION_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/generate/review/{id}/reject:
+ *   post:
+ *     summary: Reject a generated question
+ *     description: The reason is stored with the prompt that produced the question so prompts can be improved.
+ *     tags: [Generate]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [incorrect_answer, ambiguous, off_syllabus, wrong_difficulty, duplicate, poor_language, inappropriate, other]
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Required when the reason is other
+ *     responses:
+ *       200:
+ *         description: Question rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GeneratedQuestionReview'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Generated question not found
+ *       409:
+ *         description: The question has already been reviewed
+ */
+router.post('/review/:id/reject', authenticateToken, authorize('teacher', 'admin'), validateObjectId('id'), validateRejectGeneratedQuestion, async(req, res) => {
+  try {
+    const record = await GeneratedQuestion.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        error: {
+          message: 'Generated question not found',
+          code: 'GENERATED_QUESTION_NOT_FOUND'
+        }
+      });
+    }
+
+    if (record.reviewStatus !== 'draft' || record.isStored) {
+      return res.status(409).json({ error: alreadyReviewed(record) });
+    }
+
+    await record.reject(req.user._id, req.body.reason, req.body.note);
+
+    logger.info(`Generated question ${record._id} rejected (${req.body.reason}) by ${req.user.email}`);
+
+    res.json(record);
+  } catch (error) {
+    logger.error('Reject generated question error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to reject generated question',
+        code: 'REJECT_GENERATED_QUESTION_ERROR'
+      }
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const ModerationEvent = require('../models/ModerationEvent');
+const Classroom = require('../models/Classroom');
+const moderation = require('../services/moderation');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const {
+  validateUpdateModerationPolicy,
+  validateModerationEventQuery
+} = require('../middlewares/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ModerationPolicy:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         rules:
+ *           type: object
+ *           description: |
+ *             Action per category: `block` rejects the text, `redact` removes
+ *             the matches, `log` only records an event and `off` skips the check
+ *           properties:
+ *             profanity:
+ *               type: object
+ *               properties:
+ *                 action:
+ *                   type: string
+ *                   enum: [block, redact, log, off]
+ *             pii:
+ *               type: object
+ *               properties:
+ *                 action:
+ *                   type: string
+ *                   enum: [block, redact, log, off]
+ *             offTopic:
+ *               type: object
+ *               properties:
+ *                 action:
+ *                   type: string
+ *                   enum: [block, log, off]
+ *         scopes:
+ *           type: object
+ *           description: Whether student messages (input) and generated text (output) are checked
+ *           properties:
+ *             input:
+ *               type: boolean
+ *             output:
+ *               type: boolean
+ *         blockedTerms:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Extra profanity in any language; a trailing * matches word prefixes
+ *         allowedTerms:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Words never treated as profane or off-topic
+ *     ModerationEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         userId:
+ *           type: object
+ *         source:
+ *           type: string
+ *           enum: [chatbot, hint, question_generation, recommendation]
+ *         direction:
+ *           type: string
+ *           enum: [input, output]
+ *         action:
+ *           type: string
+ *           enum: [blocked, redacted, logged]
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [profanity, pii, offTopic]
+ *         terms:
+ *           type: array
+ *           items:
+ *             type: string
+ *         piiTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         excerpt:
+ *           type: string
+ *           description: Start of the text, with personal details removed
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/moderation/policy:
+ *   get:
+ *     summary: Get the moderation policy (Admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Moderation policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 policy:
+ *                   $ref: '#/components/schemas/ModerationPolicy'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (admins only)
+ */
+router.get('/policy', authenticateToken, authorize('admin'), (req, res) => {
+  res.json({
+    policy: moderation.getPolicy()
+  });
+});
+
+/**
+ * @swagger
+ * /api/moderation/policy:
+ *   put:
+ *     summary: Update the moderation policy (Admin only)
+ *     description: Fields not sent keep their values; `rules` and `scopes` may be partial.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModerationPolicy'
+ *     responses:
+ *       200:
+ *         description: Moderation policy updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (admins only)
+ */
+router.put('/policy', authenticateToken, authorize('admin'), validateUpdateModerationPolicy, async(req, res) => {
+  try {
+    const policy = await moderation.updatePolicy(req.body, req.user._id);
+
+    res.json({
+      message: 'Moderation policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    logger.error('Update moderation policy error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to update moderation policy',
+        code: 'UPDATE_MODERATION_POLICY_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/moderation/events:
+ *   get:
+ *     summary: List blocked, redacted and logged content
+ *     description: |
+ *       Teachers see the events of students in their classes, narrowed with
+ *       `studentId` or `classroomId`; admins see every event.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classroomId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [profanity, pii, offTopic]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [chatbot, hint, question_generation, recommendation]
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [blocked, redacted, logged]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Moderation events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ModerationEvent'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Student or class is not visible to the user
+ */
+router.get('/events', authenticateToken, authorize('teacher', 'admin'), validateModerationEventQuery, async(req, res) => {
+  try {
+    const { studentId, classroomId, category, source, action, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { role, _id: userId } = req.user;
+
+    const query = {};
+    if (studentId) {
+      if (role === 'teacher' && !await Classroom.teacherHasStudent(userId, studentId)) {
+        return res.status(403).json({
+          error: {
+            message: 'Student is not enrolled in any of your classes',
+            code: 'ACCESS_DENIED'
+          }
+        });
+      }
+      query.userId = studentId;
+    } else if (classroomId) {
+      const classroom = await Classroom.findById(classroomId).select('students teachers');
+      if (!classroom || (role === 'teacher' && !classroom.hasTeacher(userId))) {
+        return res.status(403).json({
+          error: {
+            message: 'Class not found or not taught by you',
+            code: 'ACCESS_DENIED'
+          }
+        });
+      }
+      query.userId = { $in: classroom.students };
+    } else if (role === 'teacher') {
+      query.userId = { $in: await Classroom.getStudentIdsForTeacher(userId) };
+    }
+
+    if (category) query.categories = category;
+    if (source) query.source = source;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      ModerationEvent.find(query)
+        .populate('userId', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ModerationEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('List moderation events error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve moderation events',
+        code: 'GET_MODERATION_EVENTS_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -6,8 +6,14 @@ const Topic = require('../models/Topic');
 const Response = require('../models/Response');
 const TopicPerformance = require('../models/TopicPerformance');
 const AdaptiveDifficultyEngine = require('../services/adaptiveDifficulty');
+const gamificationService = require('../services/gamificationService');
+const spacedRepetition = require('../services/spacedRepetition');
 const AnswerValidator = require('../services/answerValidator');
+const IRTEngine = require('../services/irtEngine');
+const itemSelection = require('../services/itemSelection');
+const localization = require('../services/localization');
 const { authenticateToken } = require('../middlewares/auth');
+const { resolveLanguage } = require('../middlewares/language');
 const { validateObjectId } = require('../middlewares/validation');
 const logger = require('../utils/logger');
 
@@ -94,6 +100,16 @@ const router = express.Router();
  *                 minimum: 0
  *                 maximum: 1
  *                 description: Target difficulty level
+ *               selectionStrategy:
+ *                 type: string
+ *                 enum: [max-information, target-difficulty]
+ *                 default: max-information
+ *                 description: Next-question selection strategy
+ *               exposureControl:
+ *                 type: string
+ *                 enum: [none, randomesque, sympson-hetter]
+ *                 default: randomesque
+ *                 description: Item exposure control method
  *     responses:
  *       201:
  *         description: Practice session started successfully
@@ -111,9 +127,16 @@ const router = express.Router();
  *       404:
  *         description: Chapter not found
  */
-router.post('/start', authenticateToken, async (req, res) => {
+router.post('/start', authenticateToken, resolveLanguage, async (req, res) => {
   try {
-    const { chapterId, topicId, questionTypes, difficulty } = req.body;
+    const {
+      chapterId,
+      topicId,
+      questionTypes,
+      difficulty,
+      selectionStrategy = itemSelection.DEFAULT_STRATEGY,
+      exposureControl = 'randomesque'
+    } = req.body;
     const studentId = req.user._id;
 
     if (!chapterId) {
@@ -125,6 +148,24 @@ router.post('/start', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!itemSelection.getStrategyNames().includes(selectionStrategy)) {
+      return res.status(400).json({
+        error: {
+          message: `Unknown selection strategy: ${selectionStrategy}`,
+          code: 'INVALID_SELECTION_STRATEGY'
+        }
+      });
+    }
+
+    if (!itemSelection.EXPOSURE_CONTROLS.includes(exposureControl)) {
+      return res.status(400).json({
+        error: {
+          message: `Unknown exposure control: ${exposureControl}`,
+          code: 'INVALID_EXPOSURE_CONTROL'
+        }
+      });
+    }
+
     // Verify chapter exists
     const chapter = await Chapter.findById(chapterId);
     if (!chapter) {
@@ -160,6 +201,7 @@ router.post('/start', authenticateToken, async (req, res) => {
       sessionType: 'adaptive',
       mode: 'practice',
       chapterId,
+      topicId,
       allowRetry: true,
       showSolutions: true,
       adaptiveParameters: {
@@ -167,27 +209,24 @@ router.post('/start', authenticateToken, async (req, res) => {
         difficultyStep: 0.1,
         maxQuestions: 50, // Unlimited for practice
         minQuestions: 1,
-        confidenceThreshold: 0.8
+        confidenceThreshold: 0.8,
+        selectionStrategy,
+        exposureControl
       }
     };
 
     const session = new AssessmentSession(sessionData);
 
-    // Get first question
-    let firstQuestion;
-    if (topicId) {
-      // Practice specific topic
-      firstQuestion = await AdaptiveDifficultyEngine.getNextQuestion(studentId, topicId, []);
-    } else {
-      // Practice entire chapter
-      const questions = await AdaptiveDifficultyEngine.getAdaptiveQuestionsForChapter(
-        studentId, 
-        chapterId, 
-        1, 
-        []
-      );
-      firstQuestion = questions[0];
-    }
+    // Get first question (restricted to topicId when practising a single topic)
+    const firstQuestion = await AdaptiveDifficultyEngine.selectNextQuestion({
+      studentId,
+      chapterId,
+      topicId,
+      excludeQuestionIds: [],
+      theta: IRTEngine.difficultyToLogit(session.adaptiveParameters.initialDifficulty),
+      strategy: selectionStrategy,
+      exposureControl
+    });
 
     if (!firstQuestion) {
       return res.status(404).json({
@@ -201,20 +240,23 @@ router.post('/start', authenticateToken, async (req, res) => {
     // Add first question to session
     await session.addItem(firstQuestion._id, {
       difficulty: firstQuestion.difficulty,
-      topic: firstQuestion.topic
+      topic: firstQuestion.topic,
+      irtParameters: firstQuestion.getIrtParameters()
     });
 
     await session.save();
 
     logger.info(`Practice session started: ${session._id} for student ${studentId}`);
 
+    const shownChapter = await localization.localize('chapter', chapter, req.language);
+
     res.status(201).json({
       session: {
         sessionId: session._id,
         chapterId: chapter._id,
-        chapterName: chapter.chapterName,
+        chapterName: shownChapter.chapterName,
         mode: 'practice',
-        currentQuestion: firstQuestion,
+        currentQuestion: await localization.localize('question', firstQuestion, req.language),
         progress: {
           totalQuestions: 0,
           attemptedQuestions: 0,
@@ -284,6 +326,12 @@ router.post('/start', authenticateToken, async (req, res) => {
  *                   type: boolean
  *                 feedback:
  *                   type: object
+ *                 hintsUsed:
+ *                   type: integer
+ *                   description: Hints used on this question
+ *                 score:
+ *                   type: number
+ *                   description: Credit for the answer (0-1), reduced by each hint used
  *                 nextQuestion:
  *                   type: object
  *                 progress:
@@ -295,7 +343,7 @@ router.post('/start', authenticateToken, async (req, res) => {
  *       404:
  *         description: Session not found
  */
-router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId'), async (req, res) => {
+router.post('/:sessionId/answer', authenticateToken, resolveLanguage, validateObjectId('sessionId'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { answer, responseTimeMs = 0 } = req.body;
@@ -352,9 +400,10 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
       });
     }
 
-    // Validate answer
-    const validationResult = AnswerValidator.validateAnswer(question, answer);
-    const feedback = AnswerValidator.getFeedback(question, answer, validationResult);
+    // Validate answer against the question as the student saw it
+    const shownQuestion = await localization.localize('question', question, req.language);
+    const validationResult = AnswerValidator.validateAnswer(shownQuestion, answer, localization.answerOptions(question));
+    const feedback = AnswerValidator.getFeedback(shownQuestion, answer, validationResult);
 
     if (!validationResult.isValid) {
       return res.status(400).json({
@@ -387,24 +436,59 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
       questionNumber: currentItem.questionNumber,
       difficulty: question.difficulty,
       topic: question.topic,
-      studentAbility: session.estimatedAbility
+      studentAbility: session.estimatedAbility,
+      hintsUsed: currentItem.hintsUsed || 0
     });
     await response.save();
 
+    // Mistakes are scheduled for revision, and due questions answered count as reviews
+    await spacedRepetition.recordAnswer({
+      studentId,
+      question,
+      isCorrect,
+      responseTimeMs,
+      hintsUsed: currentItem.hintsUsed || 0,
+      mode: session.mode
+    });
+
     // Update question usage statistics
     await question.updateUsageStats(isCorrect, responseTimeMs);
 
     // Update adaptive difficulty tracking
+    let mastery = null;
     if (question.topicId) {
-      await AdaptiveDifficultyEngine.recordAttempt(studentId, question.topicId, isCorrect, responseTimeMs, question.difficulty);
+      mastery = await AdaptiveDifficultyEngine.recordAttempt(studentId, question.topicId, isCorrect, responseTimeMs, question.difficulty);
     }
 
+    // Gamification: practice pays less, and repeated questions less again
+    await gamificationService.recordAnswer({
+      userId: studentId,
+      question,
+      isCorrect,
+      responseTimeMs,
+      mode: session.mode,
+      mastery
+    });
+
     // Get next question
     const usedQuestionIds = session.items.map(item => item.questionId);
     let nextQuestion = null;
 
-    if (question.topicId) {
-      nextQuestion = await AdaptiveDifficultyEngine.getNextQuestion(studentId, question.topicId, usedQuestionIds);
+    if (session.adaptiveParameters.selectionStrategy === 'target-difficulty') {
+      if (question.topicId) {
+        nextQuestion = await AdaptiveDifficultyEngine.getNextQuestion(studentId, question.topicId, usedQuestionIds);
+      }
+    } else {
+      nextQuestion = await AdaptiveDifficultyEngine.selectNextQuestion({
+        studentId,
+        chapterId: session.chapterId,
+        topicId: session.topicId,
+        excludeQuestionIds: usedQuestionIds,
+        theta: session.abilityTheta,
+        strategy: session.adaptiveParameters.selectionStrategy,
+        exposureControl: session.adaptiveParameters.exposureControl,
+        contentBalancing: session.adaptiveParameters.contentBalancing
+      });
     }
 
     if (!nextQuestion) {
@@ -423,7 +507,8 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
     if (nextQuestion) {
       await session.addItem(nextQuestion._id, {
         difficulty: nextQuestion.difficulty,
-        topic: nextQuestion.topic
+        topic: nextQuestion.topic,
+        irtParameters: nextQuestion.getIrtParameters()
       });
     }
 
@@ -432,12 +517,16 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
     res.json({
       isCorrect,
       feedback,
-      nextQuestion,
+      hintsUsed: currentItem.hintsUsed || 0,
+      score: currentItem.score,
+      nextQuestion: await localization.localize('question', nextQuestion, req.language),
       progress: {
         totalQuestions: session.totalQuestions,
         attemptedQuestions: session.answeredQuestions,
         correctAnswers: session.correctAnswers,
-        accuracy: session.answeredQuestions > 0 ? (session.correctAnswers / session.answeredQuestions) : 0
+        accuracy: session.answeredQuestions > 0 ? (session.correctAnswers / session.answeredQuestions) : 0,
+        score: session.score,
+        hintsUsed: session.hintsUsed
       }
     });
   } catch (error) {
@@ -483,7 +572,7 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
  *       404:
  *         description: Session or question not found
  */
-router.get('/:sessionId/solution', authenticateToken, validateObjectId('sessionId'), async (req, res) => {
+router.get('/:sessionId/solution', authenticateToken, resolveLanguage, validateObjectId('sessionId'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const studentId = req.user._id;
@@ -517,8 +606,8 @@ router.get('/:sessionId/solution', authenticateToken, validateObjectId('sessionI
       });
     }
 
-    const question = await Question.findById(currentItem.questionId);
-    if (!question) {
+    const storedQuestion = await Question.findById(currentItem.questionId);
+    if (!storedQuestion) {
       return res.status(404).json({
         error: {
           message: 'Question not found',
@@ -527,6 +616,7 @@ router.get('/:sessionId/solution', authenticateToken, validateObjectId('sessionI
       });
     }
 
+    const question = await localization.localize('question', storedQuestion, req.language);
     const solution = {
       questionId: question._id,
       questionType: question.questionType,
@@ -819,7 +909,9 @@ router.post('/:sessionId/end', authenticateToken, validateObjectId('sessionId'),
       });
     }
 
+    session.stopReason = 'student_ended';
     await session.complete();
+    await gamificationService.recordSessionComplete(session);
 
     const summary = {
       totalQuestions: session.totalQuestions,
@@ -1,16 +1,30 @@
 const express = require('express');
 const Question = require('../models/Question');
+const ImportJob = require('../models/ImportJob');
 const { authenticateToken, authorize } = require('../middlewares/auth');
+const { resolveLanguage } = require('../middlewares/language');
+const { uploadSingle } = require('../middlewares/upload');
 const {
   validateCreateQuestion,
   validateUpdateQuestion,
   validateQuestionQuery,
+  validateBulkUpload,
+  validateQuestionExport,
   validateObjectId
 } = require('../middlewares/validation');
+const { detectFormat, parseFile, ImportFileError } = require('../services/questionParsers');
+const { runImport } = require('../services/questionImport');
+const questionExport = require('../services/questionExport');
+const localization = require('../services/localization');
+const contentRetrieval = require('../services/contentRetrieval');
+const AnswerValidator = require('../services/answerValidator');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Larger uploads are processed in the background
+const SYNC_IMPORT_ROW_LIMIT = 200;
+
 /**
  * @swagger
  * components:
@@ -62,6 +76,12 @@ const router = express.Router();
  *         explanation:
  *           type: string
  *           description: Explanation of the correct answer
+ *         hints:
+ *           type: array
+ *           maxItems: 3
+ *           items:
+ *             type: string
+ *           description: Teacher-authored hints, least specific first (shown to teachers and admins only)
  *         isGenerated:
  *           type: boolean
  *           description: Whether the question was AI-generated
@@ -98,7 +118,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Question'
  *       400:
- *         description: Validation error
+ *         description: Validation error, or a generated question sent here instead of the review queue
  *       401:
  *         description: Unauthorized
  *       403:
@@ -106,6 +126,16 @@ const router = express.Router();
  */
 router.post('/', authenticateToken, authorize('teacher', 'admin'), validateCreateQuestion, async(req, res) => {
   try {
+    // Generated questions join the bank only through the review queue
+    if (req.body.isGenerated) {
+      return res.status(400).json({
+        error: {
+          message: 'Generated questions must be approved through the review queue (POST /api/generate/review/{id}/approve)',
+          code: 'REVIEW_REQUIRED'
+        }
+      });
+    }
+
     const questionData = {
       ...req.body,
       createdBy: req.user._id,
@@ -135,6 +165,7 @@ router.post('/', authenticateToken, authorize('teacher', 'admin'), validateCreat
 
     const question = new Question(questionData);
     await question.save();
+    await contentRetrieval.syncQuestion(question);
 
     logger.info(`Question created: ${question._id} by ${req.user.email}`);
 
@@ -276,6 +307,8 @@ router.post('/', authenticateToken, authorize('teacher', 'admin'), validateCreat
  *           enum: [asc, desc]
  *           default: desc
  *         description: Sort order
+ *       - $ref: '#/components/parameters/lang'
+ *       - $ref: '#/components/parameters/acceptLanguage'
  *     responses:
  *       200:
  *         description: Questions retrieved successfully
@@ -302,7 +335,7 @@ router.post('/', authenticateToken, authorize('teacher', 'admin'), validateCreat
  *       401:
  *         description: Unauthorized
  */
-router.get('/', authenticateToken, validateQuestionQuery, async(req, res) => {
+router.get('/', authenticateToken, resolveLanguage, validateQuestionQuery, async(req, res) => {
   try {
     const {
       page,
@@ -364,7 +397,7 @@ router.get('/', authenticateToken, validateQuestionQuery, async(req, res) => {
     const total = await Question.countDocuments(filter);
 
     res.json({
-      questions,
+      questions: await localization.localizeMany('question', questions, req.language),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -383,6 +416,291 @@ router.get('/', authenticateToken, validateQuestionQuery, async(req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/questions/export:
+ *   get:
+ *     summary: Export active questions to QTI 2.1, Moodle XML or GIFT
+ *     description: |
+ *       Streams the filtered question set as a file for import into an LMS.
+ *       Passages, explanations and accepted answers for fill-in-blank and
+ *       short-answer questions are included. QTI packages carry the chapter,
+ *       topic, grade, difficulty and tags in the manifest, so they can be
+ *       imported back through /api/questions/bulk-upload.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [qti, moodle, gift]
+ *       - in: query
+ *         name: chapterId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: topicId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: questionType
+ *         schema:
+ *           type: string
+ *           enum: [mcq, fill-in-blank, short-answer]
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *           enum: ['6', '7', '8', '9']
+ *       - in: query
+ *         name: minDifficulty
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *       - in: query
+ *         name: maxDifficulty
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags (questions with any of them)
+ *     responses:
+ *       200:
+ *         description: Question file streamed as an attachment
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (teachers and admins only)
+ *       404:
+ *         description: No questions match the filters
+ */
+router.get('/export', authenticateToken, authorize('teacher', 'admin'), validateQuestionExport, async(req, res) => {
+  try {
+    const {
+      format,
+      chapterId,
+      topicId,
+      questionType,
+      grade,
+      minDifficulty,
+      maxDifficulty,
+      tags
+    } = req.query;
+
+    const filter = { isActive: true };
+    if (chapterId) filter.chapterId = chapterId;
+    if (topicId) filter.topicId = topicId;
+    if (questionType) filter.questionType = questionType;
+    if (grade) filter.grade = grade;
+    if (minDifficulty !== undefined || maxDifficulty !== undefined) {
+      filter.difficulty = {};
+      if (minDifficulty !== undefined) filter.difficulty.$gte = parseFloat(minDifficulty);
+      if (maxDifficulty !== undefined) filter.difficulty.$lte = parseFloat(maxDifficulty);
+    }
+    if (tags) {
+      filter.tags = { $in: tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean) };
+    }
+
+    const total = await Question.countDocuments(filter);
+    if (total === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'No questions match the filters',
+          code: 'NO_QUESTIONS_FOUND'
+        }
+      });
+    }
+
+    // Grouped by chapter and topic so LMS categories stay together
+    const questions = Question.find(filter)
+      .populate('chapterId', 'chapterName ncertReference class subject')
+      .populate('topicId', 'topicName')
+      .sort({ chapterId: 1, topicId: 1, difficulty: 1, _id: 1 })
+      .cursor();
+
+    res.setHeader('Content-Type', questionExport.FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${questionExport.exportFilename(format)}"`);
+
+    const count = await questionExport.writeExport(format, questions, res);
+    logger.info(`Question export: ${count} questions as ${format} by ${req.user.email}`);
+  } catch (error) {
+    logger.error('Export questions error:', error);
+
+    // Once the download has started the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: {
+        message: 'Failed to export questions',
+        code: 'EXPORT_QUESTIONS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/questions/imports:
+ *   get:
+ *     summary: List bulk import jobs
+ *     description: Teachers see their own imports; admins see every import.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, processing, completed, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Import jobs retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (teachers and admins only)
+ */
+router.get('/imports', authenticateToken, authorize('teacher', 'admin'), async(req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = {};
+    if (req.user.role !== 'admin') query.createdBy = req.user._id;
+    if (status) query.status = status;
+
+    const [jobs, total] = await Promise.all([
+      ImportJob.find(query)
+        .select('-rowErrors -questionIds')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ImportJob.countDocuments(query)
+    ]);
+
+    res.json({
+      imports: jobs.map(job => job.getSummary()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('List question imports error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve imports',
+        code: 'GET_IMPORTS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/questions/imports/{jobId}:
+ *   get:
+ *     summary: Get a bulk import job with its row errors
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import job retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/imports/:jobId', authenticateToken, authorize('teacher', 'admin'), validateObjectId('jobId'), async(req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: {
+          message: 'Import job not found',
+          code: 'IMPORT_NOT_FOUND'
+        }
+      });
+    }
+
+    if (req.user.role !== 'admin' && !job.createdBy.equals(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this import',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    res.json({
+      import: {
+        ...job.getSummary(),
+        defaults: job.defaults,
+        rowErrors: job.rowErrors,
+        rowErrorsTruncated: job.rowErrorsTruncated,
+        questionIds: job.questionIds,
+        startedAt: job.startedAt,
+        duration: job.duration
+      }
+    });
+  } catch (error) {
+    logger.error('Get question import error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve import',
+        code: 'GET_IMPORT_ERROR'
+      }
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/questions/{id}:
@@ -398,6 +716,8 @@ router.get('/', authenticateToken, validateQuestionQuery, async(req, res) => {
  *         schema:
  *           type: string
  *         description: Question ID
+ *       - $ref: '#/components/parameters/lang'
+ *       - $ref: '#/components/parameters/acceptLanguage'
  *     responses:
  *       200:
  *         description: Question retrieved successfully
@@ -410,10 +730,15 @@ router.get('/', authenticateToken, validateQuestionQuery, async(req, res) => {
  *       404:
  *         description: Question not found
  */
-router.get('/:id', authenticateToken, validateObjectId('id'), async(req, res) => {
+router.get('/:id', authenticateToken, resolveLanguage, validateObjectId('id'), async(req, res) => {
   try {
-    const question = await Question.findById(req.params.id)
+    const query = Question.findById(req.params.id)
       .populate('createdBy', 'name email');
+    // Hints stay hidden from students so they cannot be read ahead of a session
+    if (['teacher', 'admin'].includes(req.user.role)) {
+      query.select('+hints');
+    }
+    const question = await query;
 
     if (!question) {
       return res.status(404).json({
@@ -424,7 +749,7 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async(req, res) =>
       });
     }
 
-    res.json(question);
+    res.json(await localization.localize('question', question, req.language));
   } catch (error) {
     logger.error('Get question error:', error);
     res.status(500).json({
@@ -480,6 +805,11 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async(req, res) =>
  *                 type: string
  *               explanation:
  *                 type: string
+ *               hints:
+ *                 type: array
+ *                 maxItems: 3
+ *                 items:
+ *                   type: string
  *               isActive:
  *                 type: boolean
  *     responses:
@@ -519,6 +849,7 @@ router.put('/:id', authenticateToken, authorize('teacher', 'admin'), validateObj
     });
 
     await question.save();
+    await contentRetrieval.syncQuestion(question);
 
     logger.info(`Question updated: ${question._id} by ${req.user.email}`);
 
@@ -582,6 +913,7 @@ router.delete('/:id', authenticateToken, authorize('teacher', 'admin'), validate
     // Soft delete by setting isActive to false
     question.isActive = false;
     await question.save();
+    await contentRetrieval.syncQuestion(question);
 
     logger.info(`Question deleted: ${question._id} by ${req.user.email}`);
 
@@ -603,7 +935,15 @@ router.delete('/:id', authenticateToken, authorize('teacher', 'admin'), validate
  * @swagger
  * /api/questions/bulk-upload:
  *   post:
- *     summary: Bulk upload questions via CSV
+ *     summary: Bulk import questions from CSV, JSON or IMS QTI 2.1
+ *     description: |
+ *       Every row is validated against the question rules for its type
+ *       (mcq, fill-in-blank, short-answer). Chapters can be given by id, name
+ *       or NCERT reference and topics by id or name. Valid rows are imported
+ *       and invalid rows are reported with their row number; with `dryRun`
+ *       nothing is saved. Files with more than 200 rows, or uploads with
+ *       `async`, are processed in the background and answered with 202; poll
+ *       GET /api/questions/imports/{jobId} for the result.
  *     tags: [Questions]
  *     security:
  *       - bearerAuth: []
@@ -613,48 +953,140 @@ router.delete('/:id', authenticateToken, authorize('teacher', 'admin'), validate
  *         multipart/form-data:
  *           schema:
  *             type: object
+ *             required:
+ *               - file
  *             properties:
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: CSV file with questions
+ *                 description: CSV with a header row, JSON array, QTI 2.1 package (.zip) or single item (.xml)
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json, qti]
+ *                 description: Overrides detection from the file name
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Validate only, without saving questions
+ *               async:
+ *                 type: boolean
+ *                 description: Always process in the background
  *               chapterId:
  *                 type: string
- *                 description: Chapter ID to associate questions with
+ *                 description: Chapter for rows that do not name one
+ *               topicId:
+ *                 type: string
+ *                 description: Topic for rows that do not name one
+ *               grade:
+ *                 type: string
+ *                 enum: ['6', '7', '8', '9']
+ *               difficulty:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
  *     responses:
  *       200:
- *         description: Questions uploaded successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 uploaded:
- *                   type: number
- *                 failed:
- *                   type: number
- *                 errors:
- *                   type: array
- *                   items:
- *                     type: object
+ *         description: Dry run finished
+ *       201:
+ *         description: Import finished
+ *       202:
+ *         description: Import queued for background processing
  *       400:
- *         description: Validation error
+ *         description: Missing, unreadable or unsupported file
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied (teachers and admins only)
+ *       413:
+ *         description: File too large
  */
-router.post('/bulk-upload', authenticateToken, authorize('teacher', 'admin'), async (req, res) => {
+router.post('/bulk-upload', authenticateToken, authorize('teacher', 'admin'), uploadSingle('file'), validateBulkUpload, async(req, res) => {
   try {
-    // This would require multer middleware for file upload
-    // For now, return a placeholder response
-    res.status(501).json({
-      error: {
-        message: 'Bulk upload feature not yet implemented',
-        code: 'NOT_IMPLEMENTED'
-      }
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          message: 'A file is required',
+          code: 'MISSING_FILE'
+        }
+      });
+    }
+
+    const format = req.body.format || detectFormat(req.file.originalname, req.file.mimetype);
+    if (!format) {
+      return res.status(400).json({
+        error: {
+          message: 'Unsupported file type; upload .csv, .json, .zip (QTI) or .xml (QTI)',
+          code: 'UNSUPPORTED_IMPORT_FORMAT'
+        }
+      });
+    }
+
+    let entries;
+    try {
+      entries = await parseFile(req.file.buffer, format);
+    } catch (error) {
+      if (!(error instanceof ImportFileError)) throw error;
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          code: 'INVALID_IMPORT_FILE'
+        }
+      });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        error: {
+          message: 'The file contains no questions',
+          code: 'EMPTY_IMPORT_FILE'
+        }
+      });
+    }
+
+    const { chapterId, topicId, grade, difficulty } = req.body;
+    const job = await ImportJob.create({
+      createdBy: req.user._id,
+      filename: req.file.originalname,
+      format,
+      fileSize: req.file.size,
+      dryRun: String(req.body.dryRun) === 'true',
+      defaults: {
+        chapterId,
+        topicId,
+        grade,
+        difficulty: difficulty !== undefined ? Number(difficulty) : undefined
+      },
+      totalRows: entries.length
+    });
+
+    logger.info(`Question import ${job._id} (${format}, ${entries.length} rows) started by ${req.user.email}`);
+
+    if (String(req.body.async) === 'true' || entries.length > SYNC_IMPORT_ROW_LIMIT) {
+      setImmediate(() => {
+        runImport(job, entries).catch(error => logger.error(`Question import ${job._id} error:`, error));
+      });
+
+      return res.status(202)
+        .location(`/api/questions/imports/${job._id}`)
+        .json({
+          message: 'Import queued',
+          import: job.getSummary()
+        });
+    }
+
+    await runImport(job, entries);
+
+    let message = `${job.importedCount} question(s) imported, ${job.failedCount} rejected`;
+    if (job.dryRun) {
+      message = `Dry run: ${job.validRows} valid row(s), ${job.failedCount} with errors`;
+    } else if (job.status === 'failed') {
+      message = 'Import failed';
+    }
+
+    res.status(job.dryRun || job.importedCount === 0 ? 200 : 201).json({
+      message,
+      import: job.getSummary(),
+      errors: job.rowErrors,
+      errorsTruncated: job.rowErrorsTruncated
     });
   } catch (error) {
     logger.error('Bulk upload error:', error);
@@ -695,6 +1127,8 @@ router.post('/bulk-upload', authenticateToken, authorize('teacher', 'admin'), as
  *           minimum: 0
  *           maximum: 1
  *         description: Filter by difficulty
+ *       - $ref: '#/components/parameters/lang'
+ *       - $ref: '#/components/parameters/acceptLanguage'
  *     responses:
  *       200:
  *         description: Questions retrieved successfully
@@ -714,7 +1148,7 @@ router.post('/bulk-upload', authenticateToken, authorize('teacher', 'admin'), as
  *       404:
  *         description: Chapter not found
  */
-router.get('/by-chapter/:chapterId', authenticateToken, validateObjectId('chapterId'), async (req, res) => {
+router.get('/by-chapter/:chapterId', authenticateToken, resolveLanguage, validateObjectId('chapterId'), async (req, res) => {
   try {
     const { chapterId } = req.params;
     const { questionType, difficulty } = req.query;
@@ -736,7 +1170,7 @@ router.get('/by-chapter/:chapterId', authenticateToken, validateObjectId('chapte
       .populate('createdBy', 'name email');
 
     res.json({
-      questions,
+      questions: await localization.localizeMany('question', questions, req.language),
       total: questions.length
     });
   } catch (error) {
@@ -807,7 +1241,7 @@ router.get('/by-chapter/:chapterId', authenticateToken, validateObjectId('chapte
  *       404:
  *         description: Question not found
  */
-router.post('/:id/validate-answer', authenticateToken, validateObjectId('id'), async (req, res) => {
+router.post('/:id/validate-answer', authenticateToken, resolveLanguage, validateObjectId('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const { answer } = req.body;
@@ -822,9 +1256,10 @@ router.post('/:id/validate-answer', authenticateToken, validateObjectId('id'), a
       });
     }
 
-    const AnswerValidator = require('../services/answerValidator');
-    const validationResult = AnswerValidator.validateAnswer(question, answer);
-    const feedback = AnswerValidator.getFeedback(question, answer, validationResult);
+    // Check against the question as the student saw it, still accepting English answers
+    const localized = await localization.localize('question', question, req.language);
+    const validationResult = AnswerValidator.validateAnswer(localized, answer, localization.answerOptions(question));
+    const feedback = AnswerValidator.getFeedback(localized, answer, validationResult);
 
     res.json({
       ...validationResult,
@@ -1,7 +1,9 @@
 const express = require('express');
 const Recommendation = require('../models/Recommendation');
 const RecommendationEngine = require('../services/recommendationEngine');
+const localization = require('../services/localization');
 const { authenticateToken, authorize } = require('../middlewares/auth');
+const { resolveLanguage } = require('../middlewares/language');
 const { validateObjectId } = require('../middlewares/validation');
 const logger = require('../utils/logger');
 
@@ -188,6 +190,8 @@ router.post('/generate', authenticateToken, async (req, res) => {
  *           maximum: 100
  *           default: 20
  *         description: Number of recommendations to return
+ *       - $ref: '#/components/parameters/lang'
+ *       - $ref: '#/components/parameters/acceptLanguage'
  *     responses:
  *       200:
  *         description: Recommendations retrieved successfully
@@ -207,7 +211,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
  *       404:
  *         description: Student not found
  */
-router.get('/student/:studentId', authenticateToken, validateObjectId('studentId'), async (req, res) => {
+router.get('/student/:studentId', authenticateToken, resolveLanguage, validateObjectId('studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { isRead, priority, recommendationType, limit } = req.query;
@@ -231,7 +235,7 @@ router.get('/student/:studentId', authenticateToken, validateObjectId('studentId
     const recommendations = await RecommendationEngine.getRecommendationsForStudent(studentId, options);
 
     res.json({
-      recommendations
+      recommendations: await localization.localizeMany('recommendation', recommendations, req.language)
     });
   } catch (error) {
     logger.error('Get student recommendations error:', error);
@@ -259,6 +263,8 @@ router.get('/student/:studentId', authenticateToken, validateObjectId('studentId
  *         schema:
  *           type: string
  *         description: Session ID
+ *       - $ref: '#/components/parameters/lang'
+ *       - $ref: '#/components/parameters/acceptLanguage'
  *     responses:
  *       200:
  *         description: Recommendations retrieved successfully
@@ -276,14 +282,14 @@ router.get('/student/:studentId', authenticateToken, validateObjectId('studentId
  *       404:
  *         description: Session not found
  */
-router.get('/session/:sessionId', authenticateToken, validateObjectId('sessionId'), async (req, res) => {
+router.get('/session/:sessionId', authenticateToken, resolveLanguage, validateObjectId('sessionId'), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
     const recommendations = await RecommendationEngine.getRecommendationsForSession(sessionId);
 
     res.json({
-      recommendations
+      recommendations: await localization.localizeMany('recommendation', recommendations, req.language)
     });
   } catch (error) {
     logger.error('Get session recommendations error:', error);
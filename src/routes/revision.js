@@ -2,10 +2,17 @@ const express = require('express');
 const AssessmentSession = require('../models/AssessmentSession');
 const Question = require('../models/Question');
 const Chapter = require('../models/Chapter');
+const Topic = require('../models/Topic');
 const Response = require('../models/Response');
 const TopicPerformance = require('../models/TopicPerformance');
+const QuestionMastery = require('../models/QuestionMastery');
+const AdaptiveDifficultyEngine = require('../services/adaptiveDifficulty');
 const AnswerValidator = require('../services/answerValidator');
+const gamificationService = require('../services/gamificationService');
+const spacedRepetition = require('../services/spacedRepetition');
+const localization = require('../services/localization');
 const { authenticateToken } = require('../middlewares/auth');
+const { resolveLanguage } = require('../middlewares/language');
 const { validateObjectId } = require('../middlewares/validation');
 const logger = require('../utils/logger');
 
@@ -22,8 +29,11 @@ const router = express.Router();
  *           type: string
  *         chapterId:
  *           type: string
+ *           nullable: true
+ *           description: Null when the session reviews every chapter
  *         chapterName:
  *           type: string
+ *           nullable: true
  *         mode:
  *           type: string
  *           enum: [revision]
@@ -56,13 +66,66 @@ const router = express.Router();
  *           type: array
  *           items:
  *             type: object
+ *     ReviewSchedule:
+ *       type: object
+ *       description: When a question is next reviewed (SM-2)
+ *       properties:
+ *         quality:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 5
+ *           description: Grade of this answer from correctness, response time and hints; below 3 means forgotten
+ *         interval:
+ *           type: integer
+ *           description: Days until the next review
+ *         easeFactor:
+ *           type: number
+ *         repetitions:
+ *           type: integer
+ *         lapses:
+ *           type: integer
+ *         dueDay:
+ *           type: string
+ *           format: date
+ *           description: Next review day in the student's timezone
+ *     ReviewForecast:
+ *       type: object
+ *       properties:
+ *         today:
+ *           type: string
+ *           format: date
+ *         total:
+ *           type: integer
+ *           description: Questions being reviewed
+ *         overdue:
+ *           type: integer
+ *         dueToday:
+ *           type: integer
+ *           description: Due today, including overdue reviews
+ *         mature:
+ *           type: integer
+ *           description: Questions reviewed at intervals of 21 days or more
+ *         forecast:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               day:
+ *                 type: string
+ *                 format: date
+ *               count:
+ *                 type: integer
  */
 
 /**
  * @swagger
  * /api/revision/start:
  *   post:
- *     summary: Start revision session for a chapter
+ *     summary: Start a revision session with the questions due for review
+ *     description: |
+ *       Serves the questions the spaced-repetition schedule has due today or earlier, most
+ *       overdue first, up to 50. Without a chapter the session reviews every chapter.
+ *       Mistakes from before scheduling are imported the first time.
  *     tags: [Revision]
  *     security:
  *       - bearerAuth: []
@@ -72,12 +135,10 @@ const router = express.Router();
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - chapterId
  *             properties:
  *               chapterId:
  *                 type: string
- *                 description: Chapter ID to revise
+ *                 description: Chapter ID to revise; omit to review all chapters
  *               topicId:
  *                 type: string
  *                 description: Specific topic ID (optional)
@@ -100,25 +161,18 @@ const router = express.Router();
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Chapter not found
+ *         description: Chapter not found, or no questions are due
+ *       409:
+ *         description: An active revision session already exists for the chapter
  */
-router.post('/start', authenticateToken, async (req, res) => {
+router.post('/start', authenticateToken, resolveLanguage, async (req, res) => {
   try {
     const { chapterId, topicId, difficulty = 'all' } = req.body;
     const studentId = req.user._id;
 
-    if (!chapterId) {
-      return res.status(400).json({
-        error: {
-          message: 'chapterId is required',
-          code: 'MISSING_CHAPTER_ID'
-        }
-      });
-    }
-
-    // Verify chapter exists
-    const chapter = await Chapter.findById(chapterId);
-    if (!chapter) {
+    // Verify chapter exists; without one the session reviews every chapter
+    const chapter = chapterId ? await Chapter.findById(chapterId) : null;
+    if (chapterId && !chapter) {
       return res.status(404).json({
         error: {
           message: 'Chapter not found',
@@ -130,7 +184,7 @@ router.post('/start', authenticateToken, async (req, res) => {
     // Check for existing active revision session
     const existingSession = await AssessmentSession.findOne({
       studentId,
-      chapterId,
+      chapterId: chapterId || null,
       mode: 'revision',
       status: 'active'
     });
@@ -145,14 +199,15 @@ router.post('/start', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get questions the student got wrong in previous sessions
-    const incorrectQuestions = await getIncorrectQuestions(studentId, chapterId, topicId, difficulty);
+    // Questions due for review; mistakes from before scheduling are imported the first time
+    await spacedRepetition.importPastMistakes(studentId);
+    const dueQuestions = await spacedRepetition.getDueQuestions(studentId, { chapterId, topicId, difficulty });
 
-    if (incorrectQuestions.length === 0) {
+    if (dueQuestions.length === 0) {
       return res.status(404).json({
         error: {
-          message: 'No incorrect questions found for revision',
-          code: 'NO_INCORRECT_QUESTIONS'
+          message: 'No questions are due for revision',
+          code: 'NO_DUE_REVIEWS'
         }
       });
     }
@@ -162,34 +217,38 @@ router.post('/start', authenticateToken, async (req, res) => {
       studentId,
       sessionType: 'fixed',
       mode: 'revision',
-      chapterId,
+      chapterId: chapterId || undefined,
+      topicId: topicId || undefined,
       allowRetry: true,
       showSolutions: true,
-      totalQuestions: incorrectQuestions.length
+      totalQuestions: dueQuestions.length
     };
 
     const session = new AssessmentSession(sessionData);
 
     // Add first question to session
-    const firstQuestion = incorrectQuestions[0];
+    const firstQuestion = dueQuestions[0];
     await session.addItem(firstQuestion._id, {
       difficulty: firstQuestion.difficulty,
-      topic: firstQuestion.topic
+      topic: firstQuestion.topic,
+      irtParameters: firstQuestion.getIrtParameters()
     });
 
     await session.save();
 
     logger.info(`Revision session started: ${session._id} for student ${studentId}`);
 
+    const shownChapter = chapter && await localization.localize('chapter', chapter, req.language);
+
     res.status(201).json({
       session: {
         sessionId: session._id,
-        chapterId: chapter._id,
-        chapterName: chapter.chapterName,
+        chapterId: chapter ? chapter._id : null,
+        chapterName: shownChapter ? shownChapter.chapterName : null,
         mode: 'revision',
-        currentQuestion: firstQuestion,
+        currentQuestion: await localization.localize('question', firstQuestion, req.language),
         progress: {
-          totalIncorrectQuestions: incorrectQuestions.length,
+          totalIncorrectQuestions: dueQuestions.length,
           revisedQuestions: 0,
           masteredQuestions: 0
         },
@@ -213,6 +272,10 @@ router.post('/start', authenticateToken, async (req, res) => {
  * /api/revision/{sessionId}/answer:
  *   post:
  *     summary: Submit answer in revision mode
+ *     description: |
+ *       Grades the answer 0-5 from correctness, response time against the question's usual
+ *       time and hints used, and schedules the next review. A correct answer that puts the
+ *       next review 21 or more days away marks the question as mastered.
  *     tags: [Revision]
  *     security:
  *       - bearerAuth: []
@@ -248,7 +311,7 @@ router.post('/start', authenticateToken, async (req, res) => {
  *               markAsMastered:
  *                 type: boolean
  *                 default: false
- *                 description: Mark question as mastered
+ *                 description: Mark question as mastered, so it is not reviewed again for 21 days
  *     responses:
  *       200:
  *         description: Answer submitted successfully
@@ -260,6 +323,17 @@ router.post('/start', authenticateToken, async (req, res) => {
  *                   type: boolean
  *                 feedback:
  *                   type: object
+ *                 isComplete:
+ *                   type: boolean
+ *                   description: True when no questions are left; the session is completed and awarded
+ *                 review:
+ *                   $ref: '#/components/schemas/ReviewSchedule'
+ *                 hintsUsed:
+ *                   type: integer
+ *                   description: Hints used on this question
+ *                 score:
+ *                   type: number
+ *                   description: Credit for the answer (0-1), reduced by each hint used
  *                 nextQuestion:
  *                   type: object
  *                 progress:
@@ -271,7 +345,7 @@ router.post('/start', authenticateToken, async (req, res) => {
  *       404:
  *         description: Session not found
  */
-router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId'), async (req, res) => {
+router.post('/:sessionId/answer', authenticateToken, resolveLanguage, validateObjectId('sessionId'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { answer, responseTimeMs = 0, markAsMastered = false } = req.body;
@@ -328,9 +402,10 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
       });
     }
 
-    // Validate answer
-    const validationResult = AnswerValidator.validateAnswer(question, answer);
-    const feedback = AnswerValidator.getFeedback(question, answer, validationResult);
+    // Validate answer against the question as the student saw it
+    const shownQuestion = await localization.localize('question', question, req.language);
+    const validationResult = AnswerValidator.validateAnswer(shownQuestion, answer, localization.answerOptions(question));
+    const feedback = AnswerValidator.getFeedback(shownQuestion, answer, validationResult);
 
     if (!validationResult.isValid) {
       return res.status(400).json({
@@ -363,29 +438,70 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
       questionNumber: currentItem.questionNumber,
       difficulty: question.difficulty,
       topic: question.topic,
-      studentAbility: session.estimatedAbility
+      studentAbility: session.estimatedAbility,
+      hintsUsed: currentItem.hintsUsed || 0
     });
     await response.save();
 
+    // Schedule the next review, before this answer counts toward the question's usual time
+    let review = await spacedRepetition.recordAnswer({
+      studentId,
+      question,
+      isCorrect,
+      responseTimeMs,
+      hintsUsed: currentItem.hintsUsed || 0,
+      mode: session.mode
+    });
+
     // Update question usage statistics
     await question.updateUsageStats(isCorrect, responseTimeMs);
 
-    // Mark as mastered if requested and correct
-    if (markAsMastered && isCorrect) {
-      await markQuestionAsMastered(studentId, question._id);
+    // Update adaptive difficulty tracking
+    let mastery = null;
+    if (question.topicId) {
+      mastery = await AdaptiveDifficultyEngine.recordAttempt(studentId, question.topicId, isCorrect, responseTimeMs, question.difficulty);
+    }
+
+    // Gamification: award the answer, then the question if it was just mastered
+    await gamificationService.recordAnswer({
+      userId: studentId,
+      question,
+      isCorrect,
+      responseTimeMs,
+      mode: session.mode,
+      mastery
+    });
+
+    // Mastered when asked for, or once reviews are far enough apart
+    if (isCorrect && (markAsMastered || review.isMature)) {
+      review = await spacedRepetition.markMastered({ studentId, question });
+      await markQuestionAsMastered(studentId, question, session._id, true);
     }
 
-    // Get next question (remaining incorrect questions)
+    // Get next question still due, up to the number the session started with
     const usedQuestionIds = session.items.map(item => item.questionId);
-    const remainingQuestions = await getIncorrectQuestions(studentId, session.chapterId, null, 'all', usedQuestionIds);
-    
+    const [dueQuestion] = session.answeredQuestions < session.totalQuestions ?
+      await spacedRepetition.getDueQuestions(studentId, {
+        chapterId: session.chapterId,
+        topicId: session.topicId,
+        excludeIds: usedQuestionIds,
+        limit: 1
+      }) :
+      [];
+
     let nextQuestion = null;
-    if (remainingQuestions.length > 0) {
-      nextQuestion = remainingQuestions[0];
+    if (dueQuestion) {
+      nextQuestion = dueQuestion;
       await session.addItem(nextQuestion._id, {
         difficulty: nextQuestion.difficulty,
-        topic: nextQuestion.topic
+        topic: nextQuestion.topic,
+        irtParameters: nextQuestion.getIrtParameters()
       });
+    } else {
+      // Every question has been revised
+      session.stopReason = 'pool_exhausted';
+      await session.complete();
+      await gamificationService.recordSessionComplete(session);
     }
 
     await session.save();
@@ -393,12 +509,25 @@ router.post('/:sessionId/answer', authenticateToken, validateObjectId('sessionId
     res.json({
       isCorrect,
       feedback,
-      nextQuestion,
+      isComplete: !nextQuestion,
+      review: {
+        quality: review.lastQuality,
+        interval: review.interval,
+        easeFactor: review.easeFactor,
+        repetitions: review.repetitions,
+        lapses: review.lapses,
+        dueDay: review.dueDay
+      },
+      hintsUsed: currentItem.hintsUsed || 0,
+      score: currentItem.score,
+      nextQuestion: await localization.localize('question', nextQuestion, req.language),
       progress: {
         totalIncorrectQuestions: session.totalQuestions,
         revisedQuestions: session.answeredQuestions,
         masteredQuestions: await getMasteredQuestionsCount(studentId, session.chapterId),
-        accuracy: session.answeredQuestions > 0 ? (session.correctAnswers / session.answeredQuestions) : 0
+        accuracy: session.answeredQuestions > 0 ? (session.correctAnswers / session.answeredQuestions) : 0,
+        score: session.score,
+        hintsUsed: session.hintsUsed
       }
     });
   } catch (error) {
@@ -471,8 +600,8 @@ router.get('/:sessionId/progress', authenticateToken, validateObjectId('sessionI
       : Date.now() - session.startedAt;
 
     const progress = {
-      chapterId: session.chapterId._id,
-      chapterName: session.chapterId.chapterName,
+      chapterId: session.chapterId ? session.chapterId._id : null,
+      chapterName: session.chapterId ? session.chapterId.chapterName : null,
       totalIncorrectQuestions: session.totalQuestions,
       revisedQuestions: session.answeredQuestions,
       masteredQuestions: await getMasteredQuestionsCount(studentId, session.chapterId),
@@ -518,6 +647,7 @@ router.get('/:sessionId/progress', authenticateToken, validateObjectId('sessionI
  * /api/revision/student/{studentId}/progress:
  *   get:
  *     summary: Get overall revision progress for a student
+ *     description: Lists the student's revision sessions and forecasts their upcoming reviews.
  *     tags: [Revision]
  *     security:
  *       - bearerAuth: []
@@ -533,6 +663,14 @@ router.get('/:sessionId/progress', authenticateToken, validateObjectId('sessionI
  *         schema:
  *           type: string
  *         description: Filter by chapter ID
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 90
+ *           default: 14
+ *         description: Days of upcoming reviews to forecast, starting today
  *     responses:
  *       200:
  *         description: Student revision progress retrieved successfully
@@ -544,6 +682,8 @@ router.get('/:sessionId/progress', authenticateToken, validateObjectId('sessionI
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/RevisionProgress'
+ *                 reviews:
+ *                   $ref: '#/components/schemas/ReviewForecast'
  *       401:
  *         description: Unauthorized
  *       403:
@@ -553,6 +693,7 @@ router.get('/student/:studentId/progress', authenticateToken, validateObjectId('
   try {
     const { studentId } = req.params;
     const { chapterId } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), spacedRepetition.MAX_FORECAST_DAYS);
 
     // Check if user can access this student's progress
     if (req.user.role === 'student' && req.user._id.toString() !== studentId) {
@@ -585,10 +726,10 @@ router.get('/student/:studentId/progress', authenticateToken, validateObjectId('
 
       return {
         sessionId: session._id,
-        chapterId: session.chapterId._id,
-        chapterName: session.chapterId.chapterName,
-        class: session.chapterId.class,
-        subject: session.chapterId.subject,
+        chapterId: session.chapterId ? session.chapterId._id : null,
+        chapterName: session.chapterId ? session.chapterId.chapterName : null,
+        class: session.chapterId ? session.chapterId.class : null,
+        subject: session.chapterId ? session.chapterId.subject : null,
         totalIncorrectQuestions: session.totalQuestions,
         revisedQuestions: session.answeredQuestions,
         masteredQuestions: await getMasteredQuestionsCount(studentId, session.chapterId),
@@ -600,8 +741,11 @@ router.get('/student/:studentId/progress', authenticateToken, validateObjectId('
       };
     }));
 
+    const reviews = await spacedRepetition.getForecast(studentId, { days, chapterId });
+
     res.json({
-      progress
+      progress,
+      reviews
     });
   } catch (error) {
     logger.error('Get student revision progress error:', error);
@@ -619,6 +763,7 @@ router.get('/student/:studentId/progress', authenticateToken, validateObjectId('
  * /api/revision/{sessionId}/master/{questionId}:
  *   post:
  *     summary: Mark question as mastered
+ *     description: Puts the question's next review at least 21 days away, and awards points and badges the first time a question answered correctly in the session is mastered.
  *     tags: [Revision]
  *     security:
  *       - bearerAuth: []
@@ -644,10 +789,15 @@ router.get('/student/:studentId/progress', authenticateToken, validateObjectId('
  *               properties:
  *                 message:
  *                   type: string
+ *                 newlyMastered:
+ *                   type: boolean
+ *                   description: False if the question was already mastered; points are only paid the first time and only if it was answered correctly in the session
+ *       400:
+ *         description: Not a revision session
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Session or question not found
+ *         description: Session or question not found, or question not in the session
  */
 router.post('/:sessionId/master/:questionId', authenticateToken, validateObjectId('sessionId'), validateObjectId('questionId'), async (req, res) => {
   try {
@@ -673,10 +823,44 @@ router.post('/:sessionId/master/:questionId', authenticateToken, validateObjectI
       });
     }
 
-    await markQuestionAsMastered(studentId, questionId);
+    if (session.mode !== 'revision') {
+      return res.status(400).json({
+        error: {
+          message: 'This endpoint is only for revision sessions',
+          code: 'INVALID_SESSION_MODE'
+        }
+      });
+    }
+
+    const item = session.items.find(sessionItem => sessionItem.questionId.toString() === questionId);
+    if (!item) {
+      return res.status(404).json({
+        error: {
+          message: 'Question is not part of this revision session',
+          code: 'QUESTION_NOT_IN_SESSION'
+        }
+      });
+    }
+
+    const question = await Question.findById(questionId);
+    if (!question) {
+      return res.status(404).json({
+        error: {
+          message: 'Question not found',
+          code: 'QUESTION_NOT_FOUND'
+        }
+      });
+    }
+
+    // Not due again for a while, whether or not it was answered correctly
+    await spacedRepetition.markMastered({ studentId, question });
+
+    // Points are only paid for questions answered correctly in this session
+    const newlyMastered = await markQuestionAsMastered(studentId, question, session._id, item.isCorrect === true);
 
     res.json({
-      message: 'Question marked as mastered successfully'
+      message: 'Question marked as mastered successfully',
+      newlyMastered
     });
   } catch (error) {
     logger.error('Mark question mastered error:', error);
@@ -692,85 +876,20 @@ router.post('/:sessionId/master/:questionId', authenticateToken, validateObjectI
 // Helper functions
 
 /**
- * Get incorrect questions for revision
+ * Mark question as mastered, awarding points and badges the first time
  */
-async function getIncorrectQuestions(studentId, chapterId, topicId, difficulty, excludeIds = []) {
-  try {
-    const query = {
-      studentId: require('mongoose').Types.ObjectId(studentId),
-      correct: false
-    };
-
-    // Add chapter filter
-    const chapterQuestions = await Question.find({ chapterId, isActive: true });
-    const questionIds = chapterQuestions.map(q => q._id);
-    query.questionId = { $in: questionIds };
-
-    // Add topic filter if specified
-    if (topicId) {
-      const topicQuestions = chapterQuestions.filter(q => q.topicId && q.topicId.toString() === topicId);
-      query.questionId = { $in: topicQuestions.map(q => q._id) };
-    }
-
-    // Add difficulty filter
-    if (difficulty !== 'all') {
-      const difficultyMap = { easy: [0, 0.3], medium: [0.3, 0.7], hard: [0.7, 1] };
-      if (difficultyMap[difficulty]) {
-        const [min, max] = difficultyMap[difficulty];
-        const filteredQuestions = chapterQuestions.filter(q => 
-          q.difficulty >= min && q.difficulty <= max
-        );
-        query.questionId = { $in: filteredQuestions.map(q => q._id) };
-      }
-    }
-
-    // Exclude already used questions
-    if (excludeIds.length > 0) {
-      query.questionId = { 
-        $in: query.questionId.$in.filter(id => !excludeIds.includes(id.toString()))
-      };
-    }
-
-    const incorrectResponses = await Response.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: '$questionId',
-          wrongCount: { $sum: 1 },
-          lastAttempt: { $max: '$createdAt' }
-        }
-      },
-      {
-        $sort: { wrongCount: -1, lastAttempt: -1 }
-      }
-    ]);
-
-    const questionIdsToFetch = incorrectResponses.map(r => r._id);
-    const questions = await Question.find({ 
-      _id: { $in: questionIdsToFetch },
-      isActive: true 
+async function markQuestionAsMastered(studentId, question, sessionId, award) {
+  const newlyMastered = await QuestionMastery.markMastered({ studentId, question, sessionId });
+  if (newlyMastered && award) {
+    await gamificationService.awardForQuestionMastered({
+      userId: studentId,
+      questionId: question._id,
+      chapterId: question.chapterId,
+      topicId: question.topicId
     });
-
-    return questions;
-  } catch (error) {
-    logger.error('Error getting incorrect questions:', error);
-    return [];
-  }
-}
-
-/**
- * Mark question as mastered
- */
-async function markQuestionAsMastered(studentId, questionId) {
-  try {
-    // This would typically involve updating a mastered questions collection
-    // For now, we'll just log it
-    logger.info(`Question ${questionId} marked as mastered for student ${studentId}`);
-    return true;
-  } catch (error) {
-    logger.error('Error marking question as mastered:', error);
-    return false;
   }
+  logger.info(`Question ${question._id} marked as mastered for student ${studentId}`);
+  return newlyMastered;
 }
 
 /**
@@ -778,9 +897,7 @@ async function markQuestionAsMastered(studentId, questionId) {
  */
 async function getMasteredQuestionsCount(studentId, chapterId) {
   try {
-    // This would typically query a mastered questions collection
-    // For now, return 0
-    return 0;
+    return await QuestionMastery.countForChapter(studentId, chapterId);
   } catch (error) {
     logger.error('Error getting mastered questions count:', error);
     return 0;
@@ -1,11 +1,27 @@
 const express = require('express');
 const translationService = require('../services/translationService');
+const languageRegistry = require('../services/languageRegistry');
 const Question = require('../models/Question');
 const Chapter = require('../models/Chapter');
 const Topic = require('../models/Topic');
 const Recommendation = require('../models/Recommendation');
-const { authenticateToken } = require('../middlewares/auth');
-const { validateObjectId } = require('../middlewares/validation');
+const Translation = require('../models/Translation');
+const UiMessage = require('../models/UiMessage');
+const uiCatalog = require('../services/uiCatalog');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { uploadSingle } = require('../middlewares/upload');
+const {
+  validateObjectId,
+  validateTranslationReviewQuery,
+  validateReviewTranslation,
+  validateApproveTranslation,
+  validateCreateLanguage,
+  validateUpdateLanguage,
+  validateTranslationCoverageQuery,
+  validateCreateUiMessage,
+  validateCatalogExportQuery,
+  validateCatalogImport
+} = require('../middlewares/validation');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -25,11 +41,10 @@ const router = express.Router();
  *           description: Text to translate
  *         targetLanguage:
  *           type: string
- *           enum: [hi, te, ta]
+ *           example: hi
  *           description: Target language code
  *         sourceLanguage:
  *           type: string
- *           enum: [en, hi, te, ta]
  *           default: en
  *           description: Source language code
  *     TranslationResponse:
@@ -46,6 +61,107 @@ const router = express.Router();
  *         timestamp:
  *           type: string
  *           format: date-time
+ *     Translation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         entityType:
+ *           type: string
+ *           enum: [question, chapter, topic, recommendation, ui]
+ *         entityId:
+ *           type: string
+ *           description: Entity ID, or the message key for UI text
+ *         language:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [machine, reviewed, approved]
+ *         fields:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 example: choices.1
+ *               sourceText:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *               outdated:
+ *                 type: boolean
+ *                 description: The English text changed since the last review
+ *         outdatedFields:
+ *           type: array
+ *           items:
+ *             type: string
+ *         machineTranslation:
+ *           type: object
+ *           properties:
+ *             provider:
+ *               type: string
+ *             model:
+ *               type: string
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         approvedBy:
+ *           type: string
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNotes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Language:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: ISO 639 code
+ *           example: bn
+ *         name:
+ *           type: string
+ *           example: Bengali
+ *         nativeName:
+ *           type: string
+ *           example: বাংলা
+ *         script:
+ *           type: string
+ *           description: ISO 15924 script code
+ *           example: Beng
+ *         direction:
+ *           type: string
+ *           enum: [ltr, rtl]
+ *         numeralSystem:
+ *           type: string
+ *           description: CLDR numbering system
+ *           example: beng
+ *         enabled:
+ *           type: boolean
+ *     TranslationCoverage:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: number
+ *         machine:
+ *           type: number
+ *         reviewed:
+ *           type: number
+ *         approved:
+ *           type: number
+ *         untranslated:
+ *           type: number
+ *         approvedPercent:
+ *           type: number
  */
 
 /**
@@ -56,6 +172,12 @@ const router = express.Router();
  *     tags: [Translation]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeDisabled
+ *         schema:
+ *           type: boolean
+ *         description: Include disabled languages (admin only)
  *     responses:
  *       200:
  *         description: Supported languages retrieved successfully
@@ -67,25 +189,16 @@ const router = express.Router();
  *                 languages:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       code:
- *                         type: string
- *                       name:
- *                         type: string
+ *                     $ref: '#/components/schemas/Language'
  *       401:
  *         description: Unauthorized
  */
 router.get('/languages', authenticateToken, async (req, res) => {
   try {
-    const supportedLanguages = translationService.getSupportedLanguages();
-    const languages = supportedLanguages.map(code => ({
-      code,
-      name: translationService.getLanguageName(code)
-    }));
+    const includeDisabled = req.query.includeDisabled === 'true' && req.user.role === 'admin';
 
     res.json({
-      languages
+      languages: languageRegistry.list({ includeDisabled })
     });
   } catch (error) {
     logger.error('Get supported languages error:', error);
@@ -98,6 +211,209 @@ router.get('/languages', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/translation/languages:
+ *   post:
+ *     summary: Add a language (Admin only)
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Language'
+ *     responses:
+ *       201:
+ *         description: Language added; it stays disabled unless enabled is true
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: Language already exists
+ */
+router.post('/languages', authenticateToken, authorize('admin'), validateCreateLanguage, async(req, res) => {
+  try {
+    if (languageRegistry.get(req.body.code.toLowerCase())) {
+      return res.status(409).json({
+        error: {
+          message: 'Language already exists',
+          code: 'LANGUAGE_EXISTS'
+        }
+      });
+    }
+
+    const language = await languageRegistry.create(req.body);
+
+    res.status(201).json({
+      message: 'Language added successfully',
+      language
+    });
+  } catch (error) {
+    logger.error('Create language error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: {
+          message: 'Language already exists',
+          code: 'LANGUAGE_EXISTS'
+        }
+      });
+    }
+    res.status(500).json({
+      error: {
+        message: 'Failed to add language',
+        code: 'CREATE_LANGUAGE_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translation/languages/coverage:
+ *   get:
+ *     summary: Translation coverage per language (Teachers/Admins only)
+ *     description: Counts stored translations of active questions, chapters and UI keys by review status.
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Report a single language (default every enabled language except English)
+ *     responses:
+ *       200:
+ *         description: Coverage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 coverage:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       language:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       questions:
+ *                         $ref: '#/components/schemas/TranslationCoverage'
+ *                       chapters:
+ *                         $ref: '#/components/schemas/TranslationCoverage'
+ *                       ui:
+ *                         $ref: '#/components/schemas/TranslationCoverage'
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/languages/coverage', authenticateToken, authorize('teacher', 'admin'), validateTranslationCoverageQuery, async(req, res) => {
+  try {
+    const { language } = req.query;
+    const coverage = await translationService.getCoverage(language ? [language.toLowerCase()] : undefined);
+
+    res.json({
+      coverage
+    });
+  } catch (error) {
+    logger.error('Get translation coverage error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve translation coverage',
+        code: 'GET_COVERAGE_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translation/languages/{code}:
+ *   put:
+ *     summary: Update or enable a language (Admin only)
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Language code
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               nativeName:
+ *                 type: string
+ *               script:
+ *                 type: string
+ *               direction:
+ *                 type: string
+ *                 enum: [ltr, rtl]
+ *               numeralSystem:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Language updated successfully
+ *       400:
+ *         description: Validation error, or an attempt to disable English
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Language not found
+ */
+router.put('/languages/:code', authenticateToken, authorize('admin'), validateUpdateLanguage, async(req, res) => {
+  try {
+    const code = req.params.code.toLowerCase();
+
+    if (code === languageRegistry.SOURCE_LANGUAGE && req.body.enabled === false) {
+      return res.status(400).json({
+        error: {
+          message: 'The source language cannot be disabled',
+          code: 'SOURCE_LANGUAGE_REQUIRED'
+        }
+      });
+    }
+
+    const language = await languageRegistry.update(code, req.body);
+    if (!language) {
+      return res.status(404).json({
+        error: {
+          message: 'Language not found',
+          code: 'LANGUAGE_NOT_FOUND'
+        }
+      });
+    }
+
+    res.json({
+      message: 'Language updated successfully',
+      language
+    });
+  } catch (error) {
+    logger.error('Update language error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to update language',
+        code: 'UPDATE_LANGUAGE_ERROR'
+      }
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/translation/translate:
@@ -183,7 +499,7 @@ router.post('/translate', authenticateToken, async (req, res) => {
  *             properties:
  *               targetLanguage:
  *                 type: string
- *                 enum: [hi, te, ta]
+ *                 example: hi
  *                 description: Target language code
  *     responses:
  *       200:
@@ -269,7 +585,7 @@ router.post('/question/:questionId', authenticateToken, validateObjectId('questi
  *             properties:
  *               targetLanguage:
  *                 type: string
- *                 enum: [hi, te, ta]
+ *                 example: hi
  *                 description: Target language code
  *     responses:
  *       200:
@@ -364,7 +680,7 @@ router.post('/chapter/:chapterId', authenticateToken, validateObjectId('chapterI
  *             properties:
  *               targetLanguage:
  *                 type: string
- *                 enum: [hi, te, ta]
+ *                 example: hi
  *                 description: Target language code
  *     responses:
  *       200:
@@ -450,7 +766,7 @@ router.post('/topic/:topicId', authenticateToken, validateObjectId('topicId'), a
  *             properties:
  *               targetLanguage:
  *                 type: string
- *                 enum: [hi, te, ta]
+ *                 example: hi
  *                 description: Target language code
  *     responses:
  *       200:
@@ -533,7 +849,7 @@ router.post('/recommendation/:recommendationId', authenticateToken, validateObje
  *                 description: UI text key
  *               targetLanguage:
  *                 type: string
- *                 enum: [hi, te, ta]
+ *                 example: hi
  *                 description: Target language code
  *     responses:
  *       200:
@@ -587,47 +903,91 @@ router.post('/ui', authenticateToken, async (req, res) => {
 
 /**
  * @swagger
- * /api/translation/cache/stats:
+ * /api/translation/catalog/{language}/{namespace}:
  *   get:
- *     summary: Get translation cache statistics
+ *     summary: Get every UI message of a namespace in a language
+ *     description: |
+ *       Messages use ICU MessageFormat. Keys without an approved translation
+ *       fall back to the built-in catalogue, then to English. The response
+ *       carries an ETag; send it back in If-None-Match to get 304 Not Modified
+ *       while nothing in the namespace has changed.
  *     tags: [Translation]
- *     security:
- *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: language
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: hi
+ *       - in: path
+ *         name: namespace
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: common
  *     responses:
  *       200:
- *         description: Cache statistics retrieved successfully
+ *         description: Catalog retrieved successfully
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 stats:
+ *                 namespace:
+ *                   type: string
+ *                 language:
+ *                   type: string
+ *                 version:
+ *                   type: string
+ *                 messages:
  *                   type: object
- *                   properties:
- *                     size:
- *                       type: number
- *                     supportedLanguages:
- *                       type: array
- *                       items:
- *                         type: string
- *                     languageNames:
- *                       type: object
- *       401:
- *         description: Unauthorized
+ *                   additionalProperties:
+ *                     type: string
+ *       304:
+ *         description: Catalog unchanged since the given ETag
+ *       400:
+ *         description: Language not enabled
+ *       404:
+ *         description: Namespace not found
  */
-router.get('/cache/stats', authenticateToken, async (req, res) => {
+router.get('/catalog/:language/:namespace', async(req, res) => {
   try {
-    const stats = translationService.getCacheStats();
+    const language = req.params.language.toLowerCase();
+    if (!languageRegistry.isEnabled(language)) {
+      return res.status(400).json({
+        error: {
+          message: `Language ${req.params.language} is not enabled`,
+          code: 'LANGUAGE_NOT_ENABLED'
+        }
+      });
+    }
 
-    res.json({
-      stats
+    const catalog = await uiCatalog.getNamespace(req.params.namespace.toLowerCase(), language);
+    if (!catalog) {
+      return res.status(404).json({
+        error: {
+          message: 'Namespace not found',
+          code: 'NAMESPACE_NOT_FOUND'
+        }
+      });
+    }
+
+    res.set({
+      ETag: `"${catalog.version}"`,
+      'Cache-Control': 'no-cache',
+      'Content-Language': language
     });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.json(catalog);
   } catch (error) {
-    logger.error('Get cache stats error:', error);
+    logger.error('Get UI catalog error:', error);
     res.status(500).json({
       error: {
-        message: 'Failed to retrieve cache statistics',
-        code: 'GET_CACHE_STATS_ERROR'
+        message: 'Failed to retrieve UI catalog',
+        code: 'GET_CATALOG_ERROR'
       }
     });
   }
@@ -635,35 +995,347 @@ router.get('/cache/stats', authenticateToken, async (req, res) => {
 
 /**
  * @swagger
- * /api/translation/cache/clear:
+ * /api/translation/catalog/messages:
  *   post:
- *     summary: Clear translation cache
+ *     summary: Add a UI message key (Admin only)
  *     tags: [Translation]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - namespace
+ *               - key
+ *               - message
+ *             properties:
+ *               namespace:
+ *                 type: string
+ *                 example: assessment
+ *               key:
+ *                 type: string
+ *                 example: questions_left
+ *               message:
+ *                 type: string
+ *                 description: English text in ICU MessageFormat
+ *                 example: '{count, plural, one {# question left} other {# questions left}}'
+ *               description:
+ *                 type: string
+ *                 description: Context for translators
  *     responses:
- *       200:
- *         description: Cache cleared successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *       401:
- *         description: Unauthorized
+ *       201:
+ *         description: Message created
+ *       400:
+ *         description: Validation error or invalid ICU message
  *       403:
- *         description: Access denied (admins only)
+ *         description: Insufficient permissions
+ *       409:
+ *         description: Key already exists
  */
-router.post('/cache/clear', authenticateToken, async (req, res) => {
+router.post('/catalog/messages', authenticateToken, authorize('admin'), validateCreateUiMessage, async(req, res) => {
   try {
-    // Only allow admins to clear cache
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
+    const { namespace, key, message, description } = req.body;
+
+    try {
+      uiCatalog.parseMessage(message);
+    } catch (error) {
+      return res.status(400).json({
         error: {
-          message: 'Access denied. Admin role required.',
-          code: 'ACCESS_DENIED'
+          message: error.message,
+          code: 'INVALID_MESSAGE'
+        }
+      });
+    }
+
+    if (await UiMessage.exists({ key })) {
+      return res.status(409).json({
+        error: {
+          message: `Message key ${key} already exists`,
+          code: 'MESSAGE_EXISTS'
+        }
+      });
+    }
+
+    const uiMessage = await new UiMessage({
+      namespace,
+      key,
+      message,
+      description: description || undefined,
+      createdBy: req.user._id
+    }).save();
+
+    logger.info(`UI message ${namespace}/${key} added by ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'UI message created',
+      uiMessage
+    });
+  } catch (error) {
+    logger.error('Create UI message error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to create UI message',
+        code: 'CREATE_MESSAGE_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translation/catalog/export:
+ *   get:
+ *     summary: Export a UI catalog for translators (Admin only)
+ *     description: |
+ *       PO files keep the key in msgctxt and the English text in msgid; machine
+ *       translations and translations of older English text are marked fuzzy.
+ *       JSON files contain only reviewed translations.
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: namespace
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: language
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: hi
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, po]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Catalog file
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Namespace not found
+ */
+router.get('/catalog/export', authenticateToken, authorize('admin'), validateCatalogExportQuery, async(req, res) => {
+  try {
+    const { namespace, language, format = 'json' } = req.query;
+    const file = await uiCatalog.exportCatalog({
+      namespace: namespace.toLowerCase(),
+      language: language.toLowerCase(),
+      format
+    });
+    if (!file) {
+      return res.status(404).json({
+        error: {
+          message: 'Namespace not found',
+          code: 'NAMESPACE_NOT_FOUND'
+        }
+      });
+    }
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    logger.error('Export UI catalog error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to export UI catalog',
+        code: 'EXPORT_CATALOG_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translation/catalog/import:
+ *   post:
+ *     summary: Import a UI catalog from JSON or PO (Admin only)
+ *     description: |
+ *       English files add or update keys. Files in other languages store
+ *       translations as reviewed by the importing admin (or approved with
+ *       `approve=true`); fuzzy and empty entries are skipped, and entries
+ *       whose placeholders do not match the English text are reported.
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - namespace
+ *               - language
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               namespace:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *               format:
+ *                 type: string
+ *                 enum: [json, po]
+ *                 description: Detected from the file name when omitted
+ *               approve:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Import summary with per-key errors
+ *       400:
+ *         description: Missing, unsupported or invalid file
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/catalog/import', authenticateToken, authorize('admin'), uploadSingle('file', { maxSize: 2 * 1024 * 1024 }), validateCatalogImport, async(req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          message: 'A file is required',
+          code: 'MISSING_FILE'
+        }
+      });
+    }
+
+    const format = req.body.format || uiCatalog.detectFormat(req.file.originalname, req.file.mimetype);
+    if (!format) {
+      return res.status(400).json({
+        error: {
+          message: 'Unsupported file type; upload .json or .po',
+          code: 'UNSUPPORTED_IMPORT_FORMAT'
+        }
+      });
+    }
+
+    let summary;
+    try {
+      summary = await uiCatalog.importCatalog({
+        namespace: req.body.namespace.toLowerCase(),
+        language: req.body.language.toLowerCase(),
+        format,
+        content: req.file.buffer.toString('utf8'),
+        userId: req.user._id,
+        approve: String(req.body.approve) === 'true'
+      });
+    } catch (error) {
+      if (!(error instanceof uiCatalog.CatalogFileError)) throw error;
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          code: 'INVALID_IMPORT_FILE'
+        }
+      });
+    }
+
+    logger.info(`UI catalog ${summary.namespace}/${summary.language} imported from ${format} by ${req.user.email}`);
+
+    res.json({
+      message: 'Catalog imported',
+      summary
+    });
+  } catch (error) {
+    logger.error('Import UI catalog error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to import UI catalog',
+        code: 'IMPORT_CATALOG_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translation/cache/stats:
+ *   get:
+ *     summary: Get translation cache statistics
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cache statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     size:
+ *                       type: number
+ *                     supportedLanguages:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     languageNames:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/cache/stats', authenticateToken, async (req, res) => {
+  try {
+    const stats = translationService.getCacheStats();
+
+    res.json({
+      stats
+    });
+  } catch (error) {
+    logger.error('Get cache stats error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve cache statistics',
+        code: 'GET_CACHE_STATS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translation/cache/clear:
+ *   post:
+ *     summary: Clear translation cache
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cache cleared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied (admins only)
+ */
+router.post('/cache/clear', authenticateToken, async (req, res) => {
+  try {
+    // Only allow admins to clear cache
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied. Admin role required.',
+          code: 'ACCESS_DENIED'
         }
       });
     }
@@ -684,4 +1356,395 @@ router.post('/cache/clear', authenticateToken, async (req, res) => {
   }
 });
 
+// Teachers review the languages listed on their profile; admins review any
+const canReviewLanguage = (user, language) =>
+  user.role === 'admin' || (user.reviewLanguages || []).includes(language);
+
+const languageNotAssigned = (res, language) => res.status(403).json({
+  error: {
+    message: `You are not registered to review ${translationService.getLanguageName(language)} translations`,
+    code: 'LANGUAGE_NOT_ASSIGNED'
+  }
+});
+
+// Load a translation the current user may review, refreshed against its source text
+const loadReviewableTranslation = async(req, res) => {
+  const translation = await Translation.findById(req.params.translationId);
+  if (!translation) {
+    res.status(404).json({
+      error: {
+        message: 'Translation not found',
+        code: 'TRANSLATION_NOT_FOUND'
+      }
+    });
+    return null;
+  }
+
+  if (!canReviewLanguage(req.user, translation.language)) {
+    languageNotAssigned(res, translation.language);
+    return null;
+  }
+
+  return translationService.refreshTranslation(translation);
+};
+
+/**
+ * @swagger
+ * /api/translation/reviews:
+ *   get:
+ *     summary: List translations awaiting review (teachers and admins only)
+ *     description: Teachers only see the languages in their reviewLanguages. Without a status filter, machine and reviewed translations are listed.
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           example: hi
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [machine, reviewed, approved]
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [question, chapter, topic, recommendation, ui]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outdated
+ *         schema:
+ *           type: boolean
+ *         description: Only translations whose English text changed since review
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Translations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 translations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Translation'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied or language not assigned
+ */
+router.get('/reviews', authenticateToken, authorize('teacher', 'admin'), validateTranslationReviewQuery, async(req, res) => {
+  try {
+    const { language, status, entityType, entityId, outdated, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (language) {
+      if (!canReviewLanguage(req.user, language)) {
+        return languageNotAssigned(res, language);
+      }
+      filter.language = language;
+    } else if (req.user.role !== 'admin') {
+      filter.language = { $in: req.user.reviewLanguages || [] };
+    }
+    filter.status = status || { $in: ['machine', 'reviewed'] };
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (outdated === 'true') filter['fields.outdated'] = true;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [translations, total] = await Promise.all([
+      Translation.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('reviewedBy approvedBy', 'name email'),
+      Translation.countDocuments(filter)
+    ]);
+
+    res.json({
+      translations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('List translation reviews error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve translations for review',
+        code: 'GET_TRANSLATION_REVIEWS_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translation/reviews/{translationId}:
+ *   get:
+ *     summary: Get a translation for review (teachers and admins only)
+ *     description: Fields whose English text changed are re-translated first and flagged as outdated.
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: translationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Translation retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 translation:
+ *                   $ref: '#/components/schemas/Translation'
+ *                 sourceChanged:
+ *                   type: boolean
+ *                 sourceMissing:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied or language not assigned
+ *       404:
+ *         description: Translation not found
+ */
+router.get('/reviews/:translationId', authenticateToken, authorize('teacher', 'admin'), validateObjectId('translationId'), async(req, res) => {
+  try {
+    const result = await loadReviewableTranslation(req, res);
+    if (!result) return;
+
+    await result.translation.populate('reviewedBy approvedBy', 'name email');
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Get translation review error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve translation',
+        code: 'GET_TRANSLATION_REVIEW_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translation/reviews/{translationId}:
+ *   put:
+ *     summary: Correct and mark a translation as reviewed (teachers and admins only)
+ *     description: Fields not listed keep their current text. Editing an approved translation sends it back to reviewed.
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: translationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - path
+ *                     - text
+ *                   properties:
+ *                     path:
+ *                       type: string
+ *                     text:
+ *                       type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Translation reviewed
+ *       400:
+ *         description: Validation error or unknown field
+ *       403:
+ *         description: Access denied or language not assigned
+ *       404:
+ *         description: Translation not found
+ *       409:
+ *         description: The English text changed; review the refreshed translation
+ */
+router.put('/reviews/:translationId', authenticateToken, authorize('teacher', 'admin'), validateObjectId('translationId'), validateReviewTranslation, async(req, res) => {
+  try {
+    const { fields = [], notes } = req.body;
+
+    const result = await loadReviewableTranslation(req, res);
+    if (!result) return;
+    const { translation, sourceChanged } = result;
+
+    if (sourceChanged) {
+      return res.status(409).json({
+        error: {
+          message: 'The source text changed since this translation was loaded; review the refreshed translation',
+          code: 'SOURCE_CHANGED'
+        },
+        translation
+      });
+    }
+
+    const paths = new Set(translation.fields.map(field => field.path));
+    const unknown = fields.filter(field => !paths.has(field.path)).map(field => field.path);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: {
+          message: `Unknown translation field(s): ${unknown.join(', ')}`,
+          code: 'UNKNOWN_FIELD'
+        }
+      });
+    }
+
+    // UI messages must stay valid ICU with the same placeholders as the English text
+    if (translation.entityType === 'ui') {
+      const problems = fields
+        .map(({ path, text }) => {
+          const sourceText = translation.fields.find(field => field.path === path).sourceText;
+          return uiCatalog.checkTranslation(sourceText, text);
+        })
+        .filter(Boolean);
+      if (problems.length > 0) {
+        return res.status(400).json({
+          error: {
+            message: problems.join('; '),
+            code: 'INVALID_MESSAGE'
+          }
+        });
+      }
+    }
+
+    translation.review(req.user._id, fields, notes);
+    await translation.save();
+
+    logger.info(`Translation ${translation._id} (${translation.entityType} ${translation.entityId}, ${translation.language}) reviewed by ${req.user.email}`);
+
+    res.json({
+      message: 'Translation reviewed',
+      translation
+    });
+  } catch (error) {
+    logger.error('Review translation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to review translation',
+        code: 'REVIEW_TRANSLATION_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translation/reviews/{translationId}/approve:
+ *   post:
+ *     summary: Approve a reviewed translation (teachers and admins only)
+ *     tags: [Translation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: translationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Translation approved
+ *       403:
+ *         description: Access denied or language not assigned
+ *       404:
+ *         description: Translation not found
+ *       409:
+ *         description: Translation has not been reviewed, or its English text changed
+ */
+router.post('/reviews/:translationId/approve', authenticateToken, authorize('teacher', 'admin'), validateObjectId('translationId'), validateApproveTranslation, async(req, res) => {
+  try {
+    const result = await loadReviewableTranslation(req, res);
+    if (!result) return;
+    const { translation, sourceChanged } = result;
+
+    if (sourceChanged) {
+      return res.status(409).json({
+        error: {
+          message: 'The source text changed; the translation needs another review',
+          code: 'SOURCE_CHANGED'
+        },
+        translation
+      });
+    }
+
+    if (!translation.canTransitionTo('approved')) {
+      return res.status(409).json({
+        error: {
+          message: `Cannot approve a translation with status ${translation.status}; review it first`,
+          code: 'INVALID_STATUS_TRANSITION'
+        }
+      });
+    }
+
+    translation.approve(req.user._id, req.body.notes);
+    await translation.save();
+
+    logger.info(`Translation ${translation._id} (${translation.entityType} ${translation.entityId}, ${translation.language}) approved by ${req.user.email}`);
+
+    res.json({
+      message: 'Translation approved',
+      translation
+    });
+  } catch (error) {
+    logger.error('Approve translation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to approve translation',
+        code: 'APPROVE_TRANSLATION_ERROR'
+      }
+    });
+  }
+});
+
 module.exports = router;
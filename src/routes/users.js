@@ -3,12 +3,44 @@ const User = require('../models/User');
 const StudentProfile = require('../models/StudentProfile');
 const AssessmentSession = require('../models/AssessmentSession');
 const Question = require('../models/Question');
+const Classroom = require('../models/Classroom');
+const gamificationService = require('../services/gamificationService');
 const { authenticateToken, authorize, authorizeResourceAccess } = require('../middlewares/auth');
 const { validateUpdateUser, validateStudentQuery, validateObjectId } = require('../middlewares/validation');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Students may see themselves, teachers themselves and the students in their classes, admins anyone
+const authorizeUserAccess = async(req, res, next) => {
+  try {
+    const { role, _id } = req.user;
+    const { id } = req.params;
+
+    if (role === 'admin' || _id.toString() === id) {
+      return next();
+    }
+    if (role === 'teacher' && await Classroom.teacherHasStudent(_id, id)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: {
+        message: 'Access denied to this resource',
+        code: 'RESOURCE_ACCESS_DENIED'
+      }
+    });
+  } catch (error) {
+    logger.error('Authorize user access error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to check access',
+        code: 'ACCESS_CHECK_ERROR'
+      }
+    });
+  }
+};
+
 /**
  * @swagger
  * components:
@@ -27,6 +59,12 @@ const router = express.Router();
  *           type: string
  *         schoolName:
  *           type: string
+ *         preferredLanguage:
+ *           type: string
+ *           example: hi
+ *         timezone:
+ *           type: string
+ *           example: Asia/Kolkata
  *         learningPreferences:
  *           type: object
  *           properties:
@@ -54,6 +92,17 @@ const router = express.Router();
  *           type: number
  *         averageDuration:
  *           type: number
+ *         classrooms:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               classroomId:
+ *                 type: string
+ *               displayName:
+ *                 type: string
+ *               students:
+ *                 type: number
  *         gradeDistribution:
  *           type: object
  *         topicPerformance:
@@ -99,11 +148,11 @@ const router = express.Router();
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied
+ *         description: Access denied; teachers may only view students in their classes
  *       404:
  *         description: User not found
  */
-router.get('/:id', authenticateToken, authorizeResourceAccess('id'), validateObjectId('id'), async(req, res) => {
+router.get('/:id', authenticateToken, validateObjectId('id'), authorizeUserAccess, async(req, res) => {
   try {
     const userId = req.params.id;
 
@@ -174,6 +223,14 @@ router.get('/:id', authenticateToken, authorizeResourceAccess('id'), validateObj
  *                 format: email
  *               schoolName:
  *                 type: string
+ *               preferredLanguage:
+ *                 type: string
+ *                 example: hi
+ *                 description: Language for content served to the student
+ *               timezone:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *                 description: IANA timezone the student's days (daily goals and streaks) are counted in
  *               learningPreferences:
  *                 type: object
  *                 properties:
@@ -236,7 +293,8 @@ router.put('/:id', authenticateToken, authorizeResourceAccess('id'), validateObj
     // Update user
     Object.keys(updateData).forEach(key => {
       if (key !== 'grade' && key !== 'consentFlag' && key !== 'parentEmail' &&
-          key !== 'schoolName' && key !== 'learningPreferences') {
+          key !== 'schoolName' && key !== 'learningPreferences' && key !== 'preferredLanguage' &&
+          key !== 'timezone') {
         user[key] = updateData[key];
       }
     });
@@ -254,12 +312,17 @@ router.put('/:id', authenticateToken, authorizeResourceAccess('id'), validateObj
         if (updateData.parentEmail) studentUpdateData.parentEmail = updateData.parentEmail;
         if (updateData.schoolName) studentUpdateData.schoolName = updateData.schoolName;
         if (updateData.learningPreferences) studentUpdateData.learningPreferences = updateData.learningPreferences;
+        if (updateData.preferredLanguage) studentUpdateData.preferredLanguage = updateData.preferredLanguage;
+        if (updateData.timezone) studentUpdateData.timezone = updateData.timezone;
 
         Object.keys(studentUpdateData).forEach(key => {
           studentProfile[key] = studentUpdateData[key];
         });
 
         await studentProfile.save();
+        if (updateData.grade || updateData.timezone) {
+          await gamificationService.syncStudentProfile(userId, { grade: updateData.grade, timezone: updateData.timezone });
+        }
       }
     }
 
@@ -316,6 +379,11 @@ router.put('/:id', authenticateToken, authorizeResourceAccess('id'), validateObj
  *           type: string
  *         description: Filter by school name
  *       - in: query
+ *         name: classroomId
+ *         schema:
+ *           type: string
+ *         description: Only students enrolled in this class
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
@@ -364,11 +432,19 @@ router.put('/:id', authenticateToken, authorizeResourceAccess('id'), validateObj
  */
 router.get('/', authenticateToken, authorize('teacher', 'admin'), validateStudentQuery, async(req, res) => {
   try {
-    const { page, limit, grade, schoolName, sortBy, sortOrder } = req.query;
+    const { page, limit, grade, schoolName, classroomId, sortBy, sortOrder } = req.query;
     const skip = (page - 1) * limit;
 
     // Build filter query
     const filter = { role: 'student' };
+
+    // Teachers only see students enrolled in their own classes
+    if (req.user.role === 'teacher') {
+      filter._id = { $in: await Classroom.getStudentIdsForTeacher(req.user._id, classroomId) };
+    } else if (classroomId) {
+      const classroom = await Classroom.findById(classroomId).select('students');
+      filter._id = { $in: classroom ? classroom.students : [] };
+    }
     if (grade) filter['studentProfile.grade'] = grade;
     if (schoolName) filter['studentProfile.schoolName'] = new RegExp(schoolName, 'i');
 
@@ -457,6 +533,11 @@ router.get('/', authenticateToken, authorize('teacher', 'admin'), validateStuden
  *         schema:
  *           type: string
  *         description: Teacher ID
+ *       - in: query
+ *         name: classroomId
+ *         schema:
+ *           type: string
+ *         description: Limit the report to one of the teacher's classes
  *     responses:
  *       200:
  *         description: Teacher report retrieved successfully
@@ -474,6 +555,17 @@ router.get('/', authenticateToken, authorize('teacher', 'admin'), validateStuden
 router.get('/:teacherId/report', authenticateToken, authorize('teacher', 'admin'), validateObjectId('teacherId'), async(req, res) => {
   try {
     const teacherId = req.params.teacherId;
+    const { classroomId } = req.query;
+
+    // Teachers can only see their own report
+    if (req.user.role === 'teacher' && req.user._id.toString() !== teacherId) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this teacher\'s report',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
 
     // Verify teacher exists
     const teacher = await User.findById(teacherId);
@@ -486,18 +578,18 @@ router.get('/:teacherId/report', authenticateToken, authorize('teacher', 'admin'
       });
     }
 
-    // Get students in teacher's class (assuming all students for now)
-    const students = await User.find({ role: 'student' }).select('_id');
-    const studentIds = students.map(student => student._id);
+    // Get students enrolled in the teacher's classes
+    const classroomQuery = { teachers: teacherId, isActive: true };
+    if (classroomId) classroomQuery._id = classroomId;
+    const classrooms = await Classroom.find(classroomQuery);
+    const studentIds = await Classroom.getStudentIdsForTeacher(teacherId, classroomId);
 
     // Get assessment statistics
-    const sessionStats = await AssessmentSession.getStatistics(
-      { studentId: { $in: studentIds } }
-    );
+    const sessionStats = await AssessmentSession.getStatistics(studentIds);
 
     // Get grade distribution
     const gradeDistribution = await User.aggregate([
-      { $match: { role: 'student' } },
+      { $match: { _id: { $in: studentIds }, role: 'student' } },
       {
         $lookup: {
           from: 'studentprofiles',
@@ -554,6 +646,11 @@ router.get('/:teacherId/report', authenticateToken, authorize('teacher', 'admin'
 
     const report = {
       teacherId,
+      classrooms: classrooms.map(classroom => ({
+        classroomId: classroom._id,
+        displayName: classroom.displayName,
+        students: classroom.studentsCount
+      })),
       totalStudents: studentIds.length,
       totalSessions: stats.totalSessions,
       completedSessions: stats.completedSessions,
@@ -632,11 +729,11 @@ router.get('/:teacherId/report', authenticateToken, authorize('teacher', 'admin'
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied
+ *         description: Access denied; teachers may only view students in their classes
  *       404:
  *         description: Student not found
  */
-router.get('/:id/dashboard', authenticateToken, authorizeResourceAccess('id'), validateObjectId('id'), async(req, res) => {
+router.get('/:id/dashboard', authenticateToken, validateObjectId('id'), authorizeUserAccess, async(req, res) => {
   try {
     const studentId = req.params.id;
 
@@ -730,10 +827,20 @@ router.get('/:id/dashboard', authenticateToken, authorizeResourceAccess('id'), v
 });
 
 // Get teacher dashboard statistics
-router.get('/:id/teacher-dashboard', authenticateToken, async (req, res) => {
+router.get('/:id/teacher-dashboard', authenticateToken, validateObjectId('id'), async (req, res) => {
   try {
     const { id } = req.params;
-    
+
+    // Only the teacher themselves or an admin can see the dashboard
+    if (req.user.role !== 'admin' && req.user._id.toString() !== id) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
     // Verify the user is a teacher
     const teacher = await User.findById(id);
     if (!teacher || teacher.role !== 'teacher') {
@@ -745,16 +852,18 @@ router.get('/:id/teacher-dashboard', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get all students
-    const students = await User.find({ role: 'student' });
-    const totalStudents = students.length;
+    // Get students enrolled in the teacher's classes
+    const classrooms = await Classroom.findForTeacher(id);
+    const studentIds = await Classroom.getStudentIdsForTeacher(id);
+    const totalStudents = studentIds.length;
 
     // Get total questions in the database
     const totalQuestions = await Question.countDocuments();
 
-    // Get all completed assessment sessions
-    const completedSessions = await AssessmentSession.find({ 
-      status: 'completed' 
+    // Get completed assessment sessions of the teacher's students
+    const completedSessions = await AssessmentSession.find({
+      studentId: { $in: studentIds },
+      status: 'completed'
     }).populate('studentId', 'name');
 
     // Calculate average score across all completed sessions
@@ -768,50 +877,59 @@ router.get('/:id/teacher-dashboard', authenticateToken, async (req, res) => {
     }
 
     // Get active assessment sessions
-    const activeAssessments = await AssessmentSession.countDocuments({ 
-      status: 'active' 
+    const activeAssessments = await AssessmentSession.countDocuments({
+      studentId: { $in: studentIds },
+      status: 'active'
     });
 
-    // Calculate class distribution by grade (assuming students have grade field)
-    const classDistribution = [
-      { grade: '6th', students: 0, averageScore: 0 },
-      { grade: '7th', students: 0, averageScore: 0 },
-      { grade: '8th', students: 0, averageScore: 0 },
-    ];
-
-    // For now, we'll use mock data for class distribution since we don't have grade field
-    // In a real implementation, you'd query students by grade and calculate their averages
-    const mockClassDistribution = [
-      { grade: '6th', students: Math.floor(totalStudents * 0.4), averageScore: 75 },
-      { grade: '7th', students: Math.floor(totalStudents * 0.4), averageScore: 82 },
-      { grade: '8th', students: totalStudents - Math.floor(totalStudents * 0.8), averageScore: 79 },
-    ];
-
-    // Calculate topic performance
-    const topicPerformance = [];
-    const topics = ['mathematics', 'science', 'reading', 'writing'];
-    
-    for (const topic of topics) {
-      const topicQuestions = await Question.find({ topic });
-      const topicSessions = completedSessions.filter(session => 
-        session.adaptiveParameters?.topic === topic
+    // Calculate distribution and average score per class
+    const sessionScore = session => (session.answeredQuestions > 0 ?
+      Math.round((session.correctAnswers / session.answeredQuestions) * 100) : 0);
+
+    const classDistribution = classrooms.map(classroom => {
+      const enrolled = new Set(classroom.students.map(studentId => studentId.toString()));
+      const classSessions = completedSessions.filter(session =>
+        session.studentId && enrolled.has(session.studentId._id.toString())
       );
-      
-      let topicScore = 0;
-      if (topicSessions.length > 0) {
-        const totalTopicScore = topicSessions.reduce((sum, session) => {
-          return sum + (session.answeredQuestions > 0 ? 
-            Math.round((session.correctAnswers / session.answeredQuestions) * 100) : 0);
-        }, 0);
-        topicScore = Math.round(totalTopicScore / topicSessions.length);
-      }
+      const classScore = classSessions.length > 0 ?
+        Math.round(classSessions.reduce((sum, session) => sum + sessionScore(session), 0) / classSessions.length) :
+        0;
+
+      return {
+        classroomId: classroom._id,
+        grade: classroom.grade,
+        section: classroom.section,
+        subject: classroom.subject,
+        name: classroom.displayName,
+        students: enrolled.size,
+        averageScore: classScore
+      };
+    });
 
-      topicPerformance.push({
-        topic: topic.charAt(0).toUpperCase() + topic.slice(1),
-        score: topicScore || Math.floor(Math.random() * 20) + 60, // Fallback to random score
-        students: Math.floor(totalStudents * 0.8) // Most students participate
+    // Calculate topic performance from the answered questions on each topic;
+    // score is null when none of the teacher's students has answered one
+    const topics = ['mathematics', 'science', 'reading', 'writing'];
+    const topicPerformance = topics.map(topic => {
+      let answered = 0;
+      let correct = 0;
+      const students = new Set();
+
+      completedSessions.forEach(session => {
+        session.items
+          .filter(item => item.topic === topic && item.answeredAt)
+          .forEach(item => {
+            answered += 1;
+            if (item.isCorrect) correct += 1;
+            if (session.studentId) students.add(session.studentId._id.toString());
+          });
       });
-    }
+
+      return {
+        topic: topic.charAt(0).toUpperCase() + topic.slice(1),
+        score: answered > 0 ? Math.round((correct / answered) * 100) : null,
+        students: students.size
+      };
+    });
 
     // Get recent activity (last 10 completed sessions)
     const recentActivity = completedSessions
@@ -831,7 +949,7 @@ router.get('/:id/teacher-dashboard', authenticateToken, async (req, res) => {
       totalQuestions,
       averageScore,
       activeAssessments,
-      classDistribution: mockClassDistribution,
+      classDistribution,
       topicPerformance,
       recentActivity
     });
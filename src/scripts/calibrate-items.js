@@ -0,0 +1,303 @@
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const AssessmentSession = require('../models/AssessmentSession');
+const Response = require('../models/Response');
+const IRTEngine = require('../services/irtEngine');
+const itemCalibration = require('../services/itemCalibration');
+const logger = require('../utils/logger');
+
+/**
+ * Offline item calibration.
+ *
+ * Usage:
+ *   npm run calibrate -- [--dry-run] [--chapter <chapterId>] [--min-responses <n>]
+ *                        [--drift-threshold <logits>] [--max-exposure <rate>]
+ *                        [--sync-difficulty] [--report <file.json>]
+ *
+ * Fits IRT parameters for every question answered in the Response collection,
+ * writes them to Question.irt (unless --dry-run) and prints a report of items
+ * with poor fit, weak discrimination, difficulty drift or too little data.
+ * Also sets each question's Sympson-Hetter exposure parameter so it appears
+ * in at most --max-exposure of the adaptive sessions on its chapter.
+ */
+
+function parseArgs(argv) {
+  const options = {
+    dryRun: false,
+    syncDifficulty: false,
+    chapterId: null,
+    reportPath: null,
+    minResponses: itemCalibration.DEFAULT_OPTIONS.minResponses,
+    driftThreshold: itemCalibration.DEFAULT_OPTIONS.driftThreshold,
+    maxExposureRate: itemCalibration.DEFAULT_OPTIONS.maxExposureRate
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+    case '--dry-run':
+      options.dryRun = true;
+      break;
+    case '--sync-difficulty':
+      options.syncDifficulty = true;
+      break;
+    case '--chapter':
+      options.chapterId = argv[++i];
+      break;
+    case '--report':
+      options.reportPath = argv[++i];
+      break;
+    case '--min-responses':
+      options.minResponses = parseInt(argv[++i], 10);
+      break;
+    case '--drift-threshold':
+      options.driftThreshold = parseFloat(argv[++i]);
+      break;
+    case '--max-exposure':
+      options.maxExposureRate = parseFloat(argv[++i]);
+      break;
+    default:
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+async function connectDatabase() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cognitive-assessment', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+  logger.info('Connected to MongoDB');
+}
+
+/**
+ * Load each student's first response to each question. Later attempts are
+ * skipped because repeated exposure makes items look easier than they are.
+ */
+async function loadResponses(chapterId) {
+  const pipeline = [
+    {
+      $lookup: {
+        from: 'assessmentsessions',
+        localField: 'sessionId',
+        foreignField: '_id',
+        as: 'session'
+      }
+    },
+    { $unwind: '$session' },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: { studentId: '$session.studentId', questionId: '$questionId' },
+        isCorrect: { $first: '$correct' }
+      }
+    }
+  ];
+
+  if (chapterId) {
+    pipeline.unshift({
+      $match: {
+        questionId: {
+          $in: await Question.find({ chapterId }).distinct('_id')
+        }
+      }
+    });
+  }
+
+  const rows = await Response.aggregate(pipeline).allowDiskUse(true);
+  return rows.map(row => ({
+    studentId: row._id.studentId,
+    questionId: row._id.questionId,
+    isCorrect: row.isCorrect
+  }));
+}
+
+/**
+ * Count how often each question was administered in adaptive sessions, and
+ * how many adaptive sessions were run on its chapter
+ */
+async function loadExposure(chapterId) {
+  const match = { sessionType: 'adaptive' };
+  if (chapterId) match.chapterId = new mongoose.Types.ObjectId(chapterId);
+
+  const [sessions, administrations] = await Promise.all([
+    AssessmentSession.aggregate([
+      { $match: match },
+      { $group: { _id: '$chapterId', sessions: { $sum: 1 } } }
+    ]),
+    AssessmentSession.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.questionId', administrations: { $sum: 1 } } }
+    ]).allowDiskUse(true)
+  ]);
+
+  const sessionsByChapter = new Map(sessions
+    .filter(row => row._id)
+    .map(row => [row._id.toString(), row.sessions]));
+  const administrationsById = new Map(administrations.map(row => [row._id.toString(), row.administrations]));
+
+  const questions = await Question.find({ chapterId: { $in: [...sessionsByChapter.keys()] } });
+  return questions.map(question => ({
+    question,
+    questionId: question._id.toString(),
+    administrations: administrationsById.get(question._id.toString()) || 0,
+    sessions: sessionsByChapter.get(question.chapterId.toString()) || 0,
+    exposureParameter: question.irt?.exposureParameter ?? 1
+  }));
+}
+
+async function updateExposureParameters(options, report) {
+  const exposure = await loadExposure(options.chapterId);
+  const parameters = itemCalibration.exposureParameters(exposure, {
+    maxExposureRate: options.maxExposureRate
+  });
+
+  report.exposure = { maxExposureRate: options.maxExposureRate, updated: 0, limited: [] };
+
+  for (const item of exposure) {
+    const k = parameters[item.questionId];
+    if (k < 1) {
+      report.exposure.limited.push({
+        questionId: item.questionId,
+        administrationRate: item.administrations / item.sessions,
+        exposureParameter: k
+      });
+    }
+
+    if (options.dryRun || k === item.exposureParameter) continue;
+
+    item.question.irt.exposureParameter = k;
+    await item.question.save();
+    report.exposure.updated += 1;
+  }
+}
+
+async function calibrateItems(options) {
+  const responses = await loadResponses(options.chapterId);
+  logger.info(`Loaded ${responses.length} first-attempt responses`);
+
+  const questionIds = [...new Set(responses.map(r => r.questionId.toString()))];
+  const questions = await Question.find({ _id: { $in: questionIds } });
+  const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+
+  const startingParams = {};
+  questions.forEach(question => {
+    startingParams[question._id.toString()] = question.getIrtParameters();
+  });
+
+  const result = itemCalibration.calibrate(responses, startingParams, {
+    minResponses: options.minResponses,
+    driftThreshold: options.driftThreshold
+  });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    dryRun: options.dryRun,
+    responses: responses.length,
+    students: Object.keys(result.abilities).length,
+    iterations: result.iterations,
+    converged: result.converged,
+    updated: 0,
+    items: []
+  };
+
+  for (const [questionId, calibrated] of Object.entries(result.items)) {
+    const question = questionsById.get(questionId);
+    if (!question) continue;
+
+    const previous = startingParams[questionId];
+    const flags = itemCalibration.reviewItem(calibrated, previous, {
+      minResponses: options.minResponses,
+      driftThreshold: options.driftThreshold
+    });
+
+    report.items.push({
+      questionId,
+      stem: question.stem.substring(0, 80),
+      previous,
+      calibrated: calibrated.params,
+      sampleSize: calibrated.sampleSize,
+      proportionCorrect: calibrated.proportionCorrect,
+      infit: calibrated.infit,
+      outfit: calibrated.outfit,
+      flags
+    });
+
+    if (options.dryRun || flags.includes('insufficient_data')) continue;
+
+    question.irt.discrimination = calibrated.params.a;
+    question.irt.difficulty = calibrated.params.b;
+    question.irt.guessing = calibrated.params.c;
+    question.irt.calibrated = true;
+    question.irt.calibratedAt = new Date();
+    question.irt.sampleSize = calibrated.sampleSize;
+    if (options.syncDifficulty) {
+      question.difficulty = IRTEngine.thetaToScore(calibrated.params.b);
+    }
+    await question.save();
+    report.updated += 1;
+  }
+
+  await updateExposureParameters(options, report);
+
+  return report;
+}
+
+function printReport(report) {
+  const flagged = report.items.filter(item => item.flags.length > 0);
+
+  console.log('\n=== Item Calibration Report ===');
+  console.log(`Responses: ${report.responses}, students: ${report.students}, items: ${report.items.length}`);
+  console.log(`Iterations: ${report.iterations} (${report.converged ? 'converged' : 'not converged'})`);
+  console.log(`Questions updated: ${report.updated}${report.dryRun ? ' (dry run)' : ''}`);
+
+  if (flagged.length === 0) {
+    console.log('No items flagged.');
+  } else {
+    console.log(`\nFlagged items (${flagged.length}):`);
+    flagged.forEach(item => {
+      console.log(
+        `- ${item.questionId} a=${item.calibrated.a.toFixed(2)} b=${item.calibrated.b.toFixed(2)} ` +
+        `n=${item.sampleSize} infit=${item.infit?.toFixed(2)} outfit=${item.outfit?.toFixed(2)} ` +
+        `[${item.flags.join(', ')}] ${item.stem}`
+      );
+    });
+  }
+  if (report.exposure) {
+    console.log(`\nExposure: ${report.exposure.limited.length} items limited to ${report.exposure.maxExposureRate} ` +
+      `of sessions, ${report.exposure.updated} parameters updated`);
+  }
+  console.log('===============================\n');
+}
+
+async function run() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await connectDatabase();
+
+    const report = await calibrateItems(options);
+    printReport(report);
+
+    if (options.reportPath) {
+      fs.writeFileSync(options.reportPath, JSON.stringify(report, null, 2));
+      logger.info(`Calibration report written to ${options.reportPath}`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Item calibration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run calibration if this file is executed directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { parseArgs, loadResponses, loadExposure, calibrateItems };
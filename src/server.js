@@ -9,6 +9,11 @@ const swaggerJsdoc = require('swagger-jsdoc');
 
 const logger = require('./utils/logger');
 const errorHandler = require('./middlewares/errorHandler');
+const languageRegistry = require('./services/languageRegistry');
+const uiCatalog = require('./services/uiCatalog');
+const moderation = require('./services/moderation');
+const contentRetrieval = require('./services/contentRetrieval');
+const badgeRules = require('./services/badgeRules');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const questionRoutes = require('./routes/questions');
@@ -22,6 +27,9 @@ const practiceRoutes = require('./routes/practice');
 const revisionRoutes = require('./routes/revision');
 const analyticsRoutes = require('./routes/analytics');
 const gamificationRoutes = require('./routes/gamification');
+const classroomRoutes = require('./routes/classrooms');
+const assignmentRoutes = require('./routes/assignments');
+const moderationRoutes = require('./routes/moderation');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -48,6 +56,20 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT'
         }
+      },
+      parameters: {
+        lang: {
+          in: 'query',
+          name: 'lang',
+          schema: { type: 'string', example: 'hi' },
+          description: 'Content language (any enabled language); overrides the student\'s preferred language and Accept-Language'
+        },
+        acceptLanguage: {
+          in: 'header',
+          name: 'Accept-Language',
+          schema: { type: 'string' },
+          description: 'Used when no lang parameter or preferred language is set'
+        }
       }
     }
   },
@@ -120,6 +142,9 @@ app.use('/api/practice', practiceRoutes);
 app.use('/api/revision', revisionRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/gamification', gamificationRoutes);
+app.use('/api/classrooms', classroomRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/moderation', moderationRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -139,8 +164,39 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cognitive
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-  .then(() => {
+  .then(async() => {
     logger.info('Connected to MongoDB');
+    try {
+      await languageRegistry.load();
+    } catch (error) {
+      logger.error('Language registry load error, using built-in languages:', error);
+    }
+    try {
+      await uiCatalog.seedBuiltInMessages();
+    } catch (error) {
+      logger.error('UI catalog seed error:', error);
+    }
+    try {
+      await moderation.load();
+    } catch (error) {
+      logger.error('Moderation policy load error, using the default policy:', error);
+    }
+    try {
+      await badgeRules.seedBuiltInBadges();
+      await badgeRules.load();
+    } catch (error) {
+      logger.error('Badge definitions load error:', error);
+    }
+    try {
+      // Build the content store from existing topics and questions on first start
+      let passages = await contentRetrieval.load();
+      if (passages === 0) {
+        ({ passages } = await contentRetrieval.rebuild());
+      }
+      logger.info(`Content index loaded with ${passages} passages`);
+    } catch (error) {
+      logger.error('Content index load error, chatbot answers will not cite the textbook:', error);
+    }
     // Only start the server if not in test mode
     if (process.env.NODE_ENV !== 'test') {
       app.listen(PORT, () => {
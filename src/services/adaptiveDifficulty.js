@@ -1,6 +1,7 @@
 const TopicPerformance = require('../models/TopicPerformance');
 const Question = require('../models/Question');
 const logger = require('../utils/logger');
+const itemSelection = require('./itemSelection');
 
 /**
  * Adaptive Difficulty Engine Service
@@ -28,6 +29,7 @@ class AdaptiveDifficultyEngine {
           currentDifficulty: questionDifficulty
         });
       }
+      const previousMasteryLevel = performance.masteryLevel;
 
       // Record the attempt
       await performance.recordAttempt(isCorrect, responseTimeMs);
@@ -38,6 +40,7 @@ class AdaptiveDifficultyEngine {
         topicId,
         currentDifficulty: performance.currentDifficulty,
         masteryLevel: performance.masteryLevel,
+        previousMasteryLevel,
         successRate: performance.successRate,
         attemptsCount: performance.attemptsCount,
         consecutiveFailures: performance.consecutiveFailures,
@@ -129,6 +132,29 @@ class AdaptiveDifficultyEngine {
     }
   }
 
+  /**
+   * Select the next question with a pluggable selection strategy
+   * @param {Object} options - Selection options
+   * @param {string} options.studentId - Student ID
+   * @param {string} options.chapterId - Chapter ID
+   * @param {string} options.topicId - Restrict selection to a topic (optional)
+   * @param {Array} options.excludeQuestionIds - Questions to exclude
+   * @param {number} options.theta - Current IRT ability estimate
+   * @param {string} options.strategy - Registered strategy name
+   * @param {string} options.exposureControl - none, randomesque or sympson-hetter
+   * @param {boolean} options.contentBalancing - Balance items across chapter topics
+   * @returns {Promise<Object|null>} Selected question
+   */
+  static async selectNextQuestion(options = {}) {
+    try {
+      const { strategy = itemSelection.DEFAULT_STRATEGY, ...context } = options;
+      return await itemSelection.getStrategy(strategy)(context);
+    } catch (error) {
+      logger.error('Error selecting next question:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get adaptive questions for a chapter
    * @param {string} studentId - Student ID
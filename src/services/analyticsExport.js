@@ -0,0 +1,200 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+/**
+ * Writers for analytics exports. Rows come from the async generators in
+ * analyticsService and are written to the response as they arrive, so a
+ * large report is never held in memory as one string.
+ */
+
+const percent = value => Math.round((value || 0) * 100);
+
+// Columns per report type: header and cell value for each row
+const COLUMNS = {
+  chapters: [
+    { header: 'Chapter Name', value: row => row.chapterName },
+    { header: 'Class', value: row => row.class },
+    { header: 'Subject', value: row => row.subject },
+    { header: 'Total Students', value: row => row.totalStudents },
+    { header: 'Completed', value: row => row.completedStudents },
+    { header: 'Average Score (%)', value: row => percent(row.averageScore) },
+    { header: 'Average Time (s)', value: row => row.averageTime },
+    { header: 'Easy Items', value: row => row.difficultyDistribution.easy },
+    { header: 'Medium Items', value: row => row.difficultyDistribution.medium },
+    { header: 'Hard Items', value: row => row.difficultyDistribution.hard }
+  ],
+  students: [
+    { header: 'Student Name', value: row => row.studentName },
+    { header: 'Email', value: row => row.studentEmail },
+    { header: 'Total Sessions', value: row => row.totalSessions },
+    { header: 'Average Score (%)', value: row => percent(row.averageScore) },
+    { header: 'Total Time Spent (s)', value: row => row.totalTimeSpent },
+    { header: 'Chapters Attempted', value: row => new Set(row.chapterProgress.map(p => p.chapterId.toString())).size }
+  ],
+  topics: [
+    { header: 'Topic Name', value: row => row.topicName },
+    { header: 'Chapter', value: row => row.chapterName },
+    { header: 'Class', value: row => row.chapterClass },
+    { header: 'Subject', value: row => row.chapterSubject },
+    { header: 'Total Students', value: row => row.totalStudents },
+    { header: 'Average Score (%)', value: row => percent(row.averageScore) },
+    { header: 'Struggling Students', value: row => row.strugglingStudents },
+    { header: 'Beginner', value: row => row.masteryDistribution.beginner },
+    { header: 'Developing', value: row => row.masteryDistribution.developing },
+    { header: 'Proficient', value: row => row.masteryDistribution.proficient },
+    { header: 'Advanced', value: row => row.masteryDistribution.advanced }
+  ],
+  questions: [
+    { header: 'Question Stem', value: row => row.stem },
+    { header: 'Type', value: row => row.questionType },
+    { header: 'Difficulty', value: row => row.difficulty },
+    { header: 'Chapter', value: row => row.chapterName },
+    { header: 'Topic', value: row => row.topicName },
+    { header: 'Usage Count', value: row => row.usageCount },
+    { header: 'Success Rate (%)', value: row => percent(row.successRate) },
+    { header: 'Response Time (ms)', value: row => row.averageResponseTime }
+  ]
+};
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+const cellsFor = (type, row) => COLUMNS[type].map(column => {
+  const value = column.value(row);
+  return value === undefined ? null : value;
+});
+
+/**
+ * Escape one CSV cell. Text starting with a formula trigger is prefixed
+ * with a quote so spreadsheets do not evaluate it.
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toCsvLine = cells => `${cells.map(escapeCsvCell).join(',')}\r\n`;
+
+// Write a chunk, waiting for the stream to drain when its buffer is full. A
+// client that disconnects closes the stream instead, which never drains.
+const write = async(output, chunk) => {
+  if (output.destroyed || output.write(chunk)) return;
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(output, 'drain', { signal: controller.signal }),
+      once(output, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+const writeCsv = async(type, rows, output) => {
+  // BOM so spreadsheet apps read the file as UTF-8
+  await write(output, `\uFEFF${toCsvLine(COLUMNS[type].map(column => column.header))}`);
+
+  let count = 0;
+  for await (const row of rows) {
+    // Stop reading rows once the client has gone
+    if (output.destroyed) break;
+    await write(output, toCsvLine(cellsFor(type, row)));
+    count++;
+  }
+  output.end();
+  return count;
+};
+
+const writeJsonLines = async(type, rows, output) => {
+  let count = 0;
+  for await (const row of rows) {
+    if (output.destroyed) break;
+    await write(output, `${JSON.stringify(row)}\n`);
+    count++;
+  }
+  output.end();
+  return count;
+};
+
+const writeXlsx = async(type, rows, output) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output });
+  const worksheet = workbook.addWorksheet(type);
+  worksheet.columns = COLUMNS[type].map(column => ({
+    header: column.header,
+    width: Math.max(12, column.header.length + 2)
+  }));
+
+  let count = 0;
+  for await (const row of rows) {
+    if (output.destroyed) break;
+    worksheet.addRow(cellsFor(type, row)).commit();
+    count++;
+  }
+  if (output.destroyed) return count;
+  worksheet.commit();
+  await workbook.commit();
+  return count;
+};
+
+const writers = {
+  csv: writeCsv,
+  xlsx: writeXlsx,
+  jsonl: writeJsonLines
+};
+
+/**
+ * Download file name for an export
+ * @param {string} type - Report type
+ * @param {string} format - Export format
+ * @param {Date} date - Export date
+ * @returns {string} File name
+ */
+const exportFilename = (type, format, date = new Date()) => {
+  const singular = type.replace(/s$/, '');
+  return `${singular}_analytics_${date.toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+};
+
+/**
+ * Stream report rows to a writable in the requested format
+ * @param {string} type - Report type (chapters, students, topics, questions)
+ * @param {string} format - csv, xlsx or jsonl
+ * @param {AsyncIterable} rows - Report rows
+ * @param {Writable} output - Destination stream, ended when done
+ * @returns {Promise<number>} Number of rows written; fewer than the report
+ *   has when the client disconnects
+ */
+const writeExport = (type, format, rows, output) => {
+  if (!COLUMNS[type]) {
+    throw new Error(`Unknown export type "${type}"`);
+  }
+  if (!writers[format]) {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+  return writers[format](type, rows, output);
+};
+
+module.exports = {
+  COLUMNS,
+  FORMATS,
+  EXPORT_FORMATS,
+  escapeCsvCell,
+  exportFilename,
+  writeExport
+};
@@ -0,0 +1,446 @@
+const mongoose = require('mongoose');
+const AssessmentSession = require('../models/AssessmentSession');
+const Question = require('../models/Question');
+const Chapter = require('../models/Chapter');
+const Topic = require('../models/Topic');
+const TopicPerformance = require('../models/TopicPerformance');
+const Classroom = require('../models/Classroom');
+
+/**
+ * Analytics aggregations shared by the analytics endpoints and the export.
+ * Each report is an async generator yielding one row at a time, so the
+ * export can stream rows as they are computed while the JSON endpoints
+ * simply collect them.
+ *
+ * `studentScope` is null for an unrestricted (admin) report, otherwise the
+ * list of student ids whose data may be included.
+ */
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const sessionScore = (session) => {
+  if (!session.answeredQuestions) return 0;
+  return session.correctAnswers / session.answeredQuestions;
+};
+
+const toObjectId = id => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Students whose data a user may see: null (no restriction) for admins,
+ * otherwise the students enrolled in the teacher's classes. Both roles can
+ * narrow the scope to one class.
+ * @param {Object} user - Requesting user
+ * @param {string} classroomId - Optional class filter
+ * @returns {Array|null} Student ids, or null for no restriction
+ */
+const getStudentScope = async(user, classroomId) => {
+  if (user.role === 'admin') {
+    if (!classroomId) return null;
+    const classroom = await Classroom.findById(classroomId).select('students');
+    return classroom ? classroom.students : [];
+  }
+
+  return Classroom.getStudentIdsForTeacher(user._id, classroomId);
+};
+
+const summarizeChapter = async(chapter, studentScope) => {
+  // Get all sessions for this chapter
+  const sessionQuery = {
+    chapterId: chapter._id,
+    status: 'completed'
+  };
+  if (studentScope) sessionQuery.studentId = { $in: studentScope };
+
+  const sessions = await AssessmentSession.find(sessionQuery).select('items correctAnswers answeredQuestions startedAt finishedAt status');
+
+  const totalStudents = sessions.length;
+  const completedStudents = sessions.filter(s => s.status === 'completed').length;
+
+  const averageScore = sessions.length > 0 ?
+    sessions.reduce((sum, s) => sum + sessionScore(s), 0) / sessions.length :
+    0;
+
+  const averageTime = sessions.length > 0 ?
+    sessions.reduce((sum, s) => sum + (s.finishedAt - s.startedAt), 0) / sessions.length :
+    0;
+
+  // Get difficulty distribution
+  const difficultyDistribution = {
+    easy: 0,
+    medium: 0,
+    hard: 0
+  };
+
+  sessions.forEach(session => {
+    session.items.forEach(item => {
+      if (item.difficulty <= 0.3) difficultyDistribution.easy++;
+      else if (item.difficulty <= 0.7) difficultyDistribution.medium++;
+      else difficultyDistribution.hard++;
+    });
+  });
+
+  // Get topic performance
+  const topicPerformance = chapter.topics.map(topic => {
+    const topicKey = topic._id.toString();
+    const topicSessions = sessions.filter(s => s.items.some(item => item.topic === topicKey));
+
+    const topicScores = topicSessions.map(session => {
+      const topicItems = session.items.filter(item => item.topic === topicKey);
+      const correctAnswers = topicItems.filter(item => item.isCorrect).length;
+      return topicItems.length > 0 ? correctAnswers / topicItems.length : 0;
+    });
+
+    const averageTopicScore = topicScores.length > 0 ?
+      topicScores.reduce((sum, score) => sum + score, 0) / topicScores.length :
+      0;
+
+    return {
+      topicId: topic._id,
+      topicName: topic.topicName,
+      totalAttempts: topicSessions.length,
+      averageScore: averageTopicScore,
+      difficulty: topic.difficulty
+    };
+  });
+
+  return {
+    chapterId: chapter._id,
+    chapterName: chapter.chapterName,
+    class: chapter.class,
+    subject: chapter.subject,
+    totalStudents,
+    completedStudents,
+    averageScore: round2(averageScore),
+    averageTime: Math.round(averageTime / 1000), // in seconds
+    difficultyDistribution,
+    topicPerformance
+  };
+};
+
+/**
+ * Chapter-wise analytics
+ * @param {Object} filters - { class, subject, chapterId }
+ * @param {Array|null} studentScope - Students to include
+ */
+async function* chapterAnalytics(filters = {}, studentScope = null) {
+  const { class: classLevel, subject, chapterId } = filters;
+
+  const query = {};
+  if (chapterId) {
+    query._id = chapterId;
+  } else {
+    query.isActive = true;
+    if (classLevel) query.class = classLevel;
+    if (subject) query.subject = subject;
+  }
+
+  const cursor = Chapter.find(query)
+    .populate('topics')
+    .sort({ class: 1, subject: 1, chapterNumber: 1 })
+    .cursor();
+
+  for await (const chapter of cursor) {
+    yield await summarizeChapter(chapter, studentScope);
+  }
+}
+
+/**
+ * Per-student performance, best average score first
+ * @param {Object} filters - { class, chapterId, limit }
+ * @param {Array|null} studentScope - Students to include
+ */
+async function* studentAnalytics(filters = {}, studentScope = null) {
+  const { class: classLevel, chapterId, limit } = filters;
+
+  const match = { status: 'completed' };
+  if (chapterId) match.chapterId = toObjectId(chapterId);
+  if (studentScope) match.studentId = { $in: studentScope.map(toObjectId) };
+
+  const pipeline = [
+    { $match: match },
+    {
+      $lookup: {
+        from: 'chapters',
+        localField: 'chapterId',
+        foreignField: '_id',
+        as: 'chapter'
+      }
+    },
+    { $unwind: '$chapter' }
+  ];
+
+  // Filter by class if specified
+  if (classLevel) {
+    pipeline.push({ $match: { 'chapter.class': classLevel } });
+  }
+
+  pipeline.push(
+    { $sort: { finishedAt: 1 } },
+    {
+      $project: {
+        studentId: 1,
+        score: {
+          $cond: [
+            { $gt: ['$answeredQuestions', 0] },
+            { $divide: ['$correctAnswers', '$answeredQuestions'] },
+            0
+          ]
+        },
+        timeSpent: { $subtract: ['$finishedAt', '$startedAt'] },
+        chapterId: '$chapter._id',
+        chapterName: '$chapter.chapterName',
+        completedAt: '$finishedAt'
+      }
+    },
+    {
+      $group: {
+        _id: '$studentId',
+        totalSessions: { $sum: 1 },
+        averageScore: { $avg: '$score' },
+        totalTimeSpent: { $sum: '$timeSpent' },
+        chapterProgress: {
+          $push: {
+            chapterId: '$chapterId',
+            chapterName: '$chapterName',
+            score: '$score',
+            timeSpent: '$timeSpent',
+            completedAt: '$completedAt'
+          }
+        }
+      }
+    },
+    { $sort: { averageScore: -1, _id: 1 } }
+  );
+
+  if (limit) {
+    pipeline.push({ $limit: parseInt(limit) });
+  }
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'student'
+      }
+    },
+    { $unwind: '$student' }
+  );
+
+  const cursor = AssessmentSession.aggregate(pipeline).allowDiskUse(true).cursor();
+
+  for await (const row of cursor) {
+    yield {
+      studentId: row._id,
+      studentName: row.student.name,
+      studentEmail: row.student.email,
+      totalSessions: row.totalSessions,
+      averageScore: round2(row.averageScore),
+      totalTimeSpent: Math.round(row.totalTimeSpent / 1000), // in seconds
+      chapterProgress: row.chapterProgress
+    };
+  }
+}
+
+/**
+ * Topic mastery analytics
+ * @param {Object} filters - { chapterId, class, subject }
+ * @param {Array|null} studentScope - Students to include
+ */
+async function* topicAnalytics(filters = {}, studentScope = null) {
+  const { chapterId, class: classLevel, subject } = filters;
+
+  const query = {};
+  if (chapterId) {
+    query.chapterId = chapterId;
+  } else {
+    query.isActive = true;
+    if (classLevel || subject) {
+      const chapterQuery = {};
+      if (classLevel) chapterQuery.class = classLevel;
+      if (subject) chapterQuery.subject = subject;
+
+      query.chapterId = { $in: await Chapter.find(chapterQuery).distinct('_id') };
+    }
+  }
+
+  const cursor = Topic.find(query)
+    .populate('chapterId', 'chapterName class subject')
+    .cursor();
+
+  for await (const topic of cursor) {
+    // Get topic performance data
+    const performanceQuery = { topicId: topic._id };
+    if (studentScope) performanceQuery.studentId = { $in: studentScope };
+
+    const topicPerformances = await TopicPerformance.find(performanceQuery);
+
+    const totalStudents = topicPerformances.length;
+    const averageScore = totalStudents > 0 ?
+      topicPerformances.reduce((sum, tp) => sum + tp.averageScore, 0) / totalStudents :
+      0;
+
+    const strugglingStudents = topicPerformances.filter(tp =>
+      tp.averageScore < 0.4 && tp.attemptsCount >= 2
+    ).length;
+
+    const masteryDistribution = {
+      beginner: 0,
+      developing: 0,
+      proficient: 0,
+      advanced: 0
+    };
+
+    topicPerformances.forEach(tp => {
+      masteryDistribution[tp.masteryLevel]++;
+    });
+
+    yield {
+      topicId: topic._id,
+      topicName: topic.topicName,
+      chapterName: topic.chapterId?.chapterName || 'Unknown',
+      chapterClass: topic.chapterId?.class,
+      chapterSubject: topic.chapterId?.subject,
+      totalStudents,
+      averageScore: round2(averageScore),
+      strugglingStudents,
+      masteryDistribution,
+      difficulty: topic.difficulty
+    };
+  }
+}
+
+const summarizeQuestion = (question, usage) => {
+  let { usageCount, successRate, averageResponseTime } = question;
+  if (usage !== undefined) {
+    usageCount = usage ? usage.usageCount : 0;
+    successRate = usage ? usage.correctCount / usage.usageCount : 0;
+    averageResponseTime = usage ? usage.averageResponseTime || 0 : 0;
+  }
+
+  // Calculate discrimination index (simplified)
+  const discriminationIndex = usageCount > 0 ? successRate : 0;
+
+  return {
+    questionId: question._id,
+    stem: question.stem.substring(0, 100) + (question.stem.length > 100 ? '...' : ''),
+    questionType: question.questionType,
+    difficulty: question.difficulty,
+    chapterName: question.chapterId?.chapterName || 'Unknown',
+    topicName: question.topicId?.topicName || 'Unknown',
+    usageCount,
+    successRate: round2(successRate),
+    averageResponseTime: Math.round(averageResponseTime),
+    discriminationIndex: round2(discriminationIndex)
+  };
+};
+
+/**
+ * Question effectiveness, most used first
+ * @param {Object} filters - { chapterId, questionType, difficulty }
+ * @param {Array|null} studentScope - Students to include
+ */
+async function* questionAnalytics(filters = {}, studentScope = null) {
+  const { chapterId, questionType, difficulty } = filters;
+
+  const query = { isActive: true };
+  if (chapterId) query.chapterId = chapterId;
+  if (questionType) query.questionType = questionType;
+  if (difficulty !== undefined && difficulty !== null && difficulty !== '') {
+    const difficultyNum = parseFloat(difficulty);
+    if (!isNaN(difficultyNum)) {
+      query.difficulty = {
+        $gte: difficultyNum - 0.1,
+        $lte: difficultyNum + 0.1
+      };
+    }
+  }
+
+  const findQuestions = criteria => Question.find(criteria)
+    .populate('chapterId', 'chapterName class subject')
+    .populate('topicId', 'topicName');
+
+  if (!studentScope) {
+    for await (const question of findQuestions(query).sort({ usageCount: -1 }).cursor()) {
+      yield summarizeQuestion(question);
+    }
+    return;
+  }
+
+  // Question statistics are school-wide; for a scoped report recompute
+  // them from the sessions of the students in scope
+  const usage = await AssessmentSession.aggregate([
+    { $match: { studentId: { $in: studentScope.map(toObjectId) } } },
+    { $unwind: '$items' },
+    { $match: { 'items.isCorrect': { $ne: null } } },
+    {
+      $group: {
+        _id: '$items.questionId',
+        usageCount: { $sum: 1 },
+        correctCount: { $sum: { $cond: ['$items.isCorrect', 1, 0] } },
+        averageResponseTime: { $avg: '$items.responseTimeMs' }
+      }
+    }
+  ]);
+  const usageById = new Map(usage.map(entry => [entry._id.toString(), entry]));
+  const usedIds = usage.map(entry => entry._id);
+
+  // Questions the students answered, most used first, then the rest unused
+  const used = await findQuestions({ ...query, _id: { $in: usedIds } });
+  const usedRows = used
+    .map(question => summarizeQuestion(question, usageById.get(question._id.toString())))
+    .sort((a, b) => b.usageCount - a.usageCount);
+  for (const row of usedRows) {
+    yield row;
+  }
+
+  const unused = findQuestions({ ...query, _id: { $nin: usedIds } }).sort({ usageCount: -1 }).cursor();
+  for await (const question of unused) {
+    yield summarizeQuestion(question, null);
+  }
+}
+
+const reports = {
+  chapters: chapterAnalytics,
+  students: studentAnalytics,
+  topics: topicAnalytics,
+  questions: questionAnalytics
+};
+
+const REPORT_TYPES = Object.keys(reports);
+
+/**
+ * Rows of a report by name
+ * @param {string} type - chapters | students | topics | questions
+ * @param {Object} filters - Report filters
+ * @param {Array|null} studentScope - Students to include
+ * @returns {AsyncGenerator} Report rows
+ */
+const getReport = (type, filters, studentScope) => {
+  const report = reports[type];
+  if (!report) {
+    throw new Error(`Unknown analytics report "${type}"`);
+  }
+  return report(filters, studentScope);
+};
+
+// Gather every row of a report into an array
+const collect = async(rows) => {
+  const result = [];
+  for await (const row of rows) {
+    result.push(row);
+  }
+  return result;
+};
+
+module.exports = {
+  REPORT_TYPES,
+  getStudentScope,
+  chapterAnalytics,
+  studentAnalytics,
+  topicAnalytics,
+  questionAnalytics,
+  getReport,
+  collect
+};
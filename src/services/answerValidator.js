@@ -1,5 +1,11 @@
 const logger = require('../utils/logger');
 
+// Punctuation and symbols in any script (letters, marks such as Indic vowel signs, and digits are kept)
+const PUNCTUATION = /[^\p{L}\p{M}\p{N}\s_]/gu;
+
+// Devanagari, Bengali, Gurmukhi, Gujarati, Oriya, Tamil, Telugu, Kannada and Malayalam digits
+const INDIC_DIGITS = /[\u0966-\u096F\u09E6-\u09EF\u0A66-\u0A6F\u0AE6-\u0AEF\u0B66-\u0B6F\u0BE6-\u0BEF\u0C66-\u0C6F\u0CE6-\u0CEF\u0D66-\u0D6F]/g;
+
 /**
  * Answer validation service for different question types
  */
@@ -44,9 +50,10 @@ class AnswerValidator {
    * Validate fill-in-blank answer
    * @param {Object} question - Question object
    * @param {string|Array} userAnswer - User's answer(s)
+   * @param {Object} options - { additionalAnswers } also accepted, e.g. the English answers of a localised question
    * @returns {Object} Validation result
    */
-  static validateFillInBlank(question, userAnswer) {
+  static validateFillInBlank(question, userAnswer, options = {}) {
     try {
       // Normalize user answer
       let normalizedUserAnswer;
@@ -57,8 +64,7 @@ class AnswerValidator {
       }
 
       // Get correct answers
-      const correctAnswers = [question.correctAnswer, ...(question.acceptedAnswers || [])]
-        .map(answer => this.normalizeAnswer(answer));
+      const correctAnswers = this.getCorrectAnswers(question, options);
 
       // Check if answer matches any correct answer
       let isCorrect = false;
@@ -108,13 +114,13 @@ class AnswerValidator {
    * Validate short-answer question
    * @param {Object} question - Question object
    * @param {string} userAnswer - User's answer
+   * @param {Object} options - { additionalAnswers } also accepted
    * @returns {Object} Validation result
    */
-  static validateShortAnswer(question, userAnswer) {
+  static validateShortAnswer(question, userAnswer, options = {}) {
     try {
       const normalizedUserAnswer = this.normalizeAnswer(userAnswer);
-      const correctAnswers = [question.correctAnswer, ...(question.acceptedAnswers || [])]
-        .map(answer => this.normalizeAnswer(answer));
+      const correctAnswers = this.getCorrectAnswers(question, options);
 
       // Check for exact match first
       let isCorrect = correctAnswers.some(correct => 
@@ -154,25 +160,39 @@ class AnswerValidator {
    * Validate answer based on question type
    * @param {Object} question - Question object
    * @param {*} userAnswer - User's answer
+   * @param {Object} options - { additionalAnswers } for fill-in-blank and short-answer questions
    * @returns {Object} Validation result
    */
-  static validateAnswer(question, userAnswer) {
+  static validateAnswer(question, userAnswer, options = {}) {
     switch (question.questionType) {
-      case 'mcq':
-        return this.validateMCQ(question, userAnswer);
-      case 'fill-in-blank':
-        return this.validateFillInBlank(question, userAnswer);
-      case 'short-answer':
-        return this.validateShortAnswer(question, userAnswer);
-      default:
-        return {
-          isValid: false,
-          isCorrect: false,
-          error: 'Unknown question type'
-        };
+    case 'mcq':
+      return this.validateMCQ(question, userAnswer);
+    case 'fill-in-blank':
+      return this.validateFillInBlank(question, userAnswer, options);
+    case 'short-answer':
+      return this.validateShortAnswer(question, userAnswer, options);
+    default:
+      return {
+        isValid: false,
+        isCorrect: false,
+        error: 'Unknown question type'
+      };
     }
   }
 
+  /**
+   * Normalized correct answers for a question
+   * @param {Object} question - Question object
+   * @param {Object} options - { additionalAnswers }
+   * @returns {Array} Normalized answers, without duplicates
+   */
+  static getCorrectAnswers(question, options = {}) {
+    const answers = [question.correctAnswer, ...(question.acceptedAnswers || []), ...(options.additionalAnswers || [])]
+      .filter(answer => answer !== undefined && answer !== null)
+      .map(answer => this.normalizeAnswer(answer));
+    return [...new Set(answers)];
+  }
+
   /**
    * Normalize answer for comparison
    * @param {string} answer - Answer to normalize
@@ -184,9 +204,11 @@ class AnswerValidator {
     }
 
     return answer
+      .normalize('NFC')
       .trim()
       .toLowerCase()
-      .replace(/[^\w\s]/g, '') // Remove punctuation
+      .replace(INDIC_DIGITS, digit => String((digit.charCodeAt(0) - 6) & 0xF)) // Indic digits to 0-9
+      .replace(PUNCTUATION, '') // Remove punctuation
       .replace(/\s+/g, ' '); // Normalize whitespace
   }
 
@@ -284,7 +306,7 @@ class AnswerValidator {
 
     return text
       .split(/\s+/)
-      .map(word => word.toLowerCase().replace(/[^\w]/g, ''))
+      .map(word => word.toLowerCase().replace(PUNCTUATION, ''))
       .filter(word => word.length > 2 && !commonWords.has(word))
       .filter((word, index, arr) => arr.indexOf(word) === index); // Remove duplicates
   }
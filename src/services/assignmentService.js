@@ -0,0 +1,237 @@
+const AssessmentSession = require('../models/AssessmentSession');
+const Question = require('../models/Question');
+const User = require('../models/User');
+
+/**
+ * Assignment helpers shared by the assignment and assessment routes:
+ * start eligibility, session configuration, fixed-set question order and
+ * per-student progress.
+ */
+
+const sessionScore = (session) => {
+  if (session.answeredQuestions === 0) return 0;
+  return session.correctAnswers / session.answeredQuestions;
+};
+
+/**
+ * Decide whether a student may start (another) attempt
+ * @param {Object} assignment - Assignment document
+ * @param {string} studentId - Student ID
+ * @returns {Object} { allowed, status, code, message, attemptsUsed }
+ */
+const checkEligibility = async(assignment, studentId) => {
+  if (!(await assignment.targetsStudent(studentId))) {
+    return { allowed: false, status: 403, code: 'ASSIGNMENT_NOT_ASSIGNED', message: 'This assignment is not assigned to you' };
+  }
+
+  const now = new Date();
+  if (assignment.status !== 'published') {
+    return { allowed: false, status: 409, code: 'ASSIGNMENT_NOT_PUBLISHED', message: 'Assignment is not available' };
+  }
+  if (now < assignment.opensAt) {
+    return { allowed: false, status: 409, code: 'ASSIGNMENT_NOT_OPEN', message: 'Assignment has not opened yet' };
+  }
+  if (now >= assignment.closesAt) {
+    return { allowed: false, status: 409, code: 'ASSIGNMENT_CLOSED', message: 'Assignment is closed' };
+  }
+
+  const attemptsUsed = await AssessmentSession.countDocuments({ assignmentId: assignment._id, studentId });
+  if (attemptsUsed >= assignment.maxAttempts) {
+    return { allowed: false, status: 409, code: 'ATTEMPT_LIMIT_REACHED', message: 'No attempts left for this assignment', attemptsUsed };
+  }
+
+  return { allowed: true, attemptsUsed };
+};
+
+/**
+ * Session fields for an attempt at an assignment
+ * @param {Object} assignment - Assignment document
+ * @param {Date} startedAt - Session start time
+ * @returns {Object} Fields to merge into the new AssessmentSession
+ */
+const buildSessionConfig = (assignment, startedAt = new Date()) => {
+  const { adaptiveParameters } = assignment;
+  const config = {
+    assignmentId: assignment._id,
+    sessionType: assignment.sessionType,
+    mode: assignment.mode,
+    chapterId: assignment.chapterId,
+    startedAt,
+    adaptiveParameters: {
+      initialDifficulty: adaptiveParameters.initialDifficulty,
+      maxQuestions: adaptiveParameters.maxQuestions,
+      minQuestions: adaptiveParameters.minQuestions,
+      confidenceThreshold: adaptiveParameters.confidenceThreshold,
+      selectionStrategy: adaptiveParameters.selectionStrategy,
+      passMark: adaptiveParameters.passMark
+    }
+  };
+
+  // A fixed set is always answered in full
+  if (assignment.sessionType === 'fixed') {
+    config.adaptiveParameters.maxQuestions = assignment.questionIds.length;
+    config.adaptiveParameters.minQuestions = assignment.questionIds.length;
+  }
+
+  // The time limit never runs past the due date
+  if (assignment.timeLimitMinutes) {
+    const limit = new Date(startedAt.getTime() + assignment.timeLimitMinutes * 60 * 1000);
+    config.expiresAt = limit < assignment.closesAt ? limit : assignment.closesAt;
+  }
+
+  return config;
+};
+
+/**
+ * Next question of a fixed set, in the order the teacher chose
+ * @param {Object} assignment - Assignment document
+ * @param {Array} usedQuestionIds - Questions already presented
+ * @returns {Object|null} Question document
+ */
+const getNextFixedQuestion = async(assignment, usedQuestionIds = []) => {
+  const used = new Set(usedQuestionIds.map(id => id.toString()));
+  const nextId = assignment.questionIds.find(id => !used.has(id.toString()));
+  return nextId ? Question.findById(nextId) : null;
+};
+
+/**
+ * Attempt summary per student for a set of assignments
+ * @param {Array} assignmentIds - Assignment IDs
+ * @param {Array} studentIds - Optional student filter
+ * @returns {Map} `${assignmentId}:${studentId}` -> progress
+ */
+const getProgress = async(assignmentIds, studentIds) => {
+  const query = { assignmentId: { $in: assignmentIds } };
+  if (studentIds) query.studentId = { $in: studentIds };
+
+  const sessions = await AssessmentSession.find(query)
+    .select('assignmentId studentId status startedAt finishedAt answeredQuestions correctAnswers')
+    .sort({ startedAt: 1 });
+
+  const progress = new Map();
+  sessions.forEach(session => {
+    const key = `${session.assignmentId}:${session.studentId}`;
+    if (!progress.has(key)) {
+      progress.set(key, {
+        attemptsUsed: 0,
+        status: 'not_started',
+        bestScore: null,
+        lastScore: null,
+        completedAt: null,
+        activeSessionId: null,
+        sessionIds: []
+      });
+    }
+
+    const entry = progress.get(key);
+    entry.attemptsUsed += 1;
+    entry.sessionIds.push(session._id);
+
+    if (session.status === 'active') {
+      entry.activeSessionId = session._id;
+      if (entry.status !== 'completed') entry.status = 'in_progress';
+    } else if (session.status === 'completed') {
+      const score = sessionScore(session);
+      entry.status = 'completed';
+      entry.lastScore = score;
+      entry.bestScore = entry.bestScore === null ? score : Math.max(entry.bestScore, score);
+      entry.completedAt = session.finishedAt;
+    }
+  });
+
+  return progress;
+};
+
+/**
+ * Assignments for a student with their own progress attached
+ * @param {Array} assignments - Assignment documents
+ * @param {string} studentId - Student ID
+ * @returns {Array} Plain assignment objects with a `progress` field
+ */
+const withStudentProgress = async(assignments, studentId) => {
+  const progress = await getProgress(assignments.map(a => a._id), [studentId]);
+  const now = new Date();
+
+  return assignments.map(assignment => {
+    const entry = progress.get(`${assignment._id}:${studentId}`) || {
+      attemptsUsed: 0,
+      status: 'not_started',
+      bestScore: null,
+      lastScore: null,
+      completedAt: null,
+      activeSessionId: null
+    };
+    const summary = assignment.toJSON();
+    delete summary.studentIds;
+    delete summary.questionIds;
+
+    return {
+      ...summary,
+      isOpen: assignment.isOpen(now),
+      progress: {
+        attemptsUsed: entry.attemptsUsed,
+        attemptsRemaining: Math.max(0, assignment.maxAttempts - entry.attemptsUsed),
+        status: entry.status,
+        bestScore: entry.bestScore,
+        lastScore: entry.lastScore,
+        completedAt: entry.completedAt,
+        activeSessionId: entry.activeSessionId
+      }
+    };
+  });
+};
+
+/**
+ * Completion and score roster for one assignment
+ * @param {Object} assignment - Assignment document
+ * @returns {Object} { summary, students }
+ */
+const buildRoster = async(assignment) => {
+  const studentIds = await assignment.getTargetStudentIds();
+  const [students, progress] = await Promise.all([
+    User.find({ _id: { $in: studentIds } }).select('name email').sort({ name: 1 }),
+    getProgress([assignment._id], studentIds)
+  ]);
+
+  const rows = students.map(student => {
+    const entry = progress.get(`${assignment._id}:${student._id}`);
+    return {
+      studentId: student._id,
+      name: student.name,
+      email: student.email,
+      status: entry ? entry.status : 'not_started',
+      attemptsUsed: entry ? entry.attemptsUsed : 0,
+      bestScore: entry ? entry.bestScore : null,
+      lastScore: entry ? entry.lastScore : null,
+      completedAt: entry ? entry.completedAt : null,
+      late: Boolean(entry && entry.completedAt && entry.completedAt > assignment.closesAt),
+      sessionIds: entry ? entry.sessionIds : []
+    };
+  });
+
+  const completed = rows.filter(row => row.status === 'completed');
+  const averageScore = completed.length > 0 ?
+    completed.reduce((sum, row) => sum + row.bestScore, 0) / completed.length :
+    0;
+
+  return {
+    summary: {
+      assigned: rows.length,
+      completed: completed.length,
+      inProgress: rows.filter(row => row.status === 'in_progress').length,
+      notStarted: rows.filter(row => row.status === 'not_started').length,
+      completionRate: rows.length > 0 ? Math.round((completed.length / rows.length) * 100) / 100 : 0,
+      averageScore: Math.round(averageScore * 100) / 100
+    },
+    students: rows
+  };
+};
+
+module.exports = {
+  checkEligibility,
+  buildSessionConfig,
+  getNextFixedQuestion,
+  getProgress,
+  withStudentProgress,
+  buildRoster
+};
@@ -1,56 +1,49 @@
 /**
- * Static badge catalog with criteria for awarding.
- * Criteria will be interpreted by gamificationService.
+ * Built-in badges. They are stored as BadgeDefinition records on startup and
+ * their rules are evaluated by badgeRules like any teacher-defined badge.
  */
 const badgeCatalog = [
   {
     id: 'first_assessment',
     name: 'First Steps',
     description: 'Complete your first assessment.',
-    type: 'session',
-    criteria: { completedSessions: 1 }
+    rule: { metric: 'completedSessions', min: 1 }
   },
   {
     id: 'accuracy_90',
     name: 'Sharp Shooter',
     description: 'Finish a session with 90%+ accuracy.',
-    type: 'session',
-    criteria: { minAccuracy: 0.9 }
+    rule: { metric: 'sessionAccuracy', min: 0.9 }
   },
   {
     id: 'streak_3',
     name: 'On a Roll',
     description: 'Maintain a 3-day activity streak.',
-    type: 'streak',
-    criteria: { streakDays: 3 }
+    rule: { metric: 'streakDays', min: 3 }
   },
   {
     id: 'streak_7',
     name: 'Weekly Warrior',
     description: 'Maintain a 7-day activity streak.',
-    type: 'streak',
-    criteria: { streakDays: 7 }
+    rule: { metric: 'streakDays', min: 7 }
   },
   {
     id: 'mastery_topic',
     name: 'Topic Master',
     description: 'Reach proficient or higher in any topic.',
-    type: 'mastery',
-    criteria: { masteryLevels: ['proficient', 'advanced'] }
+    rule: { metric: 'masteredTopics', min: 1, levels: ['proficient', 'advanced'] }
   },
   {
     id: 'level_5',
     name: 'Climber',
     description: 'Reach level 5.',
-    type: 'level',
-    criteria: { level: 5 }
+    rule: { metric: 'level', min: 5 }
   },
   {
     id: 'level_10',
     name: 'Summit',
     description: 'Reach level 10.',
-    type: 'level',
-    criteria: { level: 10 }
+    rule: { metric: 'level', min: 10 }
   }
 ];
 
@@ -0,0 +1,230 @@
+const BadgeDefinition = require('../models/BadgeDefinition');
+const AssessmentSession = require('../models/AssessmentSession');
+const Response = require('../models/Response');
+const TopicPerformance = require('../models/TopicPerformance');
+const QuestionMastery = require('../models/QuestionMastery');
+const Topic = require('../models/Topic');
+const Classroom = require('../models/Classroom');
+const { badgeCatalog } = require('./badgeCatalog');
+const logger = require('../utils/logger');
+
+/**
+ * Badge rules are JSON:
+ *
+ *   { all: [rule, ...] }   every rule holds
+ *   { any: [rule, ...] }   at least one rule holds
+ *   { metric, min, window: { days }, scope: { chapterId, topicId }, levels, minQuestions }
+ *
+ * A condition holds when the metric is at least `min`. `window` counts only
+ * the last N days and `scope` only one chapter or topic. For example,
+ * "master 3 topics in Chapter 5 within a week":
+ *
+ *   { metric: 'masteredTopics', min: 3, scope: { chapterId }, window: { days: 7 } }
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scope filter for sessions and mastered questions, which record their chapter and topic
+const sessionScope = (scope = {}) => {
+  const filter = {};
+  if (scope.chapterId) filter.chapterId = scope.chapterId;
+  if (scope.topicId) filter.topicId = scope.topicId;
+  return filter;
+};
+
+const countAnswers = async({ userId, condition, since }, correctOnly) => {
+  const sessions = await AssessmentSession.find({ studentId: userId, ...sessionScope(condition.scope) }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const filter = { sessionId: { $in: sessions.map(session => session._id) } };
+  if (correctOnly) filter.correct = true;
+  if (since) filter.createdAt = { $gte: since };
+  return Response.countDocuments(filter);
+};
+
+/**
+ * Metrics a condition can test. `events` lists the events that can change the
+ * metric, so a badge is only evaluated when one of them happens.
+ */
+const METRICS = {
+  completedSessions: {
+    events: ['session'],
+    resolve: ({ userId, context, condition, since }) => {
+      // The caller may already know the all-time count
+      if (context.completedSessions !== undefined && !since && !condition.scope) return context.completedSessions;
+      const filter = { studentId: userId, status: 'completed', ...sessionScope(condition.scope) };
+      if (since) filter.finishedAt = { $gte: since };
+      return AssessmentSession.countDocuments(filter);
+    }
+  },
+  // Accuracy of the session that just ended
+  sessionAccuracy: {
+    events: ['session'],
+    resolve: ({ context, condition }) => {
+      const scope = condition.scope || {};
+      if (context.answeredQuestions === undefined || context.answeredQuestions < (condition.minQuestions || 1)) return 0;
+      if (scope.chapterId && String(scope.chapterId) !== String(context.chapterId)) return 0;
+      if (scope.topicId && String(scope.topicId) !== String(context.topicId)) return 0;
+      return context.correctAnswers / context.answeredQuestions;
+    }
+  },
+  answers: {
+    events: ['answer'],
+    resolve: (args) => countAnswers(args, false)
+  },
+  correctAnswers: {
+    events: ['answer'],
+    resolve: (args) => countAnswers(args, true)
+  },
+  streakDays: {
+    events: ['answer', 'session'],
+    resolve: ({ profile }) => profile.streak.current || 0
+  },
+  level: {
+    events: ['answer', 'session'],
+    resolve: ({ profile }) => profile.level
+  },
+  points: {
+    events: ['answer', 'session'],
+    resolve: ({ profile }) => profile.points
+  },
+  masteredTopics: {
+    events: ['mastery'],
+    resolve: async({ userId, condition, since }) => {
+      const scope = condition.scope || {};
+      const filter = {
+        studentId: userId,
+        masteryLevel: { $in: condition.levels || TopicPerformance.MASTERED_LEVELS }
+      };
+      if (scope.topicId) {
+        filter.topicId = scope.topicId;
+      } else if (scope.chapterId) {
+        const topics = await Topic.find({ chapterId: scope.chapterId }).select('_id');
+        filter.topicId = { $in: topics.map(topic => topic._id) };
+      }
+      if (since) filter.masteredAt = { $gte: since };
+      return TopicPerformance.countDocuments(filter);
+    }
+  },
+  // Questions marked as mastered in revision
+  masteredQuestions: {
+    events: ['mastery'],
+    resolve: ({ userId, condition, since }) => {
+      const filter = { studentId: userId, ...sessionScope(condition.scope) };
+      if (since) filter.masteredAt = { $gte: since };
+      return QuestionMastery.countDocuments(filter);
+    }
+  }
+};
+
+const EVENTS = ['answer', 'session', 'mastery'];
+
+// Events that can change the outcome of a rule
+const ruleEvents = (rule) => {
+  if (rule.all || rule.any) {
+    return [...new Set((rule.all || rule.any).flatMap(ruleEvents))];
+  }
+  return METRICS[rule.metric] ? METRICS[rule.metric].events : [];
+};
+
+// Metric values are looked up once per evaluation, however many badges test them
+const createResolver = (args) => {
+  const cache = new Map();
+  return (condition) => {
+    const key = JSON.stringify([condition.metric, condition.scope, condition.window, condition.levels, condition.minQuestions]);
+    if (!cache.has(key)) {
+      const since = condition.window ? new Date(args.now.getTime() - condition.window.days * DAY_MS) : null;
+      cache.set(key, Promise.resolve(METRICS[condition.metric].resolve({ ...args, condition, since })));
+    }
+    return cache.get(key);
+  };
+};
+
+const evaluateRule = async(rule, resolve) => {
+  if (rule.all) {
+    for (const part of rule.all) {
+      if (!(await evaluateRule(part, resolve))) return false;
+    }
+    return true;
+  }
+  if (rule.any) {
+    for (const part of rule.any) {
+      if (await evaluateRule(part, resolve)) return true;
+    }
+    return false;
+  }
+  if (!METRICS[rule.metric]) return false;
+  return (await resolve(rule)) >= rule.min;
+};
+
+let definitions = null;
+
+const load = async() => {
+  const stored = await BadgeDefinition.find({ isActive: true });
+  definitions = stored.map(definition => ({
+    definition,
+    events: ruleEvents(definition.rule)
+  }));
+  return definitions.length;
+};
+
+// Store the built-in badges, leaving any an admin has changed alone
+const seedBuiltInBadges = async() => {
+  const existing = await BadgeDefinition.find({ key: { $in: badgeCatalog.map(badge => badge.id) } }).select('key');
+  const keys = new Set(existing.map(definition => definition.key));
+  const missing = badgeCatalog.filter(badge => !keys.has(badge.id));
+  if (missing.length > 0) {
+    await BadgeDefinition.insertMany(missing.map(badge => ({
+      key: badge.id,
+      name: badge.name,
+      description: badge.description,
+      rule: badge.rule,
+      isSystem: true
+    })));
+  }
+  return missing.length;
+};
+
+/**
+ * Find the badges a student has just earned. `event` is 'answer', 'session'
+ * or 'mastery'; `context` carries the event's details (the finished
+ * session's counts, the topic whose mastery changed).
+ */
+const evaluate = async(profile, event, context = {}, now = new Date()) => {
+  if (!definitions) {
+    await seedBuiltInBadges();
+    await load();
+  }
+
+  const candidates = definitions.filter(({ definition, events }) =>
+    events.includes(event) && !profile.hasBadge(definition.key));
+  if (candidates.length === 0) return [];
+
+  let classroomIds = null;
+  if (candidates.some(({ definition }) => definition.classroomId)) {
+    const classrooms = await Classroom.find({ students: profile.userId, isActive: true }).select('_id');
+    classroomIds = new Set(classrooms.map(classroom => classroom._id.toString()));
+  }
+
+  const resolve = createResolver({ userId: profile.userId, profile, context, now });
+  const earned = [];
+  for (const { definition } of candidates) {
+    if (definition.classroomId && !classroomIds.has(definition.classroomId.toString())) continue;
+    try {
+      if (await evaluateRule(definition.rule, resolve)) earned.push(definition);
+    } catch (error) {
+      logger.error(`Badge rule ${definition.key} failed:`, error);
+    }
+  }
+  return earned;
+};
+
+module.exports = {
+  METRICS,
+  EVENTS,
+  ruleEvents,
+  evaluateRule,
+  evaluate,
+  load,
+  seedBuiltInBadges
+};
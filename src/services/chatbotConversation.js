@@ -0,0 +1,164 @@
+const Conversation = require('../models/Conversation');
+const Classroom = require('../models/Classroom');
+const llm = require('./llmProvider');
+const logger = require('../utils/logger');
+
+/**
+ * Stored chatbot conversations. Prompts carry the system prompt, a running
+ * summary of older turns and the most recent messages verbatim, so follow-up
+ * questions work while the prompt size stays bounded however long the
+ * conversation gets.
+ */
+
+// Messages always sent verbatim after a summary is made
+const RECENT_MESSAGES = 8;
+// Unsummarised messages that trigger folding the older ones into the summary
+const SUMMARY_TRIGGER = 16;
+const MAX_SUMMARY_LENGTH = 1500;
+
+const SUMMARY_PROMPT = `Summarise this tutoring conversation for the assistant that continues it.
+Keep the topics, the questions asked, the explanations given and anything the student still finds difficult.
+Use at most 150 words.`;
+
+const CONTEXT_FIELDS = ['page', 'questionId', 'chapterId', 'topicId'];
+
+// Page context worth storing with a message; the client may also send a plain string
+const pickContext = (context) => {
+  if (!context || typeof context !== 'object') {
+    return undefined;
+  }
+  const picked = {};
+  CONTEXT_FIELDS.forEach(field => {
+    if (context[field]) picked[field] = context[field];
+  });
+  return Object.keys(picked).length > 0 ? picked : undefined;
+};
+
+/**
+ * Chat messages for the next completion
+ * @param {Object} conversation - Conversation document
+ * @param {string} systemPrompt - System prompt for this turn
+ * @param {string} userMessage - The new user message
+ * @returns {Array<Object>} Messages in chat completion format
+ */
+const buildPromptMessages = (conversation, systemPrompt, userMessage) => {
+  const messages = [{ role: 'system', content: systemPrompt }];
+  if (conversation.summary) {
+    messages.push({ role: 'system', content: `Summary of the conversation so far:\n${conversation.summary}` });
+  }
+  conversation.getUnsummarizedMessages().forEach(({ role, content }) => {
+    messages.push({ role, content });
+  });
+  messages.push({ role: 'user', content: userMessage });
+  return messages;
+};
+
+// Summary used without a model: the student's earlier questions, most recent kept when too long
+const fallbackSummary = (previousSummary, messages) => {
+  const questions = messages
+    .filter(message => message.role === 'user')
+    .map(message => message.content.replace(/\s+/g, ' ').trim().slice(0, 150));
+  const lines = [previousSummary, ...questions.map(question => `- Student asked: ${question}`)].filter(Boolean);
+  const text = lines.join('\n');
+  return text.length > MAX_SUMMARY_LENGTH ? text.slice(text.length - MAX_SUMMARY_LENGTH) : text;
+};
+
+/**
+ * Fold older messages into the summary once too many are unsummarised
+ * @param {Object} conversation - Conversation document (not saved here)
+ * @returns {Promise<boolean>} True when the summary was updated
+ */
+const summarizeIfNeeded = async(conversation) => {
+  const pending = conversation.getUnsummarizedMessages();
+  if (pending.length <= SUMMARY_TRIGGER) {
+    return false;
+  }
+
+  const older = pending.slice(0, pending.length - RECENT_MESSAGES);
+  const transcript = older.map(message => `${message.role === 'user' ? 'Student' : 'Assistant'}: ${message.content}`).join('\n');
+  const fallback = () => fallbackSummary(conversation.summary, older);
+
+  let summary;
+  try {
+    const completion = await llm.complete('chatbot', {
+      messages: [
+        {
+          role: 'system',
+          content: SUMMARY_PROMPT
+        },
+        {
+          role: 'user',
+          content: `${conversation.summary ? `Earlier summary:\n${conversation.summary}\n\n` : ''}Conversation:\n${transcript}`
+        }
+      ],
+      maxTokens: 250,
+      temperature: 0.2,
+      mock: fallback
+    }, { fallbackToMock: true });
+    summary = completion.text.trim();
+  } catch (error) {
+    logger.error(`Conversation ${conversation._id} summary error:`, error);
+    summary = fallback();
+  }
+
+  conversation.applySummary(summary.slice(0, MAX_SUMMARY_LENGTH), conversation.summarizedCount + older.length);
+  return true;
+};
+
+/**
+ * Store a question and the assistant's reply, then save the conversation
+ * @param {Object} conversation - Conversation document
+ * @param {string} userMessage - The user's message
+ * @param {Object|string} context - Page context sent with the message
+ * @param {Object} reply - { text, model, usage, incomplete, citations }
+ * @returns {Promise<Object>} Saved conversation
+ */
+const recordExchange = async(conversation, userMessage, context, reply) => {
+  conversation.addMessage('user', userMessage, { context: pickContext(context) });
+  if (reply.text) {
+    conversation.addMessage('assistant', reply.text, {
+      model: reply.model,
+      usage: reply.usage,
+      incomplete: reply.incomplete || undefined,
+      citations: reply.citations && reply.citations.length > 0 ? reply.citations : undefined
+    });
+  }
+  await summarizeIfNeeded(conversation);
+  return conversation.save();
+};
+
+/**
+ * Whether a user may read a conversation: its owner, admins, and teachers of the student's classes
+ * @param {Object} user - Authenticated user
+ * @param {Object} conversation - Conversation document
+ * @returns {Promise<boolean>} True when access is allowed
+ */
+const canView = async(user, conversation) => {
+  if (conversation.isOwnedBy(user._id) || user.role === 'admin') {
+    return true;
+  }
+  return user.role === 'teacher' && Classroom.teacherHasStudent(user._id, conversation.userId);
+};
+
+/**
+ * Load a conversation the user may continue
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object|null>} Conversation, or null when missing or owned by someone else
+ */
+const findOwned = async(conversationId, user) => {
+  const conversation = await Conversation.findById(conversationId);
+  return conversation && conversation.isOwnedBy(user._id) ? conversation : null;
+};
+
+module.exports = {
+  RECENT_MESSAGES,
+  SUMMARY_TRIGGER,
+  pickContext,
+  buildPromptMessages,
+  fallbackSummary,
+  summarizeIfNeeded,
+  recordExchange,
+  canView,
+  findOwned
+};
@@ -0,0 +1,441 @@
+const ContentPassage = require('../models/ContentPassage');
+const Chapter = require('../models/Chapter');
+const Topic = require('../models/Topic');
+const Question = require('../models/Question');
+const logger = require('../utils/logger');
+
+/**
+ * Textbook content the chatbot answers from. Chapter text written by
+ * teachers, topic descriptions, concepts, learning objectives and question
+ * explanations are stored as ContentPassages and kept in an in-memory BM25
+ * keyword index, loaded at start-up like the language registry and updated
+ * whenever a chapter, topic or question changes. Passages of inactive
+ * chapters stay stored but are not searched.
+ */
+
+// BM25 parameters: term frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+// Weakest match worth showing to the model, and the share of the best match a hit must reach
+const MIN_SCORE = 1;
+const MIN_RELATIVE_SCORE = 0.4;
+// Extra weight for passages from the page the student is on, or their class
+const TOPIC_BOOST = 1.5;
+const CHAPTER_BOOST = 1.25;
+const CLASS_BOOST = 1.1;
+
+const MAX_PASSAGE_WORDS = 120;
+const MAX_PASSAGE_LENGTH = 4000;
+
+// Words that say nothing about the subject of a question
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'define', 'did',
+  'do', 'does', 'explain', 'for', 'from', 'give', 'has', 'have', 'help', 'how', 'i', 'if', 'in', 'into', 'is',
+  'it', 'its', 'me', 'mean', 'meaning', 'my', 'of', 'on', 'or', 'please', 'so', 'tell', 'than', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'understand', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+const WORD = /[\p{L}\p{M}\p{N}\u200C\u200D]+/gu;
+
+// Passage ID -> { passage, length, terms }
+const documents = new Map();
+// Term -> Map of passage ID -> term frequency
+const postings = new Map();
+let totalLength = 0;
+
+// Light English suffix stripping so "fractions" finds "fraction"
+const stem = (word) => {
+  if (!/^[a-z]+$/.test(word) || word.length <= 4) {
+    return word;
+  }
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Index terms of a text
+ * @param {string} text - Any text
+ * @returns {Array<string>} Lowercased, stemmed words without stopwords
+ */
+const tokenize = (text) => (String(text || '').normalize('NFKC').toLowerCase().match(WORD) || [])
+  .map(word => word.replace(/[\u200C\u200D]/g, ''))
+  .filter(word => word.length > 1 && !STOPWORDS.has(word))
+  .map(stem);
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// Split a run of sentences into passages of about MAX_PASSAGE_WORDS words
+const packSentences = (sentences) => {
+  const passages = [];
+  let current = [];
+  let words = 0;
+  sentences.forEach(sentence => {
+    const sentenceWords = countWords(sentence);
+    if (current.length > 0 && words + sentenceWords > MAX_PASSAGE_WORDS) {
+      passages.push(current.join(' '));
+      current = [];
+      words = 0;
+    }
+    current.push(sentence);
+    words += sentenceWords;
+  });
+  if (current.length > 0) {
+    passages.push(current.join(' '));
+  }
+  return passages;
+};
+
+/**
+ * Split chapter text into passages, keeping paragraphs together where they fit
+ * @param {string} text - Section text; paragraphs are separated by blank lines
+ * @returns {Array<string>} Passages
+ */
+const splitText = (text) => {
+  const paragraphs = String(text || '').split(/\n\s*\n/).map(paragraph => paragraph.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const passages = [];
+  let current = '';
+  paragraphs.forEach(paragraph => {
+    if (countWords(paragraph) > MAX_PASSAGE_WORDS) {
+      if (current) passages.push(current);
+      current = '';
+      passages.push(...packSentences(paragraph.split(/(?<=[.!?।])\s+/)));
+    } else if (current && countWords(current) + countWords(paragraph) > MAX_PASSAGE_WORDS) {
+      passages.push(current);
+      current = paragraph;
+    } else {
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+  });
+  if (current) passages.push(current);
+  return passages.map(passage => passage.slice(0, MAX_PASSAGE_LENGTH));
+};
+
+const addToIndex = (passage) => {
+  const id = passage._id.toString();
+  const tokens = tokenize([passage.chapterName, passage.topicName, passage.heading, passage.text].filter(Boolean).join(' '));
+  if (tokens.length === 0) {
+    return;
+  }
+
+  const terms = new Map();
+  tokens.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+  terms.forEach((frequency, term) => {
+    if (!postings.has(term)) postings.set(term, new Map());
+    postings.get(term).set(id, frequency);
+  });
+  documents.set(id, { passage, length: tokens.length, terms });
+  totalLength += tokens.length;
+};
+
+const removeFromIndex = (predicate) => {
+  documents.forEach((document, id) => {
+    if (!predicate(document.passage)) {
+      return;
+    }
+    document.terms.forEach((frequency, term) => {
+      const list = postings.get(term);
+      list.delete(id);
+      if (list.size === 0) postings.delete(term);
+    });
+    totalLength -= document.length;
+    documents.delete(id);
+  });
+};
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+/**
+ * Find the passages that best match a question
+ * @param {string} query - The student's question
+ * @param {Object} options - { chapterId, topicId, classLevel, subject, limit, excludeQuestionIds }
+ * @returns {Array<Object>} [{ passage, score }], best first
+ */
+const search = (query, options = {}) => {
+  const { chapterId, topicId, classLevel, subject, limit = 3, excludeQuestionIds = [] } = options;
+  const terms = [...new Set(tokenize(query))].filter(term => postings.has(term));
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const count = documents.size;
+  const averageLength = totalLength / count;
+  const scores = new Map();
+  terms.forEach(term => {
+    const list = postings.get(term);
+    const idf = Math.log(1 + (count - list.size + 0.5) / (list.size + 0.5));
+    list.forEach((frequency, id) => {
+      const { length } = documents.get(id);
+      const weight = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+      scores.set(id, (scores.get(id) || 0) + weight);
+    });
+  });
+
+  const excluded = new Set(excludeQuestionIds.map(id => id.toString()));
+  const hits = [];
+  scores.forEach((score, id) => {
+    const { passage } = documents.get(id);
+    if (passage.questionId && excluded.has(passage.questionId.toString())) return;
+    if (subject && passage.subject !== subject) return;
+
+    let boosted = score;
+    if (sameId(passage.topicId, topicId)) boosted *= TOPIC_BOOST;
+    if (sameId(passage.chapterId, chapterId)) boosted *= CHAPTER_BOOST;
+    if (classLevel && passage.class === classLevel) boosted *= CLASS_BOOST;
+    hits.push({ passage, score: boosted });
+  });
+
+  hits.sort((a, b) => b.score - a.score);
+  const threshold = hits.length > 0 ? Math.max(MIN_SCORE, hits[0].score * MIN_RELATIVE_SCORE) : MIN_SCORE;
+  return hits.filter(hit => hit.score >= threshold).slice(0, limit);
+};
+
+// Fields copied from the chapter onto each of its passages
+const chapterFields = (chapter) => ({
+  chapterId: chapter._id,
+  class: chapter.class,
+  subject: chapter.subject,
+  chapterNumber: chapter.chapterNumber,
+  chapterName: chapter.chapterName
+});
+
+// Passages copied from a chapter's topics and question explanations
+const derivedPassages = (chapter, topics, questions) => {
+  const topicNames = new Map(topics.map(topic => [topic._id.toString(), topic.topicName]));
+  const passages = [];
+
+  topics.forEach(topic => {
+    const base = { ...chapterFields(chapter), topicId: topic._id, topicName: topic.topicName };
+    if (topic.description) {
+      passages.push({ ...base, sourceType: 'topic_description', text: topic.description });
+    }
+    if (topic.concepts && topic.concepts.length > 0) {
+      passages.push({ ...base, sourceType: 'concepts', text: `Key concepts in ${topic.topicName}: ${topic.concepts.join('; ')}.` });
+    }
+    if (topic.learningObjectives && topic.learningObjectives.length > 0) {
+      passages.push({ ...base, sourceType: 'learning_objectives', text: `In ${topic.topicName} you learn to: ${topic.learningObjectives.join('; ')}.` });
+    }
+  });
+
+  questions.forEach(question => {
+    passages.push({
+      ...chapterFields(chapter),
+      topicId: question.topicId,
+      topicName: question.topicId ? topicNames.get(question.topicId.toString()) : question.topic,
+      questionId: question._id,
+      sourceType: 'question_explanation',
+      text: `${question.stem}\n${question.explanation}`.slice(0, MAX_PASSAGE_LENGTH)
+    });
+  });
+
+  return passages;
+};
+
+const hasExplanation = (question) => question.isActive !== false && Boolean(question.explanation && question.explanation.trim());
+
+// Rebuild the stored copies of a chapter's topics and questions, then its part of the index
+const indexChapter = async(chapterId) => {
+  const chapter = await Chapter.findById(chapterId);
+  removeFromIndex(passage => sameId(passage.chapterId, chapterId));
+  await ContentPassage.deleteMany({ chapterId, sourceType: { $in: ContentPassage.DERIVED_SOURCE_TYPES } });
+  if (!chapter) {
+    return 0;
+  }
+
+  await ContentPassage.updateMany({ chapterId, sourceType: 'chapter_text' }, { $set: chapterFields(chapter) });
+  if (!chapter.isActive) {
+    return 0;
+  }
+
+  const [topics, questions] = await Promise.all([
+    Topic.find({ chapterId, isActive: true }).select('topicName description concepts learningObjectives'),
+    Question.find({ chapterId, isActive: true, explanation: { $nin: [null, ''] } }).select('stem explanation topicId topic')
+  ]);
+  await ContentPassage.insertMany(derivedPassages(chapter, topics, questions.filter(hasExplanation)));
+
+  const passages = await ContentPassage.find({ chapterId });
+  passages.forEach(addToIndex);
+  return passages.length;
+};
+
+/**
+ * Refresh a chapter's passages after the chapter or one of its topics changed.
+ * Failures are logged rather than thrown so the edit itself still succeeds.
+ * @param {string} chapterId - Chapter ID
+ * @returns {Promise<boolean>} True when the chapter was indexed
+ */
+const syncChapter = async(chapterId) => {
+  try {
+    await indexChapter(chapterId);
+    return true;
+  } catch (error) {
+    logger.error(`Content index update failed for chapter ${chapterId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Refresh the explanation passage of a question after it was created, edited or deleted
+ * @param {Object} question - Question document
+ * @returns {Promise<boolean>} True when the question was indexed
+ */
+const syncQuestion = async(question) => {
+  try {
+    removeFromIndex(passage => sameId(passage.questionId, question._id));
+    await ContentPassage.deleteMany({ questionId: question._id });
+
+    const chapter = question.chapterId ? await Chapter.findById(question.chapterId) : null;
+    if (!chapter || !chapter.isActive || !hasExplanation(question)) {
+      return true;
+    }
+
+    const topic = question.topicId ? await Topic.findById(question.topicId).select('topicName') : null;
+    const [passage] = derivedPassages(chapter, topic ? [topic] : [], [question]);
+    addToIndex(await ContentPassage.create(passage));
+    return true;
+  } catch (error) {
+    logger.error(`Content index update failed for question ${question._id}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Replace the text of a chapter
+ * @param {Object} chapter - Chapter document
+ * @param {Array<Object>} sections - [{ heading, topicId, text }] in reading order
+ * @param {string} userId - Teacher or admin saving the text
+ * @returns {Promise<number>} Number of passages stored
+ */
+const setChapterText = async(chapter, sections, userId) => {
+  const topics = await Topic.find({ chapterId: chapter._id }).select('topicName');
+  const topicNames = new Map(topics.map(topic => [topic._id.toString(), topic.topicName]));
+
+  const passages = [];
+  sections.forEach(({ heading, topicId, text }, section) => {
+    splitText(text).forEach((passageText, position) => {
+      passages.push({
+        ...chapterFields(chapter),
+        topicId: topicId || undefined,
+        topicName: topicId ? topicNames.get(topicId.toString()) : undefined,
+        sourceType: 'chapter_text',
+        heading,
+        section,
+        position,
+        text: passageText,
+        createdBy: userId
+      });
+    });
+  });
+
+  removeFromIndex(passage => sameId(passage.chapterId, chapter._id) && passage.sourceType === 'chapter_text');
+  await ContentPassage.deleteMany({ chapterId: chapter._id, sourceType: 'chapter_text' });
+  const stored = await ContentPassage.insertMany(passages);
+  if (chapter.isActive) {
+    stored.forEach(addToIndex);
+  }
+
+  logger.info(`Chapter text saved for ${chapter._id}: ${stored.length} passages by user ${userId}`);
+  return stored.length;
+};
+
+/**
+ * Text of a chapter as it was saved
+ * @param {string} chapterId - Chapter ID
+ * @returns {Promise<Array<Object>>} [{ heading, topicId, text, passages }]
+ */
+const getChapterText = async(chapterId) => {
+  const passages = await ContentPassage.find({ chapterId, sourceType: 'chapter_text' }).sort({ section: 1, position: 1 });
+  const sections = [];
+  passages.forEach(passage => {
+    let section = sections[sections.length - 1];
+    if (!section || section.section !== passage.section) {
+      section = { section: passage.section, heading: passage.heading, topicId: passage.topicId, texts: [] };
+      sections.push(section);
+    }
+    section.texts.push(passage.text);
+  });
+  return sections.map(({ heading, topicId, texts }) => ({
+    heading,
+    topicId,
+    text: texts.join('\n\n'),
+    passages: texts.length
+  }));
+};
+
+/**
+ * Load the index from the stored passages of active chapters
+ * @returns {Promise<number>} Number of passages indexed
+ */
+const load = async() => {
+  const chapters = await Chapter.find({ isActive: true }).select('_id');
+  const passages = await ContentPassage.find({ chapterId: { $in: chapters.map(chapter => chapter._id) } });
+
+  documents.clear();
+  postings.clear();
+  totalLength = 0;
+  passages.forEach(addToIndex);
+  return documents.size;
+};
+
+/**
+ * Rebuild the copies of every chapter's topics and questions, e.g. after a bulk import
+ * @returns {Promise<Object>} { chapters, passages }
+ */
+const rebuild = async() => {
+  const chapters = await Chapter.find().select('_id');
+  for (const chapter of chapters) {
+    await indexChapter(chapter._id);
+  }
+  await load();
+  return { chapters: chapters.length, passages: documents.size };
+};
+
+const getStats = () => ({
+  passages: documents.size,
+  terms: postings.size
+});
+
+/**
+ * Numbered passages for the model's prompt, matching the citation numbers
+ * @param {Array<Object>} hits - Results of search()
+ * @returns {string} Prompt section, or '' without passages
+ */
+const buildPromptContext = (hits) => {
+  if (hits.length === 0) {
+    return '';
+  }
+  const passages = hits.map(({ passage }, index) => `[${index + 1}] ${passage.toCitation().label}\n${passage.text}`).join('\n\n');
+  return `Textbook passages:\n${passages}\n\nBase your answer on these passages and mark the facts you use with their number, e.g. [1]. If they do not cover the question, say so and keep to what is taught in class ${hits[0].passage.class}.`;
+};
+
+/**
+ * Citations for a reply: the passages it refers to by number, or every passage it was given
+ * @param {Array<Object>} hits - Passages the reply was generated from
+ * @param {string} text - Reply text
+ * @returns {Array<Object>} [{ number, passageId, chapterId, topicId, sourceType, label }]
+ */
+const citationsFor = (hits, text) => {
+  const citations = hits.map(({ passage }, index) => ({ number: index + 1, ...passage.toCitation() }));
+  const referenced = new Set([...String(text || '').matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+  const cited = citations.filter(citation => referenced.has(citation.number));
+  return cited.length > 0 ? cited : citations;
+};
+
+module.exports = {
+  tokenize,
+  splitText,
+  search,
+  syncChapter,
+  syncQuestion,
+  setChapterText,
+  getChapterText,
+  load,
+  rebuild,
+  getStats,
+  buildPromptContext,
+  citationsFor
+};
@@ -1,13 +1,75 @@
+const crypto = require('crypto');
 const GamificationProfile = require('../models/GamificationProfile');
-const { badgeCatalog, badgeCatalogById } = require('./badgeCatalog');
+const StudentProfile = require('../models/StudentProfile');
+const AssessmentSession = require('../models/AssessmentSession');
+const TopicPerformance = require('../models/TopicPerformance');
+const DailyActivity = require('../models/DailyActivity');
+const badgeRules = require('./badgeRules');
+const { DEFAULT_TIMEZONE, localDay, daysBetween, addDays } = require('../utils/timezone');
 
 // XP curve: xp needed for next level grows sub-linearly to keep pace engaging
 const xpForLevel = (level) => Math.floor(100 * Math.pow(level, 1.5));
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Answer and session points by session mode; practice is low stakes so pays least
+const MODE_WEIGHTS = { assessment: 1, revision: 0.75, practice: 0.5 };
+
+// Anti-farming: answering the same question again within the window pays less each
+// time, and easy questions only pay the first time
+const REPEAT_WINDOW_DAYS = 30;
+const REPEAT_MULTIPLIERS = [1, 0.5, 0.25, 0];
+const EASY_REPEAT_MULTIPLIERS = [1, 0];
+const EASY_DIFFICULTY = 0.3;
+
+// Sessions with fewer answers earn no completion bonus
+const MIN_SESSION_ANSWERS = 3;
+
+const QUESTION_MASTERED_POINTS = 5;
+const TOPIC_MASTERY_POINTS = { developing: 10, proficient: 25, advanced: 50 };
+
+// A streak freeze is earned every 7 days of streak, up to 2 held at once
+const STREAK_FREEZE_EVERY_DAYS = 7;
+const MAX_STREAK_FREEZES = 2;
+
+// Longest time one answer adds to minutes practised, so an idle tab does not count
+const MAX_ANSWER_TIME_MS = 5 * 60 * 1000;
+
+// Longest range the activity calendar returns
+const MAX_CALENDAR_DAYS = 366;
+
+// Leaderboard value for each period
+const LEADERBOARD_PERIODS = {
+  weekly: { field: 'periodPoints.week', startField: 'periodPoints.weekStart' },
+  monthly: { field: 'periodPoints.month', startField: 'periodPoints.monthStart' },
+  all_time: { field: 'points' }
+};
+
+const PSEUDONYM_ADJECTIVES = ['Bright', 'Curious', 'Swift', 'Clever', 'Brave', 'Calm', 'Happy', 'Lucky', 'Quiet', 'Bold', 'Eager', 'Jolly'];
+const PSEUDONYM_ANIMALS = ['Tiger', 'Peacock', 'Dolphin', 'Elephant', 'Falcon', 'Panda', 'Otter', 'Koala', 'Leopard', 'Owl', 'Deer', 'Heron'];
+
+const generatePseudonym = () => [
+  PSEUDONYM_ADJECTIVES[crypto.randomInt(PSEUDONYM_ADJECTIVES.length)],
+  PSEUDONYM_ANIMALS[crypto.randomInt(PSEUDONYM_ANIMALS.length)],
+  crypto.randomInt(10, 100)
+].join(' ');
+
 const ensureProfile = async(userId) => {
   let profile = await GamificationProfile.findOne({ userId });
   if (!profile) {
-    profile = await GamificationProfile.create({ userId });
+    const studentProfile = await StudentProfile.findOne({ userId }).select('grade timezone');
+    profile = await GamificationProfile.create({
+      userId,
+      grade: studentProfile?.grade,
+      timezone: studentProfile?.timezone,
+      leaderboard: { pseudonym: generatePseudonym() }
+    });
+  } else if (!profile.leaderboard.pseudonym) {
+    // Profiles from before leaderboards
+    const studentProfile = await StudentProfile.findOne({ userId }).select('grade');
+    profile.grade = studentProfile?.grade;
+    profile.leaderboard.pseudonym = generatePseudonym();
+    await profile.save();
   }
   return profile;
 };
@@ -22,69 +84,111 @@ const calculateLevel = (xp) => {
   return { level, xpIntoLevel: remainingXp, xpToNext: xpForLevel(level) - remainingXp };
 };
 
-const updateStreak = (profile) => {
-  const now = new Date();
-  const last = profile.streak.lastActive ? new Date(profile.streak.lastActive) : null;
-  if (!last) {
-    profile.streak.current = 1;
+const timezoneOf = (profile) => profile.timezone || DEFAULT_TIMEZONE;
+
+// Last day the goal was met. Streaks from before daily goals only recorded
+// when the student was last active; a streak started since always has lastDay.
+const lastStreakDay = (profile) => {
+  const { lastDay, lastActive, current } = profile.streak;
+  if (lastDay || !lastActive || !current) return lastDay;
+  return localDay(lastActive, timezoneOf(profile));
+};
+
+// Extend the streak to a day whose goal was just met, spending freezes on missed days
+const extendStreak = async(profile, day) => {
+  const { streak } = profile;
+  const gap = streak.lastDay ? daysBetween(streak.lastDay, day) : null;
+  if (gap !== null && gap <= 0) return;
+
+  const missed = gap === null ? 0 : gap - 1;
+  if (gap === null || missed > streak.freezes) {
+    streak.current = 1;
   } else {
-    const diffDays = Math.floor((now - last) / (1000 * 60 * 60 * 24));
-    if (diffDays === 0) {
-      // same day: keep streak unchanged
-    } else if (diffDays === 1) {
-      profile.streak.current += 1;
-    } else {
-      profile.streak.current = 1;
+    if (missed > 0) {
+      const frozenDays = Array.from({ length: missed }, (_, index) => addDays(streak.lastDay, index + 1));
+      await DailyActivity.bulkWrite(frozenDays.map(frozenDay => ({
+        updateOne: {
+          filter: { userId: profile.userId, day: frozenDay },
+          update: { $set: { frozen: true } },
+          upsert: true
+        }
+      })));
+      streak.freezes -= missed;
+      profile.addEvent({
+        type: 'streak',
+        delta: 0,
+        message: `Used ${missed} streak freeze${missed > 1 ? 's' : ''}`
+      });
     }
+    streak.current += 1;
+  }
+
+  streak.lastDay = day;
+  streak.longest = Math.max(streak.longest || 0, streak.current);
+  if (streak.current % STREAK_FREEZE_EVERY_DAYS === 0 && streak.freezes < MAX_STREAK_FREEZES) {
+    streak.freezes += 1;
+    profile.addEvent({
+      type: 'streak',
+      delta: 0,
+      message: `Earned a streak freeze for a ${streak.current}-day streak`
+    });
   }
-  profile.streak.longest = Math.max(profile.streak.longest || 0, profile.streak.current);
-  profile.streak.lastActive = now;
 };
 
-const awardBadges = (profile, context) => {
-  const newlyEarned = [];
-  badgeCatalog.forEach((badge) => {
-    if (profile.hasBadge(badge.id)) return;
+// Add to today's activity in the student's timezone; the first time the daily goal is met extends the streak
+const trackActivity = async(profile, { questions = 0, correctAnswers = 0, timeSpentMs = 0, points = 0 }, now) => {
+  if (!questions && !timeSpentMs && !points) return null;
 
-    switch (badge.type) {
-    case 'session': {
-      const sessions = context.completedSessions || 0;
-      const accuracy = context.sessionAccuracy;
-      if (badge.criteria.completedSessions && sessions >= badge.criteria.completedSessions) {
-        newlyEarned.push(badge);
-      } else if (badge.criteria.minAccuracy && accuracy !== undefined && accuracy >= badge.criteria.minAccuracy) {
-        newlyEarned.push(badge);
-      }
-      break;
-    }
-    case 'streak': {
-      if (context.streakDays && context.streakDays >= badge.criteria.streakDays) {
-        newlyEarned.push(badge);
-      }
-      break;
-    }
-    case 'mastery': {
-      if (badge.criteria.masteryLevels && context.masteryLevel && badge.criteria.masteryLevels.includes(context.masteryLevel)) {
-        newlyEarned.push(badge);
-      }
-      break;
-    }
-    case 'level': {
-      if (context.level && context.level >= badge.criteria.level) {
-        newlyEarned.push(badge);
-      }
-      break;
-    }
-    default:
-      break;
+  const day = localDay(now, timezoneOf(profile));
+  const activity = await DailyActivity.record(profile.userId, day, { questions, correctAnswers, timeSpentMs, points });
+  // Carry an existing streak over before lastActive moves on to today
+  profile.streak.lastDay = lastStreakDay(profile);
+  profile.streak.lastActive = now;
+
+  if (!activity.goalMet && profile.meetsDailyGoal(activity)) {
+    // Only one of several simultaneous answers gets to extend the streak
+    const claimed = await DailyActivity.updateOne({ _id: activity._id, goalMet: false }, { goalMet: true });
+    if (claimed.modifiedCount > 0) {
+      activity.goalMet = true;
+      await extendStreak(profile, day);
     }
-  });
+  }
+  return activity;
+};
+
+/**
+ * The streak as of now. It is still running when the goal was met today or
+ * yesterday, or when the freezes held cover the days missed since.
+ */
+const getStreak = (profile, now = new Date()) => {
+  const { streak } = profile;
+  const today = localDay(now, timezoneOf(profile));
+  const lastDay = lastStreakDay(profile);
+  const gap = lastDay ? daysBetween(lastDay, today) : null;
+  const running = gap !== null && gap - 1 <= streak.freezes;
+
+  return {
+    current: running ? streak.current : 0,
+    longest: streak.longest,
+    freezes: streak.freezes,
+    lastDay,
+    lastActive: streak.lastActive,
+    todayGoalMet: gap === 0,
+    timezone: timezoneOf(profile)
+  };
+};
+
+// Award the badges whose rules now hold; see services/badgeRules
+const awardBadges = async(profile, event, context) => {
+  const newlyEarned = await badgeRules.evaluate(profile, event, context);
 
   newlyEarned.forEach((badge) => {
+    const meta = { name: badge.name, description: badge.description };
+    if (badge.classroomId) meta.classroomId = badge.classroomId;
     profile.badges.push({
-      badgeId: badge.id,
+      badgeId: badge.key,
       earnedAt: new Date(),
-      meta: { name: badge.name, description: badge.description }
+      meta
     });
     profile.addEvent({
       type: 'badge',
@@ -96,25 +200,15 @@ const awardBadges = (profile, context) => {
   return newlyEarned;
 };
 
-const awardForAnswer = async({ userId, isCorrect, difficulty = 0.5, responseTimeMs }) => {
-  const profile = await ensureProfile(userId);
-  updateStreak(profile);
-
-  // Base points: correct answers grant more; include difficulty bonus
-  const basePoints = isCorrect ? 10 : 2;
-  const difficultyBonus = Math.round((difficulty - 0.5) * 10); // +/- based on difficulty
-  const speedBonus = responseTimeMs ? Math.max(0, Math.min(5, Math.round((30000 - responseTimeMs) / 6000))) : 0;
+// Shared by every award so points, XP, levels, daily activity and badges are handled the same way
+const applyAward = async(profile, { type, points, message, badgeEvent, context, activity = {}, now = new Date() }) => {
+  await trackActivity(profile, { ...activity, points }, now);
 
-  const deltaPoints = Math.max(1, basePoints + difficultyBonus + speedBonus);
-  const deltaXp = deltaPoints; // 1:1 mapping for now
-
-  profile.points += deltaPoints;
-  profile.xp += deltaXp;
-  profile.addEvent({
-    type: 'answer',
-    delta: deltaPoints,
-    message: `Answered a question (${isCorrect ? 'correct' : 'attempted'})`
-  });
+  if (points > 0) {
+    profile.addPoints(points, now);
+    profile.xp += points; // 1:1 mapping for now
+    profile.addEvent({ type, delta: points, message });
+  }
 
   const { level: newLevel } = calculateLevel(profile.xp);
   if (newLevel > profile.level) {
@@ -124,70 +218,321 @@ const awardForAnswer = async({ userId, isCorrect, difficulty = 0.5, responseTime
       delta: 0,
       message: `Reached level ${newLevel}`
     });
-    awardBadges(profile, { level: newLevel });
   }
 
-  // streak-based badges
-  awardBadges(profile, { streakDays: profile.streak.current });
+  await awardBadges(profile, badgeEvent, context);
 
   await profile.save();
   return profile;
 };
 
-const awardForSession = async({ userId, correctAnswers, answeredQuestions, completedSessions }) => {
+const modeWeight = (mode) => MODE_WEIGHTS[mode] ?? MODE_WEIGHTS.assessment;
+
+// Share of the points paid for the nth answer to the same question within the repeat window
+const repeatMultiplier = (repeats, difficulty) => {
+  const multipliers = difficulty < EASY_DIFFICULTY ? EASY_REPEAT_MULTIPLIERS : REPEAT_MULTIPLIERS;
+  return multipliers[Math.min(repeats, multipliers.length - 1)];
+};
+
+const awardForAnswer = async({ userId, isCorrect, difficulty = 0.5, responseTimeMs, questionId, topicId, mode = 'assessment', now = new Date() }) => {
+  const profile = await ensureProfile(userId);
+
+  // Base points: correct answers grant more; include difficulty bonus
+  const basePoints = isCorrect ? 10 : 2;
+  const difficultyBonus = Math.round((difficulty - 0.5) * 10); // +/- based on difficulty
+  const speedBonus = responseTimeMs ? Math.max(0, Math.min(5, Math.round((30000 - responseTimeMs) / 6000))) : 0;
+  const repeats = questionId ? profile.trackQuestion(questionId, REPEAT_WINDOW_DAYS * DAY_MS, now) : 0;
+
+  const deltaPoints = Math.round(Math.max(1, basePoints + difficultyBonus + speedBonus) * modeWeight(mode) * repeatMultiplier(repeats, difficulty));
+
+  return applyAward(profile, {
+    type: 'answer',
+    points: deltaPoints,
+    message: `Answered a question in ${mode} (${isCorrect ? 'correct' : 'attempted'})`,
+    badgeEvent: 'answer',
+    context: { questionId, topicId, isCorrect, mode },
+    activity: {
+      questions: 1,
+      correctAnswers: isCorrect ? 1 : 0,
+      timeSpentMs: Math.min(Math.max(responseTimeMs || 0, 0), MAX_ANSWER_TIME_MS)
+    },
+    now
+  });
+};
+
+const awardForSession = async({ userId, correctAnswers, answeredQuestions, completedSessions, sessionId, chapterId, topicId, mode = 'assessment', now = new Date() }) => {
   const profile = await ensureProfile(userId);
-  updateStreak(profile);
 
   const accuracy = answeredQuestions > 0 ? correctAnswers / answeredQuestions : 0;
   const completionBonus = 20;
   const accuracyBonus = Math.round(accuracy * 30); // up to 30
 
-  const deltaPoints = completionBonus + accuracyBonus;
-  profile.points += deltaPoints;
-  profile.xp += deltaPoints;
-  profile.addEvent({
+  // Starting and ending empty sessions pays nothing
+  const deltaPoints = answeredQuestions >= MIN_SESSION_ANSWERS ?
+    Math.round((completionBonus + accuracyBonus) * modeWeight(mode)) :
+    0;
+
+  return applyAward(profile, {
     type: 'session',
-    delta: deltaPoints,
-    message: `Completed a session with ${(accuracy * 100).toFixed(0)}% accuracy`
+    points: deltaPoints,
+    message: `Completed a ${mode} session with ${(accuracy * 100).toFixed(0)}% accuracy`,
+    badgeEvent: 'session',
+    context: {
+      sessionId,
+      chapterId,
+      topicId,
+      correctAnswers,
+      answeredQuestions,
+      completedSessions,
+      mode
+    },
+    now
   });
+};
 
-  const { level: newLevel } = calculateLevel(profile.xp);
-  if (newLevel > profile.level) {
-    profile.level = newLevel;
-    profile.addEvent({
-      type: 'level',
-      delta: 0,
-      message: `Reached level ${newLevel}`
+// Points for a topic reaching a mastery level are paid once per level, and not
+// for falling back to a lower one
+const awardForMasteryChange = async({ userId, topicId, masteryLevel, now = new Date() }) => {
+  const profile = await ensureProfile(userId);
+
+  const levels = Object.keys(TOPIC_MASTERY_POINTS);
+  const index = levels.indexOf(masteryLevel);
+  let deltaPoints = 0;
+  if (index !== -1) {
+    const claimed = await TopicPerformance.updateOne(
+      { studentId: userId, topicId, rewardedLevels: { $nin: levels.slice(index) } },
+      { $addToSet: { rewardedLevels: { $each: levels.slice(0, index + 1) } } }
+    );
+    if (claimed.modifiedCount > 0) {
+      deltaPoints = TOPIC_MASTERY_POINTS[masteryLevel];
+    }
+  }
+
+  return applyAward(profile, {
+    type: 'mastery',
+    points: deltaPoints,
+    message: `Reached ${masteryLevel} in a topic`,
+    badgeEvent: 'mastery',
+    context: { topicId, masteryLevel },
+    now
+  });
+};
+
+// Called once per question, when it is first marked as mastered
+const awardForQuestionMastered = async({ userId, questionId, chapterId, topicId, now = new Date() }) => {
+  const profile = await ensureProfile(userId);
+
+  return applyAward(profile, {
+    type: 'mastery',
+    points: QUESTION_MASTERED_POINTS,
+    message: 'Mastered a question',
+    badgeEvent: 'mastery',
+    context: { questionId, chapterId, topicId },
+    now
+  });
+};
+
+/**
+ * Award an answer and, when it moved the topic's mastery level, the mastery
+ * change. `mastery` is the result of AdaptiveDifficultyEngine.recordAttempt.
+ */
+const recordAnswer = async({ userId, question, isCorrect, responseTimeMs, mode, mastery }) => {
+  const profile = await awardForAnswer({
+    userId,
+    isCorrect,
+    difficulty: question.difficulty ?? 0.5,
+    responseTimeMs,
+    questionId: question._id,
+    topicId: question.topicId,
+    mode
+  });
+  if (mastery && mastery.masteryLevel !== mastery.previousMasteryLevel) {
+    return awardForMasteryChange({
+      userId,
+      topicId: question.topicId,
+      masteryLevel: mastery.masteryLevel
     });
-    awardBadges(profile, { level: newLevel });
   }
+  return profile;
+};
 
-  awardBadges(profile, {
+// Award a finished session; the count of completed sessions includes it
+const recordSessionComplete = async(session) => {
+  const completedSessions = await AssessmentSession.countDocuments({
+    studentId: session.studentId,
+    status: 'completed'
+  });
+  return awardForSession({
+    userId: session.studentId,
+    correctAnswers: session.correctAnswers,
+    answeredQuestions: session.answeredQuestions,
     completedSessions,
-    sessionAccuracy: accuracy,
-    streakDays: profile.streak.current
+    sessionId: session._id,
+    chapterId: session.chapterId,
+    topicId: session.topicId,
+    mode: session.mode
   });
+};
 
+const getProfile = async(userId) => ensureProfile(userId);
+
+const updateLeaderboardSettings = async(userId, settings) => {
+  const profile = await ensureProfile(userId);
+  if (settings.optOut !== undefined) profile.leaderboard.optOut = settings.optOut;
+  if (settings.usePseudonym !== undefined) profile.leaderboard.usePseudonym = settings.usePseudonym;
+  if (settings.newPseudonym) profile.leaderboard.pseudonym = generatePseudonym();
   await profile.save();
   return profile;
 };
 
-const awardForMasteryChange = async({ userId, masteryLevel }) => {
+const updateDailyGoal = async(userId, { type, target }) => {
   const profile = await ensureProfile(userId);
-  const earned = awardBadges(profile, { masteryLevel });
-  if (earned.length > 0) {
-    await profile.save();
-  }
+  profile.dailyGoal = { type, target };
+  await profile.save();
   return profile;
 };
 
-const getProfile = async(userId) => ensureProfile(userId);
+// Today's totals against the daily goal
+const getDailyProgress = async(profile, now = new Date()) => {
+  const day = localDay(now, timezoneOf(profile));
+  const activity = await DailyActivity.findOne({ userId: profile.userId, day });
+  const questions = activity ? activity.questions : 0;
+  const minutes = activity ? activity.minutes : 0;
+
+  return {
+    day,
+    goal: { type: profile.dailyGoal.type, target: profile.dailyGoal.target },
+    questions,
+    minutes,
+    progress: profile.dailyGoal.type === 'minutes' ? minutes : questions,
+    goalMet: Boolean(activity && activity.goalMet)
+  };
+};
+
+/**
+ * Per-day activity for a heatmap, one entry for every day from `from` to
+ * `to` (YYYY-MM-DD in the student's timezone). Defaults to the last year;
+ * null when the range is empty or longer than MAX_CALENDAR_DAYS.
+ */
+const getCalendar = async(userId, { from, to } = {}, now = new Date()) => {
+  const profile = await ensureProfile(userId);
+  const end = to || localDay(now, timezoneOf(profile));
+  const start = from || addDays(end, -(MAX_CALENDAR_DAYS - 1));
+  const length = daysBetween(start, end) + 1;
+  if (length < 1 || length > MAX_CALENDAR_DAYS) return null;
+
+  const stored = await DailyActivity.getRange(userId, start, end);
+  const byDay = new Map(stored.map(activity => [activity.day, activity]));
+  const days = Array.from({ length }, (_, index) => {
+    const day = addDays(start, index);
+    const activity = byDay.get(day);
+    return {
+      day,
+      questions: activity ? activity.questions : 0,
+      correctAnswers: activity ? activity.correctAnswers : 0,
+      minutes: activity ? activity.minutes : 0,
+      points: activity ? activity.points : 0,
+      goalMet: Boolean(activity && activity.goalMet),
+      frozen: Boolean(activity && activity.frozen)
+    };
+  });
+
+  return {
+    from: start,
+    to: end,
+    timezone: timezoneOf(profile),
+    dailyGoal: { type: profile.dailyGoal.type, target: profile.dailyGoal.target },
+    streak: getStreak(profile, now),
+    days
+  };
+};
+
+// Keep the grade and timezone copied from the student profile in step with it
+const syncStudentProfile = async(userId, { grade, timezone }) => {
+  const update = {};
+  if (grade) update.grade = grade;
+  if (timezone) update.timezone = timezone;
+  if (Object.keys(update).length > 0) {
+    await GamificationProfile.updateOne({ userId }, update);
+  }
+};
+
+/**
+ * Rank students by points for a period. Either userIds (a class) or grade
+ * limits who is ranked. Only the top of the index is read; the viewer's rank
+ * is a count of students with more points.
+ */
+const getLeaderboard = async({ period = 'weekly', userIds, grade, limit = 10, viewerId, now = new Date() }) => {
+  const { field, startField } = LEADERBOARD_PERIODS[period];
+  const start = startField ? GamificationProfile.periodStart(period, now) : null;
+
+  const filter = {
+    'leaderboard.optOut': { $ne: true },
+    [field]: { $gt: 0 }
+  };
+  if (userIds) filter.userId = { $in: userIds };
+  if (grade) filter.grade = grade;
+  if (startField) filter[startField] = start;
+
+  const [profiles, total] = await Promise.all([
+    GamificationProfile.find(filter)
+      .sort({ [field]: -1, userId: 1 })
+      .limit(limit)
+      .select('userId points level periodPoints leaderboard')
+      .populate('userId', 'name'),
+    GamificationProfile.countDocuments(filter)
+  ]);
+
+  const valueOf = (profile) => field === 'points' ? profile.points : profile.periodPoints[field.split('.')[1]];
+
+  // Students with equal points share a rank
+  const entries = [];
+  profiles.forEach((profile, index) => {
+    const value = valueOf(profile);
+    const previous = entries[index - 1];
+    entries.push({
+      rank: previous && previous.points === value ? previous.rank : index + 1,
+      profile,
+      points: value
+    });
+  });
+
+  let viewer = null;
+  if (viewerId && (!userIds || userIds.some(id => id.toString() === viewerId.toString()))) {
+    const own = entries.find(entry => entry.profile.userId && entry.profile.userId._id.toString() === viewerId.toString());
+    if (own) {
+      viewer = { rank: own.rank, points: own.points };
+    } else {
+      const profile = await GamificationProfile.findOne({ ...filter, userId: viewerId }).select('points periodPoints');
+      if (profile) {
+        const value = valueOf(profile);
+        const ahead = await GamificationProfile.countDocuments({ ...filter, [field]: { $gt: value } });
+        viewer = { rank: ahead + 1, points: value };
+      }
+    }
+  }
+
+  return { periodStart: start, entries, total, viewer };
+};
 
 module.exports = {
   awardForAnswer,
   awardForSession,
   awardForMasteryChange,
+  awardForQuestionMastered,
+  recordAnswer,
+  recordSessionComplete,
   getProfile,
+  updateLeaderboardSettings,
+  updateDailyGoal,
+  getDailyProgress,
+  getStreak,
+  getCalendar,
+  syncStudentProfile,
+  getLeaderboard,
+  LEADERBOARD_PERIODS,
+  MODE_WEIGHTS,
+  MAX_CALENDAR_DAYS,
   xpForLevel,
   calculateLevel
 };
@@ -0,0 +1,168 @@
+const Question = require('../models/Question');
+const AnswerValidator = require('./answerValidator');
+const translationService = require('./translationService');
+const moderation = require('./moderation');
+const llm = require('./llmProvider');
+const logger = require('../utils/logger');
+
+/**
+ * Socratic hints for the current question of a practice or revision
+ * session. Each level is more specific than the last, but no hint states
+ * the answer: teacher-authored hints are used where they exist, otherwise a
+ * hint is generated (and cached on the question) and checked for leaks. When
+ * the model cannot give a usable hint a rule-based one is shown, uncached.
+ */
+
+const HINT_PROMPT = `You are a Socratic tutor for middle school students (grades 6-9).
+Give ONE short hint (at most 2 sentences) that helps the student take the next step on their own.
+Never state the answer, never say which choice is correct and never solve the problem completely.
+Level 1 hints point to the concept, level 2 hints suggest a strategy and level 3 hints narrow the answer down.`;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text of the correct choice for MCQs, otherwise the accepted answers
+const correctAnswers = (question) => {
+  if (question.questionType === 'mcq') {
+    const choice = (question.choices || [])[question.correctIndex];
+    return choice ? [choice] : [];
+  }
+  return AnswerValidator.getCorrectAnswers(question).filter(Boolean);
+};
+
+// Hint used without a model, from a concept nudge to narrowing down the answer
+const ruleBasedHint = (question, level) => {
+  const topic = question.topicId?.topicName || question.topic;
+  const isMcq = question.questionType === 'mcq';
+
+  if (level === 1) {
+    return `Think about what you have learned about ${topic}. What is the question asking you to find?`;
+  }
+  if (level === 2) {
+    return isMcq ?
+      'Check each choice against the question. Which ones can you rule out straight away?' :
+      'Work through the problem one step at a time and write down each result before you answer.';
+  }
+
+  if (isMcq) {
+    const wrongIndex = (question.choices || []).findIndex((choice, index) => index !== question.correctIndex);
+    if (wrongIndex !== -1 && question.choices.length > 2) {
+      return `You can rule out "${question.choices[wrongIndex]}". Which of the remaining choices fits best?`;
+    }
+    return 'Go back to the key word in the question and test each choice against it.';
+  }
+
+  const [answer] = correctAnswers(question);
+  // Very short answers would be given away by their first character
+  if (!answer || answer.length < 4) {
+    return 'Compare your working with the question once more before you answer.';
+  }
+  const words = answer.split(/\s+/).length;
+  return `The answer is ${words === 1 ? 'one word' : `${words} words`} long and starts with "${answer.charAt(0)}".`;
+};
+
+/**
+ * Whether a hint gives the answer away
+ * @param {Object} question - Question document
+ * @param {string} text - Hint text
+ * @returns {boolean} True when the hint contains a correct answer or names the correct choice
+ */
+const revealsAnswer = (question, text) => {
+  if (correctAnswers(question).some(answer => new RegExp(`(^|\\W)${escapeRegExp(answer.trim())}(\\W|$)`, 'i').test(text))) {
+    return true;
+  }
+  if (question.questionType === 'mcq' && typeof question.correctIndex === 'number') {
+    const letter = String.fromCharCode(65 + question.correctIndex);
+    return new RegExp(`\\b(answer|option|choice)\\s+(is\\s+)?\\(?${letter}\\b`, 'i').test(text);
+  }
+  return false;
+};
+
+/**
+ * Generate a hint for a level, falling back to the rule-based hint when the
+ * model is unavailable or its hint reveals the answer or fails moderation
+ * @param {Object} question - Question document
+ * @param {number} level - Hint level (1 = least specific)
+ * @param {Array<string>} previousHints - Hints already shown, least specific first
+ * @returns {Promise<Object>} { text, source }, where source is 'generated'
+ *   for the model's hint and 'rule' for the fallback
+ */
+const generateHint = async(question, level, previousHints = []) => {
+  const fallback = () => ({ text: ruleBasedHint(question, level), source: 'rule' });
+  const choices = (question.choices || []).map((choice, index) => `${String.fromCharCode(65 + index)}. ${choice}`).join('\n');
+  const [answer] = correctAnswers(question);
+
+  try {
+    const completion = await llm.complete('chatbot', {
+      messages: [
+        {
+          role: 'system',
+          content: HINT_PROMPT
+        },
+        {
+          role: 'user',
+          content: `Topic: ${question.topicId?.topicName || question.topic}
+Question: ${question.stem}
+${choices ? `Choices:\n${choices}\n` : ''}Correct answer (never reveal it): ${answer || 'N/A'}
+${previousHints.length > 0 ? `Hints already given:\n${previousHints.map((hint, index) => `${index + 1}. ${hint}`).join('\n')}\n` : ''}Write the level ${level} hint.`
+        }
+      ],
+      maxTokens: 120,
+      temperature: 0.4,
+      mock: () => ruleBasedHint(question, level)
+    }, { fallbackToMock: true });
+    if (completion.provider === 'mock') {
+      return fallback();
+    }
+
+    const text = completion.text.trim();
+    if (!text || revealsAnswer(question, text)) {
+      logger.warn(`Generated hint for question ${question._id} discarded: ${text ? 'reveals the answer' : 'empty'}`);
+      return fallback();
+    }
+    const checked = await moderation.moderate(text, { source: 'hint', direction: 'output' });
+    if (checked.action === 'block') {
+      return fallback();
+    }
+    return { text: checked.text.slice(0, 500), source: 'generated' };
+  } catch (error) {
+    logger.error(`Hint generation error for question ${question._id}:`, error);
+    return fallback();
+  }
+};
+
+/**
+ * Get the hint for a level in the student's language
+ * @param {Object} question - Question document loaded with `+hints +generatedHints`
+ * @param {number} level - Hint level (1 = least specific)
+ * @param {string} language - Language code to show the hint in
+ * @param {Array<string>} previousHints - Hints already shown on this item
+ * @returns {Promise<Object>} { level, text, source }, source being teacher, generated or rule
+ */
+const getHint = async(question, level, language = 'en', previousHints = []) => {
+  let text = (question.hints || [])[level - 1];
+  let source = text ? 'teacher' : 'generated';
+
+  if (!text) {
+    text = (question.generatedHints || [])[level - 1];
+  }
+  if (!text) {
+    ({ text, source } = await generateHint(question, level, previousHints));
+    // Rule-based hints stand in for a failed call; caching one would keep the model's hint from every student
+    if (source === 'generated') {
+      await Question.updateOne({ _id: question._id }, { $set: { [`generatedHints.${level - 1}`]: text } });
+    }
+  }
+
+  return {
+    level,
+    text: await translationService.translateText(text, language),
+    source
+  };
+};
+
+module.exports = {
+  ruleBasedHint,
+  revealsAnswer,
+  generateHint,
+  getHint
+};
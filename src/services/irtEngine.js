@@ -0,0 +1,238 @@
+/**
+ * Item Response Theory Engine Service
+ * Implements the 2PL/3PL logistic models, ability estimation (EAP and MLE)
+ * and the measurement precision used to drive adaptive sessions.
+ *
+ * Abilities (theta) and item difficulties (b) live on the standard logit
+ * scale, so estimates are comparable across sessions and students.
+ */
+
+// Scaling constant that makes the logistic curve approximate the normal ogive
+const D = 1.702;
+
+const THETA_MIN = -4;
+const THETA_MAX = 4;
+const QUADRATURE_POINTS = 81;
+
+const DEFAULT_DISCRIMINATION = 1;
+
+class IRTEngine {
+  /**
+   * Probability of a correct response under the 3PL model
+   * (2PL when guessing is 0)
+   * @param {number} theta - Ability on the logit scale
+   * @param {Object} params - Item parameters { a, b, c }
+   * @returns {number} Probability of a correct response
+   */
+  static probability(theta, { a = DEFAULT_DISCRIMINATION, b = 0, c = 0 }) {
+    return c + (1 - c) / (1 + Math.exp(-D * a * (theta - b)));
+  }
+
+  /**
+   * Fisher information of an item at a given ability
+   * @param {number} theta - Ability on the logit scale
+   * @param {Object} params - Item parameters { a, b, c }
+   * @returns {number} Item information
+   */
+  static itemInformation(theta, params) {
+    const { a = DEFAULT_DISCRIMINATION, c = 0 } = params;
+    const p = this.probability(theta, params);
+    const q = 1 - p;
+    if (p <= 0 || q <= 0) return 0;
+
+    return (D * D * a * a * q * Math.pow(p - c, 2)) / (p * Math.pow(1 - c, 2));
+  }
+
+  /**
+   * Total test information for a set of items
+   * @param {number} theta - Ability on the logit scale
+   * @param {Array} items - Array of item parameter objects
+   * @returns {number} Test information
+   */
+  static testInformation(theta, items) {
+    return items.reduce((sum, params) => sum + this.itemInformation(theta, params), 0);
+  }
+
+  /**
+   * Observed score of a response: `score` when given (partial credit, e.g.
+   * a correct answer reached with hints), otherwise 1 or 0 from `isCorrect`
+   * @param {Object} response - { isCorrect, score }
+   * @returns {number} Score (0-1)
+   */
+  static responseScore({ isCorrect, score }) {
+    if (typeof score === 'number') {
+      return Math.min(Math.max(score, 0), 1);
+    }
+    return isCorrect ? 1 : 0;
+  }
+
+  /**
+   * Log-likelihood of a response pattern
+   * @param {number} theta - Ability on the logit scale
+   * @param {Array} responses - Array of { params, isCorrect, score }
+   * @returns {number} Log-likelihood
+   */
+  static logLikelihood(theta, responses) {
+    return responses.reduce((sum, response) => {
+      const p = this.clampProbability(this.probability(theta, response.params));
+      const score = this.responseScore(response);
+      return sum + score * Math.log(p) + (1 - score) * Math.log(1 - p);
+    }, 0);
+  }
+
+  /**
+   * Expected a posteriori ability estimate with a normal prior
+   * @param {Array} responses - Array of { params, isCorrect, score }
+   * @param {Object} prior - Prior distribution { mean, sd }
+   * @returns {Object} { theta, standardError }
+   */
+  static estimateEAP(responses, prior = { mean: 0, sd: 1 }) {
+    const step = (THETA_MAX - THETA_MIN) / (QUADRATURE_POINTS - 1);
+    let weightSum = 0;
+    let thetaSum = 0;
+    let thetaSqSum = 0;
+
+    for (let i = 0; i < QUADRATURE_POINTS; i++) {
+      const theta = THETA_MIN + i * step;
+      const z = (theta - prior.mean) / prior.sd;
+      const weight = Math.exp(this.logLikelihood(theta, responses) - 0.5 * z * z);
+
+      weightSum += weight;
+      thetaSum += theta * weight;
+      thetaSqSum += theta * theta * weight;
+    }
+
+    if (weightSum === 0) {
+      return { theta: prior.mean, standardError: prior.sd };
+    }
+
+    const theta = thetaSum / weightSum;
+    const variance = Math.max(0, thetaSqSum / weightSum - theta * theta);
+
+    return { theta, standardError: Math.sqrt(variance) };
+  }
+
+  /**
+   * Maximum-likelihood ability estimate via Newton-Raphson (Fisher scoring).
+   * Falls back to EAP when the likelihood has no finite maximum, i.e. when
+   * every response is correct or every response is incorrect.
+   * @param {Array} responses - Array of { params, isCorrect, score }
+   * @param {number} startTheta - Starting value
+   * @returns {Object} { theta, standardError }
+   */
+  static estimateMLE(responses, startTheta = 0) {
+    const scores = responses.map(r => this.responseScore(r));
+    if (responses.length === 0 || scores.every(score => score === 0) || scores.every(score => score === 1)) {
+      return this.estimateEAP(responses);
+    }
+
+    let theta = startTheta;
+    for (let iteration = 0; iteration < 50; iteration++) {
+      let gradient = 0;
+      let information = 0;
+
+      responses.forEach(({ params }, index) => {
+        const { a = DEFAULT_DISCRIMINATION, c = 0 } = params;
+        const p = this.clampProbability(this.probability(theta, params));
+        gradient += (D * a * (p - c) * (scores[index] - p)) / (p * (1 - c));
+        information += this.itemInformation(theta, params);
+      });
+
+      if (information <= 0) break;
+
+      const delta = gradient / information;
+      theta = this.clampTheta(theta + delta);
+      if (Math.abs(delta) < 1e-4) break;
+    }
+
+    const information = this.testInformation(theta, responses.map(r => r.params));
+    return {
+      theta,
+      standardError: information > 0 ? 1 / Math.sqrt(information) : Infinity
+    };
+  }
+
+  /**
+   * Estimate ability with the requested method
+   * @param {Array} responses - Array of { params, isCorrect, score }
+   * @param {string} method - 'EAP' or 'MLE'
+   * @param {number} startTheta - Starting value for MLE
+   * @returns {Object} { theta, standardError }
+   */
+  static estimateAbility(responses, method = 'EAP', startTheta = 0) {
+    if (method === 'MLE') {
+      return this.estimateMLE(responses, startTheta);
+    }
+    return this.estimateEAP(responses);
+  }
+
+  /**
+   * Derive provisional item parameters for an uncalibrated question from
+   * its authored 0-1 difficulty. MCQ items get a guessing floor of one over
+   * the number of choices.
+   * @param {number} difficulty - Authored difficulty (0-1)
+   * @param {number} choicesCount - Number of MCQ choices (0 for open items)
+   * @returns {Object} Item parameters { a, b, c }
+   */
+  static parametersFromDifficulty(difficulty = 0.5, choicesCount = 0) {
+    return {
+      a: DEFAULT_DISCRIMINATION,
+      b: this.difficultyToLogit(difficulty),
+      c: choicesCount > 1 ? 1 / choicesCount : 0
+    };
+  }
+
+  /**
+   * Map an authored 0-1 difficulty onto the logit scale
+   * @param {number} difficulty - Difficulty (0-1)
+   * @returns {number} Difficulty on the logit scale
+   */
+  static difficultyToLogit(difficulty) {
+    const clamped = Math.min(0.98, Math.max(0.02, difficulty));
+    return this.clampTheta(Math.log(clamped / (1 - clamped)));
+  }
+
+  /**
+   * Map an ability on the logit scale onto the 0-1 scale used for display
+   * and for legacy fields such as Response.studentAbility
+   * @param {number} theta - Ability on the logit scale
+   * @returns {number} Ability (0-1)
+   */
+  static thetaToScore(theta) {
+    return 1 / (1 + Math.exp(-theta));
+  }
+
+  /**
+   * Map a 0-1 ability score back onto the logit scale
+   * @param {number} score - Ability (0-1)
+   * @returns {number} Ability on the logit scale
+   */
+  static scoreToTheta(score) {
+    return this.difficultyToLogit(score);
+  }
+
+  /**
+   * Measurement precision in [0, 1] derived from the standard error.
+   * With a unit-variance ability distribution this is the reliability
+   * of the estimate (1 - SE^2).
+   * @param {number} standardError - Standard error of the estimate
+   * @returns {number} Precision
+   */
+  static precisionFromStandardError(standardError) {
+    if (!Number.isFinite(standardError)) return 0;
+    return Math.max(0, Math.min(1, 1 - standardError * standardError));
+  }
+
+  static clampTheta(theta) {
+    return Math.max(THETA_MIN, Math.min(THETA_MAX, theta));
+  }
+
+  static clampProbability(p) {
+    return Math.max(1e-9, Math.min(1 - 1e-9, p));
+  }
+}
+
+IRTEngine.THETA_MIN = THETA_MIN;
+IRTEngine.THETA_MAX = THETA_MAX;
+
+module.exports = IRTEngine;
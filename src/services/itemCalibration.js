@@ -0,0 +1,279 @@
+const IRTEngine = require('./irtEngine');
+
+/**
+ * Item Calibration Service
+ * Fits IRT item parameters from historical responses with joint maximum
+ * likelihood: alternating person steps (EAP, so perfect scores stay finite)
+ * and item Fisher-scoring steps. Weak priors on discrimination and
+ * difficulty keep item estimates stable for small samples. Guessing is held
+ * fixed at each item's current value.
+ */
+
+const D = 1.702;
+
+const DEFAULT_OPTIONS = {
+  maxIterations: 100,
+  tolerance: 1e-3,
+  minResponses: 30,
+  fitRange: [0.7, 1.3],
+  driftThreshold: 0.5,
+  minDiscrimination: 0.3,
+  discriminationPrior: { mean: 1, sd: 0.5 },
+  difficultyPrior: { mean: 0, sd: 2 },
+  // Highest share of adaptive sessions an item should appear in (Sympson-Hetter)
+  maxExposureRate: 0.25
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * One Fisher-scoring step for an item's (a, b) with c fixed
+ * @param {Object} params - Current item parameters { a, b, c }
+ * @param {Array} observations - Array of { theta, isCorrect }
+ * @param {Object} options - Calibration options
+ * @returns {Object} Updated parameters
+ */
+const updateItem = (params, observations, options) => {
+  const { a, b, c } = params;
+  const { discriminationPrior: aPrior, difficultyPrior: bPrior } = options;
+
+  let gradA = -(a - aPrior.mean) / (aPrior.sd * aPrior.sd);
+  let gradB = -(b - bPrior.mean) / (bPrior.sd * bPrior.sd);
+  let infoAA = 1 / (aPrior.sd * aPrior.sd);
+  let infoBB = 1 / (bPrior.sd * bPrior.sd);
+  let infoAB = 0;
+
+  observations.forEach(({ theta, isCorrect }) => {
+    const logistic = 1 / (1 + Math.exp(-D * a * (theta - b)));
+    const p = IRTEngine.clampProbability(c + (1 - c) * logistic);
+    const slope = (1 - c) * logistic * (1 - logistic) * D;
+    const dA = slope * (theta - b);
+    const dB = -slope * a;
+    const weight = 1 / (p * (1 - p));
+    const residual = (isCorrect ? 1 : 0) - p;
+
+    gradA += residual * weight * dA;
+    gradB += residual * weight * dB;
+    infoAA += weight * dA * dA;
+    infoBB += weight * dB * dB;
+    infoAB += weight * dA * dB;
+  });
+
+  const determinant = infoAA * infoBB - infoAB * infoAB;
+  if (determinant <= 0) return params;
+
+  const stepA = (infoBB * gradA - infoAB * gradB) / determinant;
+  const stepB = (infoAA * gradB - infoAB * gradA) / determinant;
+
+  return {
+    a: clamp(a + stepA, 0.2, 4),
+    b: clamp(b + stepB, IRTEngine.THETA_MIN, IRTEngine.THETA_MAX),
+    c
+  };
+};
+
+/**
+ * Infit and outfit mean-square statistics for one item
+ * @param {Object} params - Item parameters
+ * @param {Array} observations - Array of { theta, isCorrect }
+ * @returns {Object} { infit, outfit }
+ */
+const itemFit = (params, observations) => {
+  let squaredResiduals = 0;
+  let variances = 0;
+  let standardizedSquares = 0;
+
+  observations.forEach(({ theta, isCorrect }) => {
+    const p = IRTEngine.clampProbability(IRTEngine.probability(theta, params));
+    const residual = (isCorrect ? 1 : 0) - p;
+    const variance = p * (1 - p);
+
+    squaredResiduals += residual * residual;
+    variances += variance;
+    standardizedSquares += (residual * residual) / variance;
+  });
+
+  return {
+    infit: variances > 0 ? squaredResiduals / variances : null,
+    outfit: observations.length > 0 ? standardizedSquares / observations.length : null
+  };
+};
+
+/**
+ * Rescale abilities to mean 0, sd 1 and move item parameters accordingly,
+ * which fixes the otherwise unidentified scale of the joint model
+ */
+const standardize = (thetas, items) => {
+  const values = Array.from(thetas.values());
+  if (values.length < 2) return;
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length);
+  if (!(sd > 0)) return;
+
+  thetas.forEach((theta, key) => thetas.set(key, (theta - mean) / sd));
+  items.forEach((item) => {
+    item.params = {
+      a: clamp(item.params.a * sd, 0.2, 4),
+      b: clamp((item.params.b - mean) / sd, IRTEngine.THETA_MIN, IRTEngine.THETA_MAX),
+      c: item.params.c
+    };
+  });
+};
+
+/**
+ * Calibrate item parameters from a response matrix
+ * @param {Array} responses - Array of { studentId, questionId, isCorrect }
+ * @param {Object} startingParams - Map of questionId -> { a, b, c }
+ * @param {Object} options - Calibration options (see DEFAULT_OPTIONS)
+ * @returns {Object} { items, abilities, iterations, converged }
+ */
+const calibrate = (responses, startingParams = {}, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  const byItem = new Map();
+  const byStudent = new Map();
+  responses.forEach(({ studentId, questionId, isCorrect }) => {
+    const itemKey = questionId.toString();
+    const studentKey = studentId.toString();
+    if (!byItem.has(itemKey)) byItem.set(itemKey, []);
+    if (!byStudent.has(studentKey)) byStudent.set(studentKey, []);
+    byItem.get(itemKey).push({ studentKey, isCorrect });
+    byStudent.get(studentKey).push({ itemKey, isCorrect });
+  });
+
+  const items = new Map();
+  byItem.forEach((observations, itemKey) => {
+    const start = startingParams[itemKey] || IRTEngine.parametersFromDifficulty(0.5);
+    items.set(itemKey, { params: { ...start }, observations });
+  });
+
+  // Starting abilities from each student's proportion correct
+  const thetas = new Map();
+  byStudent.forEach((answers, studentKey) => {
+    const correct = answers.filter(answer => answer.isCorrect).length;
+    const proportion = (correct + 0.5) / (answers.length + 1);
+    thetas.set(studentKey, IRTEngine.clampTheta(Math.log(proportion / (1 - proportion))));
+  });
+
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < settings.maxIterations && !converged) {
+    iterations += 1;
+
+    // Person step: EAP against current item parameters
+    byStudent.forEach((answers, studentKey) => {
+      const { theta } = IRTEngine.estimateEAP(answers.map(({ itemKey, isCorrect }) => ({
+        params: items.get(itemKey).params,
+        isCorrect
+      })));
+      thetas.set(studentKey, theta);
+    });
+
+    // Item step
+    let maxChange = 0;
+    items.forEach((item) => {
+      const observations = item.observations.map(({ studentKey, isCorrect }) => ({
+        theta: thetas.get(studentKey),
+        isCorrect
+      }));
+      const updated = updateItem(item.params, observations, settings);
+      maxChange = Math.max(maxChange, Math.abs(updated.a - item.params.a), Math.abs(updated.b - item.params.b));
+      item.params = updated;
+    });
+
+    standardize(thetas, items);
+    converged = maxChange < settings.tolerance;
+  }
+
+  const calibratedItems = {};
+  items.forEach((item, itemKey) => {
+    const observations = item.observations.map(({ studentKey, isCorrect }) => ({
+      theta: thetas.get(studentKey),
+      isCorrect
+    }));
+    calibratedItems[itemKey] = {
+      params: item.params,
+      sampleSize: observations.length,
+      proportionCorrect: observations.filter(o => o.isCorrect).length / observations.length,
+      ...itemFit(item.params, observations)
+    };
+  });
+
+  return {
+    items: calibratedItems,
+    abilities: Object.fromEntries(thetas),
+    iterations,
+    converged
+  };
+};
+
+/**
+ * Flag items with poor fit, weak discrimination, drift or too little data
+ * @param {Object} calibrated - Calibrated item entry from calibrate()
+ * @param {Object} previousParams - Parameters before calibration { a, b, c }
+ * @param {Object} options - Calibration options
+ * @returns {Array} Flags
+ */
+const reviewItem = (calibrated, previousParams, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const [fitMin, fitMax] = settings.fitRange;
+  const flags = [];
+
+  if (calibrated.sampleSize < settings.minResponses) {
+    flags.push('insufficient_data');
+  }
+  if (calibrated.infit !== null && (calibrated.infit < fitMin || calibrated.infit > fitMax)) {
+    flags.push('poor_infit');
+  }
+  if (calibrated.outfit !== null && (calibrated.outfit < fitMin || calibrated.outfit > fitMax)) {
+    flags.push('poor_outfit');
+  }
+  if (calibrated.params.a < settings.minDiscrimination) {
+    flags.push('low_discrimination');
+  }
+  if (previousParams && Math.abs(calibrated.params.b - previousParams.b) > settings.driftThreshold) {
+    flags.push('difficulty_drift');
+  }
+
+  return flags;
+};
+
+/**
+ * Sympson-Hetter exposure control parameters from administration counts.
+ * An item is administered with probability k once selected, so its
+ * selection rate is its administration rate over its current k; the new k
+ * brings that selection rate down to the target exposure rate.
+ * @param {Array} items - { questionId, administrations, sessions, exposureParameter }
+ *   where sessions counts the adaptive sessions the item could have appeared in
+ * @param {Object} options - Calibration options
+ * @returns {Object} Exposure parameter (k) by question ID
+ */
+const exposureParameters = (items, options = {}) => {
+  const { maxExposureRate } = { ...DEFAULT_OPTIONS, ...options };
+  const parameters = {};
+
+  items.forEach(({ questionId, administrations, sessions, exposureParameter = 1 }) => {
+    if (!sessions) {
+      parameters[questionId] = exposureParameter;
+      return;
+    }
+    // An item held at k = 0 has no administrations to learn from; let it back in
+    const selectionRate = administrations / sessions / Math.max(exposureParameter, 0.01);
+    parameters[questionId] = selectionRate > maxExposureRate ?
+      Math.round((maxExposureRate / selectionRate) * 1000) / 1000 :
+      1;
+  });
+
+  return parameters;
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  calibrate,
+  reviewItem,
+  exposureParameters,
+  itemFit,
+  updateItem
+};
@@ -0,0 +1,156 @@
+const Question = require('../models/Question');
+const IRTEngine = require('./irtEngine');
+
+/**
+ * Pluggable next-item selection strategies for adaptive sessions.
+ * A strategy is an async function receiving a selection context and
+ * resolving to a Question document (or null when the pool is exhausted).
+ *
+ * Context fields:
+ *   studentId, chapterId, topicId, excludeQuestionIds, theta,
+ *   exposureControl ('none' | 'randomesque' | 'sympson-hetter'),
+ *   randomesqueSize, contentBalancing
+ */
+
+const DEFAULT_STRATEGY = 'max-information';
+const EXPOSURE_CONTROLS = ['none', 'randomesque', 'sympson-hetter'];
+const DEFAULT_RANDOMESQUE_SIZE = 5;
+
+const strategies = new Map();
+
+const registerStrategy = (name, select) => {
+  if (typeof select !== 'function') {
+    throw new Error(`Selection strategy "${name}" must be a function`);
+  }
+  strategies.set(name, select);
+};
+
+const getStrategy = (name = DEFAULT_STRATEGY) => {
+  const strategy = strategies.get(name);
+  if (!strategy) {
+    throw new Error(`Unknown selection strategy "${name}"`);
+  }
+  return strategy;
+};
+
+const getStrategyNames = () => Array.from(strategies.keys());
+
+const idSet = (ids = []) => new Set(ids.map(id => id.toString()));
+
+/**
+ * Restrict the available items to the topic that is furthest behind its
+ * share of the administered items, so a chapter session covers every topic
+ */
+const balanceContent = (available, administered) => {
+  const topicKey = question => (question.topicId ? question.topicId.toString() : 'none');
+  const availableTopics = [...new Set(available.map(topicKey))];
+  if (availableTopics.length <= 1) return available;
+
+  const administeredCounts = administered.reduce((counts, question) => {
+    const key = topicKey(question);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+
+  const lowestCount = Math.min(...availableTopics.map(key => administeredCounts[key] || 0));
+  const candidates = availableTopics.filter(key => (administeredCounts[key] || 0) === lowestCount);
+  const chosenTopic = candidates[Math.floor(Math.random() * candidates.length)];
+
+  return available.filter(question => topicKey(question) === chosenTopic);
+};
+
+/**
+ * Pick one item from candidates ranked by information (highest first)
+ */
+const applyExposureControl = (ranked, exposureControl, randomesqueSize = DEFAULT_RANDOMESQUE_SIZE) => {
+  if (ranked.length === 0) return null;
+
+  if (exposureControl === 'randomesque') {
+    const top = ranked.slice(0, Math.max(1, randomesqueSize));
+    return top[Math.floor(Math.random() * top.length)].question;
+  }
+
+  if (exposureControl === 'sympson-hetter') {
+    // Administer each candidate with probability equal to its exposure
+    // control parameter; the least informative survivor is the fallback
+    for (const { question } of ranked) {
+      const k = question.irt?.exposureParameter ?? 1;
+      if (Math.random() < k) return question;
+    }
+    return ranked[ranked.length - 1].question;
+  }
+
+  return ranked[0].question;
+};
+
+/**
+ * Maximum Fisher information at the current ability estimate
+ */
+const maxInformation = async(context) => {
+  const {
+    chapterId,
+    topicId,
+    excludeQuestionIds = [],
+    theta = 0,
+    exposureControl = 'randomesque',
+    randomesqueSize,
+    contentBalancing = true
+  } = context;
+
+  const query = { isActive: true };
+  if (topicId) query.topicId = topicId;
+  else if (chapterId) query.chapterId = chapterId;
+
+  const pool = await Question.find(query);
+  const excluded = idSet(excludeQuestionIds);
+  const administered = pool.filter(question => excluded.has(question._id.toString()));
+  let available = pool.filter(question => !excluded.has(question._id.toString()));
+
+  if (available.length === 0) return null;
+
+  if (contentBalancing && !topicId) {
+    available = balanceContent(available, administered);
+  }
+
+  const ranked = available
+    .map(question => ({
+      question,
+      information: IRTEngine.itemInformation(theta, question.getIrtParameters())
+    }))
+    .sort((a, b) => b.information - a.information);
+
+  return applyExposureControl(ranked, exposureControl, randomesqueSize);
+};
+
+/**
+ * Legacy behaviour: a question near the topic's current difficulty
+ */
+const targetDifficulty = async(context) => {
+  const AdaptiveDifficultyEngine = require('./adaptiveDifficulty');
+  const { studentId, chapterId, topicId, excludeQuestionIds = [] } = context;
+
+  if (topicId) {
+    return AdaptiveDifficultyEngine.getNextQuestion(studentId, topicId, excludeQuestionIds);
+  }
+
+  const questions = await AdaptiveDifficultyEngine.getAdaptiveQuestionsForChapter(
+    studentId,
+    chapterId,
+    1,
+    excludeQuestionIds
+  );
+  return questions[0] || null;
+};
+
+registerStrategy('max-information', maxInformation);
+registerStrategy('target-difficulty', targetDifficulty);
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  EXPOSURE_CONTROLS,
+  registerStrategy,
+  getStrategy,
+  getStrategyNames,
+  balanceContent,
+  applyExposureControl
+};
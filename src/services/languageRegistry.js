@@ -0,0 +1,113 @@
+const Language = require('../models/Language');
+const logger = require('../utils/logger');
+
+/**
+ * Registry of content languages. Definitions live in the Language
+ * collection; an in-memory copy answers the lookups made on every request
+ * and by the validators. Built-in languages are used until the collection
+ * is loaded and are seeded into it on first start.
+ */
+
+const SOURCE_LANGUAGE = 'en';
+
+const BUILT_IN_LANGUAGES = [
+  { code: 'en', name: 'English', nativeName: 'English', script: 'Latn', direction: 'ltr', numeralSystem: 'latn', enabled: true },
+  { code: 'hi', name: 'Hindi', nativeName: 'हिन्दी', script: 'Deva', direction: 'ltr', numeralSystem: 'deva', enabled: true },
+  { code: 'te', name: 'Telugu', nativeName: 'తెలుగు', script: 'Telu', direction: 'ltr', numeralSystem: 'telu', enabled: true },
+  { code: 'ta', name: 'Tamil', nativeName: 'தமிழ்', script: 'Taml', direction: 'ltr', numeralSystem: 'taml', enabled: true },
+  { code: 'bn', name: 'Bengali', nativeName: 'বাংলা', script: 'Beng', direction: 'ltr', numeralSystem: 'beng', enabled: true },
+  { code: 'mr', name: 'Marathi', nativeName: 'मराठी', script: 'Deva', direction: 'ltr', numeralSystem: 'deva', enabled: true },
+  { code: 'kn', name: 'Kannada', nativeName: 'ಕನ್ನಡ', script: 'Knda', direction: 'ltr', numeralSystem: 'knda', enabled: true },
+  { code: 'gu', name: 'Gujarati', nativeName: 'ગુજરાતી', script: 'Gujr', direction: 'ltr', numeralSystem: 'gujr', enabled: true }
+];
+
+let languages = new Map(BUILT_IN_LANGUAGES.map(language => [language.code, { ...language }]));
+
+/**
+ * Load definitions from the database, seeding built-in languages that are missing
+ * @returns {Promise<Array<Object>>} All language definitions
+ */
+const load = async() => {
+  const stored = await Language.find();
+  const storedCodes = new Set(stored.map(language => language.code));
+  const missing = BUILT_IN_LANGUAGES.filter(language => !storedCodes.has(language.code));
+
+  if (missing.length > 0) {
+    stored.push(...await Language.insertMany(missing));
+    logger.info(`Seeded languages: ${missing.map(language => language.code).join(', ')}`);
+  }
+
+  languages = new Map(stored.map(language => [language.code, language.toDefinition()]));
+  return list({ includeDisabled: true });
+};
+
+/**
+ * List language definitions, source language first
+ * @param {Object} options - { includeDisabled }
+ * @returns {Array<Object>} Language definitions
+ */
+const list = ({ includeDisabled = false } = {}) => [...languages.values()]
+  .filter(language => includeDisabled || language.enabled)
+  .sort((a, b) => (b.code === SOURCE_LANGUAGE) - (a.code === SOURCE_LANGUAGE) || a.name.localeCompare(b.name))
+  .map(language => ({ ...language }));
+
+/**
+ * Get one language definition
+ * @param {string} code - Language code
+ * @returns {Object|null} Definition, or null when unknown
+ */
+const get = (code) => {
+  const language = languages.get(code);
+  return language ? { ...language } : null;
+};
+
+const isEnabled = code => Boolean(languages.get(code) && languages.get(code).enabled);
+
+// Enabled language codes, source language first
+const getEnabledCodes = () => list().map(language => language.code);
+
+const getName = code => (languages.has(code) ? languages.get(code).name : code);
+
+/**
+ * Add a language (disabled unless `enabled` is set)
+ * @param {Object} definition - { code, name, nativeName, script, direction, numeralSystem, enabled }
+ * @returns {Promise<Object>} Stored definition
+ */
+const create = async(definition) => {
+  const language = await new Language(definition).save();
+  languages.set(language.code, language.toDefinition());
+  logger.info(`Language added: ${language.code} (${language.enabled ? 'enabled' : 'disabled'})`);
+  return language.toDefinition();
+};
+
+/**
+ * Update a language, e.g. to enable or disable it
+ * @param {string} code - Language code
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} Stored definition, or null when unknown
+ */
+const update = async(code, changes) => {
+  const language = await Language.findOne({ code });
+  if (!language) {
+    return null;
+  }
+
+  Object.assign(language, changes);
+  await language.save();
+  languages.set(language.code, language.toDefinition());
+  logger.info(`Language updated: ${language.code} (${language.enabled ? 'enabled' : 'disabled'})`);
+  return language.toDefinition();
+};
+
+module.exports = {
+  SOURCE_LANGUAGE,
+  BUILT_IN_LANGUAGES,
+  load,
+  list,
+  get,
+  isEnabled,
+  getEnabledCodes,
+  getName,
+  create,
+  update
+};
@@ -1,15 +1,8 @@
-const OpenAI = require('openai');
 const GeneratedQuestion = require('../models/GeneratedQuestion');
+const llm = require('./llmProvider');
+const moderation = require('./moderation');
 const logger = require('../utils/logger');
 
-// Initialize OpenAI client
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
-}
-
 // Mock question templates for different topics and difficulties
 const mockQuestions = {
   mathematics: {
@@ -191,12 +184,9 @@ function generateMockQuestion(topic, grade, difficulty) {
   };
 }
 
-// Generate question using OpenAI API
-async function generateQuestionWithOpenAI(topic, grade, difficulty) {
-  const startTime = Date.now();
-
-  try {
-    const prompt = `Generate a multiple-choice question for ${grade}th grade students on the topic of "${topic}" with a difficulty level of ${difficulty} (0=easy, 1=hard).
+// Build the chat messages for a question generation request
+function buildQuestionMessages(topic, grade, difficulty) {
+  const prompt = `Generate a multiple-choice question for ${grade}th grade students on the topic of "${topic}" with a difficulty level of ${difficulty} (0=easy, 1=hard).
 
 Requirements:
 - Create an age-appropriate question that tests inferential reasoning
@@ -216,93 +206,84 @@ Return ONLY a valid JSON object with this exact structure:
 
 Do not include any other text, explanations, or formatting.`;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert educational content creator specializing in creating age-appropriate multiple-choice questions for middle school students. Always respond with valid JSON only.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 500,
-      temperature: 0.7
-    });
-
-    const responseText = completion.choices[0].message.content.trim();
-    const latencyMs = Date.now() - startTime;
-
-    // Try to parse the JSON response
-    let parsedResponse;
-    try {
-      parsedResponse = JSON.parse(responseText);
-    } catch (parseError) {
-      // If parsing fails, try to extract JSON from the response
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        parsedResponse = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('Invalid JSON response from OpenAI');
-      }
+  return [
+    {
+      role: 'system',
+      content: 'You are an expert educational content creator specializing in creating age-appropriate multiple-choice questions for middle school students. Always respond with valid JSON only.'
+    },
+    {
+      role: 'user',
+      content: prompt
     }
+  ];
+}
 
-    // Validate the response structure
-    if (!parsedResponse.stem || !parsedResponse.choices ||
-        typeof parsedResponse.correctIndex !== 'number' ||
-        !Array.isArray(parsedResponse.tags)) {
-      throw new Error('Invalid question structure from OpenAI');
-    }
+// Check a generated question with the content filter. Questions are never
+// redacted, since changing a choice could break the answer key: anything the
+// filter would block or redact rejects the question.
+async function moderateQuestion(question, provider, userId) {
+  const fields = [question.stem, ...question.choices, question.explanation, question.passage].filter(Boolean);
+  const result = await moderation.moderate(fields.join('\n'), { source: 'question_generation', direction: 'output', userId });
 
-    return {
-      question: parsedResponse,
-      latencyMs,
-      modelUsed: 'gpt-3.5-turbo'
-    };
+  if (result.action === 'block' || result.action === 'redact') {
+    throw new llm.LLMError(`Question from ${provider} was blocked by the content filter`, { code: 'LLM_CONTENT_BLOCKED', provider });
+  }
+  return question;
+}
+
+// Generate a question with the provider configured for question generation
+async function generateQuestionWithProvider(topic, grade, difficulty, provider, userId) {
+  let completion;
+  try {
+    completion = await llm.complete('generation', {
+      messages: buildQuestionMessages(topic, grade, difficulty),
+      maxTokens: 500,
+      temperature: 0.7,
+      json: true,
+      mock: () => JSON.stringify(generateMockQuestion(topic, grade, difficulty))
+    }, { provider });
   } catch (error) {
-    logger.error('OpenAI API error:', error);
-    throw new Error(`Failed to generate question: ${error.message}`);
+    if (error.code === 'LLM_NOT_CONFIGURED') throw error;
+    throw new llm.LLMError(`Failed to generate question: ${error.message}`, { code: error.code, provider: error.provider });
   }
+
+  const question = llm.parseJson(completion.text);
+
+  // Validate the response structure
+  if (!question.stem || !question.choices ||
+      typeof question.correctIndex !== 'number' ||
+      !Array.isArray(question.tags)) {
+    throw new llm.LLMError(`Invalid question structure from ${completion.provider}`, { code: 'LLM_INVALID_RESPONSE', provider: completion.provider });
+  }
+
+  return { question: await moderateQuestion(question, completion.provider, userId), ...completion };
 }
 
 // Main function to generate questions
-async function generateQuestion({ topic, grade, difficulty, opts = {} }) {
-  const isMock = process.env.LLM_MOCK === 'true' || opts.mock === true;
+async function generateQuestion({ topic, grade, difficulty, mock = false, opts = {} }) {
+  // A per-request mock flag overrides the configured provider
+  const provider = mock === true || opts.mock === true ? 'mock' : undefined;
 
   try {
-    let result;
-
-    if (isMock) {
-      // Generate mock question
-      const question = generateMockQuestion(topic, grade, difficulty);
-      result = {
-        question,
-        latencyMs: 50, // Simulated latency
-        modelUsed: 'mock'
-      };
-    } else {
-      // Check if OpenAI API key is available
-      if (!openai) {
-        throw new Error('OpenAI API key not configured');
-      }
-
-      // Generate question using OpenAI
-      result = await generateQuestionWithOpenAI(topic, grade, difficulty);
-    }
+    const result = await generateQuestionWithProvider(topic, grade, difficulty, provider, opts.userId);
 
     // Store the generation record
     const generatedQuestion = new GeneratedQuestion({
       inputPrompt: `Topic: ${topic}, Grade: ${grade}, Difficulty: ${difficulty}`,
       outputJSON: JSON.stringify(result.question),
-      modelUsed: result.modelUsed,
+      modelUsed: result.model,
+      provider: result.provider,
+      tokenUsage: result.usage,
+      attempts: result.attempts,
       latencyMs: result.latencyMs,
       parameters: {
         topic,
         grade,
         difficulty
-      }
+      },
+      requestedBy: opts.userId,
+      chapterId: opts.chapterId,
+      topicId: opts.topicId
     });
 
     // Validate the generated question
@@ -317,7 +298,7 @@ async function generateQuestion({ topic, grade, difficulty, opts = {} }) {
     // Save to database
     await generatedQuestion.save();
 
-    logger.info(`Generated question using ${result.modelUsed} in ${result.latencyMs}ms`);
+    logger.info(`Generated question using ${result.provider}/${result.model} in ${result.latencyMs}ms (${result.usage.totalTokens} tokens)`);
 
     return {
       question: {
@@ -326,10 +307,15 @@ async function generateQuestion({ topic, grade, difficulty, opts = {} }) {
         choices: result.question.choices,
         correctIndex: result.question.correctIndex,
         difficulty: result.question.difficulty,
-        tags: result.question.tags
+        tags: result.question.tags,
+        explanation: result.question.explanation,
+        passage: result.question.passage
       },
       generationId: generatedQuestion._id,
-      modelUsed: result.modelUsed,
+      reviewStatus: generatedQuestion.reviewStatus,
+      modelUsed: result.model,
+      provider: result.provider,
+      tokenUsage: result.usage,
       latencyMs: result.latencyMs
     };
   } catch (error) {
@@ -339,5 +325,6 @@ async function generateQuestion({ topic, grade, difficulty, opts = {} }) {
 }
 
 module.exports = {
-  generateQuestion
+  generateQuestion,
+  generateMockQuestion
 };
@@ -0,0 +1,666 @@
+const OpenAI = require('openai');
+const logger = require('../utils/logger');
+
+/**
+ * Provider layer for large language model calls. Each feature (question
+ * generation, chatbot, recommendations, translation) picks a provider and
+ * model from the environment:
+ *
+ *   LLM_PROVIDER                  default provider for every feature
+ *   LLM_<FEATURE>_PROVIDER        per-feature override, e.g. LLM_CHATBOT_PROVIDER=ollama
+ *   LLM_<FEATURE>_MODEL           per-feature model
+ *   <PROVIDER>_MODEL, _BASE_URL, _TIMEOUT_MS, _MAX_RETRIES   provider settings
+ *
+ * Providers: `openai` (any OpenAI-compatible endpoint through OPENAI_BASE_URL),
+ * `llamacpp` (a local llama.cpp server's OpenAI-compatible API), `ollama`
+ * (a local Ollama server) and `mock` (deterministic responses supplied by
+ * the caller, no network). The default provider is `openai`; LLM_MOCK=true
+ * forces the mock provider.
+ *
+ * Every call returns the text with the model used and its token usage.
+ * `stream()` does the same while passing each text chunk to a callback as
+ * it arrives; the mock provider streams its text word by word.
+ */
+
+const FEATURES = ['generation', 'chatbot', 'recommendations', 'translation'];
+
+const PROVIDER_DEFAULTS = {
+  openai: {
+    model: 'gpt-3.5-turbo',
+    baseUrl: undefined,
+    timeoutMs: 30000,
+    maxRetries: 2
+  },
+  llamacpp: {
+    model: 'local-model',
+    baseUrl: 'http://localhost:8080/v1',
+    timeoutMs: 120000,
+    maxRetries: 1
+  },
+  ollama: {
+    model: 'llama3',
+    baseUrl: 'http://localhost:11434',
+    timeoutMs: 120000,
+    maxRetries: 1
+  },
+  mock: {
+    model: 'mock',
+    timeoutMs: 1000,
+    maxRetries: 0,
+    streamDelayMs: 0
+  }
+};
+
+const RETRY_BASE_DELAY_MS = 500;
+
+class LLMError extends Error {
+  constructor(message, { code = 'LLM_REQUEST_FAILED', status, retryable = false, provider } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.provider = provider;
+  }
+}
+
+// Rough token count for providers that do not report usage
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+const normalizeUsage = (usage, messages, text) => {
+  const promptTokens = usage && usage.promptTokens !== undefined ?
+    usage.promptTokens :
+    messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+  const completionTokens = usage && usage.completionTokens !== undefined ?
+    usage.completionTokens :
+    estimateTokens(text);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated: !usage
+  };
+};
+
+const isRetryableStatus = status => status === 408 || status === 429 || status >= 500;
+
+/**
+ * Adapter for the OpenAI chat completions API and compatible servers
+ * (llama.cpp, vLLM, LM Studio, hosted gateways)
+ */
+class OpenAICompatibleProvider {
+  constructor(name, settings) {
+    this.name = name;
+    this.settings = settings;
+    this.client = null;
+  }
+
+  isConfigured() {
+    // Local servers do not need a key
+    return Boolean(this.settings.apiKey || this.settings.baseUrl);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.settings.apiKey || 'not-needed',
+        baseURL: this.settings.baseUrl,
+        maxRetries: 0 // retries are handled by complete()
+      });
+    }
+    return this.client;
+  }
+
+  async complete({ model, messages, maxTokens, temperature, json }, signal) {
+    try {
+      const completion = await this.getClient().chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(json && this.name === 'openai' && { response_format: { type: 'json_object' } })
+      }, { signal });
+
+      const usage = completion.usage && {
+        promptTokens: completion.usage.prompt_tokens,
+        completionTokens: completion.usage.completion_tokens
+      };
+
+      return {
+        text: (completion.choices[0]?.message?.content || '').trim(),
+        model: completion.model || model,
+        usage
+      };
+    } catch (error) {
+      if (error instanceof LLMError || error.name === 'AbortError' || signal.aborted) throw error;
+      const status = error.status;
+      throw new LLMError(error.message, {
+        status,
+        retryable: status === undefined || isRetryableStatus(status),
+        provider: this.name
+      });
+    }
+  }
+
+  async stream({ model, messages, maxTokens, temperature }, signal, onToken) {
+    let text = '';
+    let usage;
+    let responseModel = model;
+    try {
+      const stream = await this.getClient().chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        ...(this.name === 'openai' && { stream_options: { include_usage: true } })
+      }, { signal });
+
+      for await (const chunk of stream) {
+        responseModel = chunk.model || responseModel;
+        if (chunk.usage) {
+          usage = { promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens };
+        }
+        const token = chunk.choices[0]?.delta?.content;
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+      }
+    } catch (error) {
+      if (error instanceof LLMError || error.name === 'AbortError' || signal.aborted) throw error;
+      const status = error.status;
+      throw new LLMError(error.message, {
+        status,
+        retryable: status === undefined || isRetryableStatus(status),
+        provider: this.name
+      });
+    }
+
+    return { text: text.trim(), model: responseModel, usage };
+  }
+}
+
+/**
+ * Adapter for a local Ollama server (native /api/chat endpoint)
+ */
+class OllamaProvider {
+  constructor(name, settings) {
+    this.name = name;
+    this.settings = settings;
+  }
+
+  isConfigured() {
+    return Boolean(this.settings.baseUrl);
+  }
+
+  async request({ model, messages, maxTokens, temperature, json }, signal, stream) {
+    let response;
+    try {
+      response = await fetch(`${this.settings.baseUrl.replace(/\/$/, '')}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          messages,
+          stream,
+          ...(json && { format: 'json' }),
+          options: {
+            num_predict: maxTokens,
+            temperature
+          }
+        }),
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError' || signal.aborted) throw error;
+      throw new LLMError(`Ollama is unreachable: ${error.message}`, { retryable: true, provider: this.name });
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new LLMError(`Ollama returned ${response.status}: ${detail}`.trim(), {
+        status: response.status,
+        retryable: isRetryableStatus(response.status),
+        provider: this.name
+      });
+    }
+    return response;
+  }
+
+  getUsage(body) {
+    return body.prompt_eval_count !== undefined || body.eval_count !== undefined ?
+      { promptTokens: body.prompt_eval_count || 0, completionTokens: body.eval_count || 0 } :
+      undefined;
+  }
+
+  async complete(request, signal) {
+    const body = await (await this.request(request, signal, false)).json();
+
+    return {
+      text: (body.message?.content || '').trim(),
+      model: body.model || request.model,
+      usage: this.getUsage(body)
+    };
+  }
+
+  // Ollama streams one JSON object per line; the last one carries the token counts
+  async stream(request, signal, onToken) {
+    const response = await this.request(request, signal, true);
+    const decoder = new TextDecoder();
+    let buffered = '';
+    let text = '';
+    let last = {};
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      const chunk = JSON.parse(line);
+      if (chunk.error) {
+        throw new LLMError(`Ollama error: ${chunk.error}`, { provider: this.name });
+      }
+      const token = chunk.message?.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+      last = chunk;
+    };
+
+    for await (const bytes of response.body) {
+      buffered += decoder.decode(bytes, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffered);
+
+    return {
+      text: text.trim(),
+      model: last.model || request.model,
+      usage: this.getUsage(last)
+    };
+  }
+}
+
+/**
+ * Deterministic provider for development and tests: returns what the
+ * caller's `mock` function produces
+ */
+class MockProvider {
+  constructor(name, settings) {
+    this.name = name;
+    this.settings = settings;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete({ messages, mock }) {
+    let text = 'This is a mock response.';
+    if (typeof mock === 'function') {
+      text = await mock(messages);
+    } else if (mock !== undefined) {
+      text = mock;
+    }
+    return {
+      text: typeof text === 'string' ? text : JSON.stringify(text),
+      model: 'mock'
+    };
+  }
+
+  // Emits the mock text a word at a time, pausing MOCK_STREAM_DELAY_MS between words
+  async stream(request, signal, onToken) {
+    const result = await this.complete(request);
+    const delay = this.settings.streamDelayMs || 0;
+
+    for (const token of result.text.match(/\S+\s*|\s+/g) || []) {
+      await sleep(delay);
+      if (signal.aborted) {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+      onToken(token);
+    }
+    return result;
+  }
+}
+
+const providerClasses = {
+  openai: OpenAICompatibleProvider,
+  llamacpp: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Provider settings from the environment
+ * @param {string} name - Provider name
+ * @returns {Object} { model, baseUrl, apiKey, timeoutMs, maxRetries, streamDelayMs }
+ */
+const getProviderSettings = (name) => {
+  const defaults = PROVIDER_DEFAULTS[name] || {};
+  const prefix = name.toUpperCase();
+
+  return {
+    model: process.env[`${prefix}_MODEL`] || defaults.model,
+    baseUrl: process.env[`${prefix}_BASE_URL`] || defaults.baseUrl,
+    apiKey: process.env[`${prefix}_API_KEY`],
+    timeoutMs: envNumber(`${prefix}_TIMEOUT_MS`, defaults.timeoutMs),
+    maxRetries: envNumber(`${prefix}_MAX_RETRIES`, defaults.maxRetries),
+    streamDelayMs: envNumber(`${prefix}_STREAM_DELAY_MS`, defaults.streamDelayMs || 0)
+  };
+};
+
+/**
+ * Provider and model configured for a feature
+ * @param {string} feature - generation, chatbot, recommendations or translation
+ * @returns {Object} { provider, model, timeoutMs, maxRetries, ... }
+ */
+const getFeatureConfig = (feature) => {
+  const prefix = `LLM_${feature.toUpperCase()}`;
+
+  let provider = process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'openai';
+  if (process.env.LLM_MOCK === 'true') {
+    provider = 'mock';
+  }
+  provider = provider.toLowerCase();
+
+  const settings = getProviderSettings(provider);
+  return {
+    feature,
+    provider,
+    ...settings,
+    model: process.env[`${prefix}_MODEL`] || settings.model
+  };
+};
+
+const createProvider = (config) => {
+  const ProviderClass = providerClasses[config.provider];
+  if (!ProviderClass) {
+    throw new LLMError(`Unknown LLM provider "${config.provider}"`, { code: 'LLM_NOT_CONFIGURED', provider: config.provider });
+  }
+  return new ProviderClass(config.provider, config);
+};
+
+/**
+ * Whether the feature's provider has the settings it needs
+ * @param {string} feature - Feature name
+ * @returns {boolean} True when calls can be made
+ */
+const isConfigured = (feature) => {
+  try {
+    return createProvider(getFeatureConfig(feature)).isConfigured();
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Register an additional provider adapter
+ * @param {string} name - Provider name used in LLM_*_PROVIDER
+ * @param {Function} ProviderClass - Class with isConfigured(), complete(request, signal)
+ *   and optionally stream(request, signal, onToken)
+ * @param {Object} defaults - Default settings
+ */
+const registerProvider = (name, ProviderClass, defaults = {}) => {
+  providerClasses[name] = ProviderClass;
+  PROVIDER_DEFAULTS[name] = { timeoutMs: 30000, maxRetries: 0, ...defaults };
+};
+
+/**
+ * Names of the built-in and registered providers
+ * @returns {Array} Provider names
+ */
+const getProviderNames = () => Object.keys(providerClasses);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run one provider call, aborting it when the timeout expires
+const callWithTimeout = async(provider, request, timeoutMs) => {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LLMError(`LLM request timed out after ${timeoutMs}ms`, {
+        code: 'LLM_TIMEOUT',
+        retryable: true,
+        provider: provider.name
+      }));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([provider.complete(request, controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Provider for a call, honouring the `provider` and `fallbackToMock` options
+const resolveProvider = (feature, options) => {
+  const config = getFeatureConfig(feature);
+  const useProvider = name => Object.assign(config, getProviderSettings(name), { provider: name });
+  if (options.provider) {
+    useProvider(options.provider);
+  }
+
+  let provider = createProvider(config);
+  if (!provider.isConfigured() && options.fallbackToMock) {
+    logger.debug(`LLM provider "${config.provider}" is not configured for ${feature}; using mock responses`);
+    provider = createProvider(useProvider('mock'));
+  }
+  if (!provider.isConfigured()) {
+    throw new LLMError(`LLM provider "${config.provider}" is not configured for ${feature}`, {
+      code: 'LLM_NOT_CONFIGURED',
+      provider: config.provider
+    });
+  }
+  return { config, provider };
+};
+
+const buildPayload = (config, request) => ({
+  model: config.model,
+  maxTokens: 500,
+  temperature: 0.7,
+  ...request
+});
+
+/**
+ * Run a chat completion for a feature with the configured provider,
+ * timeout and retries
+ * @param {string} feature - generation, chatbot, recommendations or translation
+ * @param {Object} request - { messages, maxTokens, temperature, json, mock }
+ *   `mock` is the text (or a function returning it) used by the mock provider
+ * @param {Object} options - { provider } to override the configured provider,
+ *   { fallbackToMock } to answer with the mock provider when it is not configured
+ * @returns {Promise<Object>} { text, provider, model, usage, latencyMs, attempts }
+ */
+const complete = async(feature, request, options = {}) => {
+  const { config, provider } = resolveProvider(feature, options);
+  const payload = buildPayload(config, request);
+  const startTime = Date.now();
+
+  let attempt = 0;
+  for (;;) {
+    attempt++;
+    try {
+      const result = await callWithTimeout(provider, payload, config.timeoutMs);
+      const usage = normalizeUsage(result.usage, payload.messages || [], result.text);
+
+      logger.debug(`LLM ${feature} via ${config.provider}/${result.model}: ${usage.totalTokens} tokens, ${attempt} attempt(s)`);
+
+      return {
+        text: result.text,
+        provider: config.provider,
+        model: result.model,
+        usage,
+        latencyMs: Date.now() - startTime,
+        attempts: attempt
+      };
+    } catch (error) {
+      const llmError = error instanceof LLMError ?
+        error :
+        new LLMError(error.message, { retryable: true, provider: config.provider });
+
+      if (!llmError.retryable || attempt > config.maxRetries) {
+        logger.error(`LLM ${feature} via ${config.provider} failed after ${attempt} attempt(s): ${llmError.message}`);
+        throw llmError;
+      }
+
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+      logger.warn(`LLM ${feature} via ${config.provider} attempt ${attempt} failed (${llmError.message}); retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+// Run one streaming provider call; the timeout applies to the wait for each chunk
+const streamWithTimeout = async(provider, request, { timeoutMs, signal, onToken }) => {
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener('abort', cancel);
+
+  let text = '';
+  let timedOut = false;
+  let timer;
+  const restartTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  restartTimer();
+
+  try {
+    if (signal && signal.aborted) controller.abort();
+    const emit = (token) => {
+      text += token;
+      restartTimer();
+      onToken(token);
+    };
+
+    // Providers without streaming support send their whole answer as one chunk
+    if (typeof provider.stream !== 'function') {
+      const result = await provider.complete(request, controller.signal);
+      if (controller.signal.aborted) throw new Error('The operation was aborted');
+      emit(result.text);
+      return result;
+    }
+    return await provider.stream(request, controller.signal, emit);
+  } catch (error) {
+    if (signal && signal.aborted) {
+      return { text: text.trim(), model: request.model, cancelled: true };
+    }
+    let llmError = error instanceof LLMError ?
+      error :
+      new LLMError(error.message, { retryable: true, provider: provider.name });
+    if (timedOut) {
+      llmError = new LLMError(`LLM stream stalled for ${timeoutMs}ms`, { code: 'LLM_TIMEOUT', retryable: true, provider: provider.name });
+    }
+    llmError.partialText = text;
+    throw llmError;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+};
+
+/**
+ * Stream a chat completion for a feature, passing each text chunk to
+ * `onToken` as it arrives. Failures before the first chunk are retried like
+ * complete(); once text has been sent the call is not repeated.
+ * @param {string} feature - generation, chatbot, recommendations or translation
+ * @param {Object} request - { messages, maxTokens, temperature, mock }
+ * @param {Object} options - complete() options plus { onToken } and { signal },
+ *   an AbortSignal that cancels the stream
+ * @returns {Promise<Object>} { text, provider, model, usage, latencyMs, attempts, cancelled };
+ *   a cancelled stream resolves with the text received so far
+ * @throws {LLMError} With `partialText` set to the text sent before the failure
+ */
+const stream = async(feature, request, options = {}) => {
+  const { config, provider } = resolveProvider(feature, options);
+  const payload = buildPayload(config, request);
+  const onToken = options.onToken || (() => {});
+  const startTime = Date.now();
+
+  let attempt = 0;
+  for (;;) {
+    attempt++;
+    let sent = false;
+    try {
+      const result = await streamWithTimeout(provider, payload, {
+        timeoutMs: config.timeoutMs,
+        signal: options.signal,
+        onToken: (token) => {
+          sent = true;
+          onToken(token);
+        }
+      });
+      const usage = normalizeUsage(result.usage, payload.messages || [], result.text);
+
+      logger.debug(`LLM ${feature} stream via ${config.provider}/${result.model}: ${usage.totalTokens} tokens${result.cancelled ? ' (cancelled)' : ''}`);
+
+      return {
+        text: result.text,
+        provider: config.provider,
+        model: result.model,
+        usage,
+        latencyMs: Date.now() - startTime,
+        attempts: attempt,
+        cancelled: Boolean(result.cancelled)
+      };
+    } catch (error) {
+      if (!error.retryable || sent || attempt > config.maxRetries) {
+        logger.error(`LLM ${feature} stream via ${config.provider} failed after ${attempt} attempt(s): ${error.message}`);
+        throw error;
+      }
+
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+      logger.warn(`LLM ${feature} stream via ${config.provider} attempt ${attempt} failed (${error.message}); retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Parse a JSON object from model output, tolerating surrounding text
+ * @param {string} text - Model output
+ * @returns {Object} Parsed object
+ */
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const match = String(text).match(/\{[\s\S]*\}/);
+    if (match) {
+      return JSON.parse(match[0]);
+    }
+    throw new LLMError('Model did not return valid JSON', { code: 'LLM_INVALID_RESPONSE' });
+  }
+};
+
+module.exports = {
+  FEATURES,
+  LLMError,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  MockProvider,
+  getProviderSettings,
+  getFeatureConfig,
+  isConfigured,
+  registerProvider,
+  getProviderNames,
+  complete,
+  stream,
+  parseJson
+};
@@ -0,0 +1,141 @@
+const Translation = require('../models/Translation');
+const translationService = require('./translationService');
+const logger = require('../utils/logger');
+
+/**
+ * Serves stored content in a student's language. Only approved translations
+ * are used, field by field: a field falls back to English when it has no
+ * approved translation or its English text changed after approval.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const isSupported = language => translationService.getSupportedLanguages().includes(language);
+
+/**
+ * Language codes from an Accept-Language header, most preferred first
+ * @param {string} header - e.g. "hi-IN,hi;q=0.9,en;q=0.8"
+ * @returns {Array<string>} Primary language subtags, e.g. ['hi', 'en']
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header) return [];
+
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { language: tag.trim().toLowerCase().split('-')[0], quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.language && entry.language !== '*' && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.language);
+};
+
+/**
+ * Pick the response language: explicit `lang` query parameter, then the
+ * student's saved preference, then Accept-Language, then English
+ * @param {Object} sources - { query, preferred, acceptLanguage }
+ * @returns {string} Supported language code
+ */
+const resolveLanguage = ({ query, preferred, acceptLanguage } = {}) => {
+  const candidates = [
+    query && query.toLowerCase(),
+    preferred,
+    ...parseAcceptLanguage(acceptLanguage)
+  ];
+  return candidates.find(language => language && isSupported(language)) || DEFAULT_LANGUAGE;
+};
+
+// Serialise documents the way res.json would, so virtuals are kept
+const toPlainObject = entity => (entity && typeof entity.toJSON === 'function' ? entity.toJSON() : { ...entity });
+
+/**
+ * Localise a list of entities with one translation lookup
+ * @param {string} entityType - question, chapter, topic or recommendation
+ * @param {Array<Object>} entities - Documents or plain objects
+ * @param {string} language - Target language code
+ * @returns {Promise<Array<Object>>} Plain objects with approved translations applied
+ *   (the input is returned unchanged for English)
+ */
+const localizeMany = async(entityType, entities, language) => {
+  if (!language || language === DEFAULT_LANGUAGE || !entities || entities.length === 0) {
+    return entities;
+  }
+
+  const plain = entities.map(toPlainObject);
+  const ids = plain.filter(entity => entity._id).map(entity => String(entity._id));
+
+  try {
+    const translations = await Translation.find({
+      entityType,
+      entityId: { $in: ids },
+      language,
+      'fields.approvedText': { $exists: true }
+    });
+    const byEntity = new Map(translations.map(translation => [translation.entityId, translation]));
+
+    return plain.map(entity => {
+      const translation = entity._id && byEntity.get(String(entity._id));
+      if (!translation) return entity;
+
+      const source = translationService.extractFields(entityType, entity);
+      return translationService.applyFields(entity, translation.getApprovedTextMap(source));
+    });
+  } catch (error) {
+    logger.error(`Localise ${entityType} error:`, error);
+    return plain;
+  }
+};
+
+/**
+ * Localise a single entity
+ * @param {string} entityType - question, chapter, topic or recommendation
+ * @param {Object} entity - Document or plain object
+ * @param {string} language - Target language code
+ * @returns {Promise<Object>} Localised entity (unchanged for English)
+ */
+const localize = async(entityType, entity, language) => {
+  if (!entity) return entity;
+  const [localized] = await localizeMany(entityType, [entity], language);
+  return localized;
+};
+
+/**
+ * Localise chapters together with their populated topics
+ * @param {Array<Object>} chapters - Chapter documents, topics populated
+ * @param {string} language - Target language code
+ * @returns {Promise<Array<Object>>} Localised chapters
+ */
+const localizeChapters = async(chapters, language) => {
+  const localized = await localizeMany('chapter', chapters, language);
+  if (localized === chapters) return chapters;
+
+  const topics = localized.flatMap(chapter => (chapter.topics || []).filter(topic => topic && topic._id));
+  const topicsById = new Map((await localizeMany('topic', topics, language)).map(topic => [String(topic._id), topic]));
+
+  return localized.map(chapter => ({
+    ...chapter,
+    topics: (chapter.topics || []).map(topic => (topic && topic._id && topicsById.get(String(topic._id))) || topic)
+  }));
+};
+
+/**
+ * Answer validation options for a localised question: answers in English
+ * are accepted whichever language the question was shown in
+ * @param {Object} question - Original (English) question
+ * @returns {Object} Options for AnswerValidator.validateAnswer
+ */
+const answerOptions = question => ({
+  additionalAnswers: [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean)
+});
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  parseAcceptLanguage,
+  resolveLanguage,
+  localizeMany,
+  localize,
+  localizeChapters,
+  answerOptions
+};
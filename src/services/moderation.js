@@ -0,0 +1,307 @@
+const ModerationPolicy = require('../models/ModerationPolicy');
+const ModerationEvent = require('../models/ModerationEvent');
+const logger = require('../utils/logger');
+
+/**
+ * Rule-based safety filter for text students send and text the models
+ * return: profanity in every supported language, personal details (emails,
+ * phone and ID numbers) and topics that are not appropriate for 11-15 year
+ * olds. What happens on a match is set per category by the admin policy:
+ * block the text, redact the matches, only log it, or skip the check.
+ * Blocked, redacted and logged texts are recorded as ModerationEvents for
+ * teachers. The policy is cached in memory, like the language registry.
+ */
+
+const CATEGORIES = ['profanity', 'pii', 'offTopic'];
+// Strongest action first
+const ACTION_ORDER = ['block', 'redact', 'log'];
+const EVENT_ACTIONS = { block: 'blocked', redact: 'redacted', log: 'logged' };
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  rules: {
+    profanity: { action: 'block' },
+    pii: { action: 'redact' },
+    offTopic: { action: 'block' }
+  },
+  scopes: { input: true, output: true },
+  blockedTerms: [],
+  allowedTerms: []
+};
+
+// Common profanity per supported language, native script and romanised; a
+// trailing * matches any word starting with the term
+const PROFANITY = {
+  en: ['fuck*', 'motherfuck*', 'shit', 'shitty', 'bullshit', 'bitch*', 'bastard*', 'asshole*', 'dickhead', 'cunt*', 'slut*', 'whore*', 'wanker*', 'twat*', 'piss off', 'damn you'],
+  hi: ['चूतिया', 'मादरचोद', 'बहनचोद', 'भोसड़ी*', 'गांडू', 'हरामी', 'हरामज़ादा', 'रंडी', 'कमीना', 'लौड़ा', 'chutiya', 'madarchod', 'behenchod', 'bhenchod', 'bhosdi*', 'gandu', 'harami', 'haramzada', 'randi', 'kamina', 'kameena', 'lauda'],
+  te: ['లంజ*', 'దెంగు*', 'పూకు', 'lanja*', 'puku'],
+  ta: ['தேவடியா*', 'புண்டை', 'ஓத்த', 'சூத்து', 'thevidiya*', 'punda', 'otha', 'oombu'],
+  // Only whole forms of চোদ / chod: as prefixes they catch চোদ্দ (fourteen) and Hindi "chod do" (leave it)
+  bn: ['খানকি*', 'বোকাচোদা', 'চোদন', 'চোদাচুদি', 'চুদমারানি', 'মাগি', 'khanki*', 'bokachoda', 'chodon', 'chodachudi', 'chudmarani'],
+  mr: ['भडवा', 'झवाड्या', 'रांड', 'आईघाल्या', 'bhadwa', 'zavadya', 'aighalya'],
+  kn: ['ಸೂಳೆ*', 'ಬೋಳಿಮಗ*', 'ತುಣ್ಣೆ', 'soole', 'sule maga', 'boli maga', 'bolimaga', 'thunne'],
+  gu: ['ભોસડી*', 'રાંડ', 'ચોદુ', 'bhosdina', 'chodu', 'lodu']
+};
+
+// Themes outside the learning assistant's remit that are not suitable for the age group
+const OFF_TOPIC_TERMS = [
+  'porn*', 'nude*', 'sexy', 'hookup', 'onlyfans', 'dating app',
+  'cocaine', 'heroin', 'meth', 'vape', 'vaping', 'ganja', 'charas', 'get drunk', 'daru', 'sharab',
+  'casino', 'betting', 'gambling', 'satta', 'online rummy',
+  'make a bomb', 'build a bomb', 'buy a gun', 'hack an account', 'hack instagram'
+];
+
+// Digit runs are only personal details when written like one or when the text
+// around them says so; bare 10- and 12-digit numbers are everyday maths
+const PII_PATTERNS = [
+  { type: 'email', label: '[email removed]', pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu },
+  // Indian mobile numbers with +91 / 0
+  { type: 'phone', label: '[phone number removed]', pattern: /(?<![\d+])(?:(?:\+|00)91[\s-]?|0)[6-9](?:\d{4}[\s-]?\d{5}|\d{2}([\s-])\d{3}\1\d{4})(?!\d)/g },
+  // Indian mobile numbers grouped as 98765 43210 or 987-654-3210
+  { type: 'phone', label: '[phone number removed]', pattern: /(?<![\d+])[6-9](?:\d{4} \d{5}|\d{2}([\s-])\d{3}\1\d{4})(?!\d)/g },
+  { type: 'phone', label: '[phone number removed]', pattern: /(?<![\d+])[6-9]\d{9}(?!\d)/g, needsContext: true },
+  // Other international numbers
+  { type: 'phone', label: '[phone number removed]', pattern: /(?<![\d+])\+\d{1,3}[\s-]?\d(?:[\s-]?\d){6,12}(?!\d)/g },
+  // 12-digit Aadhaar numbers, grouped as 2345 6789 0123
+  { type: 'idNumber', label: '[ID number removed]', pattern: /(?<!\d)[2-9]\d{3}([\s-])\d{4}\1\d{4}(?!\d)/g },
+  { type: 'idNumber', label: '[ID number removed]', pattern: /(?<!\d)[2-9]\d{11}(?!\d)/g, needsContext: true }
+];
+// Words just before a bare number that make it a phone or ID number
+const PII_CONTEXT = /(?:\b(?:call|phone|mobile|cell|whatsapp|contact|sms|text me|dial|aadhaa?r|uid)\b|\b(?:my|your|his|her|their|mera|tera|uska|mom'?s|dad'?s)\s+(?:no\.?|number)|फ़ोन|फोन|मोबाइल|आधार|नंबर)/i;
+const PII_CONTEXT_CHARS = 40;
+
+const INDIC_DIGITS = /[\u0966-\u096F\u09E6-\u09EF\u0A66-\u0A6F\u0AE6-\u0AEF\u0B66-\u0B6F\u0BE6-\u0BEF\u0C66-\u0C6F\u0CE6-\u0CEF\u0D66-\u0D6F]/g;
+// Word characters, plus joiners used inside Indic words and symbols used to disguise Latin ones
+const WORD = /[\p{L}\p{M}\p{N}@$\u200C\u200D]+/gu;
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+const BLOCKED_MESSAGES = {
+  profanity: 'Please keep your language friendly.',
+  pii: 'Please don\'t share personal details such as phone numbers or email addresses.',
+  offTopic: 'I can only help with your studies.'
+};
+const SAFE_REPLY = 'Sorry, I can\'t help with that. Let\'s get back to your studies: which topic are you working on?';
+
+let policy = { ...DEFAULT_POLICY };
+let compiled = null;
+
+const normalizeWord = (word) => {
+  const normalized = word.normalize('NFKC').toLowerCase().replace(/[\u200C\u200D]/g, '');
+  return /[a-z]/.test(normalized) ? normalized.replace(/[013457@$]/g, char => LEET[char]) : normalized;
+};
+
+// Runs of a repeated letter collapsed to one, to catch stretched words like "fuuuck"
+const collapseRepeats = word => word.replace(/(\p{L})\1+/gu, '$1');
+
+const tokenize = text => Array.from(text.matchAll(WORD), match => ({
+  start: match.index,
+  end: match.index + match[0].length,
+  word: normalizeWord(match[0])
+}));
+
+const compileTerms = terms => terms
+  .map(term => term.trim())
+  .filter(Boolean)
+  .map(term => ({
+    term,
+    prefix: term.endsWith('*'),
+    words: tokenize(term.replace(/\*$/, '')).map(token => token.word)
+  }))
+  .filter(({ words }) => words.length > 0);
+
+const compile = () => {
+  compiled = {
+    profanity: compileTerms([...Object.values(PROFANITY).flat(), ...policy.blockedTerms]),
+    offTopic: compileTerms(OFF_TOPIC_TERMS),
+    allowed: new Set(policy.allowedTerms.map(normalizeWord))
+  };
+  return compiled;
+};
+
+const wordMatches = (token, expected, prefix) => {
+  if (prefix ? token.word.startsWith(expected) : token.word === expected) {
+    return true;
+  }
+  if (!/(\p{L})\1\1/u.test(token.word)) {
+    return false;
+  }
+  const collapsed = collapseRepeats(token.word);
+  return prefix ? collapsed.startsWith(collapseRepeats(expected)) : collapsed === collapseRepeats(expected);
+};
+
+// Spans of the text matching any of the terms, skipping allowed words
+const findTerms = (tokens, terms, allowed) => {
+  const found = [];
+  terms.forEach(({ term, prefix, words }) => {
+    for (let i = 0; i + words.length <= tokens.length; i++) {
+      const span = tokens.slice(i, i + words.length);
+      const matches = span.every((token, index) => !allowed.has(token.word) &&
+        wordMatches(token, words[index], prefix && index === words.length - 1));
+      if (matches) {
+        found.push({ term: term.replace(/\*$/, ''), start: span[0].start, end: span[span.length - 1].end });
+      }
+    }
+  });
+  return found;
+};
+
+const findPii = (text) => {
+  // Indic digits are single characters, so positions stay the same
+  const latinDigits = text.replace(INDIC_DIGITS, digit => String((digit.charCodeAt(0) - 6) & 0xF));
+  const found = [];
+  PII_PATTERNS.forEach(({ type, label, pattern, needsContext }) => {
+    for (const match of latinDigits.matchAll(pattern)) {
+      if (needsContext && !PII_CONTEXT.test(latinDigits.slice(Math.max(0, match.index - PII_CONTEXT_CHARS), match.index))) {
+        continue;
+      }
+      found.push({ type, label, start: match.index, end: match.index + match[0].length });
+    }
+  });
+  return found;
+};
+
+// Replace spans with their labels, ignoring spans that overlap an earlier one
+const replaceSpans = (text, spans) => {
+  let result = '';
+  let position = 0;
+  [...spans].sort((a, b) => a.start - b.start || b.end - a.end).forEach(span => {
+    if (span.start < position) return;
+    result += text.slice(position, span.start) + span.label;
+    position = span.end;
+  });
+  return result + text.slice(position);
+};
+
+/**
+ * Check text against the policy without recording anything
+ * @param {string} text - Text to check
+ * @param {Object} options - { direction: 'input' | 'output' }
+ * @returns {Object} { action: 'allow' | 'block' | 'redact' | 'log', categories, terms, piiTypes, text }
+ *   where `text` has the redactions applied
+ */
+const check = (text, { direction = 'input' } = {}) => {
+  const result = { action: 'allow', categories: [], terms: [], piiTypes: [], text };
+  if (!text || !policy.enabled || policy.scopes[direction] === false) {
+    return result;
+  }
+
+  const { profanity, offTopic, allowed } = compiled || compile();
+  const tokens = tokenize(text);
+  const matches = {
+    profanity: findTerms(tokens, profanity, allowed).map(match => ({ ...match, label: '***' })),
+    pii: findPii(text),
+    offTopic: findTerms(tokens, offTopic, allowed)
+  };
+
+  const actions = [];
+  const redactions = [];
+  CATEGORIES.forEach(category => {
+    const action = policy.rules[category].action;
+    if (action === 'off' || matches[category].length === 0) return;
+
+    result.categories.push(category);
+    // Off-topic text has nothing to redact, so it is blocked instead
+    const applied = action === 'redact' && category === 'offTopic' ? 'block' : action;
+    actions.push(applied);
+    if (applied === 'redact') redactions.push(...matches[category]);
+  });
+
+  result.terms = [...new Set([...matches.profanity, ...matches.offTopic].map(match => match.term))];
+  result.piiTypes = [...new Set(matches.pii.map(match => match.type))];
+  result.action = ACTION_ORDER.find(action => actions.includes(action)) || 'allow';
+  if (result.action === 'redact') {
+    result.text = replaceSpans(text, redactions);
+  }
+  return result;
+};
+
+/**
+ * Check text and record an event when it is blocked, redacted or logged
+ * @param {string} text - Text to check
+ * @param {Object} options - { source, direction, userId }
+ * @returns {Promise<Object>} Result of `check`
+ */
+const moderate = async(text, { source, direction = 'input', userId } = {}) => {
+  const result = check(text, { direction });
+  if (result.action === 'allow') {
+    return result;
+  }
+
+  try {
+    await ModerationEvent.create({
+      userId,
+      source,
+      direction,
+      action: EVENT_ACTIONS[result.action],
+      categories: result.categories,
+      terms: result.terms,
+      piiTypes: result.piiTypes,
+      excerpt: replaceSpans(text, findPii(text)).slice(0, 300)
+    });
+  } catch (error) {
+    logger.error('Moderation event record error:', error);
+  }
+  logger.warn(`Moderation: ${source} ${direction} ${EVENT_ACTIONS[result.action]} (${result.categories.join(', ')})${userId ? ` for user ${userId}` : ''}`);
+  return result;
+};
+
+// Message telling a student why their text was not accepted
+const blockedMessage = categories => categories
+  .map(category => BLOCKED_MESSAGES[category])
+  .join(' ');
+
+// Nested policy fields as dotted paths, so a partial update keeps the other settings
+const toPaths = (changes, prefix = '') => Object.entries(changes).reduce((paths, [key, value]) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return { ...paths, ...toPaths(value, `${prefix}${key}.`) };
+  }
+  return { ...paths, [`${prefix}${key}`]: value };
+}, {});
+
+const loadDocument = async() => {
+  const stored = await ModerationPolicy.findOne({ key: 'default' });
+  return stored || new ModerationPolicy({ key: 'default' }).save();
+};
+
+/**
+ * Load the policy from the database, creating the default policy on first start
+ * @returns {Promise<Object>} Policy settings
+ */
+const load = async() => {
+  const stored = await loadDocument();
+  policy = stored.toSettings();
+  compile();
+  return getPolicy();
+};
+
+const getPolicy = () => JSON.parse(JSON.stringify(policy));
+
+/**
+ * Update the policy
+ * @param {Object} changes - Fields to change; nested rules and scopes may be partial
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} Updated policy settings
+ */
+const updatePolicy = async(changes, userId) => {
+  const stored = await loadDocument();
+  Object.entries(toPaths(changes)).forEach(([path, value]) => stored.set(path, value));
+  stored.updatedBy = userId;
+  await stored.save();
+
+  policy = stored.toSettings();
+  compile();
+  logger.info(`Moderation policy updated by ${userId}`);
+  return getPolicy();
+};
+
+module.exports = {
+  CATEGORIES,
+  PROFANITY,
+  SAFE_REPLY,
+  check,
+  moderate,
+  blockedMessage,
+  load,
+  getPolicy,
+  updatePolicy
+};
@@ -0,0 +1,381 @@
+const { once } = require('events');
+const JSZip = require('jszip');
+
+/**
+ * Serialisers for exporting the question bank to learning management
+ * systems: IMS QTI 2.1 content packages, Moodle XML and GIFT. Questions
+ * are expected with `chapterId` and `topicId` populated.
+ */
+
+const BLANK_PATTERN = /_{3,}/g;
+
+// Namespace of the curriculum metadata written into QTI manifests; the
+// question importer reads the same elements back
+const METADATA_NAMESPACE = 'urn:generative-ai-cognitive-assessment:metadata';
+
+const FORMATS = {
+  qti: { contentType: 'application/zip', extension: 'zip' },
+  moodle: { contentType: 'application/xml; charset=utf-8', extension: 'xml' },
+  gift: { contentType: 'text/plain; charset=utf-8', extension: 'gift.txt' }
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Plain text as HTML paragraphs
+const toHtml = text => String(text)
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${escapeXml(paragraph).replace(/\n/g, '<br/>')}</p>`)
+  .join('');
+
+const cdata = text => `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const answersOf = question => [...new Set([question.correctAnswer, ...(question.acceptedAnswers || [])]
+  .filter(Boolean)
+  .map(answer => answer.trim()))];
+
+const chapterLabel = (question) => {
+  const chapter = question.chapterId || {};
+  return chapter.ncertReference || chapter.chapterName || String(chapter._id || '');
+};
+
+const topicLabel = question => (question.topicId && question.topicId.topicName) || question.topic;
+
+const itemIdentifier = question => `Q${question._id}`;
+
+// QTI 2.1 ------------------------------------------------------------------
+
+const QTI_ITEM_NAMESPACES = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" ' +
+  'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+  'xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+
+const scoreOutcome = '<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">' +
+  '<defaultValue><value>0</value></defaultValue></outcomeDeclaration>';
+
+const stringDeclaration = (identifier, answers) => [
+  `<responseDeclaration identifier="${identifier}" cardinality="single" baseType="string">`,
+  `<correctResponse><value>${escapeXml(answers[0] || '')}</value></correctResponse>`,
+  '<mapping defaultValue="0">',
+  ...answers.map(answer => `<mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`),
+  '</mapping>',
+  '</responseDeclaration>'
+].join('');
+
+/**
+ * Serialise one question as a QTI 2.1 assessmentItem
+ * @param {Object} question - Question document
+ * @returns {string} Item XML
+ */
+const toQtiItem = (question) => {
+  const declarations = [];
+  const processing = [];
+  let interaction;
+
+  if (question.questionType === 'mcq') {
+    declarations.push('<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">' +
+      `<correctResponse><value>CHOICE_${question.correctIndex}</value></correctResponse></responseDeclaration>`);
+    interaction = [
+      '<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">',
+      `<prompt>${escapeXml(question.stem)}</prompt>`,
+      ...question.choices.map((choice, index) => `<simpleChoice identifier="CHOICE_${index}">${escapeXml(choice)}</simpleChoice>`),
+      '</choiceInteraction>'
+    ].join('');
+    processing.push('<responseCondition><responseIf><match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>' +
+      '<setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue></responseIf></responseCondition>');
+  } else if (question.questionType === 'fill-in-blank') {
+    const answers = answersOf(question);
+    const parts = question.stem.split(BLANK_PATTERN);
+    const identifiers = parts.slice(1).map((part, index) => `RESPONSE_${index + 1}`);
+
+    identifiers.forEach(identifier => declarations.push(stringDeclaration(identifier, answers)));
+    interaction = `<p>${parts.map((part, index) => {
+      const entry = identifiers[index] ?
+        `<textEntryInteraction responseIdentifier="${identifiers[index]}" expectedLength="${Math.max(10, ...answers.map(a => a.length))}"/>` :
+        '';
+      return escapeXml(part) + entry;
+    }).join('')}</p>`;
+    processing.push(`<setOutcomeValue identifier="SCORE"><sum>${identifiers.map(identifier => `<mapResponse identifier="${identifier}"/>`).join('')}</sum></setOutcomeValue>`);
+  } else {
+    declarations.push(stringDeclaration('RESPONSE', answersOf(question)));
+    interaction = '<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="3">' +
+      `<prompt>${escapeXml(question.stem)}</prompt></extendedTextInteraction>`;
+    processing.push('<setOutcomeValue identifier="SCORE"><mapResponse identifier="RESPONSE"/></setOutcomeValue>');
+  }
+
+  if (question.explanation) {
+    declarations.push('<outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>');
+    processing.push('<setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>');
+  }
+
+  const passage = question.passage ? `<div class="passage">${toHtml(question.passage)}</div>` : '';
+  const feedback = question.explanation ?
+    `<modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(question.explanation)}</modalFeedback>` :
+    '';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem ${QTI_ITEM_NAMESPACES} identifier="${itemIdentifier(question)}" title="${escapeXml(topicLabel(question) || 'Question')}" adaptive="false" timeDependent="false">`,
+    ...declarations.filter(declaration => declaration.startsWith('<responseDeclaration')),
+    scoreOutcome,
+    ...declarations.filter(declaration => declaration.startsWith('<outcomeDeclaration')),
+    `<itemBody>${passage}${interaction}</itemBody>`,
+    `<responseProcessing>${processing.join('')}</responseProcessing>`,
+    feedback,
+    '</assessmentItem>',
+    ''
+  ].filter(line => line !== '').join('\n');
+};
+
+const qtiResource = (question, href) => {
+  const metadata = {
+    chapter: chapterLabel(question),
+    topic: topicLabel(question),
+    grade: question.grade,
+    difficulty: question.difficulty,
+    tags: (question.tags || []).join(',')
+  };
+  const fields = Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `<ext:${name}>${escapeXml(value)}</ext:${name}>`)
+    .join('');
+
+  return `<resource identifier="R${question._id}" type="imsqti_item_xmlv2p1" href="${href}">` +
+    `<metadata>${fields}</metadata><file href="${href}"/></resource>`;
+};
+
+/**
+ * Write questions as a QTI 2.1 content package (zip)
+ * @param {AsyncIterable} questions - Question documents
+ * @param {Writable} output - Destination stream
+ * @returns {number} Number of questions written
+ */
+const writeQti = async(questions, output) => {
+  const zip = new JSZip();
+  const resources = [];
+
+  for await (const question of questions) {
+    const href = `items/${itemIdentifier(question)}.xml`;
+    zip.file(href, toQtiItem(question));
+    resources.push(qtiResource(question, href));
+  }
+
+  zip.file('imsmanifest.xml', [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" ' +
+      `xmlns:ext="${METADATA_NAMESPACE}" identifier="MANIFEST_${Date.now()}">`,
+    '<metadata><schema>IMS Content</schema><schemaversion>1.1</schemaversion></metadata>',
+    '<organizations/>',
+    `<resources>${resources.join('\n')}</resources>`,
+    '</manifest>',
+    ''
+  ].join('\n'));
+
+  const stream = zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' });
+  stream.pipe(output);
+  await once(output, 'finish');
+  return resources.length;
+};
+
+// Moodle XML -----------------------------------------------------------------
+
+const moodleText = text => `<text>${cdata(text)}</text>`;
+
+const moodleQuestionText = (question, stemHtml) => {
+  const passage = question.passage ? toHtml(question.passage) : '';
+  return `<questiontext format="html">${moodleText(passage + stemHtml)}</questiontext>`;
+};
+
+// Cloze subquestion for one blank, accepting any of the answers
+const clozeBlank = answers => `{1:SHORTANSWER:${answers.map(answer => `=${escapeXml(answer).replace(/([}~#=\\:])/g, '\\$1')}`).join('~')}}`;
+
+/**
+ * Serialise one question as a Moodle XML <question>
+ * @param {Object} question - Question document
+ * @returns {string} Question XML
+ */
+const toMoodleQuestion = (question) => {
+  const name = `<name>${moodleText(`${topicLabel(question) || 'Question'} - ${question._id}`)}</name>`;
+  const feedback = `<generalfeedback format="html">${moodleText(question.explanation ? toHtml(question.explanation) : '')}</generalfeedback>`;
+  const tags = (question.tags || []).length > 0 ?
+    `<tags>${question.tags.map(tag => `<tag>${moodleText(tag)}</tag>`).join('')}</tags>` :
+    '';
+  const answers = answersOf(question);
+
+  let type;
+  let body;
+  if (question.questionType === 'mcq') {
+    type = 'multichoice';
+    body = [
+      moodleQuestionText(question, toHtml(question.stem)),
+      '<single>true</single><shuffleanswers>true</shuffleanswers><answernumbering>abc</answernumbering>',
+      ...question.choices.map((choice, index) => `<answer fraction="${index === question.correctIndex ? 100 : 0}" format="html">${moodleText(escapeXml(choice))}</answer>`)
+    ].join('');
+  } else if (question.questionType === 'fill-in-blank' && (question.stem.match(BLANK_PATTERN) || []).length > 1) {
+    // Several blanks need an embedded answers (cloze) question
+    type = 'cloze';
+    body = moodleQuestionText(question, toHtml(question.stem).replace(BLANK_PATTERN, () => clozeBlank(answers)));
+  } else {
+    type = 'shortanswer';
+    body = [
+      moodleQuestionText(question, toHtml(question.stem)),
+      '<usecase>0</usecase>',
+      ...answers.map(answer => `<answer fraction="100" format="moodle_auto_format">${moodleText(answer)}</answer>`)
+    ].join('');
+  }
+
+  return `<question type="${type}">${name}${body}${feedback}<defaultgrade>1</defaultgrade>${tags}</question>`;
+};
+
+const moodleCategory = path => `<question type="category"><category>${moodleText(path)}</category></question>`;
+
+const categoryPath = question => ['$course$', chapterLabel(question), topicLabel(question)]
+  .filter(Boolean)
+  .map(part => part.replace(/\//g, '//'))
+  .join('/');
+
+// Write a chunk, waiting for the stream to drain when its buffer is full
+const write = async(output, chunk) => {
+  if (!output.write(chunk)) {
+    await once(output, 'drain');
+  }
+};
+
+/**
+ * Write questions as a Moodle XML quiz file
+ * @param {AsyncIterable} questions - Question documents
+ * @param {Writable} output - Destination stream, ended when done
+ * @returns {number} Number of questions written
+ */
+const writeMoodle = async(questions, output) => {
+  await write(output, '<?xml version="1.0" encoding="UTF-8"?>\n<quiz>\n');
+
+  let category = null;
+  let count = 0;
+  for await (const question of questions) {
+    const path = categoryPath(question);
+    if (path !== category) {
+      category = path;
+      await write(output, `${moodleCategory(path)}\n`);
+    }
+    await write(output, `${toMoodleQuestion(question)}\n`);
+    count++;
+  }
+
+  await write(output, '</quiz>\n');
+  output.end();
+  return count;
+};
+
+// GIFT -----------------------------------------------------------------------
+
+const escapeGift = text => String(text)
+  .replace(/([~=#{}:\\])/g, '\\$1')
+  .replace(/\r?\n/g, '\\n');
+
+const giftAnswers = answers => answers.map(answer => `=${escapeGift(answer)}`).join(' ');
+
+/**
+ * Serialise one question in GIFT format
+ * @param {Object} question - Question document
+ * @returns {string} GIFT question
+ */
+const toGiftQuestion = (question) => {
+  const title = `::${escapeGift(`${topicLabel(question) || 'Question'} ${question._id}`)}::`;
+  const passage = question.passage ? `${escapeGift(question.passage)}\\n\\n` : '';
+  const feedback = question.explanation ? ` ####${escapeGift(question.explanation)}` : '';
+  const answers = answersOf(question);
+  const lines = [];
+
+  if ((question.tags || []).length > 0) {
+    lines.push(`// tags: ${question.tags.join(', ')}`);
+  }
+
+  if (question.questionType === 'mcq') {
+    const choices = question.choices
+      .map((choice, index) => `${index === question.correctIndex ? '=' : '~'}${escapeGift(choice)}`)
+      .join(' ');
+    lines.push(`${title}${passage}${escapeGift(question.stem)} {${choices}${feedback}}`);
+  } else if (question.questionType === 'fill-in-blank') {
+    // GIFT supports answers in the middle of the text; the feedback goes on the last blank
+    const parts = question.stem.split(BLANK_PATTERN);
+    const text = parts.map((part, index) => {
+      if (index === parts.length - 1) return escapeGift(part);
+      const blankFeedback = index === parts.length - 2 ? feedback : '';
+      return `${escapeGift(part)}{${giftAnswers(answers)}${blankFeedback}}`;
+    }).join('');
+    lines.push(`${title}${passage}${text}`);
+  } else {
+    lines.push(`${title}${passage}${escapeGift(question.stem)} {${giftAnswers(answers)}${feedback}}`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Write questions as a GIFT text file
+ * @param {AsyncIterable} questions - Question documents
+ * @param {Writable} output - Destination stream, ended when done
+ * @returns {number} Number of questions written
+ */
+const writeGift = async(questions, output) => {
+  let category = null;
+  let count = 0;
+  for await (const question of questions) {
+    const path = categoryPath(question);
+    if (path !== category) {
+      category = path;
+      await write(output, `$CATEGORY: ${path}\n\n`);
+    }
+    await write(output, `${toGiftQuestion(question)}\n\n`);
+    count++;
+  }
+
+  output.end();
+  return count;
+};
+
+const writers = {
+  qti: writeQti,
+  moodle: writeMoodle,
+  gift: writeGift
+};
+
+/**
+ * Download file name for an export
+ * @param {string} format - qti, moodle or gift
+ * @param {Date} date - Export date
+ * @returns {string} File name
+ */
+const exportFilename = (format, date = new Date()) =>
+  `questions_${format}_${date.toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+
+/**
+ * Stream questions to a writable in the requested format
+ * @param {string} format - qti, moodle or gift
+ * @param {AsyncIterable} questions - Question documents with chapter and topic populated
+ * @param {Writable} output - Destination stream
+ * @returns {number} Number of questions written
+ */
+const writeExport = (format, questions, output) => {
+  if (!writers[format]) {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+  return writers[format](questions, output);
+};
+
+module.exports = {
+  FORMATS,
+  EXPORT_FORMATS,
+  METADATA_NAMESPACE,
+  toQtiItem,
+  toMoodleQuestion,
+  toGiftQuestion,
+  exportFilename,
+  writeExport
+};
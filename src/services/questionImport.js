@@ -0,0 +1,435 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const Chapter = require('../models/Chapter');
+const Topic = require('../models/Topic');
+const { BLANK } = require('./questionParsers');
+const contentRetrieval = require('./contentRetrieval');
+const logger = require('../utils/logger');
+
+/**
+ * Bulk question import: normalises parsed rows, resolves chapters and
+ * topics by id, name or NCERT reference, validates each row against the
+ * Question schema and the per-type rules, and records the outcome on an
+ * ImportJob.
+ */
+
+const INSERT_BATCH_SIZE = 100;
+
+const BLANK_PATTERN = /_{3,}/g;
+
+const DIFFICULTY_LABELS = {
+  easy: 0.2,
+  medium: 0.5,
+  hard: 0.8
+};
+
+const TYPE_ALIASES = {
+  mcq: 'mcq',
+  multiplechoice: 'mcq',
+  choice: 'mcq',
+  fillinblank: 'fill-in-blank',
+  fillintheblank: 'fill-in-blank',
+  blank: 'fill-in-blank',
+  shortanswer: 'short-answer',
+  short: 'short-answer'
+};
+
+const CHOICE_COLUMNS = [
+  ['choicea', 'optiona', 'choice1', 'option1'],
+  ['choiceb', 'optionb', 'choice2', 'option2'],
+  ['choicec', 'optionc', 'choice3', 'option3'],
+  ['choiced', 'optiond', 'choice4', 'option4']
+];
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+const isObjectId = value => typeof value === 'string' && /^[a-f0-9]{24}$/i.test(value);
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Column names are matched without case, spaces, dashes or underscores
+const keyOf = name => name.toLowerCase().replace(/[\s_-]/g, '');
+
+const pick = (fields, ...names) => {
+  for (const name of names) {
+    if (!isBlank(fields[name])) return fields[name];
+  }
+  return undefined;
+};
+
+const toList = (value, separator = /\|/) => {
+  if (isBlank(value)) return [];
+  const items = Array.isArray(value) ? value : String(value).split(separator);
+  return items.map(item => String(item).trim()).filter(Boolean);
+};
+
+const toNumber = (value) => {
+  if (isBlank(value)) return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const toDifficulty = (value) => {
+  if (isBlank(value)) return undefined;
+  const label = DIFFICULTY_LABELS[String(value).trim().toLowerCase()];
+  return label !== undefined ? label : toNumber(value);
+};
+
+// Resolve an MCQ answer given as a 0-based index, a letter or the choice text
+const toCorrectIndex = (fields, choices) => {
+  const index = pick(fields, 'correctindex');
+  if (!isBlank(index)) return toNumber(index);
+
+  const answer = pick(fields, 'correctchoice', 'correctoption', 'answer', 'correctanswer');
+  if (isBlank(answer)) return undefined;
+
+  const text = String(answer).trim();
+  if (/^[A-Da-d]$/.test(text)) {
+    return text.toUpperCase().charCodeAt(0) - 65;
+  }
+  const position = choices.findIndex(choice => choice.toLowerCase() === text.toLowerCase());
+  return position >= 0 ? position : NaN;
+};
+
+/**
+ * Map an imported record to Question fields plus the chapter and topic
+ * references still to be resolved
+ * @param {Object} record - Row from a parsed file
+ * @param {Object} defaults - Upload-level defaults
+ * @returns {Object} { question, chapterRef, topicRef }
+ */
+const normalizeRecord = (record, defaults = {}) => {
+  const fields = {};
+  Object.entries(record).forEach(([name, value]) => {
+    fields[keyOf(name)] = typeof value === 'string' ? value.trim() : value;
+  });
+
+  const stem = pick(fields, 'stem', 'question', 'questiontext');
+
+  let choices = toList(pick(fields, 'choices', 'options'));
+  if (choices.length === 0) {
+    choices = CHOICE_COLUMNS.map(names => pick(fields, ...names))
+      .filter(choice => !isBlank(choice))
+      .map(choice => String(choice).trim());
+  }
+
+  let questionType = pick(fields, 'questiontype', 'type');
+  if (!isBlank(questionType)) {
+    questionType = TYPE_ALIASES[keyOf(String(questionType))] || String(questionType).trim().toLowerCase();
+  } else if (choices.length > 0) {
+    questionType = 'mcq';
+  } else {
+    questionType = stem && String(stem).match(BLANK_PATTERN) ? 'fill-in-blank' : 'short-answer';
+  }
+
+  const question = {
+    stem: isBlank(stem) ? undefined : String(stem),
+    questionType,
+    difficulty: toDifficulty(pick(fields, 'difficulty')),
+    grade: pick(fields, 'grade', 'class'),
+    tags: toList(pick(fields, 'tags'), /[|,]/).map(tag => tag.toLowerCase()),
+    passage: pick(fields, 'passage'),
+    explanation: pick(fields, 'explanation')
+  };
+
+  if (question.grade !== undefined) question.grade = String(question.grade);
+
+  if (questionType === 'mcq') {
+    question.choices = choices;
+    question.correctIndex = toCorrectIndex(fields, choices);
+  } else {
+    question.correctAnswer = pick(fields, 'correctanswer', 'answer');
+    question.acceptedAnswers = toList(pick(fields, 'acceptedanswers', 'alternatives'));
+    if (questionType === 'fill-in-blank') {
+      const blanks = (question.stem || '').match(BLANK_PATTERN);
+      question.blanksCount = toNumber(pick(fields, 'blankscount')) || (blanks ? blanks.length : 1);
+    }
+  }
+
+  if (question.difficulty === undefined) question.difficulty = defaults.difficulty;
+  if (question.grade === undefined) question.grade = defaults.grade;
+
+  Object.keys(question).forEach(key => {
+    if (question[key] === undefined) delete question[key];
+  });
+
+  return {
+    question,
+    chapterRef: pick(fields, 'chapterid', 'chapter', 'chaptername', 'ncertreference', 'ncertref') ||
+      (defaults.chapterId && defaults.chapterId.toString()),
+    topicRef: pick(fields, 'topicid', 'topic', 'topicname') ||
+      (defaults.topicId && defaults.topicId.toString())
+  };
+};
+
+/**
+ * Looks up chapters and topics named in an import, caching each lookup
+ * for the duration of one file
+ */
+class ReferenceResolver {
+  constructor() {
+    this.chapters = new Map();
+    this.topics = new Map();
+  }
+
+  async findChapters(ref) {
+    const key = String(ref).toLowerCase();
+    if (!this.chapters.has(key)) {
+      let chapters;
+      if (isObjectId(String(ref))) {
+        const chapter = await Chapter.findById(ref);
+        chapters = chapter ? [chapter] : [];
+      } else {
+        const pattern = new RegExp(`^${escapeRegex(String(ref).trim())}$`, 'i');
+        chapters = await Chapter.find({
+          isActive: true,
+          $or: [{ ncertReference: pattern }, { chapterName: pattern }]
+        });
+      }
+      this.chapters.set(key, chapters);
+    }
+    return this.chapters.get(key);
+  }
+
+  async findTopics(ref, chapterId) {
+    const key = `${chapterId || '*'}:${String(ref).toLowerCase()}`;
+    if (!this.topics.has(key)) {
+      let topics;
+      if (isObjectId(String(ref))) {
+        const topic = await Topic.findById(ref);
+        topics = topic ? [topic] : [];
+      } else {
+        const query = { topicName: new RegExp(`^${escapeRegex(String(ref).trim())}$`, 'i'), isActive: true };
+        if (chapterId) query.chapterId = chapterId;
+        topics = await Topic.find(query);
+      }
+      this.topics.set(key, topics);
+    }
+    return this.topics.get(key);
+  }
+
+  /**
+   * Resolve a row's chapter and topic
+   * @param {string} chapterRef - Chapter id, name or NCERT reference
+   * @param {string} topicRef - Topic id or name
+   * @param {string} grade - Grade used to tell same-named chapters apart
+   * @returns {Object} { chapter, topic, errors }
+   */
+  async resolve(chapterRef, topicRef, grade) {
+    const errors = [];
+    let chapter = null;
+    let topic = null;
+
+    if (!isBlank(chapterRef)) {
+      let chapters = await this.findChapters(chapterRef);
+      if (chapters.length > 1 && grade) {
+        chapters = chapters.filter(candidate => candidate.class === grade);
+      }
+      if (chapters.length === 0) {
+        errors.push({ field: 'chapter', message: `Chapter "${chapterRef}" not found` });
+      } else if (chapters.length > 1) {
+        errors.push({ field: 'chapter', message: `Chapter "${chapterRef}" matches ${chapters.length} chapters; use the id or set the grade` });
+      } else {
+        [chapter] = chapters;
+      }
+    }
+
+    if (isBlank(topicRef)) {
+      errors.push({ field: 'topic', message: 'Topic is required' });
+    } else if (chapter || isBlank(chapterRef)) {
+      const topics = await this.findTopics(topicRef, chapter && !isObjectId(String(topicRef)) ? chapter._id : null);
+      if (topics.length === 0) {
+        errors.push({ field: 'topic', message: `Topic "${topicRef}" not found${chapter ? ` in chapter "${chapter.chapterName}"` : ''}` });
+      } else if (topics.length > 1) {
+        errors.push({ field: 'topic', message: `Topic "${topicRef}" matches ${topics.length} topics; set the chapter or use the topic id` });
+      } else {
+        [topic] = topics;
+        if (chapter && !topic.chapterId.equals(chapter._id)) {
+          errors.push({ field: 'topic', message: `Topic "${topic.topicName}" does not belong to chapter "${chapter.chapterName}"` });
+          topic = null;
+        }
+      }
+    }
+
+    if (!chapter && topic) {
+      chapter = await Chapter.findById(topic.chapterId);
+    }
+    if (!chapter && isBlank(chapterRef) && errors.length === 0) {
+      errors.push({ field: 'chapter', message: 'Chapter is required' });
+    }
+
+    return { chapter, topic, errors };
+  }
+}
+
+/**
+ * Type-specific rules on top of the Question schema, mirroring the rules
+ * for questions created through the API
+ * @param {Object} question - Normalised question fields
+ * @returns {Array} { field, message } problems
+ */
+const checkTypeRules = (question) => {
+  const errors = [];
+
+  if (!Object.values(TYPE_ALIASES).includes(question.questionType)) {
+    errors.push({ field: 'questionType', message: `Unknown question type "${question.questionType}"` });
+    return errors;
+  }
+  if (question.stem && question.stem.length < 10) {
+    errors.push({ field: 'stem', message: 'Question stem must be at least 10 characters' });
+  }
+  if (Number.isNaN(question.difficulty)) {
+    errors.push({ field: 'difficulty', message: 'Difficulty must be a number between 0 and 1 or easy, medium or hard' });
+  }
+
+  if (question.questionType === 'mcq') {
+    if (question.choices.length < 2 || question.choices.length > 4) {
+      errors.push({ field: 'choices', message: 'Multiple choice questions need 2 to 4 choices' });
+    }
+    if (new Set(question.choices.map(choice => choice.toLowerCase())).size !== question.choices.length) {
+      errors.push({ field: 'choices', message: 'Choices must be different from each other' });
+    }
+    if (question.correctIndex === undefined) {
+      errors.push({ field: 'correctIndex', message: 'Correct answer is required for multiple choice questions' });
+    } else if (!Number.isInteger(question.correctIndex)) {
+      errors.push({ field: 'correctIndex', message: 'Correct answer must be a choice letter (A-D), a 0-based index or the choice text' });
+    }
+  }
+
+  if (question.questionType === 'fill-in-blank' && question.stem) {
+    const blanks = question.stem.match(BLANK_PATTERN) || [];
+    if (blanks.length === 0) {
+      errors.push({ field: 'stem', message: `Fill-in-blank stems must mark each blank with ${BLANK}` });
+    } else if (question.blanksCount !== blanks.length) {
+      errors.push({ field: 'blanksCount', message: `Stem has ${blanks.length} blank(s) but blanksCount is ${question.blanksCount}` });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate one parsed row and build its question document
+ * @param {Object} entry - { row, record } from a parser, or { row, error }
+ * @param {Object} context - { defaults, resolver, userId }
+ * @returns {Object} { document, errors }
+ */
+const validateEntry = async(entry, context) => {
+  if (entry.error) {
+    return { document: null, errors: [{ field: 'file', message: entry.error }] };
+  }
+
+  const { question, chapterRef, topicRef } = normalizeRecord(entry.record, context.defaults);
+  const errors = checkTypeRules(question);
+
+  const { chapter, topic, errors: referenceErrors } = await context.resolver.resolve(chapterRef, topicRef, question.grade);
+  errors.push(...referenceErrors);
+
+  const document = new Question({
+    ...question,
+    chapterId: chapter ? chapter._id : undefined,
+    topicId: topic ? topic._id : undefined,
+    topic: topic ? topic.topicName : undefined,
+    grade: question.grade || (chapter ? chapter.class : undefined),
+    isGenerated: false,
+    generatedBy: 'manual',
+    createdBy: context.userId
+  });
+
+  try {
+    await document.validate();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    const reported = new Set(errors.map(problem => problem.field));
+    Object.entries(error.errors).forEach(([path, problem]) => {
+      const field = path.split('.')[0];
+      // Reference problems are already reported with a clearer message
+      if (['chapterId', 'topicId', 'topic'].includes(field) && referenceErrors.length > 0) return;
+      if (reported.has(field)) return;
+      errors.push({ field, message: problem.message });
+    });
+  }
+
+  return { document: errors.length === 0 ? document : null, errors };
+};
+
+// Fingerprint used to spot the same question twice
+const questionKey = document => `${document.chapterId}:${document.stem.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+
+/**
+ * Validate every row of a parsed file and, unless the job is a dry run,
+ * insert the valid questions. Progress and row errors are saved on the job.
+ * @param {Object} job - ImportJob document
+ * @param {Array} entries - Parsed rows
+ * @returns {Object} The finished job
+ */
+const runImport = async(job, entries) => {
+  job.status = 'processing';
+  job.startedAt = new Date();
+  job.totalRows = entries.length;
+  await job.save();
+
+  try {
+    const context = {
+      defaults: job.toObject().defaults || {},
+      resolver: new ReferenceResolver(),
+      userId: job.createdBy
+    };
+
+    const valid = [];
+    const seen = new Map();
+    for (const entry of entries) {
+      const { document, errors } = await validateEntry(entry, context);
+      if (document) {
+        const key = questionKey(document);
+        if (seen.has(key)) {
+          errors.push({ field: 'stem', message: `Duplicate of row ${seen.get(key)}` });
+        } else if (await Question.exists({ chapterId: document.chapterId, stem: document.stem, isActive: true })) {
+          errors.push({ field: 'stem', message: 'An identical question already exists in this chapter' });
+        } else {
+          seen.set(key, entry.row);
+          valid.push(document);
+        }
+      }
+      errors.forEach(problem => job.addRowError(entry.row, problem.field, problem.message));
+    }
+
+    job.validRows = valid.length;
+    job.failedCount = entries.length - valid.length;
+
+    if (!job.dryRun) {
+      for (let start = 0; start < valid.length; start += INSERT_BATCH_SIZE) {
+        const inserted = await Question.insertMany(valid.slice(start, start + INSERT_BATCH_SIZE));
+        job.questionIds.push(...inserted.map(question => question._id));
+        job.importedCount += inserted.length;
+      }
+
+      // Make the new explanations searchable by the chatbot
+      const chapterIds = new Set(valid.filter(document => document.chapterId).map(document => document.chapterId.toString()));
+      for (const chapterId of chapterIds) {
+        await contentRetrieval.syncChapter(chapterId);
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    logger.error(`Question import ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.failureReason = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+
+  logger.info(`Question import ${job._id}: ${job.importedCount} imported, ${job.failedCount} rejected${job.dryRun ? ' (dry run)' : ''}`);
+  return job;
+};
+
+module.exports = {
+  INSERT_BATCH_SIZE,
+  normalizeRecord,
+  checkTypeRules,
+  ReferenceResolver,
+  validateEntry,
+  runImport
+};
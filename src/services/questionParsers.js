@@ -0,0 +1,330 @@
+const path = require('path');
+const { parse: parseCsvSync } = require('csv-parse/sync');
+const { XMLParser } = require('fast-xml-parser');
+const JSZip = require('jszip');
+
+/**
+ * Parsers for question import files. Each parser turns a file into a list
+ * of `{ row, record }` entries where `row` is the 1-based position shown
+ * to the uploader in error reports and `record` is a flat object using
+ * the import column names (see questionImport.normalizeRecord).
+ */
+
+class ImportFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFileError';
+  }
+}
+
+const FORMATS = ['csv', 'json', 'qti'];
+
+const BLANK = '_____';
+
+/**
+ * Work out the format of an uploaded file
+ * @param {string} filename - Original file name
+ * @param {string} mimetype - Reported MIME type
+ * @returns {string|null} csv, json, qti or null when unknown
+ */
+const detectFormat = (filename = '', mimetype = '') => {
+  const extension = path.extname(filename).toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.json') return 'json';
+  if (extension === '.zip' || extension === '.xml') return 'qti';
+
+  if (mimetype.includes('csv')) return 'csv';
+  if (mimetype.includes('json')) return 'json';
+  if (mimetype.includes('zip') || mimetype.includes('xml')) return 'qti';
+  return null;
+};
+
+/**
+ * Parse a CSV file with a header row
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} { row, record } entries; row is the line number
+ */
+const parseCsv = (buffer) => {
+  let records;
+  try {
+    records = parseCsvSync(buffer, {
+      bom: true,
+      columns: header => header.map(column => column.trim()),
+      skip_empty_lines: true,
+      relax_column_count: true,
+      trim: true,
+      info: true
+    });
+  } catch (error) {
+    throw new ImportFileError(`Invalid CSV: ${error.message}`);
+  }
+
+  return records.map(({ record, info }) => ({ row: info.lines, record }));
+};
+
+/**
+ * Parse a JSON file holding an array of questions or `{ questions: [...] }`
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} { row, record } entries; row is the array position
+ */
+const parseJson = (buffer) => {
+  let data;
+  try {
+    data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new ImportFileError(`Invalid JSON: ${error.message}`);
+  }
+
+  const questions = Array.isArray(data) ? data : data && data.questions;
+  if (!Array.isArray(questions)) {
+    throw new ImportFileError('JSON must be an array of questions or an object with a "questions" array');
+  }
+
+  return questions.map((record, index) => ({
+    row: index + 1,
+    record: record && typeof record === 'object' ? record : {}
+  }));
+};
+
+// QTI helpers. The XML is parsed with preserveOrder so mixed content such
+// as text around an inline textEntryInteraction keeps its order.
+const xmlParser = new XMLParser({
+  preserveOrder: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: false
+});
+
+const tagOf = node => Object.keys(node).find(key => key !== ':@');
+const attrsOf = node => node[':@'] || {};
+const childrenOf = node => (Array.isArray(node[tagOf(node)]) ? node[tagOf(node)] : []);
+
+const findAll = (nodes, name, found = []) => {
+  nodes.forEach(node => {
+    const tag = tagOf(node);
+    if (tag === name) found.push(node);
+    if (tag && tag !== '#text') findAll(childrenOf(node), name, found);
+  });
+  return found;
+};
+
+const BLOCK_TAGS = new Set(['p', 'div', 'br', 'li', 'ul', 'ol', 'table', 'tr', 'blockquote', 'prompt']);
+
+// Text content of a node list; inline blanks become a blank marker and
+// nested choice lists are left out of the stem
+const isPassage = node => /(^|\s)passage(\s|$)/.test(attrsOf(node).class || '');
+
+const textOf = (nodes) => nodes.map(node => {
+  const tag = tagOf(node);
+  if (tag === '#text') return node['#text'];
+  if (tag === 'textEntryInteraction') return ` ${BLANK} `;
+  if (tag === 'simpleChoice' || tag === 'modalFeedback' || tag === 'feedbackInline' || isPassage(node)) return '';
+  const text = textOf(childrenOf(node));
+  return BLOCK_TAGS.has(tag) ? ` ${text} ` : text;
+}).join('');
+
+const cleanText = text => text.replace(/\s+/g, ' ').replace(/\s+([.,;:?!])/g, '$1').trim();
+
+const valuesOf = declaration => findAll(childrenOf(declaration), 'correctResponse')
+  .flatMap(correct => findAll(childrenOf(correct), 'value'))
+  .map(value => cleanText(textOf(childrenOf(value))));
+
+// Correct values followed by the mapped alternatives of the declarations
+const answersOf = (declarations) => {
+  const answers = [];
+  declarations.filter(Boolean).forEach(declaration => {
+    answers.push(...valuesOf(declaration));
+    findAll(childrenOf(declaration), 'mapEntry')
+      .forEach(mapEntry => answers.push(attrsOf(mapEntry).mapKey));
+  });
+  return [...new Set(answers.filter(Boolean))];
+};
+
+/**
+ * Convert one QTI 2.1 assessmentItem to an import record
+ * @param {string} xml - Item XML
+ * @returns {Object} Import record
+ */
+const qtiItemToRecord = (xml) => {
+  let document;
+  try {
+    document = xmlParser.parse(xml);
+  } catch (error) {
+    throw new ImportFileError(`Invalid XML: ${error.message}`);
+  }
+
+  const [item] = findAll(document, 'assessmentItem');
+  if (!item) {
+    throw new ImportFileError('No assessmentItem element found');
+  }
+
+  const children = childrenOf(item);
+  const declarations = new Map(findAll(children, 'responseDeclaration')
+    .map(declaration => [attrsOf(declaration).identifier, declaration]));
+  const [itemBody] = findAll(children, 'itemBody');
+  if (!itemBody) {
+    throw new ImportFileError('Item has no itemBody');
+  }
+
+  const bodyNodes = childrenOf(itemBody);
+  const record = {
+    identifier: attrsOf(item).identifier,
+    stem: cleanText(textOf(bodyNodes))
+  };
+
+  // Reading passages are marked with class="passage", as in our own exports
+  const passages = findAll(bodyNodes, 'div').filter(isPassage);
+  if (passages.length > 0) {
+    record.passage = passages.map(node => cleanText(textOf(childrenOf(node)))).join('\n\n');
+  }
+
+  const feedback = findAll(children, 'modalFeedback');
+  if (feedback.length > 0) {
+    record.explanation = cleanText(feedback.map(node => textOf(childrenOf(node))).join(' '));
+  }
+
+  const [choiceInteraction] = findAll(bodyNodes, 'choiceInteraction');
+  const textEntries = findAll(bodyNodes, 'textEntryInteraction');
+  const [extendedText] = findAll(bodyNodes, 'extendedTextInteraction');
+
+  if (choiceInteraction) {
+    const choices = findAll(childrenOf(choiceInteraction), 'simpleChoice');
+    const declaration = declarations.get(attrsOf(choiceInteraction).responseIdentifier);
+    const [correctId] = declaration ? valuesOf(declaration) : [];
+
+    record.questionType = 'mcq';
+    record.choices = choices.map(choice => cleanText(textOf(childrenOf(choice))));
+    record.correctIndex = choices.findIndex(choice => attrsOf(choice).identifier === correctId);
+  } else if (textEntries.length > 0) {
+    const unique = answersOf(textEntries.map(entry => declarations.get(attrsOf(entry).responseIdentifier)));
+
+    record.questionType = 'fill-in-blank';
+    record.blanksCount = textEntries.length;
+    record.correctAnswer = unique[0];
+    record.acceptedAnswers = unique.slice(1);
+  } else if (extendedText) {
+    const answers = answersOf([declarations.get(attrsOf(extendedText).responseIdentifier)]);
+
+    record.questionType = 'short-answer';
+    record.correctAnswer = answers[0];
+    record.acceptedAnswers = answers.slice(1);
+  } else {
+    throw new ImportFileError('Item has no supported interaction (choice, text entry or extended text)');
+  }
+
+  return record;
+};
+
+// Curriculum fields a manifest resource may carry in its <metadata> block,
+// e.g. <ext:chapter>Fractions</ext:chapter>, since QTI items have no place
+// for them
+const METADATA_FIELDS = ['chapter', 'topic', 'grade', 'difficulty', 'tags'];
+
+const resourceMetadata = (resource) => {
+  const metadata = {};
+  findAll(childrenOf(resource), 'metadata').forEach(block => {
+    childrenOf(block).forEach(node => {
+      const tag = tagOf(node);
+      if (METADATA_FIELDS.includes(tag)) {
+        metadata[tag] = cleanText(textOf(childrenOf(node)));
+      }
+    });
+  });
+  return metadata;
+};
+
+/**
+ * Parse an IMS QTI 2.1 content package (zip) or a single item XML file
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} { row, record } entries; row is the item position
+ */
+const parseQti = async(buffer) => {
+  const isZip = buffer.length > 3 && buffer.readUInt32LE(0) === 0x04034b50;
+  if (!isZip) {
+    return [{ row: 1, record: qtiItemToRecord(buffer.toString('utf8')) }];
+  }
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new ImportFileError(`Invalid QTI package: ${error.message}`);
+  }
+
+  // Item files come from the manifest, or every XML file without one
+  let items;
+  const manifest = zip.file('imsmanifest.xml');
+  if (manifest) {
+    let resources;
+    try {
+      resources = findAll(xmlParser.parse(await manifest.async('string')), 'resource');
+    } catch (error) {
+      throw new ImportFileError(`Invalid imsmanifest.xml: ${error.message}`);
+    }
+    items = resources
+      .filter(resource => /^imsqti_item/.test(attrsOf(resource).type || '') && attrsOf(resource).href)
+      .map(resource => ({ href: attrsOf(resource).href, metadata: resourceMetadata(resource) }));
+  } else {
+    items = Object.keys(zip.files)
+      .filter(name => name.toLowerCase().endsWith('.xml'))
+      .map(href => ({ href, metadata: {} }));
+  }
+
+  if (items.length === 0) {
+    throw new ImportFileError('QTI package contains no assessment items');
+  }
+
+  const entries = [];
+  for (const [index, { href, metadata }] of items.entries()) {
+    const file = zip.file(href);
+    const row = index + 1;
+    if (!file) {
+      entries.push({ row, source: href, error: `Item file ${href} is missing from the package` });
+      continue;
+    }
+
+    try {
+      const record = qtiItemToRecord(await file.async('string'));
+      entries.push({ row, source: href, record: { ...metadata, ...record } });
+    } catch (error) {
+      if (!(error instanceof ImportFileError)) throw error;
+      entries.push({ row, source: href, error: error.message });
+    }
+  }
+  return entries;
+};
+
+const parsers = {
+  csv: parseCsv,
+  json: parseJson,
+  qti: parseQti
+};
+
+/**
+ * Parse an import file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - csv, json or qti
+ * @returns {Array} { row, record } entries, or { row, error } for items
+ *   that could not be read
+ */
+const parseFile = async(buffer, format) => {
+  if (!parsers[format]) {
+    throw new ImportFileError(`Unsupported import format "${format}"`);
+  }
+  return parsers[format](buffer);
+};
+
+module.exports = {
+  FORMATS,
+  METADATA_FIELDS,
+  BLANK,
+  ImportFileError,
+  detectFormat,
+  parseCsv,
+  parseJson,
+  parseQti,
+  qtiItemToRecord,
+  parseFile
+};
@@ -1,7 +1,8 @@
 const Recommendation = require('../models/Recommendation');
 const TopicPerformance = require('../models/TopicPerformance');
 const Question = require('../models/Question');
-const { generateQuestion } = require('./llmClient');
+const llm = require('./llmProvider');
+const moderation = require('./moderation');
 const logger = require('../utils/logger');
 
 /**
@@ -137,21 +138,39 @@ class RecommendationEngine {
         }
       `;
 
-      const analysis = await generateQuestion({
-        topic: 'answer_analysis',
-        grade: question.grade,
-        difficulty: 0.5,
-        mock: true // Use mock for now
-      });
-
-      // Parse the analysis (in real implementation, this would be proper JSON parsing)
-      return {
+      const defaultAnalysis = {
         errorType: 'conceptual',
         missingConcepts: ['basic_concept', 'application'],
         weakAreas: ['problem_solving', 'concept_application'],
         suggestedFocus: 'Focus on understanding the fundamental concepts before applying them',
         difficultyLevel: 'medium'
       };
+
+      const completion = await llm.complete('recommendations', {
+        messages: [
+          {
+            role: 'system',
+            content: 'You analyse middle school students\' answers to find learning gaps. Always respond with valid JSON only.'
+          },
+          { role: 'user', content: prompt }
+        ],
+        maxTokens: 300,
+        temperature: 0.3,
+        json: true,
+        mock: () => JSON.stringify(defaultAnalysis)
+      }, { fallbackToMock: true });
+
+      const analysis = llm.parseJson(completion.text);
+      if (typeof analysis.suggestedFocus === 'string') {
+        const checked = await moderation.moderate(analysis.suggestedFocus, { source: 'recommendation', direction: 'output' });
+        analysis.suggestedFocus = checked.action === 'block' ? defaultAnalysis.suggestedFocus : checked.text;
+      }
+      return {
+        ...defaultAnalysis,
+        ...analysis,
+        missingConcepts: Array.isArray(analysis.missingConcepts) ? analysis.missingConcepts : defaultAnalysis.missingConcepts,
+        weakAreas: Array.isArray(analysis.weakAreas) ? analysis.weakAreas : defaultAnalysis.weakAreas
+      };
     } catch (error) {
       logger.error('Error analyzing incorrect answer:', error);
       return {
@@ -180,8 +199,7 @@ class RecommendationEngine {
         Provide a clear, step-by-step explanation with examples.
       `;
 
-      // In real implementation, this would call the LLM
-      return `Let me explain the key concepts you need to understand:
+      const template = `Let me explain the key concepts you need to understand:
 
 1. **${missingConcepts[0] || 'Main Concept'}**: This is the fundamental idea behind this type of problem. Think of it as the foundation that everything else builds upon.
 
@@ -190,6 +208,22 @@ class RecommendationEngine {
 3. **Practice**: The best way to master these concepts is through practice. Try solving similar problems step by step.
 
 Remember: Don't rush through the explanation. Take your time to understand each concept before moving to the next one.`;
+
+      const completion = await llm.complete('recommendations', {
+        messages: [
+          {
+            role: 'system',
+            content: 'You are a patient tutor for middle school students. Use simple language and short examples.'
+          },
+          { role: 'user', content: prompt }
+        ],
+        maxTokens: 500,
+        temperature: 0.5,
+        mock: template
+      }, { fallbackToMock: true });
+
+      const checked = await moderation.moderate(completion.text, { source: 'recommendation', direction: 'output' });
+      return checked.action === 'block' ? template : checked.text || template;
     } catch (error) {
       logger.error('Error generating concept explanation:', error);
       return 'Please review the fundamental concepts for this topic and practice similar problems.';
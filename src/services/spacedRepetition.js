@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const ReviewItem = require('../models/ReviewItem');
+const Question = require('../models/Question');
+const AssessmentSession = require('../models/AssessmentSession');
+const StudentProfile = require('../models/StudentProfile');
+const { DEFAULT_TIMEZONE, localDay, addDays } = require('../utils/timezone');
+
+/**
+ * Spaced-repetition scheduling for revision (SM-2). Every question a
+ * student gets wrong becomes a review item; each review is graded 0-5 from
+ * correctness, response time and hints, and the grade sets when the
+ * question is next due. Due days are in the student's timezone.
+ */
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+// Grades below this mean the question was forgotten
+const PASSING_QUALITY = 3;
+
+// Response time a question is expected to take until enough students have answered it
+const DEFAULT_EXPECTED_TIME_MS = 30000;
+const MIN_USAGE_FOR_EXPECTED_TIME = 5;
+// Answers within this share of the expected time are perfect recall, within the second are good
+const FAST_ANSWER_RATIO = 0.6;
+const SLOW_ANSWER_RATIO = 1.5;
+
+// Questions marked as mastered are not reviewed again for at least this long
+const MASTERED_INTERVAL_DAYS = ReviewItem.MATURE_INTERVAL_DAYS;
+
+const MAX_SESSION_REVIEWS = 50;
+const DEFAULT_FORECAST_DAYS = 14;
+const MAX_FORECAST_DAYS = 90;
+
+const DIFFICULTY_RANGES = { easy: [0, 0.3], medium: [0.3, 0.7], hard: [0.7, 1] };
+
+/**
+ * Get today in the student's timezone
+ * @param {string} studentId - Student's user ID
+ * @param {Date} now - Current time
+ * @returns {Promise<string>} YYYY-MM-DD
+ */
+const studentToday = async(studentId, now = new Date()) => {
+  const profile = await StudentProfile.findOne({ userId: studentId }).select('timezone');
+  return localDay(now, profile?.timezone || DEFAULT_TIMEZONE);
+};
+
+/**
+ * Time a question is expected to take, from its answers so far
+ * @param {Object} question - Question document
+ * @returns {number} Milliseconds
+ */
+const expectedTime = (question) => (question.usageCount >= MIN_USAGE_FOR_EXPECTED_TIME && question.averageResponseTime > 0 ?
+  question.averageResponseTime :
+  DEFAULT_EXPECTED_TIME_MS);
+
+/**
+ * Grade a review from the answer
+ * @param {Object} answer - isCorrect, responseTimeMs, expectedTimeMs and hintsUsed
+ * @returns {number} Quality from 0 (forgotten) to 5 (perfect recall)
+ */
+const gradeAnswer = ({ isCorrect, responseTimeMs = 0, expectedTimeMs = DEFAULT_EXPECTED_TIME_MS, hintsUsed = 0 }) => {
+  if (!isCorrect) return 1;
+  // Correct, but only with help
+  if (hintsUsed > 0) return 3;
+  // No time recorded: correct with no sign of hesitation either way
+  if (!responseTimeMs) return 4;
+
+  const ratio = responseTimeMs / expectedTimeMs;
+  if (ratio <= FAST_ANSWER_RATIO) return 5;
+  if (ratio <= SLOW_ANSWER_RATIO) return 4;
+  return 3;
+};
+
+/**
+ * Schedule the next review (SM-2)
+ * @param {Object} state - easeFactor, interval, repetitions and lapses
+ * @param {number} quality - Grade of this review, 0-5
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} New easeFactor, interval, repetitions, lapses and dueDay
+ */
+const schedule = ({ easeFactor = DEFAULT_EASE, interval = 0, repetitions = 0, lapses = 0 }, quality, today) => {
+  const next = { easeFactor, interval, repetitions, lapses };
+
+  if (quality < PASSING_QUALITY) {
+    // Forgotten: start again tomorrow, counting a lapse if it had been learnt
+    if (repetitions > 0) next.lapses += 1;
+    next.repetitions = 0;
+    next.interval = 1;
+  } else {
+    next.repetitions += 1;
+    if (next.repetitions === 1) {
+      next.interval = 1;
+    } else if (next.repetitions === 2) {
+      next.interval = 6;
+    } else {
+      next.interval = Math.round(interval * easeFactor);
+    }
+  }
+
+  const miss = 5 - quality;
+  next.easeFactor = Math.max(MIN_EASE, Math.round((easeFactor + 0.1 - miss * (0.08 + miss * 0.02)) * 100) / 100);
+  next.dueDay = addDays(today, next.interval);
+  return next;
+};
+
+/**
+ * Update a student's review of a question after an answer in any mode.
+ * Outside revision only mistakes and answers to due questions count, so
+ * getting a question right before it is due does not push it back.
+ * @param {Object} answer - studentId, question, isCorrect, responseTimeMs, hintsUsed, mode and now
+ * @returns {Promise<Object|null>} The review item, or null if the answer is not a review
+ */
+const recordAnswer = async({ studentId, question, isCorrect, responseTimeMs, hintsUsed = 0, mode, now = new Date() }) => {
+  const today = await studentToday(studentId, now);
+  let item = await ReviewItem.findByStudentAndQuestion(studentId, question._id);
+
+  if (mode !== 'revision' && isCorrect && (!item || item.dueDay > today)) {
+    return null;
+  }
+  if (!item) {
+    item = new ReviewItem({ studentId, questionId: question._id, dueDay: today });
+  }
+
+  const quality = gradeAnswer({ isCorrect, responseTimeMs, expectedTimeMs: expectedTime(question), hintsUsed });
+  Object.assign(item, schedule(item, quality, today), {
+    chapterId: question.chapterId,
+    topicId: question.topicId,
+    reviews: item.reviews + 1,
+    lastReviewedAt: now,
+    lastQuality: quality
+  });
+  return item.save();
+};
+
+/**
+ * Put a question the student has mastered at least MASTERED_INTERVAL_DAYS out
+ * @param {Object} mastered - studentId, question and now
+ * @returns {Promise<Object>} The review item
+ */
+const markMastered = async({ studentId, question, now = new Date() }) => {
+  const today = await studentToday(studentId, now);
+  const item = await ReviewItem.findByStudentAndQuestion(studentId, question._id) ||
+    new ReviewItem({ studentId, questionId: question._id, chapterId: question.chapterId, topicId: question.topicId, dueDay: today });
+
+  if (item.interval < MASTERED_INTERVAL_DAYS) {
+    item.interval = MASTERED_INTERVAL_DAYS;
+    item.dueDay = addDays(today, MASTERED_INTERVAL_DAYS);
+  }
+  return item.save();
+};
+
+/**
+ * Create review items, due today, for the mistakes a student made before
+ * scheduling existed. Runs once per student, since later mistakes are
+ * scheduled as they happen; questions that already have a review item keep it.
+ * @param {string} studentId - Student's user ID
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Review items created
+ */
+const importPastMistakes = async(studentId, now = new Date()) => {
+  // Claim the import so simultaneous session starts do not both run it
+  const profile = await StudentProfile.findOneAndUpdate(
+    { userId: studentId, reviewsImportedAt: null },
+    { $set: { reviewsImportedAt: now } }
+  ).select('timezone');
+  if (!profile) return 0;
+
+  try {
+    const mistakes = await AssessmentSession.aggregate([
+      { $match: { studentId: new mongoose.Types.ObjectId(studentId) } },
+      { $unwind: '$items' },
+      { $match: { 'items.isCorrect': false } },
+      { $group: { _id: '$items.questionId', wrongCount: { $sum: 1 } } }
+    ]);
+    if (mistakes.length === 0) return 0;
+
+    const questions = await Question.find({ _id: { $in: mistakes.map(mistake => mistake._id) }, isActive: true })
+      .select('chapterId topicId');
+    if (questions.length === 0) return 0;
+
+    const today = localDay(now, profile.timezone || DEFAULT_TIMEZONE);
+    const result = await ReviewItem.bulkWrite(questions.map(question => ({
+      updateOne: {
+        filter: { studentId, questionId: question._id },
+        update: { $setOnInsert: { chapterId: question.chapterId, topicId: question.topicId, dueDay: today } },
+        upsert: true
+      }
+    })), { ordered: false });
+    return result.upsertedCount;
+  } catch (error) {
+    // Let the next session start try again
+    await StudentProfile.updateOne({ userId: studentId }, { $unset: { reviewsImportedAt: 1 } });
+    throw error;
+  }
+};
+
+/**
+ * Get the questions due for review, most overdue and hardest to remember first
+ * @param {string} studentId - Student's user ID
+ * @param {Object} options - chapterId, topicId, difficulty (easy, medium, hard or all), excludeIds, limit and now
+ * @returns {Promise<Array>} Question documents
+ */
+const getDueQuestions = async(studentId, { chapterId, topicId, difficulty = 'all', excludeIds = [], limit = MAX_SESSION_REVIEWS, now = new Date() } = {}) => {
+  const today = await studentToday(studentId, now);
+  const query = { studentId, dueDay: { $lte: today } };
+  if (chapterId) query.chapterId = chapterId;
+  if (topicId) query.topicId = topicId;
+  if (excludeIds.length > 0) query.questionId = { $nin: excludeIds };
+
+  const items = await ReviewItem.find(query).sort({ dueDay: 1, easeFactor: 1 }).select('questionId');
+  if (items.length === 0) return [];
+
+  const questionQuery = { _id: { $in: items.map(item => item.questionId) }, isActive: true };
+  if (DIFFICULTY_RANGES[difficulty]) {
+    const [min, max] = DIFFICULTY_RANGES[difficulty];
+    questionQuery.difficulty = { $gte: min, $lte: max };
+  }
+  const questions = new Map((await Question.find(questionQuery)).map(question => [question._id.toString(), question]));
+
+  return items
+    .map(item => questions.get(item.questionId.toString()))
+    .filter(Boolean)
+    .slice(0, limit);
+};
+
+/**
+ * Forecast a student's reviews: how many are due on each of the coming
+ * days, with overdue reviews counted today
+ * @param {string} studentId - Student's user ID
+ * @param {Object} options - days, chapterId and now
+ * @returns {Promise<Object>} today, totals and forecast [{ day, count }]
+ */
+const getForecast = async(studentId, { days = DEFAULT_FORECAST_DAYS, chapterId, now = new Date() } = {}) => {
+  const today = await studentToday(studentId, now);
+  const match = { studentId: new mongoose.Types.ObjectId(studentId) };
+  if (chapterId) match.chapterId = new mongoose.Types.ObjectId(chapterId);
+
+  const byDay = await ReviewItem.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$dueDay',
+        count: { $sum: 1 },
+        mature: { $sum: { $cond: [{ $gte: ['$interval', ReviewItem.MATURE_INTERVAL_DAYS] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const counts = new Map();
+  const summary = { total: 0, overdue: 0, dueToday: 0, mature: 0 };
+  byDay.forEach(({ _id: day, count, mature }) => {
+    summary.total += count;
+    summary.mature += mature;
+    if (day < today) summary.overdue += count;
+    if (day <= today) summary.dueToday += count;
+    counts.set(day, count);
+  });
+
+  const forecast = [];
+  for (let offset = 0; offset < days; offset += 1) {
+    const day = addDays(today, offset);
+    forecast.push({ day, count: offset === 0 ? summary.dueToday : counts.get(day) || 0 });
+  }
+
+  return { today, ...summary, forecast };
+};
+
+module.exports = {
+  gradeAnswer,
+  schedule,
+  recordAnswer,
+  markMastered,
+  importPastMistakes,
+  getDueQuestions,
+  getForecast,
+  MAX_SESSION_REVIEWS,
+  MAX_FORECAST_DAYS
+};
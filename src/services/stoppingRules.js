@@ -0,0 +1,116 @@
+const IRTEngine = require('./irtEngine');
+
+/**
+ * Stopping rules for assessment sessions.
+ * Rules are evaluated in order; the first rule that reaches a decision wins.
+ * Each rule returns null when it has nothing to say, or
+ * { shouldStop, reason, classification? } otherwise.
+ */
+
+const STOP_REASONS = [
+  'max_questions',
+  'standard_error',
+  'classification',
+  'time_limit',
+  'pool_exhausted',
+  'student_ended',
+  'abandoned'
+];
+
+/**
+ * Inverse of the standard normal CDF (Abramowitz & Stegun 26.2.23)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that P(Z <= z) = p
+ */
+const normalQuantile = (p) => {
+  if (p <= 0 || p >= 1) {
+    throw new Error('Probability must be between 0 and 1');
+  }
+  const tail = p < 0.5 ? p : 1 - p;
+  const t = Math.sqrt(-2 * Math.log(tail));
+  const z = t - (2.515517 + 0.802853 * t + 0.010328 * t * t) /
+    (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+  return p < 0.5 ? -z : z;
+};
+
+/**
+ * Standard error the ability estimate must reach for a given precision
+ * (confidenceThreshold is the reliability 1 - SE^2)
+ * @param {number} confidenceThreshold - Target precision (0-1)
+ * @returns {number} Maximum acceptable standard error
+ */
+const standardErrorForConfidence = (confidenceThreshold) => Math.sqrt(Math.max(0, 1 - confidenceThreshold));
+
+// A session past its time limit stops even before the minimum is reached
+const timeLimitRule = (session) => {
+  if (session.expiresAt && Date.now() >= new Date(session.expiresAt).getTime()) {
+    return { shouldStop: true, reason: 'time_limit' };
+  }
+  return null;
+};
+
+const minQuestionsRule = (session) => {
+  if (session.answeredQuestions < session.adaptiveParameters.minQuestions) {
+    return { shouldStop: false, reason: null };
+  }
+  return null;
+};
+
+const maxQuestionsRule = (session) => {
+  if (session.answeredQuestions >= session.adaptiveParameters.maxQuestions) {
+    return { shouldStop: true, reason: 'max_questions' };
+  }
+  return null;
+};
+
+const classificationRule = (session) => {
+  const { passMark, classificationConfidence = 0.95 } = session.adaptiveParameters;
+  if (session.sessionType !== 'adaptive' || passMark === undefined || passMark === null) {
+    return null;
+  }
+
+  // Stop once the confidence interval around theta excludes the cut score
+  const cutTheta = IRTEngine.scoreToTheta(passMark);
+  const z = normalQuantile(1 - (1 - classificationConfidence) / 2);
+  const margin = z * session.abilityStandardError;
+
+  if (session.abilityTheta - margin > cutTheta) {
+    return { shouldStop: true, reason: 'classification', classification: 'pass' };
+  }
+  if (session.abilityTheta + margin < cutTheta) {
+    return { shouldStop: true, reason: 'classification', classification: 'fail' };
+  }
+  return null;
+};
+
+const standardErrorRule = (session) => {
+  if (session.sessionType !== 'adaptive') return null;
+
+  const maxStandardError = standardErrorForConfidence(session.adaptiveParameters.confidenceThreshold);
+  if (session.abilityStandardError <= maxStandardError) {
+    return { shouldStop: true, reason: 'standard_error' };
+  }
+  return null;
+};
+
+const rules = [timeLimitRule, minQuestionsRule, maxQuestionsRule, classificationRule, standardErrorRule];
+
+/**
+ * Decide whether a session should stop after the latest answer
+ * @param {Object} session - AssessmentSession document
+ * @returns {Object} { shouldStop, reason, classification }
+ */
+const evaluate = (session) => {
+  for (const rule of rules) {
+    const decision = rule(session);
+    if (decision) return decision;
+  }
+  return { shouldStop: false, reason: null };
+};
+
+module.exports = {
+  STOP_REASONS,
+  evaluate,
+  normalQuantile,
+  standardErrorForConfidence
+};
@@ -1,21 +1,202 @@
-const { generateQuestion } = require('./llmClient');
+const Translation = require('../models/Translation');
+const Question = require('../models/Question');
+const Chapter = require('../models/Chapter');
+const Topic = require('../models/Topic');
+const Recommendation = require('../models/Recommendation');
+const UiMessage = require('../models/UiMessage');
+const llm = require('./llmProvider');
+const languageRegistry = require('./languageRegistry');
 const logger = require('../utils/logger');
 
+// Fields translated per entity type; `name.child` translates `child` on each array item
+const TRANSLATABLE_FIELDS = {
+  question: ['stem', 'passage', 'explanation', 'correctAnswer', 'choices', 'acceptedAnswers'],
+  chapter: ['chapterName', 'description'],
+  topic: ['topicName', 'description', 'concepts', 'learningObjectives'],
+  recommendation: ['content', 'feedback', 'resources.title', 'resources.description']
+};
+
+const UI_TEXTS = {
+  'en': {
+    'start_assessment': 'Start Assessment',
+    'practice_mode': 'Practice Mode',
+    'revision_mode': 'Revision Mode',
+    'next_question': 'Next Question',
+    'submit_answer': 'Submit Answer',
+    'show_solution': 'Show Solution',
+    'retry_question': 'Retry Question',
+    'question_number': 'Question',
+    'time_remaining': 'Time Remaining',
+    'score': 'Score',
+    'correct': 'Correct',
+    'incorrect': 'Incorrect',
+    'explanation': 'Explanation',
+    'recommendations': 'Recommendations',
+    'weak_topics': 'Weak Topics',
+    'strong_topics': 'Strong Topics',
+    'mastery_level': 'Mastery Level',
+    'attempts': 'Attempts',
+    'accuracy': 'Accuracy',
+    'progress': 'Progress'
+  },
+  'hi': {
+    'start_assessment': 'मूल्यांकन शुरू करें',
+    'practice_mode': 'अभ्यास मोड',
+    'revision_mode': 'पुनरावृत्ति मोड',
+    'next_question': 'अगला प्रश्न',
+    'submit_answer': 'उत्तर जमा करें',
+    'show_solution': 'समाधान दिखाएं',
+    'retry_question': 'प्रश्न पुनः प्रयास करें',
+    'question_number': 'प्रश्न',
+    'time_remaining': 'शेष समय',
+    'score': 'स्कोर',
+    'correct': 'सही',
+    'incorrect': 'गलत',
+    'explanation': 'व्याख्या',
+    'recommendations': 'सुझाव',
+    'weak_topics': 'कमजोर विषय',
+    'strong_topics': 'मजबूत विषय',
+    'mastery_level': 'निपुणता स्तर',
+    'attempts': 'प्रयास',
+    'accuracy': 'सटीकता',
+    'progress': 'प्रगति'
+  },
+  'te': {
+    'start_assessment': 'మూల్యాంకనం ప్రారంభించండి',
+    'practice_mode': 'అభ్యాస మోడ్',
+    'revision_mode': 'పునరావృత్తి మోడ్',
+    'next_question': 'తదుపరి ప్రశ్న',
+    'submit_answer': 'సమాధానం సమర్పించండి',
+    'show_solution': 'పరిష్కారం చూపించండి',
+    'retry_question': 'ప్రశ్నను మళ్లీ ప్రయత్నించండి',
+    'question_number': 'ప్రశ్న',
+    'time_remaining': 'మిగిలిన సమయం',
+    'score': 'స్కోర్',
+    'correct': 'సరైనది',
+    'incorrect': 'తప్పు',
+    'explanation': 'వివరణ',
+    'recommendations': 'సిఫార్సులు',
+    'weak_topics': 'బలహీన అంశాలు',
+    'strong_topics': 'బలమైన అంశాలు',
+    'mastery_level': 'నైపుణ్య స్థాయి',
+    'attempts': 'ప్రయత్నాలు',
+    'accuracy': 'ఖచ్చితత్వం',
+    'progress': 'పురోగతి'
+  },
+  'ta': {
+    'start_assessment': 'மதிப்பீட்டைத் தொடங்குங்கள்',
+    'practice_mode': 'பயிற்சி பயன்முறை',
+    'revision_mode': 'மறுபார்வை பயன்முறை',
+    'next_question': 'அடுத்த கேள்வி',
+    'submit_answer': 'பதிலை சமர்ப்பிக்கவும்',
+    'show_solution': 'தீர்வைக் காட்டு',
+    'retry_question': 'கேள்வியை மீண்டும் முயற்சிக்கவும்',
+    'question_number': 'கேள்வி',
+    'time_remaining': 'மீதமுள்ள நேரம்',
+    'score': 'மதிப்பெண்',
+    'correct': 'சரி',
+    'incorrect': 'தவறு',
+    'explanation': 'விளக்கம்',
+    'recommendations': 'பரிந்துரைகள்',
+    'weak_topics': 'பலவீனமான தலைப்புகள்',
+    'strong_topics': 'வலுவான தலைப்புகள்',
+    'mastery_level': 'திறன் நிலை',
+    'attempts': 'முயற்சிகள்',
+    'accuracy': 'துல்லியம்',
+    'progress': 'முன்னேற்றம்'
+  }
+};
+
+
+// Collect non-empty strings, flattening arrays into `path.index`
+const collectText = (value, path, source) => {
+  if (typeof value === 'string') {
+    if (value.trim()) source[path] = value;
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectText(item, `${path}.${index}`, source));
+  }
+};
+
+/**
+ * Source text of an entity keyed by field path
+ * @param {string} entityType - question, chapter, topic or recommendation
+ * @param {Object} entity - Plain entity object
+ * @returns {Object} { path: text }
+ */
+const extractFields = (entityType, entity) => {
+  const source = {};
+  TRANSLATABLE_FIELDS[entityType].forEach(spec => {
+    const [name, child] = spec.split('.');
+    const value = entity[name];
+    if (!child) {
+      collectText(value, name, source);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => collectText(item && item[child], `${name}.${index}.${child}`, source));
+    }
+  });
+  return source;
+};
+
+/**
+ * Write translated text back into a plain entity object
+ * @param {Object} entity - Plain entity object (top-level fields are replaced in place)
+ * @param {Object} textMap - { path: text }
+ * @returns {Object} The entity
+ */
+const applyFields = (entity, textMap) => {
+  Object.entries(textMap).forEach(([path, text]) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    // Copy nested arrays and objects so the caller's source object is left untouched
+    const target = keys.reduce((node, key) => {
+      if (!node || !node[key] || typeof node[key] !== 'object') return undefined;
+      node[key] = Array.isArray(node[key]) ? [...node[key]] : { ...node[key] };
+      return node[key];
+    }, entity);
+    if (target) {
+      target[last] = text;
+    }
+  });
+  return entity;
+};
+
+// The built-in UI catalogue seeds stored UI translations, which teachers can correct
+const catalogTranslator = (key, language) => {
+  const text = UI_TEXTS[language] && UI_TEXTS[language][key];
+  return text ? async() => ({ text, provider: 'catalog', model: 'built-in' }) : undefined;
+};
+
+const ENTITY_MODELS = {
+  question: Question,
+  chapter: Chapter,
+  topic: Topic,
+  recommendation: Recommendation
+};
+
+// English UI text from the message catalog, falling back to the built-in catalogue
+const loadUiText = async(key) => {
+  const message = await UiMessage.findOne({ key }).select('message').lean();
+  return message ? message.message : UI_TEXTS.en[key];
+};
+
+const toPlainObject = entity => (entity && typeof entity.toObject === 'function' ? entity.toObject() : { ...entity });
+
+// Entity types reported per language by getCoverage
+const COVERAGE_MODELS = {
+  questions: { entityType: 'question', model: Question },
+  chapters: { entityType: 'chapter', model: Chapter }
+};
+
 /**
  * Translation Service for Regional Language Support
- * Supports Hindi, Telugu, Tamil with caching for performance
+ * Languages come from the language registry. Entity translations are stored
+ * in the Translation collection so teachers can review them; ad hoc text is
+ * cached in memory.
  */
 class TranslationService {
   constructor() {
     this.cache = new Map();
     this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
-    this.supportedLanguages = ['en', 'hi', 'te', 'ta'];
-    this.languageNames = {
-      'en': 'English',
-      'hi': 'Hindi',
-      'te': 'Telugu',
-      'ta': 'Tamil'
-    };
   }
 
   /**
@@ -31,7 +212,7 @@ class TranslationService {
         return text;
       }
 
-      if (!this.supportedLanguages.includes(targetLanguage)) {
+      if (!languageRegistry.isEnabled(targetLanguage)) {
         throw new Error(`Unsupported target language: ${targetLanguage}`);
       }
 
@@ -43,8 +224,8 @@ class TranslationService {
       }
 
       // Translate using AI
-      const translatedText = await this.performTranslation(text, targetLanguage, sourceLanguage);
-      
+      const { text: translatedText } = await this.performTranslation(text, targetLanguage, sourceLanguage);
+
       // Cache the result
       this.setCache(cacheKey, translatedText);
       
@@ -57,81 +238,175 @@ class TranslationService {
   }
 
   /**
-   * Translate question object
-   * @param {Object} question - Question object
+   * Get the stored translation of an entity, creating it or re-translating
+   * the fields whose source text changed
+   * @param {string} entityType - question, chapter, topic, recommendation or ui
+   * @param {string} entityId - Entity ID or UI key
+   * @param {Object} source - Source text keyed by field path
    * @param {string} targetLanguage - Target language code
-   * @returns {Promise<Object>} Translated question object
+   * @param {Function} translate - (text, path) => Promise<{ text, provider, model }>
+   * @returns {Promise<Object|null>} Translation document, or null when there is nothing to translate
    */
-  async translateQuestion(question, targetLanguage) {
-    try {
-      const translatedQuestion = { ...question };
+  async getEntityTranslation(entityType, entityId, source, targetLanguage, translate) {
+    const paths = Object.keys(source);
+    if (paths.length === 0) {
+      return null;
+    }
 
-      // Translate main question text
-      translatedQuestion.stem = await this.translateText(question.stem, targetLanguage);
+    const query = { entityType, entityId: String(entityId), language: targetLanguage };
+    let translation = await Translation.findOne(query);
+    if (translation && !translation.isStale(source)) {
+      return translation;
+    }
 
-      // Translate choices for MCQ
-      if (question.questionType === 'mcq' && question.choices) {
-        translatedQuestion.choices = await Promise.all(
-          question.choices.map(choice => this.translateText(choice, targetLanguage))
-        );
-      }
+    const translateField = translate || (text => this.performTranslation(text, targetLanguage, 'en'));
+    const isUpdate = Boolean(translation);
+    if (!translation) {
+      translation = new Translation(query);
+    }
 
-      // Translate correct answer for fill-in-blank and short-answer
-      if (question.correctAnswer) {
-        translatedQuestion.correctAnswer = await this.translateText(question.correctAnswer, targetLanguage);
+    const existing = new Map(translation.fields.map(field => [field.path, field]));
+    const fields = [];
+    let machine;
+    for (const path of paths) {
+      const sourceText = source[path];
+      const sourceHash = Translation.hashText(sourceText);
+      const current = existing.get(path);
+
+      if (current && current.sourceHash === sourceHash) {
+        fields.push(current.toObject());
+      } else {
+        machine = await translateField(sourceText, path);
+        fields.push({ path, sourceText, sourceHash, text: machine.text || sourceText, outdated: isUpdate });
       }
+    }
 
-      // Translate accepted answers
-      if (question.acceptedAnswers && question.acceptedAnswers.length > 0) {
-        translatedQuestion.acceptedAnswers = await Promise.all(
-          question.acceptedAnswers.map(answer => this.translateText(answer, targetLanguage))
-        );
-      }
+    translation.fields = fields;
+    translation.sourceHash = Translation.hashSource(source);
+    if (machine) {
+      // New machine text needs another review before it counts as approved
+      translation.status = 'machine';
+      translation.machineTranslation = {
+        provider: machine.provider,
+        model: machine.model,
+        translatedAt: new Date()
+      };
+    }
+    if (isUpdate) {
+      logger.info(`Source text changed for ${entityType} ${entityId}; ${translation.outdatedFields.length} field(s) re-translated to ${targetLanguage}`);
+    }
 
-      // Translate explanation
-      if (question.explanation) {
-        translatedQuestion.explanation = await this.translateText(question.explanation, targetLanguage);
+    try {
+      await translation.save();
+    } catch (error) {
+      // Another request stored the same translation first
+      if (error.code === 11000) {
+        return Translation.findOne(query);
       }
+      throw error;
+    }
+    return translation;
+  }
 
-      // Translate passage
-      if (question.passage) {
-        translatedQuestion.passage = await this.translateText(question.passage, targetLanguage);
-      }
+  /**
+   * Current source text of a stored translation's entity
+   * @param {string} entityType - Entity type
+   * @param {string} entityId - Entity ID or UI key
+   * @returns {Promise<Object|null>} Source text keyed by field path, or null if the entity is gone
+   */
+  async loadSource(entityType, entityId) {
+    if (entityType === 'ui') {
+      const text = await loadUiText(entityId);
+      return text ? { text } : null;
+    }
 
-      return translatedQuestion;
-    } catch (error) {
-      logger.error('Question translation error:', error);
-      return question; // Return original question if translation fails
+    const entity = await ENTITY_MODELS[entityType].findById(entityId).lean();
+    return entity ? extractFields(entityType, entity) : null;
+  }
+
+  /**
+   * Bring a stored translation in line with its current source text,
+   * re-translating fields whose English text changed
+   * @param {Object} translation - Translation document
+   * @returns {Promise<Object>} { translation, sourceChanged, sourceMissing }
+   */
+  async refreshTranslation(translation) {
+    const source = await this.loadSource(translation.entityType, translation.entityId);
+    if (!source) {
+      return { translation, sourceChanged: false, sourceMissing: true };
+    }
+    if (!translation.isStale(source)) {
+      return { translation, sourceChanged: false, sourceMissing: false };
     }
+
+    const translate = translation.entityType === 'ui' ? catalogTranslator(translation.entityId, translation.language) : undefined;
+    const refreshed = await this.getEntityTranslation(translation.entityType, translation.entityId, source, translation.language, translate);
+    return { translation: refreshed, sourceChanged: true, sourceMissing: false };
   }
 
   /**
-   * Translate chapter information
-   * @param {Object} chapter - Chapter object
+   * Translate the translatable fields of an entity
+   * @param {string} entityType - question, chapter, topic or recommendation
+   * @param {Object} entity - Entity document or plain object
    * @param {string} targetLanguage - Target language code
-   * @returns {Promise<Object>} Translated chapter object
+   * @returns {Promise<Object>} Plain entity with translated fields and a `translation` summary
    */
-  async translateChapter(chapter, targetLanguage) {
+  async translateEntity(entityType, entity, targetLanguage) {
+    const translated = toPlainObject(entity);
+    if (targetLanguage === 'en') {
+      return translated;
+    }
+
     try {
-      const translatedChapter = { ...chapter };
+      if (!languageRegistry.isEnabled(targetLanguage)) {
+        throw new Error(`Unsupported target language: ${targetLanguage}`);
+      }
 
-      translatedChapter.chapterName = await this.translateText(chapter.chapterName, targetLanguage);
-      
-      if (chapter.description) {
-        translatedChapter.description = await this.translateText(chapter.description, targetLanguage);
+      const source = extractFields(entityType, translated);
+      if (!translated._id) {
+        // Unsaved content has nothing to attach a stored translation to
+        const entries = await Promise.all(Object.entries(source).map(async([path, text]) => [path, await this.translateText(text, targetLanguage)]));
+        return applyFields(translated, Object.fromEntries(entries));
       }
 
-      if (chapter.ncertReference) {
-        translatedChapter.ncertReference = await this.translateText(chapter.ncertReference, targetLanguage);
+      const translation = await this.getEntityTranslation(entityType, translated._id, source, targetLanguage);
+      if (!translation) {
+        return translated;
       }
 
-      return translatedChapter;
+      applyFields(translated, translation.getTextMap());
+      translated.translation = {
+        id: translation._id,
+        language: targetLanguage,
+        status: translation.status
+      };
+      return translated;
     } catch (error) {
-      logger.error('Chapter translation error:', error);
-      return chapter;
+      logger.error(`${entityType} translation error:`, error);
+      return toPlainObject(entity); // Return the original if translation fails
     }
   }
 
+  /**
+   * Translate question object
+   * @param {Object} question - Question object
+   * @param {string} targetLanguage - Target language code
+   * @returns {Promise<Object>} Translated question object
+   */
+  async translateQuestion(question, targetLanguage) {
+    return this.translateEntity('question', question, targetLanguage);
+  }
+
+  /**
+   * Translate chapter information
+   * @param {Object} chapter - Chapter object
+   * @param {string} targetLanguage - Target language code
+   * @returns {Promise<Object>} Translated chapter object
+   */
+  async translateChapter(chapter, targetLanguage) {
+    return this.translateEntity('chapter', chapter, targetLanguage);
+  }
+
   /**
    * Translate topic information
    * @param {Object} topic - Topic object
@@ -139,32 +414,7 @@ class TranslationService {
    * @returns {Promise<Object>} Translated topic object
    */
   async translateTopic(topic, targetLanguage) {
-    try {
-      const translatedTopic = { ...topic };
-
-      translatedTopic.topicName = await this.translateText(topic.topicName, targetLanguage);
-      
-      if (topic.description) {
-        translatedTopic.description = await this.translateText(topic.description, targetLanguage);
-      }
-
-      if (topic.concepts && topic.concepts.length > 0) {
-        translatedTopic.concepts = await Promise.all(
-          topic.concepts.map(concept => this.translateText(concept, targetLanguage))
-        );
-      }
-
-      if (topic.learningObjectives && topic.learningObjectives.length > 0) {
-        translatedTopic.learningObjectives = await Promise.all(
-          topic.learningObjectives.map(objective => this.translateText(objective, targetLanguage))
-        );
-      }
-
-      return translatedTopic;
-    } catch (error) {
-      logger.error('Topic translation error:', error);
-      return topic;
-    }
+    return this.translateEntity('topic', topic, targetLanguage);
   }
 
   /**
@@ -174,30 +424,7 @@ class TranslationService {
    * @returns {Promise<Object>} Translated recommendation object
    */
   async translateRecommendation(recommendation, targetLanguage) {
-    try {
-      const translatedRecommendation = { ...recommendation };
-
-      translatedRecommendation.content = await this.translateText(recommendation.content, targetLanguage);
-      
-      if (recommendation.feedback) {
-        translatedRecommendation.feedback = await this.translateText(recommendation.feedback, targetLanguage);
-      }
-
-      if (recommendation.resources && recommendation.resources.length > 0) {
-        translatedRecommendation.resources = await Promise.all(
-          recommendation.resources.map(resource => ({
-            ...resource,
-            title: this.translateText(resource.title, targetLanguage),
-            description: this.translateText(resource.description, targetLanguage)
-          }))
-        );
-      }
-
-      return translatedRecommendation;
-    } catch (error) {
-      logger.error('Recommendation translation error:', error);
-      return recommendation;
-    }
+    return this.translateEntity('recommendation', recommendation, targetLanguage);
   }
 
   /**
@@ -208,102 +435,16 @@ class TranslationService {
    */
   async translateUI(key, targetLanguage) {
     try {
-      const uiTexts = {
-        'en': {
-          'start_assessment': 'Start Assessment',
-          'practice_mode': 'Practice Mode',
-          'revision_mode': 'Revision Mode',
-          'next_question': 'Next Question',
-          'submit_answer': 'Submit Answer',
-          'show_solution': 'Show Solution',
-          'retry_question': 'Retry Question',
-          'question_number': 'Question',
-          'time_remaining': 'Time Remaining',
-          'score': 'Score',
-          'correct': 'Correct',
-          'incorrect': 'Incorrect',
-          'explanation': 'Explanation',
-          'recommendations': 'Recommendations',
-          'weak_topics': 'Weak Topics',
-          'strong_topics': 'Strong Topics',
-          'mastery_level': 'Mastery Level',
-          'attempts': 'Attempts',
-          'accuracy': 'Accuracy',
-          'progress': 'Progress'
-        },
-        'hi': {
-          'start_assessment': 'मूल्यांकन शुरू करें',
-          'practice_mode': 'अभ्यास मोड',
-          'revision_mode': 'पुनरावृत्ति मोड',
-          'next_question': 'अगला प्रश्न',
-          'submit_answer': 'उत्तर जमा करें',
-          'show_solution': 'समाधान दिखाएं',
-          'retry_question': 'प्रश्न पुनः प्रयास करें',
-          'question_number': 'प्रश्न',
-          'time_remaining': 'शेष समय',
-          'score': 'स्कोर',
-          'correct': 'सही',
-          'incorrect': 'गलत',
-          'explanation': 'व्याख्या',
-          'recommendations': 'सुझाव',
-          'weak_topics': 'कमजोर विषय',
-          'strong_topics': 'मजबूत विषय',
-          'mastery_level': 'निपुणता स्तर',
-          'attempts': 'प्रयास',
-          'accuracy': 'सटीकता',
-          'progress': 'प्रगति'
-        },
-        'te': {
-          'start_assessment': 'మూల్యాంకనం ప్రారంభించండి',
-          'practice_mode': 'అభ్యాస మోడ్',
-          'revision_mode': 'పునరావృత్తి మోడ్',
-          'next_question': 'తదుపరి ప్రశ్న',
-          'submit_answer': 'సమాధానం సమర్పించండి',
-          'show_solution': 'పరిష్కారం చూపించండి',
-          'retry_question': 'ప్రశ్నను మళ్లీ ప్రయత్నించండి',
-          'question_number': 'ప్రశ్న',
-          'time_remaining': 'మిగిలిన సమయం',
-          'score': 'స్కోర్',
-          'correct': 'సరైనది',
-          'incorrect': 'తప్పు',
-          'explanation': 'వివరణ',
-          'recommendations': 'సిఫార్సులు',
-          'weak_topics': 'బలహీన అంశాలు',
-          'strong_topics': 'బలమైన అంశాలు',
-          'mastery_level': 'నైపుణ్య స్థాయి',
-          'attempts': 'ప్రయత్నాలు',
-          'accuracy': 'ఖచ్చితత్వం',
-          'progress': 'పురోగతి'
-        },
-        'ta': {
-          'start_assessment': 'மதிப்பீட்டைத் தொடங்குங்கள்',
-          'practice_mode': 'பயிற்சி பயன்முறை',
-          'revision_mode': 'மறுபார்வை பயன்முறை',
-          'next_question': 'அடுத்த கேள்வி',
-          'submit_answer': 'பதிலை சமர்ப்பிக்கவும்',
-          'show_solution': 'தீர்வைக் காட்டு',
-          'retry_question': 'கேள்வியை மீண்டும் முயற்சிக்கவும்',
-          'question_number': 'கேள்வி',
-          'time_remaining': 'மீதமுள்ள நேரம்',
-          'score': 'மதிப்பெண்',
-          'correct': 'சரி',
-          'incorrect': 'தவறு',
-          'explanation': 'விளக்கம்',
-          'recommendations': 'பரிந்துரைகள்',
-          'weak_topics': 'பலவீனமான தலைப்புகள்',
-          'strong_topics': 'வலுவான தலைப்புகள்',
-          'mastery_level': 'திறன் நிலை',
-          'attempts': 'முயற்சிகள்',
-          'accuracy': 'துல்லியம்',
-          'progress': 'முன்னேற்றம்'
-        }
-      };
+      const sourceText = await loadUiText(key);
+      if (!sourceText || targetLanguage === 'en' || !languageRegistry.isEnabled(targetLanguage)) {
+        return sourceText || key;
+      }
 
-      const languageTexts = uiTexts[targetLanguage] || uiTexts['en'];
-      return languageTexts[key] || key;
+      const translation = await this.getEntityTranslation('ui', key, { text: sourceText }, targetLanguage, catalogTranslator(key, targetLanguage));
+      return translation.getTextMap().text;
     } catch (error) {
       logger.error('UI translation error:', error);
-      return key;
+      return (UI_TEXTS[targetLanguage] && UI_TEXTS[targetLanguage][key]) || key;
     }
   }
 
@@ -312,39 +453,35 @@ class TranslationService {
    * @param {string} text - Text to translate
    * @param {string} targetLanguage - Target language code
    * @param {string} sourceLanguage - Source language code
-   * @returns {Promise<string>} Translated text
+   * @returns {Promise<Object>} { text, provider, model }
    */
   async performTranslation(text, targetLanguage, sourceLanguage) {
-    try {
-      const languageNames = {
-        'en': 'English',
-        'hi': 'Hindi',
-        'te': 'Telugu',
-        'ta': 'Tamil'
-      };
+    const prompt = `Translate the following text from ${this.getLanguageName(sourceLanguage)} to ${this.getLanguageName(targetLanguage)}.
+Keep the meaning accurate and use appropriate terminology for educational content.
+If the text contains mathematical expressions or scientific terms, keep them in their original form.
 
-      const prompt = `Translate the following text from ${languageNames[sourceLanguage]} to ${languageNames[targetLanguage]}. 
-      Keep the meaning accurate and use appropriate terminology for educational content. 
-      If the text contains mathematical expressions or scientific terms, keep them in their original form.
-      
-      Text to translate: "${text}"
-      
-      Translation:`;
-
-      // Use AI for translation
-      const response = await generateQuestion({
-        topic: 'translation',
-        grade: '6',
-        difficulty: 0.5,
-        mock: true // Use mock for now
-      });
+Text to translate: "${text}"
 
-      // In real implementation, this would be proper AI translation
-      return this.getMockTranslation(text, targetLanguage);
-    } catch (error) {
-      logger.error('AI translation error:', error);
-      return text;
-    }
+Translation:`;
+
+    const completion = await llm.complete('translation', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a translator for school learning material. Reply with the translation only.'
+        },
+        { role: 'user', content: prompt }
+      ],
+      maxTokens: Math.max(200, text.length * 2),
+      temperature: 0.2,
+      mock: () => this.getMockTranslation(text, targetLanguage)
+    }, { fallbackToMock: true });
+
+    return {
+      text: completion.text.replace(/^"([\s\S]*)"$/, '$1') || text,
+      provider: completion.provider,
+      model: completion.model
+    };
   }
 
   /**
@@ -375,6 +512,34 @@ class TranslationService {
         'Choose the correct answer': 'சரியான பதிலைத் தேர்ந்தெடுக்கவும்',
         'Fill in the blank': 'வெற்றிடத்தை நிரப்பவும்',
         'Explain your answer': 'உங்கள் பதிலை விளக்குங்கள்'
+      },
+      bn: {
+        'What is the capital of India?': 'ভারতের রাজধানী কী?',
+        'Solve this equation': 'এই সমীকরণটি সমাধান করো',
+        'Choose the correct answer': 'সঠিক উত্তরটি বেছে নাও',
+        'Fill in the blank': 'শূন্যস্থান পূরণ করো',
+        'Explain your answer': 'তোমার উত্তর ব্যাখ্যা করো'
+      },
+      mr: {
+        'What is the capital of India?': 'भारताची राजधानी कोणती आहे?',
+        'Solve this equation': 'हे समीकरण सोडवा',
+        'Choose the correct answer': 'योग्य उत्तर निवडा',
+        'Fill in the blank': 'रिकामी जागा भरा',
+        'Explain your answer': 'तुमचे उत्तर स्पष्ट करा'
+      },
+      kn: {
+        'What is the capital of India?': 'ಭಾರತದ ರಾಜಧಾನಿ ಯಾವುದು?',
+        'Solve this equation': 'ಈ ಸಮೀಕರಣವನ್ನು ಬಿಡಿಸಿ',
+        'Choose the correct answer': 'ಸರಿಯಾದ ಉತ್ತರವನ್ನು ಆರಿಸಿ',
+        'Fill in the blank': 'ಖಾಲಿ ಜಾಗವನ್ನು ತುಂಬಿರಿ',
+        'Explain your answer': 'ನಿಮ್ಮ ಉತ್ತರವನ್ನು ವಿವರಿಸಿ'
+      },
+      gu: {
+        'What is the capital of India?': 'ભારતની રાજધાની કઈ છે?',
+        'Solve this equation': 'આ સમીકરણ ઉકેલો',
+        'Choose the correct answer': 'સાચો જવાબ પસંદ કરો',
+        'Fill in the blank': 'ખાલી જગ્યા પૂરો',
+        'Explain your answer': 'તમારા જવાબની સમજૂતી આપો'
       }
     };
 
@@ -436,19 +601,20 @@ class TranslationService {
    * @returns {Object} Cache statistics
    */
   getCacheStats() {
+    const supportedLanguages = this.getSupportedLanguages();
     return {
       size: this.cache.size,
-      supportedLanguages: this.supportedLanguages,
-      languageNames: this.languageNames
+      supportedLanguages,
+      languageNames: Object.fromEntries(supportedLanguages.map(code => [code, this.getLanguageName(code)]))
     };
   }
 
   /**
    * Get supported languages
-   * @returns {Array} Array of supported language codes
+   * @returns {Array} Array of enabled language codes
    */
   getSupportedLanguages() {
-    return this.supportedLanguages;
+    return languageRegistry.getEnabledCodes();
   }
 
   /**
@@ -457,7 +623,55 @@ class TranslationService {
    * @returns {string} Language name
    */
   getLanguageName(languageCode) {
-    return this.languageNames[languageCode] || languageCode;
+    return languageRegistry.getName(languageCode);
+  }
+
+  /**
+   * Count stored translations of active questions, chapters and UI keys by status
+   * @param {Array<string>} languages - Language codes (default: every enabled language except English)
+   * @returns {Promise<Array<Object>>} Coverage per language
+   */
+  async getCoverage(languages) {
+    const codes = languages || this.getSupportedLanguages().filter(code => code !== languageRegistry.SOURCE_LANGUAGE);
+    const uiKeys = Object.keys(UI_TEXTS.en);
+    const scopes = await Promise.all(Object.entries(COVERAGE_MODELS).map(async([name, { entityType, model }]) => {
+      const ids = await model.distinct('_id', { isActive: true });
+      return { name, entityType, entityIds: ids.map(String) };
+    }));
+    scopes.push({ name: 'ui', entityType: 'ui', entityIds: uiKeys });
+
+    const counts = await Translation.aggregate([
+      {
+        $match: {
+          language: { $in: codes },
+          $or: scopes.map(({ entityType, entityIds }) => ({ entityType, entityId: { $in: entityIds } }))
+        }
+      },
+      {
+        $group: {
+          _id: { language: '$language', entityType: '$entityType', status: '$status' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return codes.map(code => {
+      const coverage = { language: code, name: this.getLanguageName(code) };
+      scopes.forEach(({ name, entityType, entityIds }) => {
+        const byStatus = Object.fromEntries(Translation.STATUSES.map(status => {
+          const row = counts.find(({ _id }) => _id.language === code && _id.entityType === entityType && _id.status === status);
+          return [status, row ? row.count : 0];
+        }));
+        const translated = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+        coverage[name] = {
+          total: entityIds.length,
+          ...byStatus,
+          untranslated: entityIds.length - translated,
+          approvedPercent: entityIds.length > 0 ? Math.round((byStatus.approved / entityIds.length) * 100) : 0
+        };
+      });
+      return coverage;
+    });
   }
 }
 
@@ -465,3 +679,7 @@ class TranslationService {
 const translationService = new TranslationService();
 
 module.exports = translationService;
+module.exports.TRANSLATABLE_FIELDS = TRANSLATABLE_FIELDS;
+module.exports.extractFields = extractFields;
+module.exports.applyFields = applyFields;
+module.exports.UI_TEXTS = UI_TEXTS;
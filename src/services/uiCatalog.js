@@ -0,0 +1,501 @@
+const crypto = require('crypto');
+const path = require('path');
+const { parse: parseIcu, TYPE } = require('@formatjs/icu-messageformat-parser');
+const UiMessage = require('../models/UiMessage');
+const Translation = require('../models/Translation');
+const { UI_TEXTS } = require('./translationService');
+const logger = require('../utils/logger');
+
+/**
+ * UI message catalog. English messages are stored per key in UiMessage and
+ * written in ICU MessageFormat (plurals, selects and {placeholders}).
+ * Other languages are stored as 'ui' Translations, so they go through the
+ * same teacher review workflow as content; students get approved text,
+ * falling back to the built-in catalogue and then to English per key.
+ */
+
+const FORMATS = ['json', 'po'];
+const SOURCE_LANGUAGE = 'en';
+const DEFAULT_NAMESPACE = 'common';
+
+// Translation field holding the text of a UI message
+const FIELD = 'text';
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  po: 'text/x-gettext-translation; charset=utf-8'
+};
+
+class CatalogFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogFileError';
+  }
+}
+
+// Placeholder names and tags used anywhere in a message, including plural and select branches
+const collectArguments = (elements, names) => {
+  elements.forEach(element => {
+    if (element.type === TYPE.literal || element.type === TYPE.pound) return;
+    if (element.type === TYPE.tag) {
+      names.add(`<${element.value}>`);
+      collectArguments(element.children, names);
+      return;
+    }
+    names.add(element.value);
+    if (element.options) {
+      Object.values(element.options).forEach(option => collectArguments(option.value, names));
+    }
+  });
+  return names;
+};
+
+/**
+ * Parse an ICU message
+ * @param {string} message - ICU MessageFormat text
+ * @returns {Array<string>} Sorted placeholder names (tags as `<name>`)
+ * @throws {Error} When the message is not valid ICU MessageFormat
+ */
+const parseMessage = (message) => {
+  try {
+    return [...collectArguments(parseIcu(message, { requiresOtherClause: true }), new Set())].sort();
+  } catch (error) {
+    const column = error.location ? ` at column ${error.location.start.column}` : '';
+    throw new Error(`Invalid ICU message: ${error.message.toLowerCase().replace(/_/g, ' ')}${column}`);
+  }
+};
+
+/**
+ * Check a translated message against its English source
+ * @param {string} source - English ICU message
+ * @param {string} text - Translated ICU message
+ * @returns {string|null} Problem description, or null when the translation is usable
+ */
+const checkTranslation = (source, text) => {
+  let actual;
+  try {
+    actual = parseMessage(text);
+  } catch (error) {
+    return error.message;
+  }
+
+  const expected = parseMessage(source);
+  const unknown = actual.filter(name => !expected.includes(name));
+  const missing = expected.filter(name => !actual.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown placeholder(s): ${unknown.join(', ')}`;
+  }
+  if (missing.length > 0) {
+    return `Missing placeholder(s): ${missing.join(', ')}`;
+  }
+  return null;
+};
+
+// Text from the built-in catalogue, used only while the English source is unchanged
+const builtInText = (key, language, source) => (
+  UI_TEXTS.en[key] === source && UI_TEXTS[language] ? UI_TEXTS[language][key] : undefined
+);
+
+const findTranslations = async(keys, language) => {
+  if (language === SOURCE_LANGUAGE || keys.length === 0) {
+    return new Map();
+  }
+  const translations = await Translation.find({ entityType: 'ui', entityId: { $in: keys }, language });
+  return new Map(translations.map(translation => [translation.entityId, translation]));
+};
+
+/**
+ * All messages of a namespace in a language, as served to the web client
+ * @param {string} namespace - Catalog namespace
+ * @param {string} language - Language code
+ * @returns {Promise<Object|null>} { namespace, language, version, messages }, or null for an empty namespace
+ */
+const getNamespace = async(namespace, language) => {
+  const entries = await UiMessage.find({ namespace }).sort({ key: 1 }).select('key message').lean();
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const translations = await findTranslations(entries.map(entry => entry.key), language);
+  const messages = {};
+  entries.forEach(({ key, message }) => {
+    const translation = translations.get(key);
+    const approved = translation && translation.getApprovedTextMap({ [FIELD]: message })[FIELD];
+    messages[key] = approved || builtInText(key, language, message) || message;
+  });
+
+  // Changes whenever any served message changes; used as the ETag
+  const version = crypto.createHash('sha256')
+    .update(JSON.stringify([namespace, language, messages]))
+    .digest('hex')
+    .slice(0, 16);
+
+  return { namespace, language, version, messages };
+};
+
+/**
+ * Store the built-in English UI texts in the default namespace if they are missing
+ * @returns {Promise<number>} Number of keys added
+ */
+const seedBuiltInMessages = async() => {
+  const keys = Object.keys(UI_TEXTS.en);
+  const existing = new Set(await UiMessage.distinct('key', { key: { $in: keys } }));
+  const missing = keys
+    .filter(key => !existing.has(key))
+    .map(key => ({ namespace: DEFAULT_NAMESPACE, key, message: UI_TEXTS.en[key] }));
+
+  if (missing.length > 0) {
+    await UiMessage.insertMany(missing);
+    logger.info(`Seeded ${missing.length} UI message(s) into namespace ${DEFAULT_NAMESPACE}`);
+  }
+  return missing.length;
+};
+
+/**
+ * Work out the format of an uploaded catalog
+ * @param {string} filename - Original file name
+ * @param {string} mimetype - Reported MIME type
+ * @returns {string|null} json, po or null when unknown
+ */
+const detectFormat = (filename = '', mimetype = '') => {
+  const extension = path.extname(filename).toLowerCase();
+  if (extension === '.json') return 'json';
+  if (extension === '.po' || extension === '.pot') return 'po';
+
+  if (mimetype.includes('json')) return 'json';
+  if (mimetype.includes('gettext')) return 'po';
+  return null;
+};
+
+const escapePo = text => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\r/g, '\\r')
+  .replace(/\t/g, '\\t');
+
+const quotePo = text => `"${escapePo(text)}"`;
+
+const unquotePo = (value, lineNumber) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new CatalogFileError(`Line ${lineNumber}: invalid string ${value}`);
+  }
+};
+
+/**
+ * Write catalog entries as a gettext PO file. The message key is stored
+ * in msgctxt, the English text in msgid and the translation in msgstr.
+ * @param {Object} catalog - { namespace, language, entries: [{ key, source, text, description, fuzzy }] }
+ * @returns {string} PO file content
+ */
+const writePo = ({ namespace, language, entries }) => {
+  const header = [
+    `# UI messages, namespace "${namespace}"`,
+    'msgid ""',
+    'msgstr ""',
+    quotePo('Content-Type: text/plain; charset=UTF-8\n'),
+    quotePo(`Language: ${language}\n`),
+    quotePo(`X-Namespace: ${namespace}\n`)
+  ].join('\n');
+
+  const blocks = entries.map(({ key, source, text, description, fuzzy }) => [
+    ...(description ? [`#. ${description.replace(/\s+/g, ' ')}`] : []),
+    ...(fuzzy ? ['#, fuzzy'] : []),
+    `msgctxt ${quotePo(key)}`,
+    `msgid ${quotePo(source)}`,
+    `msgstr ${quotePo(text || '')}`
+  ].join('\n'));
+
+  return `${[header, ...blocks].join('\n\n')}\n`;
+};
+
+/**
+ * Parse a gettext PO file
+ * @param {string} content - File content
+ * @returns {Object} { language, namespace, entries: [{ key, source, text, description, fuzzy }] }
+ */
+const parsePo = (content) => {
+  const entries = [];
+  let header = '';
+  let entry = null;
+  let field = null;
+
+  const finish = () => {
+    if (entry && entry.msgid !== undefined) {
+      if (entry.msgid === '' && entry.msgctxt === undefined) {
+        header = entry.msgstr || '';
+      } else {
+        entries.push(entry);
+      }
+    }
+    entry = null;
+    field = null;
+  };
+  const start = () => {
+    entry = entry || { comments: [], flags: [] };
+  };
+
+  String(content).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+    const lineNumber = index + 1;
+    const line = raw.trim();
+
+    if (!line) {
+      finish();
+      return;
+    }
+    if (line.startsWith('#~')) return; // Obsolete entry
+
+    if (line.startsWith('#')) {
+      if (entry && entry.msgstr !== undefined) finish();
+      start();
+      if (line.startsWith('#.')) entry.comments.push(line.slice(2).trim());
+      if (line.startsWith('#,')) entry.flags.push(...line.slice(2).split(',').map(flag => flag.trim()));
+      return;
+    }
+
+    const match = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+(".*")$/);
+    if (match) {
+      const [, keyword, value] = match;
+      if (keyword === 'msgid_plural' || keyword.startsWith('msgstr[')) {
+        throw new CatalogFileError(`Line ${lineNumber}: gettext plural forms are not supported; use ICU plural syntax instead`);
+      }
+      if (entry && entry.msgstr !== undefined && keyword !== 'msgstr') finish();
+      start();
+      field = keyword;
+      entry[field] = unquotePo(value, lineNumber);
+      return;
+    }
+
+    if (line.startsWith('"') && field) {
+      entry[field] += unquotePo(line, lineNumber);
+      return;
+    }
+
+    throw new CatalogFileError(`Line ${lineNumber}: unexpected content`);
+  });
+  finish();
+
+  const headerValue = name => {
+    const found = header.split('\n').find(item => item.toLowerCase().startsWith(`${name.toLowerCase()}:`));
+    return found ? found.slice(name.length + 1).trim() || undefined : undefined;
+  };
+
+  return {
+    language: headerValue('Language'),
+    namespace: headerValue('X-Namespace'),
+    entries: entries.map(item => ({
+      key: item.msgctxt !== undefined ? item.msgctxt : item.msgid,
+      source: item.msgid,
+      text: item.msgstr || '',
+      description: item.comments.join(' ') || undefined,
+      fuzzy: item.flags.includes('fuzzy')
+    }))
+  };
+};
+
+/**
+ * Parse a JSON catalog: { namespace, language, messages: { key: text } } or a flat { key: text } object
+ * @param {string} content - File content
+ * @returns {Object} { language, namespace, entries: [{ key, text }] }
+ */
+const parseCatalogJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(String(content).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new CatalogFileError('File is not valid JSON');
+  }
+
+  const messages = data && typeof data.messages === 'object' ? data.messages : data;
+  if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+    throw new CatalogFileError('Expected an object of messages keyed by message key');
+  }
+
+  return {
+    language: typeof data.language === 'string' ? data.language : undefined,
+    namespace: typeof data.namespace === 'string' ? data.namespace : undefined,
+    entries: Object.entries(messages).map(([key, text]) => ({ key, text }))
+  };
+};
+
+/**
+ * Export a namespace for translators
+ * @param {Object} options - { namespace, language, format }
+ * @returns {Promise<Object|null>} { filename, contentType, body }, or null for an empty namespace
+ */
+const exportCatalog = async({ namespace, language, format }) => {
+  const messages = await UiMessage.find({ namespace }).sort({ key: 1 }).lean();
+  if (messages.length === 0) {
+    return null;
+  }
+
+  const translations = await findTranslations(messages.map(message => message.key), language);
+  const entries = messages.map(({ key, message, description }) => {
+    if (language === SOURCE_LANGUAGE) {
+      return { key, source: message, text: message, description, fuzzy: false };
+    }
+
+    const translation = translations.get(key);
+    const field = translation && translation.fields.find(item => item.path === FIELD);
+    if (!field) {
+      return { key, source: message, text: builtInText(key, language, message) || '', description, fuzzy: false };
+    }
+    // Machine text and text written for an older English source still need a translator
+    const fuzzy = translation.status === 'machine' || field.sourceHash !== Translation.hashText(message);
+    return { key, source: message, text: field.text, description, fuzzy };
+  });
+
+  const body = format === 'po' ?
+    writePo({ namespace, language, entries }) :
+    `${JSON.stringify({
+      namespace,
+      language,
+      messages: Object.fromEntries(entries.filter(entry => entry.text && !entry.fuzzy).map(entry => [entry.key, entry.text]))
+    }, null, 2)}\n`;
+
+  return {
+    filename: `ui-${namespace}-${language}.${format}`,
+    contentType: CONTENT_TYPES[format],
+    body
+  };
+};
+
+// Create or update English messages
+const importSource = async(entries, existing, { namespace, userId }, summary) => {
+  for (const { key, source, text, description } of entries) {
+    const message = typeof text === 'string' && text.trim() ? text : source;
+    if (typeof message !== 'string' || !message.trim()) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    try {
+      parseMessage(message);
+      const stored = existing.get(key);
+      if (stored && stored.namespace !== namespace) {
+        summary.errors.push({ key, message: `Key already belongs to namespace "${stored.namespace}"` });
+      } else if (!stored) {
+        await new UiMessage({ namespace, key, message, description, createdBy: userId }).save();
+        summary.created += 1;
+      } else if (stored.message === message && (!description || stored.description === description)) {
+        summary.unchanged += 1;
+      } else {
+        stored.message = message;
+        if (description) stored.description = description;
+        await stored.save();
+        summary.updated += 1;
+      }
+    } catch (error) {
+      summary.errors.push({ key, message: error.message });
+    }
+  }
+};
+
+// Store translations as reviewed by the importing user, optionally approving them
+const importTranslations = async(entries, existing, { namespace, language, userId, approve }, summary) => {
+  const stored = await findTranslations(entries.map(entry => entry.key), language);
+
+  for (const { key, source, text, fuzzy } of entries) {
+    const message = existing.get(key);
+    if (!message || message.namespace !== namespace) {
+      summary.errors.push({ key, message: 'Unknown message key' });
+      continue;
+    }
+    if (fuzzy || typeof text !== 'string' || !text.trim()) {
+      summary.skipped += 1;
+      continue;
+    }
+    if (source !== undefined && source !== message.message) {
+      summary.errors.push({ key, message: 'English text changed since this file was exported' });
+      continue;
+    }
+    const problem = checkTranslation(message.message, text);
+    if (problem) {
+      summary.errors.push({ key, message: problem });
+      continue;
+    }
+
+    const sourceFields = { [FIELD]: message.message };
+    const sourceHash = Translation.hashText(message.message);
+    let translation = stored.get(key);
+    const current = translation && translation.fields.find(item => item.path === FIELD);
+    if (current && current.sourceHash === sourceHash && current.text === text &&
+        translation.status !== 'machine' && (!approve || translation.status === 'approved')) {
+      summary.unchanged += 1;
+      continue;
+    }
+
+    const isNew = !translation;
+    if (isNew) {
+      translation = new Translation({ entityType: 'ui', entityId: key, language });
+    }
+    translation.fields = [{
+      path: FIELD,
+      sourceText: message.message,
+      sourceHash,
+      text,
+      approvedText: current && current.sourceHash === sourceHash ? current.approvedText : undefined
+    }];
+    translation.sourceHash = Translation.hashSource(sourceFields);
+    translation.review(userId, [], 'Imported from catalog file');
+    if (approve) {
+      translation.approve(userId);
+    }
+
+    try {
+      await translation.save();
+      summary[isNew ? 'created' : 'updated'] += 1;
+    } catch (error) {
+      summary.errors.push({ key, message: error.message });
+    }
+  }
+};
+
+/**
+ * Import a JSON or PO catalog. English files create or update keys; other
+ * languages store translations as reviewed by the importing user.
+ * @param {Object} options - { namespace, language, format, content, userId, approve }
+ * @returns {Promise<Object>} Summary with created, updated, unchanged, skipped and per-key errors
+ */
+const importCatalog = async({ namespace, language, format, content, userId, approve = false }) => {
+  const parsed = format === 'po' ? parsePo(content) : parseCatalogJson(content);
+  if (parsed.language && parsed.language.toLowerCase() !== language) {
+    throw new CatalogFileError(`File is for language "${parsed.language}", not "${language}"`);
+  }
+  if (parsed.namespace && parsed.namespace !== namespace) {
+    throw new CatalogFileError(`File is for namespace "${parsed.namespace}", not "${namespace}"`);
+  }
+
+  const keys = parsed.entries.map(entry => entry.key);
+  const existing = new Map((await UiMessage.find({ key: { $in: keys } })).map(message => [message.key, message]));
+  const summary = { namespace, language, total: parsed.entries.length, created: 0, updated: 0, unchanged: 0, skipped: 0, errors: [] };
+
+  if (language === SOURCE_LANGUAGE) {
+    await importSource(parsed.entries, existing, { namespace, userId }, summary);
+  } else {
+    await importTranslations(parsed.entries, existing, { namespace, language, userId, approve }, summary);
+  }
+
+  logger.info(`UI catalog import ${namespace}/${language}: ${summary.created} created, ${summary.updated} updated, ${summary.errors.length} error(s)`);
+  return summary;
+};
+
+module.exports = {
+  FORMATS,
+  SOURCE_LANGUAGE,
+  DEFAULT_NAMESPACE,
+  FIELD,
+  CatalogFileError,
+  parseMessage,
+  checkTranslation,
+  getNamespace,
+  seedBuiltInMessages,
+  detectFormat,
+  writePo,
+  parsePo,
+  parseCatalogJson,
+  exportCatalog,
+  importCatalog
+};
@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events helpers. `openEventStream` switches a response to
+ * text/event-stream and returns a sender whose `signal` is aborted when the
+ * client disconnects, so the work behind the stream can be cancelled.
+ */
+
+// Comment line sent periodically so proxies keep idle streams open
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Start an event stream on a response
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), end(), signal, isOpen() }
+ */
+const openEventStream = (res) => {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const isOpen = () => !res.writableEnded && !controller.signal.aborted;
+  const heartbeat = setInterval(() => {
+    if (isOpen()) res.write(': keep-alive\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    isOpen,
+    send(event, data) {
+      if (isOpen()) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+};
+
+module.exports = {
+  openEventStream
+};
@@ -0,0 +1,68 @@
+/**
+ * Calendar days in a student's timezone. Days are YYYY-MM-DD strings so
+ * they compare and store the same way whatever the server's timezone.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Check an IANA timezone name
+ * @param {string} timeZone - e.g. Asia/Kolkata
+ * @returns {boolean} Whether the runtime knows the timezone
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the date in a timezone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} YYYY-MM-DD
+ */
+const localDay = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  if (!formatters.has(timeZone)) {
+    // en-CA formats dates as YYYY-MM-DD
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone).format(date);
+};
+
+const dayToUtc = (day) => new Date(`${day}T00:00:00Z`);
+
+/**
+ * Count whole days between two days
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} Days, negative when `to` is earlier
+ */
+const daysBetween = (from, to) => Math.round((dayToUtc(to) - dayToUtc(from)) / DAY_MS);
+
+/**
+ * Move a day forwards or backwards
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+const addDays = (day, days) => new Date(dayToUtc(day).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  localDay,
+  daysBetween,
+  addDays
+};
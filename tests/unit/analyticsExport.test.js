@@ -0,0 +1,120 @@
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const {
+  escapeCsvCell,
+  exportFilename,
+  writeExport
+} = require('../../src/services/analyticsExport');
+
+const studentRows = [
+  {
+    studentId: 'a1',
+    studentName: 'Asha, R.',
+    studentEmail: 'asha@example.com',
+    totalSessions: 2,
+    averageScore: 0.75,
+    totalTimeSpent: 600,
+    chapterProgress: [{ chapterId: 'c1' }, { chapterId: 'c1' }]
+  },
+  {
+    studentId: 'b2',
+    studentName: '=HYPERLINK("http://x")',
+    studentEmail: 'b@example.com',
+    totalSessions: 1,
+    averageScore: 0.5,
+    totalTimeSpent: 300,
+    chapterProgress: [{ chapterId: 'c2' }]
+  }
+];
+
+async function* generate(rows) {
+  for (const row of rows) {
+    yield row;
+  }
+}
+
+const capture = async(type, format, rows) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  const ended = new Promise(resolve => output.on('end', resolve));
+  const count = await writeExport(type, format, generate(rows), output);
+  await ended;
+  return { count, body: Buffer.concat(chunks) };
+};
+
+describe('Analytics Export', () => {
+  describe('escapeCsvCell', () => {
+    test('should quote separators, quotes and newlines', () => {
+      expect(escapeCsvCell('plain')).toBe('plain');
+      expect(escapeCsvCell('a,b')).toBe('"a,b"');
+      expect(escapeCsvCell('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvCell('line\nbreak')).toBe('"line\nbreak"');
+      expect(escapeCsvCell(null)).toBe('');
+    });
+
+    test('should neutralise formulas in text but not negative numbers', () => {
+      expect(escapeCsvCell('=SUM(A1)')).toBe('\'=SUM(A1)');
+      expect(escapeCsvCell('@cmd')).toBe('\'@cmd');
+      expect(escapeCsvCell(-0.5)).toBe('-0.5');
+    });
+  });
+
+  test('should stream every row as CSV with a header', async() => {
+    const { count, body } = await capture('students', 'csv', studentRows);
+    const lines = body.toString('utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+
+    expect(count).toBe(2);
+    expect(lines[0]).toBe('Student Name,Email,Total Sessions,Average Score (%),Total Time Spent (s),Chapters Attempted');
+    expect(lines[1]).toBe('"Asha, R.",asha@example.com,2,75,600,1');
+    expect(lines[2]).toBe('"\'=HYPERLINK(""http://x"")",b@example.com,1,50,300,1');
+  });
+
+  test('should write one JSON object per line', async() => {
+    const { count, body } = await capture('students', 'jsonl', studentRows);
+    const rows = body.toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    expect(count).toBe(2);
+    expect(rows[0].studentName).toBe('Asha, R.');
+    expect(rows[1].chapterProgress).toHaveLength(1);
+  });
+
+  test('should write a readable XLSX workbook', async() => {
+    const { count, body } = await capture('students', 'xlsx', studentRows);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(body);
+    const worksheet = workbook.getWorksheet('students');
+
+    expect(count).toBe(2);
+    expect(worksheet.getRow(1).getCell(1).value).toBe('Student Name');
+    expect(worksheet.getRow(2).getCell(4).value).toBe(75);
+    expect(worksheet.getRow(3).getCell(2).value).toBe('b@example.com');
+  });
+
+  test('should stop reading rows when the client disconnects mid-download', async() => {
+    for (const format of ['csv', 'jsonl']) {
+      // Never read from, so the first write fills the buffer and waits to drain
+      const output = new PassThrough({ highWaterMark: 1 });
+      let finished = false;
+      const endless = async function* () {
+        try {
+          for (;;) {
+            yield studentRows[0];
+          }
+        } finally {
+          finished = true;
+        }
+      };
+      setTimeout(() => output.destroy(), 10);
+
+      const count = await writeExport('students', format, endless(), output);
+      expect(count).toBeLessThanOrEqual(1);
+      expect(finished).toBe(true);
+    }
+  });
+
+  test('should reject unknown formats and name files by type and date', () => {
+    expect(() => writeExport('students', 'pdf', generate([]), new PassThrough())).toThrow('Unknown export format');
+    expect(exportFilename('topics', 'xlsx', new Date('2024-03-05T10:00:00Z'))).toBe('topic_analytics_2024-03-05.xlsx');
+  });
+});
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Assignment = require('../../src/models/Assignment');
+const assignmentService = require('../../src/services/assignmentService');
+
+describe('Assignment', () => {
+  const day = 24 * 60 * 60 * 1000;
+
+  const buildAssignment = (overrides = {}) => new Assignment({
+    title: 'Fractions homework',
+    createdBy: new mongoose.Types.ObjectId(),
+    classroomId: new mongoose.Types.ObjectId(),
+    sessionType: 'adaptive',
+    chapterId: new mongoose.Types.ObjectId(),
+    opensAt: new Date(Date.now() - day),
+    closesAt: new Date(Date.now() + day),
+    ...overrides
+  });
+
+  it('requires a class or students, a valid window and questions for fixed sets', async() => {
+    const assignment = buildAssignment({
+      classroomId: undefined,
+      sessionType: 'fixed',
+      closesAt: new Date(Date.now() - 2 * day)
+    });
+
+    const error = await assignment.validate().catch(err => err);
+    expect(Object.keys(error.errors)).toEqual(expect.arrayContaining(['classroomId', 'closesAt', 'questionIds']));
+  });
+
+  it('is open only while published and inside its window', () => {
+    expect(buildAssignment().isOpen()).toBe(true);
+    expect(buildAssignment({ status: 'draft' }).isOpen()).toBe(false);
+    expect(buildAssignment({ opensAt: new Date(Date.now() + day), closesAt: new Date(Date.now() + 2 * day) }).isOpen()).toBe(false);
+  });
+
+  it('answers every question of a fixed set', () => {
+    const questionIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const config = assignmentService.buildSessionConfig(buildAssignment({ sessionType: 'fixed', questionIds }));
+
+    expect(config.sessionType).toBe('fixed');
+    expect(config.adaptiveParameters.maxQuestions).toBe(3);
+    expect(config.adaptiveParameters.minQuestions).toBe(3);
+    expect(config.expiresAt).toBeUndefined();
+  });
+
+  it('caps the time limit at the due date', () => {
+    const startedAt = new Date();
+    const closesAt = new Date(startedAt.getTime() + 10 * 60 * 1000);
+
+    const timed = assignmentService.buildSessionConfig(buildAssignment({ timeLimitMinutes: 5 }), startedAt);
+    expect(timed.expiresAt.getTime()).toBe(startedAt.getTime() + 5 * 60 * 1000);
+
+    const late = assignmentService.buildSessionConfig(buildAssignment({ timeLimitMinutes: 30, closesAt }), startedAt);
+    expect(late.expiresAt.getTime()).toBe(closesAt.getTime());
+  });
+});
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const BadgeDefinition = require('../../src/models/BadgeDefinition');
+const GamificationProfile = require('../../src/models/GamificationProfile');
+const TopicPerformance = require('../../src/models/TopicPerformance');
+const Topic = require('../../src/models/Topic');
+const Classroom = require('../../src/models/Classroom');
+const DailyActivity = require('../../src/models/DailyActivity');
+const badgeRules = require('../../src/services/badgeRules');
+const gamificationService = require('../../src/services/gamificationService');
+const { badgeCatalog } = require('../../src/services/badgeCatalog');
+
+describe('Badge rules', () => {
+  const builtIn = badgeCatalog.map(badge => new BadgeDefinition({
+    key: badge.id,
+    name: badge.name,
+    description: badge.description,
+    rule: badge.rule,
+    isSystem: true
+  }));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should combine conditions and only run on the events their metrics depend on', async() => {
+    const rule = {
+      all: [
+        { metric: 'masteredTopics', min: 3, window: { days: 7 } },
+        { any: [{ metric: 'level', min: 5 }, { metric: 'streakDays', min: 3 }] }
+      ]
+    };
+    expect(badgeRules.ruleEvents(rule).sort()).toEqual(['answer', 'mastery', 'session']);
+    expect(badgeRules.ruleEvents({ metric: 'sessionAccuracy', min: 0.9 })).toEqual(['session']);
+
+    const values = { masteredTopics: 3, level: 2, streakDays: 4 };
+    const resolve = async condition => values[condition.metric];
+    expect(await badgeRules.evaluateRule(rule, resolve)).toBe(true);
+
+    values.streakDays = 1;
+    expect(await badgeRules.evaluateRule(rule, resolve)).toBe(false);
+    expect(await badgeRules.evaluateRule({ metric: 'unknown', min: 0 }, resolve)).toBe(false);
+  });
+
+  test('should award a class badge for mastering topics of a chapter within a week', async() => {
+    const performance = new TopicPerformance({ studentId: new mongoose.Types.ObjectId(), topicId: new mongoose.Types.ObjectId() });
+    performance.attemptsCount = 4;
+    performance.correctCount = 4;
+    performance.updateMasteryLevel();
+    expect(performance.masteredAt).toBeInstanceOf(Date);
+
+    const classroomId = new mongoose.Types.ObjectId();
+    const chapterId = new mongoose.Types.ObjectId();
+    const condition = { metric: 'masteredTopics', min: 3, scope: { chapterId: chapterId.toString() }, window: { days: 7 } };
+    const definitions = [
+      new BadgeDefinition({ key: 'chapter_5_star', name: 'Chapter 5 Star', description: 'Master 3 topics of Chapter 5 in a week', rule: condition, classroomId }),
+      new BadgeDefinition({ key: 'chapter_5_pair', name: 'Chapter 5 Pair', description: 'Master 3 topics and reach level 2', rule: { all: [condition, { metric: 'level', min: 2 }] } }),
+      new BadgeDefinition({ key: 'other_class', name: 'Other Class', description: 'Not this student', rule: { metric: 'level', min: 1 }, classroomId: new mongoose.Types.ObjectId() })
+    ];
+    jest.spyOn(BadgeDefinition, 'find').mockResolvedValue(definitions);
+    await badgeRules.load();
+
+    const topicIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    jest.spyOn(Topic, 'find').mockReturnValue({ select: async() => topicIds.map(_id => ({ _id })) });
+    jest.spyOn(Classroom, 'find').mockReturnValue({ select: async() => [{ _id: classroomId }] });
+    const count = jest.spyOn(TopicPerformance, 'countDocuments').mockResolvedValue(3);
+
+    const profile = new GamificationProfile({ userId: new mongoose.Types.ObjectId(), level: 1 });
+    const now = new Date('2026-06-10T12:00:00Z');
+    const earned = await badgeRules.evaluate(profile, 'mastery', { topicId: topicIds[0] }, now);
+
+    expect(earned.map(badge => badge.key)).toEqual(['chapter_5_star']);
+    expect(count).toHaveBeenCalledTimes(1);
+    expect(count).toHaveBeenCalledWith({
+      studentId: profile.userId,
+      masteryLevel: { $in: ['proficient', 'advanced'] },
+      topicId: { $in: topicIds },
+      masteredAt: { $gte: new Date('2026-06-03T12:00:00Z') }
+    });
+    expect(await badgeRules.evaluate(profile, 'answer', {}, now)).toEqual([]);
+  });
+
+  test('should award built-in badges when a session completes', async() => {
+    jest.spyOn(BadgeDefinition, 'find').mockResolvedValue(builtIn);
+    await badgeRules.load();
+
+    const profile = new GamificationProfile({ userId: new mongoose.Types.ObjectId(), leaderboard: { pseudonym: 'Calm Owl 12' } });
+    jest.spyOn(profile, 'save').mockResolvedValue(profile);
+    jest.spyOn(GamificationProfile, 'findOne').mockResolvedValue(profile);
+    jest.spyOn(DailyActivity, 'record').mockImplementation(async(userId, day) => new DailyActivity({ userId, day }));
+
+    await gamificationService.awardForSession({
+      userId: profile.userId,
+      correctAnswers: 9,
+      answeredQuestions: 10,
+      completedSessions: 1
+    });
+
+    expect(profile.badges.map(badge => badge.badgeId)).toEqual(['first_assessment', 'accuracy_90']);
+    expect(profile.events.filter(event => event.type === 'badge').length).toBe(2);
+
+    await gamificationService.awardForSession({
+      userId: profile.userId,
+      correctAnswers: 5,
+      answeredQuestions: 10,
+      completedSessions: 2
+    });
+    expect(profile.badges.length).toBe(2);
+  });
+});
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Conversation = require('../../src/models/Conversation');
+const Classroom = require('../../src/models/Classroom');
+const chatbotConversation = require('../../src/services/chatbotConversation');
+
+const studentId = new mongoose.Types.ObjectId();
+
+const buildConversation = (turns) => {
+  const conversation = new Conversation({ userId: studentId });
+  for (let i = 1; i <= turns; i++) {
+    conversation.addMessage('user', `Question ${i} about fractions`);
+    conversation.addMessage('assistant', `Answer ${i}`);
+  }
+  return conversation;
+};
+
+describe('Chatbot Conversations', () => {
+  const savedMock = process.env.LLM_MOCK;
+
+  beforeAll(() => {
+    process.env.LLM_MOCK = 'true';
+  });
+
+  afterAll(() => {
+    if (savedMock === undefined) delete process.env.LLM_MOCK;
+    else process.env.LLM_MOCK = savedMock;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should send earlier turns with a follow-up question', () => {
+    const conversation = buildConversation(2);
+
+    expect(conversation.title).toBe('Question 1 about fractions');
+    expect(conversation.messageCount).toBe(4);
+    expect(chatbotConversation.pickContext('navigation')).toBeUndefined();
+    expect(chatbotConversation.pickContext({ page: 'practice', unknown: 'x' })).toEqual({ page: 'practice' });
+
+    const messages = chatbotConversation.buildPromptMessages(buildConversation(1), 'System prompt', 'Why is that?');
+    expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(messages[3].content).toBe('Why is that?');
+  });
+
+  test('should summarise long histories to keep prompts bounded', async() => {
+    const conversation = buildConversation(9);
+
+    expect(await chatbotConversation.summarizeIfNeeded(buildConversation(8))).toBe(false);
+    expect(await chatbotConversation.summarizeIfNeeded(conversation)).toBe(true);
+
+    expect(conversation.summarizedCount).toBe(18 - chatbotConversation.RECENT_MESSAGES);
+    expect(conversation.summary).toContain('Student asked: Question 1 about fractions');
+    expect(conversation.summary).not.toContain('Question 6');
+
+    const messages = chatbotConversation.buildPromptMessages(conversation, 'System prompt', 'And then?');
+    expect(messages).toHaveLength(chatbotConversation.RECENT_MESSAGES + 3);
+    expect(messages[1].content).toMatch(/^Summary of the conversation so far/);
+    expect(messages[2].content).toBe('Question 6 about fractions');
+  });
+
+  test('should show conversations to the owner, admins and the student\'s teachers only', async() => {
+    const conversation = buildConversation(1);
+    const teacherHasStudent = jest.spyOn(Classroom, 'teacherHasStudent').mockResolvedValue(false);
+
+    expect(await chatbotConversation.canView({ _id: studentId, role: 'student' }, conversation)).toBe(true);
+    expect(await chatbotConversation.canView({ _id: new mongoose.Types.ObjectId(), role: 'student' }, conversation)).toBe(false);
+    expect(await chatbotConversation.canView({ _id: new mongoose.Types.ObjectId(), role: 'admin' }, conversation)).toBe(true);
+    expect(await chatbotConversation.canView({ _id: new mongoose.Types.ObjectId(), role: 'teacher' }, conversation)).toBe(false);
+
+    teacherHasStudent.mockResolvedValue(true);
+    expect(await chatbotConversation.canView({ _id: new mongoose.Types.ObjectId(), role: 'teacher' }, conversation)).toBe(true);
+    expect(teacherHasStudent).toHaveBeenLastCalledWith(expect.anything(), studentId);
+  });
+});
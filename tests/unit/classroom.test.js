@@ -0,0 +1,70 @@
+const Classroom = require('../../src/models/Classroom');
+const User = require('../../src/models/User');
+
+describe('Classroom model', () => {
+  let teacher;
+  let otherTeacher;
+  let student;
+
+  const createUser = (role, email) => User.create({
+    name: `Test ${role}`,
+    email,
+    passwordHash: 'password123',
+    role
+  });
+
+  beforeEach(async() => {
+    await Classroom.deleteMany({});
+    await User.deleteMany({});
+    teacher = await createUser('teacher', `teacher-${Date.now()}@example.com`);
+    otherTeacher = await createUser('teacher', `other-${Date.now()}@example.com`);
+    student = await createUser('student', `student-${Date.now()}@example.com`);
+  });
+
+  const createClassroom = async(data = {}) => Classroom.create({
+    grade: '7',
+    section: 'b',
+    subject: 'Science',
+    teachers: [teacher._id],
+    joinCode: await Classroom.generateJoinCode(),
+    createdBy: teacher._id,
+    ...data
+  });
+
+  it('generates readable join codes and a display name', async() => {
+    const classroom = await createClassroom();
+
+    expect(classroom.joinCode).toMatch(/^[A-Z2-9]{6}$/);
+    expect(classroom.section).toBe('B');
+    expect(classroom.displayName).toBe('7B Science');
+  });
+
+  it('enrolls a student only once', async() => {
+    const classroom = await createClassroom();
+
+    await classroom.addStudent(student._id);
+    await classroom.addStudent(student._id);
+
+    expect(classroom.studentsCount).toBe(1);
+    expect(classroom.hasStudent(student._id)).toBe(true);
+  });
+
+  it('scopes students to the teacher\'s own classes', async() => {
+    await createClassroom({ students: [student._id] });
+    await createClassroom({ teachers: [otherTeacher._id], createdBy: otherTeacher._id });
+
+    const ownStudents = await Classroom.getStudentIdsForTeacher(teacher._id);
+    const otherStudents = await Classroom.getStudentIdsForTeacher(otherTeacher._id);
+
+    expect(ownStudents.map(id => id.toString())).toEqual([student._id.toString()]);
+    expect(otherStudents).toHaveLength(0);
+    expect(await Classroom.teacherHasStudent(teacher._id, student._id)).toBe(true);
+    expect(await Classroom.teacherHasStudent(otherTeacher._id, student._id)).toBe(false);
+  });
+
+  it('ignores archived classes when scoping', async() => {
+    await createClassroom({ students: [student._id], isActive: false });
+
+    expect(await Classroom.getStudentIdsForTeacher(teacher._id)).toHaveLength(0);
+  });
+});
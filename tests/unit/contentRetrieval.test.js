@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const ContentPassage = require('../../src/models/ContentPassage');
+const Chapter = require('../../src/models/Chapter');
+const Topic = require('../../src/models/Topic');
+const contentRetrieval = require('../../src/services/contentRetrieval');
+
+describe('Content retrieval', () => {
+  const science = {
+    _id: new mongoose.Types.ObjectId(),
+    class: '6',
+    subject: 'Science',
+    chapterNumber: 1,
+    chapterName: 'Components of Food',
+    isActive: true
+  };
+  const math = {
+    _id: new mongoose.Types.ObjectId(),
+    class: '6',
+    subject: 'Math',
+    chapterNumber: 7,
+    chapterName: 'Fractions',
+    isActive: true
+  };
+
+  const passage = (chapter, fields) => new ContentPassage({
+    chapterId: chapter._id,
+    class: chapter.class,
+    subject: chapter.subject,
+    chapterNumber: chapter.chapterNumber,
+    chapterName: chapter.chapterName,
+    ...fields
+  });
+
+  const equivalenceTopicId = new mongoose.Types.ObjectId();
+  const passages = [
+    passage(science, { sourceType: 'topic_description', topicName: 'Nutrients', text: 'Carbohydrates and fats give our body energy. Proteins help the body grow.' }),
+    passage(science, { sourceType: 'chapter_text', heading: 'Vitamins', text: 'Vitamins protect the body against diseases. Vitamin C keeps gums healthy.' }),
+    passage(math, { sourceType: 'concepts', topicName: 'Proper Fractions', text: 'Key concepts in Proper Fractions: numerator; denominator; equivalent fractions.' }),
+    passage(math, { sourceType: 'question_explanation', topicId: equivalenceTopicId, questionId: new mongoose.Types.ObjectId(), text: 'Which fraction is equivalent to 1/2?\n2/4, because multiplying the numerator and denominator by 2 keeps the value.' })
+  ];
+
+  beforeEach(async() => {
+    jest.spyOn(Chapter, 'find').mockReturnValue({ select: async() => [science, math] });
+    jest.spyOn(ContentPassage, 'find').mockResolvedValue(passages);
+    await contentRetrieval.load();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should split chapter text into passages and index words without stopwords', () => {
+    const paragraph = Array.from({ length: 30 }, (_, i) => `Sentence ${i} has five words.`).join(' ');
+    const split = contentRetrieval.splitText(`First short paragraph.\n\nSecond short paragraph.\n\n${paragraph}`);
+
+    expect(split[0]).toBe('First short paragraph.\n\nSecond short paragraph.');
+    expect(split.length).toBe(3);
+    split.slice(1).forEach(text => expect(text.split(' ').length).toBeLessThanOrEqual(120));
+
+    expect(contentRetrieval.tokenize('What are the Equivalent Fractions?')).toEqual(['equivalent', 'fraction']);
+    expect(contentRetrieval.tokenize('प्रकाश संश्लेषण क्या है')).toEqual(['प्रकाश', 'संश्लेषण', 'क्या', 'है']);
+  });
+
+  test('should rank passages by BM25 and favour the current topic', () => {
+    const [best] = contentRetrieval.search('Which foods give us energy?');
+    expect(best.passage.topicName).toBe('Nutrients');
+
+    const fractions = contentRetrieval.search('equivalent fractions');
+    expect(fractions.map(hit => hit.passage.sourceType)).toEqual(['concepts', 'question_explanation']);
+
+    const boosted = contentRetrieval.search('equivalent fractions', { chapterId: math._id, topicId: equivalenceTopicId });
+    expect(boosted.map(hit => hit.passage.sourceType)).toEqual(['question_explanation', 'concepts']);
+
+    const excluded = contentRetrieval.search('equivalent fractions', { excludeQuestionIds: [passages[3].questionId] });
+    expect(excluded.map(hit => hit.passage.sourceType)).toEqual(['concepts']);
+
+    expect(contentRetrieval.search('what is it?')).toEqual([]);
+    expect(contentRetrieval.search('vitamins', { subject: 'Math' })).toEqual([]);
+  });
+
+  test('should store chapter text and cite the passages a reply refers to', async() => {
+    jest.spyOn(Topic, 'find').mockReturnValue({ select: async() => [] });
+    jest.spyOn(ContentPassage, 'deleteMany').mockResolvedValue({});
+    const insertMany = jest.spyOn(ContentPassage, 'insertMany').mockImplementation(async docs => docs.map(doc => new ContentPassage(doc)));
+
+    const count = await contentRetrieval.setChapterText(science, [
+      { heading: 'Balanced Diet', text: 'A balanced diet has enough of every nutrient, roughage and water.' }
+    ], new mongoose.Types.ObjectId());
+
+    expect(count).toBe(1);
+    expect(insertMany.mock.calls[0][0][0]).toMatchObject({ sourceType: 'chapter_text', heading: 'Balanced Diet', chapterName: 'Components of Food' });
+
+    const hits = contentRetrieval.search('balanced diet roughage');
+    expect(hits[0].passage.heading).toBe('Balanced Diet');
+    expect(contentRetrieval.search('vitamins')).toEqual([]);
+
+    const prompt = contentRetrieval.buildPromptContext(hits);
+    expect(prompt).toContain('[1] Class 6 Science, Chapter 1: Components of Food - Balanced Diet');
+
+    const both = [...hits, ...contentRetrieval.search('energy')];
+    expect(contentRetrieval.citationsFor(both, 'Eat a balanced diet [1].').map(citation => citation.number)).toEqual([1]);
+    expect(contentRetrieval.citationsFor(both, 'Eat well.').length).toBe(2);
+  });
+});
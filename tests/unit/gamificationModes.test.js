@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const GamificationProfile = require('../../src/models/GamificationProfile');
+const TopicPerformance = require('../../src/models/TopicPerformance');
+const QuestionMastery = require('../../src/models/QuestionMastery');
+const AssessmentSession = require('../../src/models/AssessmentSession');
+const DailyActivity = require('../../src/models/DailyActivity');
+const badgeRules = require('../../src/services/badgeRules');
+const gamificationService = require('../../src/services/gamificationService');
+
+describe('Gamification across modes', () => {
+  let profile;
+
+  beforeEach(() => {
+    profile = new GamificationProfile({ userId: new mongoose.Types.ObjectId(), leaderboard: { pseudonym: 'Calm Owl 12' } });
+    jest.spyOn(profile, 'save').mockResolvedValue(profile);
+    jest.spyOn(GamificationProfile, 'findOne').mockResolvedValue(profile);
+    jest.spyOn(badgeRules, 'evaluate').mockResolvedValue([]);
+    jest.spyOn(DailyActivity, 'record').mockImplementation(async(userId, day) => new DailyActivity({ userId, day }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should weight answers by mode and stop paying for repeated easy questions', async() => {
+    const now = new Date('2026-06-10T12:00:00Z');
+    const answer = (questionId, difficulty, mode) => gamificationService.awardForAnswer({
+      userId: profile.userId,
+      isCorrect: true,
+      difficulty,
+      questionId,
+      mode,
+      now
+    });
+
+    await answer(new mongoose.Types.ObjectId(), 0.5, 'assessment');
+    expect(profile.points).toBe(10);
+    await answer(new mongoose.Types.ObjectId(), 0.5, 'practice');
+    expect(profile.points).toBe(15);
+
+    const easy = new mongoose.Types.ObjectId();
+    await answer(easy, 0.1, 'practice');
+    expect(profile.points).toBe(18);
+    await answer(easy, 0.1, 'practice');
+    await answer(easy, 0.1, 'practice');
+    expect(profile.points).toBe(18);
+
+    const medium = new mongoose.Types.ObjectId();
+    const earned = [];
+    for (let i = 0; i < 5; i += 1) {
+      const before = profile.points;
+      await answer(medium, 0.5, 'revision');
+      earned.push(profile.points - before);
+    }
+    expect(earned).toEqual([8, 4, 2, 0, 0]);
+    expect(profile.recentQuestions[0].attempts).toBe(5);
+    expect(profile.events.filter(event => event.type === 'answer').length).toBe(6);
+    expect(badgeRules.evaluate).toHaveBeenCalledTimes(10);
+  });
+
+  test('should award completed practice and revision sessions unless they are empty', async() => {
+    jest.spyOn(AssessmentSession, 'countDocuments').mockResolvedValue(4);
+    const session = new AssessmentSession({
+      studentId: profile.userId,
+      sessionType: 'adaptive',
+      mode: 'practice',
+      chapterId: new mongoose.Types.ObjectId(),
+      correctAnswers: 4,
+      answeredQuestions: 5
+    });
+
+    await gamificationService.recordSessionComplete(session);
+    expect(profile.points).toBe(22);
+    expect(profile.events[0].message).toBe('Completed a practice session with 80% accuracy');
+    expect(badgeRules.evaluate).toHaveBeenCalledWith(profile, 'session', expect.objectContaining({
+      completedSessions: 4,
+      answeredQuestions: 5,
+      mode: 'practice'
+    }));
+
+    session.mode = 'revision';
+    session.correctAnswers = 2;
+    session.answeredQuestions = 2;
+    await gamificationService.recordSessionComplete(session);
+    expect(profile.points).toBe(22);
+    expect(badgeRules.evaluate).toHaveBeenCalledTimes(2);
+  });
+
+  test('should pay for mastery once per topic level and once per mastered question', async() => {
+    const topicId = new mongoose.Types.ObjectId();
+    const claim = jest.spyOn(TopicPerformance, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await gamificationService.awardForMasteryChange({ userId: profile.userId, topicId, masteryLevel: 'proficient' });
+    await gamificationService.awardForMasteryChange({ userId: profile.userId, topicId, masteryLevel: 'proficient' });
+    expect(profile.points).toBe(25);
+    expect(claim).toHaveBeenCalledWith(
+      { studentId: profile.userId, topicId, rewardedLevels: { $nin: ['proficient', 'advanced'] } },
+      { $addToSet: { rewardedLevels: { $each: ['developing', 'proficient'] } } }
+    );
+
+    await gamificationService.awardForMasteryChange({ userId: profile.userId, topicId, masteryLevel: 'beginner' });
+    expect(claim).toHaveBeenCalledTimes(2);
+    expect(badgeRules.evaluate).toHaveBeenCalledTimes(3);
+
+    const question = { _id: new mongoose.Types.ObjectId(), chapterId: new mongoose.Types.ObjectId(), topicId };
+    const upsert = jest.spyOn(QuestionMastery, 'updateOne')
+      .mockResolvedValueOnce({ upsertedCount: 1 })
+      .mockResolvedValueOnce({ upsertedCount: 0 });
+    expect(await QuestionMastery.markMastered({ studentId: profile.userId, question })).toBe(true);
+    expect(await QuestionMastery.markMastered({ studentId: profile.userId, question })).toBe(false);
+    expect(upsert.mock.calls[0][0]).toEqual({ studentId: profile.userId, questionId: question._id });
+
+    await gamificationService.awardForQuestionMastered({ userId: profile.userId, questionId: question._id, topicId });
+    expect(profile.points).toBe(30);
+    expect(profile.events[0]).toMatchObject({ type: 'mastery', delta: 5, message: 'Mastered a question' });
+  });
+});
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const GeneratedQuestion = require('../../src/models/GeneratedQuestion');
+const Question = require('../../src/models/Question');
+const llm = require('../../src/services/llmProvider');
+
+describe('Generated question review', () => {
+  const output = {
+    stem: 'What is 3/4 of 12?',
+    choices: ['6', '8', '9', '12'],
+    correctIndex: 2,
+    difficulty: 0.4,
+    tags: ['fractions'],
+    explanation: '12 / 4 = 3 and 3 x 3 = 9.'
+  };
+
+  const draft = () => new GeneratedQuestion({
+    inputPrompt: 'Generate a grade 6 question about fractions',
+    outputJSON: JSON.stringify(output),
+    modelUsed: 'mock',
+    provider: 'mock',
+    latencyMs: 120,
+    parameters: { topic: 'Fractions', grade: '6', difficulty: 0.4 }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep the model output and build the approved question from the edits', () => {
+    const record = draft();
+    expect(record.reviewStatus).toBe('draft');
+
+    expect(record.applyEdits({ stem: output.stem, tags: ['fractions'] })).toBe(false);
+    expect(record.edited).toBe(false);
+
+    expect(record.applyEdits({ stem: 'What is three quarters of 12?', choices: ['6', '9', '12'], correctIndex: 1 })).toBe(true);
+    expect(record.edited).toBe(true);
+    expect(record.parsedOutput.stem).toBe(output.stem);
+    expect(record.reviewedQuestion).toMatchObject({ stem: 'What is three quarters of 12?', correctIndex: 1, explanation: output.explanation });
+
+    const topic = { _id: new mongoose.Types.ObjectId(), chapterId: new mongoose.Types.ObjectId(), topicName: 'Proper Fractions' };
+    const userId = new mongoose.Types.ObjectId();
+    expect(record.toQuestionData(topic, userId)).toMatchObject({
+      stem: 'What is three quarters of 12?',
+      choices: ['6', '9', '12'],
+      correctIndex: 1,
+      questionType: 'mcq',
+      grade: '6',
+      topic: 'Proper Fractions',
+      chapterId: topic.chapterId,
+      topicId: topic._id,
+      isGenerated: true,
+      generatedBy: 'mock',
+      isActive: true,
+      createdBy: userId
+    });
+  });
+
+  test('should record who approved or rejected a draft and why', async() => {
+    const teacherId = new mongoose.Types.ObjectId();
+    const questionId = new mongoose.Types.ObjectId();
+
+    const approved = draft();
+    jest.spyOn(approved, 'save').mockResolvedValue(approved);
+    await approved.approve(teacherId, questionId);
+    expect(approved).toMatchObject({ reviewStatus: 'approved', isStored: true, questionId, reviewedBy: teacherId });
+    expect(approved.reviewedAt).toBeInstanceOf(Date);
+
+    const rejected = draft();
+    jest.spyOn(rejected, 'save').mockResolvedValue(rejected);
+    await rejected.reject(teacherId, 'ambiguous', 'Two choices are correct');
+    expect(rejected.reviewStatus).toBe('rejected');
+    expect(rejected.isStored).toBe(false);
+    expect(rejected.rejection.toObject()).toEqual({ reason: 'ambiguous', note: 'Two choices are correct' });
+
+    const invalid = draft();
+    invalid.rejection = { reason: 'too_easy' };
+    expect(invalid.validateSync().errors['rejection.reason']).toBeDefined();
+  });
+
+  test('should let only one of two simultaneous approvals claim a draft', async() => {
+    const id = new mongoose.Types.ObjectId();
+    const stored = { reviewStatus: 'draft', isStored: false };
+    const applyIf = async(filter, update) => {
+      if (!Object.keys(filter).every(key => key === '_id' || stored[key] === filter[key])) return null;
+      Object.assign(stored, update.$set);
+      return stored;
+    };
+    const claim = jest.spyOn(GeneratedQuestion, 'findOneAndUpdate').mockImplementation(applyIf);
+    jest.spyOn(GeneratedQuestion, 'updateOne').mockImplementation(applyIf);
+
+    const claims = await Promise.all([GeneratedQuestion.claimForApproval(id), GeneratedQuestion.claimForApproval(id)]);
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    expect(claim).toHaveBeenCalledWith({ _id: id, reviewStatus: 'draft', isStored: false }, { $set: { isStored: true } });
+
+    // A question that fails to save leaves the draft free to approve again
+    await GeneratedQuestion.releaseClaim(id);
+    expect(await GeneratedQuestion.claimForApproval(id)).toBe(stored);
+  });
+
+  test('should group review outcomes by topic and rejection reason', async() => {
+    const aggregate = jest.spyOn(GeneratedQuestion, 'aggregate').mockResolvedValue([]);
+    const start = new Date('2026-01-01');
+
+    await GeneratedQuestion.getTopicReviewStats({ provider: 'openai', dateRange: { start } });
+    const [match, group] = aggregate.mock.calls[0][0];
+    expect(match.$match).toEqual({ provider: 'openai', generatedAt: { $gte: start } });
+    expect(group.$group._id).toEqual({ topic: { $toLower: '$parameters.topic' }, grade: '$parameters.grade' });
+    expect(Object.keys(group.$group)).toEqual(expect.arrayContaining(['draftCount', 'approvedCount', 'rejectedCount', 'editedCount']));
+
+    await GeneratedQuestion.getRejectionReasons({ modelUsed: 'gpt-4o-mini' });
+    const [rejectedMatch, rejectedGroup] = aggregate.mock.calls[1][0];
+    expect(rejectedMatch.$match).toEqual({ modelUsed: 'gpt-4o-mini', reviewStatus: 'rejected' });
+    expect(rejectedGroup.$group._id).toEqual({ reason: '$rejection.reason', model: '$modelUsed' });
+  });
+
+  test('should accept questions from any registered provider', () => {
+    const record = draft();
+    record.provider = 'in-house';
+    expect(record.validateSync().errors.provider).toBeDefined();
+
+    llm.registerProvider('in-house', class {});
+    expect(record.validateSync()).toBeUndefined();
+
+    record.reviewedQuestion = output;
+    const topic = { _id: new mongoose.Types.ObjectId(), chapterId: new mongoose.Types.ObjectId(), topicName: 'Fractions' };
+    const question = new Question(record.toQuestionData(topic, new mongoose.Types.ObjectId()));
+    expect(question.generatedBy).toBe('in-house');
+    expect(question.validateSync()).toBeUndefined();
+
+    question.generatedBy = 'unknown';
+    expect(question.validateSync().errors.generatedBy).toBeDefined();
+  });
+});
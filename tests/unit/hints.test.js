@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const AssessmentSession = require('../../src/models/AssessmentSession');
+const Question = require('../../src/models/Question');
+const llm = require('../../src/services/llmProvider');
+const hintService = require('../../src/services/hintService');
+
+const buildQuestion = (fields = {}) => new Question({
+  stem: 'Which fraction is equal to one half?',
+  choices: ['2/4', '1/3', '3/5', '2/3'],
+  correctIndex: 0,
+  questionType: 'mcq',
+  topic: 'Fractions',
+  difficulty: 0.5,
+  ...fields
+});
+
+const buildSession = (mode) => new AssessmentSession({
+  studentId: new mongoose.Types.ObjectId(),
+  chapterId: new mongoose.Types.ObjectId(),
+  sessionType: 'adaptive',
+  mode
+});
+
+describe('Socratic Hints', () => {
+  const savedMock = process.env.LLM_MOCK;
+
+  beforeAll(() => {
+    process.env.LLM_MOCK = 'true';
+  });
+
+  afterAll(() => {
+    if (savedMock === undefined) delete process.env.LLM_MOCK;
+    else process.env.LLM_MOCK = savedMock;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(AssessmentSession.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should lower the credit and ability estimate for answers reached with hints', async() => {
+    const withHints = buildSession('practice');
+    const withoutHints = buildSession('practice');
+
+    for (const session of [withHints, withoutHints]) {
+      await session.addItem(new mongoose.Types.ObjectId(), { difficulty: 0.5, topic: 'Fractions' });
+    }
+    await withHints.recordHint(1, { level: 1, text: 'Think about equivalent fractions.', source: 'teacher' });
+    await withHints.recordHint(1, { level: 2, text: 'Simplify each choice.', source: 'generated' });
+
+    await withHints.answerQuestion(1, 0, 5000, true);
+    await withoutHints.answerQuestion(1, 0, 5000, true);
+
+    expect(withHints.items[0].hintsUsed).toBe(2);
+    expect(withHints.items[0].score).toBe(1 - 2 * AssessmentSession.HINT_PENALTY);
+    expect(withHints.score).toBe(withHints.items[0].score);
+    expect(withHints.hintsUsed).toBe(2);
+    expect(withoutHints.score).toBe(1);
+    expect(withHints.abilityTheta).toBeLessThan(withoutHints.abilityTheta);
+    expect(() => withHints.recordHint(1, { level: 3, text: 'Too late', source: 'generated' })).toThrow('Question already answered');
+  });
+
+  test('should allow hints in practice and revision but not in assessments', () => {
+    expect(buildSession('practice').allowsHints()).toBe(true);
+    expect(buildSession('revision').allowsHints()).toBe(true);
+    expect(buildSession('assessment').allowsHints()).toBe(false);
+    expect(AssessmentSession.creditForHints(AssessmentSession.MAX_HINTS)).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should prefer teacher hints and never give the answer away', async() => {
+    const question = buildQuestion({ hints: ['Think about what "equivalent" means.'] });
+    const updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({});
+
+    const teacherHint = await hintService.getHint(question, 1);
+    expect(teacherHint).toEqual({ level: 1, text: 'Think about what "equivalent" means.', source: 'teacher' });
+    expect(updateOne).not.toHaveBeenCalled();
+
+    const ruleHint = await hintService.getHint(question, 3);
+    expect(ruleHint.source).toBe('rule');
+    expect(hintService.revealsAnswer(question, ruleHint.text)).toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+
+    expect(hintService.revealsAnswer(question, 'The answer is A.')).toBe(true);
+    expect(hintService.revealsAnswer(question, 'Try 2/4 first.')).toBe(true);
+
+    const shortAnswer = buildQuestion({ questionType: 'fill-in-blank', choices: [], correctIndex: undefined, correctAnswer: '7' });
+    expect(hintService.revealsAnswer(shortAnswer, hintService.ruleBasedHint(shortAnswer, 3))).toBe(false);
+  });
+
+  test('should cache only hints that came from the model', async() => {
+    const question = buildQuestion();
+    const updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({});
+    const complete = jest.spyOn(llm, 'complete');
+
+    complete.mockRejectedValueOnce(new llm.LLMError('Request timed out', { code: 'LLM_TIMEOUT', provider: 'openai' }));
+    expect((await hintService.getHint(question, 1)).source).toBe('rule');
+    complete.mockResolvedValueOnce({ text: 'The answer is 2/4.', provider: 'openai' });
+    expect((await hintService.getHint(question, 1)).source).toBe('rule');
+    expect(updateOne).not.toHaveBeenCalled();
+
+    complete.mockResolvedValueOnce({ text: 'Try doubling the top and bottom of one half.', provider: 'openai' });
+    const hint = await hintService.getHint(question, 1);
+    expect(hint).toEqual({ level: 1, text: 'Try doubling the top and bottom of one half.', source: 'generated' });
+    expect(updateOne).toHaveBeenCalledWith({ _id: question._id }, { $set: { 'generatedHints.0': hint.text } });
+  });
+});
@@ -0,0 +1,72 @@
+const IRTEngine = require('../../src/services/irtEngine');
+
+describe('IRTEngine', () => {
+  const item = { a: 1.2, b: 0, c: 0 };
+
+  it('gives a 50% chance of success when ability equals 2PL difficulty', () => {
+    expect(IRTEngine.probability(0, item)).toBeCloseTo(0.5, 5);
+  });
+
+  it('respects the guessing floor of 3PL items', () => {
+    const guessingItem = { a: 1, b: 0, c: 0.25 };
+    expect(IRTEngine.probability(-4, guessingItem)).toBeGreaterThan(0.25);
+    expect(IRTEngine.probability(-4, guessingItem)).toBeLessThan(0.26);
+  });
+
+  it('peaks item information near the item difficulty', () => {
+    const atDifficulty = IRTEngine.itemInformation(0, item);
+    expect(atDifficulty).toBeGreaterThan(IRTEngine.itemInformation(2, item));
+    expect(atDifficulty).toBeGreaterThan(IRTEngine.itemInformation(-2, item));
+  });
+
+  it('moves the EAP estimate up after correct answers and down after incorrect ones', () => {
+    const correct = IRTEngine.estimateEAP([{ params: item, isCorrect: true }]);
+    const incorrect = IRTEngine.estimateEAP([{ params: item, isCorrect: false }]);
+
+    expect(correct.theta).toBeGreaterThan(0);
+    expect(incorrect.theta).toBeLessThan(0);
+    expect(correct.standardError).toBeLessThan(1);
+  });
+
+  it('shrinks the standard error as more items are answered', () => {
+    const responses = [];
+    let previousSe = 1;
+    for (let i = 0; i < 10; i++) {
+      responses.push({ params: { a: 1.5, b: (i % 3) - 1, c: 0 }, isCorrect: i % 2 === 0 });
+      const { standardError } = IRTEngine.estimateEAP(responses);
+      expect(standardError).toBeLessThan(previousSe);
+      previousSe = standardError;
+    }
+  });
+
+  it('finds a finite MLE for mixed response patterns and falls back to EAP otherwise', () => {
+    const mixed = [
+      { params: { a: 1, b: -1, c: 0 }, isCorrect: true },
+      { params: { a: 1, b: 0, c: 0 }, isCorrect: true },
+      { params: { a: 1, b: 1, c: 0 }, isCorrect: false }
+    ];
+    const mle = IRTEngine.estimateMLE(mixed);
+    expect(Number.isFinite(mle.theta)).toBe(true);
+    expect(mle.theta).toBeGreaterThan(-1);
+    expect(mle.theta).toBeLessThan(2);
+
+    const allCorrect = mixed.map(r => ({ ...r, isCorrect: true }));
+    expect(IRTEngine.estimateMLE(allCorrect)).toEqual(IRTEngine.estimateEAP(allCorrect));
+  });
+
+  it('derives provisional parameters from authored difficulty', () => {
+    const easy = IRTEngine.parametersFromDifficulty(0.2, 4);
+    const hard = IRTEngine.parametersFromDifficulty(0.8, 0);
+
+    expect(easy.b).toBeLessThan(0);
+    expect(hard.b).toBeGreaterThan(0);
+    expect(easy.c).toBe(0.25);
+    expect(hard.c).toBe(0);
+  });
+
+  it('converts standard error into precision', () => {
+    expect(IRTEngine.precisionFromStandardError(1)).toBe(0);
+    expect(IRTEngine.precisionFromStandardError(0.4)).toBeCloseTo(0.84, 5);
+    expect(IRTEngine.precisionFromStandardError(Infinity)).toBe(0);
+  });
+});
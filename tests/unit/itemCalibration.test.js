@@ -0,0 +1,78 @@
+const IRTEngine = require('../../src/services/irtEngine');
+const itemCalibration = require('../../src/services/itemCalibration');
+
+// Deterministic pseudo-random generator so the simulated data is stable
+const createRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+describe('itemCalibration', () => {
+  const random = createRandom(42);
+  const gaussian = () => Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
+
+  const trueItems = [
+    { a: 1, b: -1.5, c: 0 },
+    { a: 1.5, b: -0.5, c: 0 },
+    { a: 0.8, b: 0, c: 0 },
+    { a: 1.2, b: 0.8, c: 0 },
+    { a: 1.8, b: 1.5, c: 0 }
+  ];
+
+  const responses = [];
+  for (let s = 0; s < 300; s++) {
+    const theta = gaussian();
+    trueItems.forEach((params, i) => {
+      responses.push({
+        studentId: `student-${s}`,
+        questionId: `question-${i}`,
+        isCorrect: random() < IRTEngine.probability(theta, params)
+      });
+    });
+  }
+
+  const result = itemCalibration.calibrate(responses);
+
+  it('recovers the ordering of item difficulties', () => {
+    const difficulties = trueItems.map((_, i) => result.items[`question-${i}`].params.b);
+    const sorted = [...difficulties].sort((a, b) => a - b);
+    expect(difficulties).toEqual(sorted);
+  });
+
+  it('recovers difficulties within a reasonable margin', () => {
+    trueItems.forEach((params, i) => {
+      expect(Math.abs(result.items[`question-${i}`].params.b - params.b)).toBeLessThan(0.5);
+    });
+  });
+
+  it('reports sample size and fit statistics for each item', () => {
+    const item = result.items['question-2'];
+    expect(item.sampleSize).toBe(300);
+    expect(item.infit).toBeGreaterThan(0.7);
+    expect(item.infit).toBeLessThan(1.3);
+  });
+
+  it('flags drift, low discrimination and insufficient data', () => {
+    const calibrated = { params: { a: 0.1, b: 1, c: 0 }, sampleSize: 5, infit: 1, outfit: 1 };
+    const flags = itemCalibration.reviewItem(calibrated, { a: 1, b: 0, c: 0 });
+
+    expect(flags).toEqual(expect.arrayContaining([
+      'insufficient_data',
+      'low_discrimination',
+      'difficulty_drift'
+    ]));
+  });
+
+  it('lowers the exposure parameter of overexposed items to the target rate', () => {
+    const parameters = itemCalibration.exposureParameters([
+      // Administered in 60% of sessions at k = 1: selected 60% of the time
+      { questionId: 'popular', administrations: 60, sessions: 100, exposureParameter: 1 },
+      // Administered in 20% of sessions at k = 0.5: still selected 40% of the time
+      { questionId: 'limited', administrations: 20, sessions: 100, exposureParameter: 0.5 },
+      { questionId: 'rare', administrations: 10, sessions: 100, exposureParameter: 0.8 },
+      { questionId: 'unused', administrations: 0, sessions: 0, exposureParameter: 0.7 }
+    ], { maxExposureRate: 0.25 });
+
+    expect(parameters).toEqual({ popular: 0.417, limited: 0.625, rare: 1, unused: 0.7 });
+  });
+});
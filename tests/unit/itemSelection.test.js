@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const itemSelection = require('../../src/services/itemSelection');
+
+const makeQuestion = (topicId, exposureParameter = 1) => ({
+  _id: new mongoose.Types.ObjectId(),
+  topicId,
+  irt: { exposureParameter }
+});
+
+describe('itemSelection', () => {
+  it('registers the built-in strategies', () => {
+    expect(itemSelection.getStrategyNames()).toEqual(
+      expect.arrayContaining(['max-information', 'target-difficulty'])
+    );
+    expect(() => itemSelection.getStrategy('does-not-exist')).toThrow();
+  });
+
+  it('balances content towards the least administered topic', () => {
+    const topicA = new mongoose.Types.ObjectId();
+    const topicB = new mongoose.Types.ObjectId();
+    const available = [makeQuestion(topicA), makeQuestion(topicB), makeQuestion(topicB)];
+    const administered = [makeQuestion(topicA), makeQuestion(topicA)];
+
+    const balanced = itemSelection.balanceContent(available, administered);
+
+    expect(balanced).toHaveLength(2);
+    balanced.forEach(question => expect(question.topicId).toEqual(topicB));
+  });
+
+  it('returns the most informative item without exposure control', () => {
+    const ranked = [makeQuestion(), makeQuestion()].map((question, i) => ({ question, information: 2 - i }));
+    expect(itemSelection.applyExposureControl(ranked, 'none')).toBe(ranked[0].question);
+  });
+
+  it('limits randomesque selection to the top candidates', () => {
+    const ranked = Array.from({ length: 10 }, (_, i) => ({ question: makeQuestion(), information: 10 - i }));
+    const top = ranked.slice(0, 3).map(r => r.question);
+
+    for (let i = 0; i < 20; i++) {
+      expect(top).toContain(itemSelection.applyExposureControl(ranked, 'randomesque', 3));
+    }
+  });
+
+  it('skips items whose Sympson-Hetter parameter is zero', () => {
+    const overexposed = makeQuestion(undefined, 0);
+    const fresh = makeQuestion(undefined, 1);
+    const ranked = [{ question: overexposed, information: 2 }, { question: fresh, information: 1 }];
+
+    expect(itemSelection.applyExposureControl(ranked, 'sympson-hetter')).toBe(fresh);
+  });
+
+  it('skips items with a Sympson-Hetter parameter below one in proportion', () => {
+    const limited = makeQuestion(undefined, 0.4);
+    const next = makeQuestion(undefined, 1);
+    const ranked = [{ question: limited, information: 2 }, { question: next, information: 1 }];
+    const random = jest.spyOn(Math, 'random');
+
+    random.mockReturnValueOnce(0.5);
+    expect(itemSelection.applyExposureControl(ranked, 'sympson-hetter')).toBe(next);
+    random.mockReturnValueOnce(0.3);
+    expect(itemSelection.applyExposureControl(ranked, 'sympson-hetter')).toBe(limited);
+    random.mockRestore();
+  });
+});
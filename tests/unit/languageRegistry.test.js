@@ -0,0 +1,70 @@
+const Language = require('../../src/models/Language');
+const Question = require('../../src/models/Question');
+const Chapter = require('../../src/models/Chapter');
+const Translation = require('../../src/models/Translation');
+const languageRegistry = require('../../src/services/languageRegistry');
+const translationService = require('../../src/services/translationService');
+const { validateTranslationReviewQuery } = require('../../src/middlewares/validation');
+
+const runValidator = (middleware, query) => {
+  let status = null;
+  const res = { status: code => ({ json: () => { status = code; } }) };
+  middleware({ query, body: query }, res, () => { status = 'next'; });
+  return status;
+};
+
+describe('Language Registry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should list built-in languages with script and numeral details', () => {
+    expect(languageRegistry.getEnabledCodes()).toEqual(['en', 'bn', 'gu', 'hi', 'kn', 'mr', 'ta', 'te']);
+    expect(languageRegistry.get('mr')).toMatchObject({ nativeName: 'मराठी', script: 'Deva', numeralSystem: 'deva', direction: 'ltr' });
+    expect(translationService.getLanguageName('kn')).toBe('Kannada');
+    expect(translationService.getSupportedLanguages()).toContain('gu');
+  });
+
+  test('should seed missing languages and let admins enable new ones', async() => {
+    const stored = languageRegistry.BUILT_IN_LANGUAGES.filter(language => language.code !== 'bn').map(language => new Language(language));
+    stored.push(new Language({ code: 'or', name: 'Odia', nativeName: 'ଓଡ଼ିଆ', script: 'Orya', numeralSystem: 'orya' }));
+    jest.spyOn(Language, 'find').mockResolvedValue(stored);
+    const insertMany = jest.spyOn(Language, 'insertMany').mockImplementation(async docs => docs.map(doc => new Language(doc)));
+
+    await languageRegistry.load();
+
+    expect(insertMany).toHaveBeenCalledWith([expect.objectContaining({ code: 'bn' })]);
+    expect(languageRegistry.isEnabled('bn')).toBe(true);
+    expect(languageRegistry.isEnabled('or')).toBe(false);
+    expect(languageRegistry.list({ includeDisabled: true }).map(language => language.code)).toContain('or');
+    expect(runValidator(validateTranslationReviewQuery, { language: 'or' })).toBe(400);
+
+    const odia = stored.find(language => language.code === 'or');
+    jest.spyOn(Language, 'findOne').mockResolvedValue(odia);
+    jest.spyOn(odia, 'save').mockResolvedValue(odia);
+
+    const updated = await languageRegistry.update('or', { enabled: true });
+    expect(updated).toMatchObject({ code: 'or', enabled: true });
+    expect(languageRegistry.isEnabled('or')).toBe(true);
+    expect(runValidator(validateTranslationReviewQuery, { language: 'or' })).toBe('next');
+    expect(runValidator(validateTranslationReviewQuery, { language: 'en' })).toBe(400);
+  });
+
+  test('should report coverage of active content per language', async() => {
+    jest.spyOn(Question, 'distinct').mockResolvedValue(['q1', 'q2', 'q3', 'q4']);
+    jest.spyOn(Chapter, 'distinct').mockResolvedValue(['c1']);
+    const aggregate = jest.spyOn(Translation, 'aggregate').mockResolvedValue([
+      { _id: { language: 'bn', entityType: 'question', status: 'approved' }, count: 2 },
+      { _id: { language: 'bn', entityType: 'question', status: 'machine' }, count: 1 },
+      { _id: { language: 'bn', entityType: 'ui', status: 'reviewed' }, count: 5 }
+    ]);
+
+    const [coverage] = await translationService.getCoverage(['bn']);
+
+    expect(aggregate.mock.calls[0][0][0].$match.language).toEqual({ $in: ['bn'] });
+    expect(coverage).toMatchObject({ language: 'bn', name: 'Bengali' });
+    expect(coverage.questions).toEqual({ total: 4, machine: 1, reviewed: 0, approved: 2, untranslated: 1, approvedPercent: 50 });
+    expect(coverage.chapters).toMatchObject({ total: 1, untranslated: 1, approvedPercent: 0 });
+    expect(coverage.ui).toMatchObject({ total: 20, reviewed: 5, untranslated: 15 });
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const GamificationProfile = require('../../src/models/GamificationProfile');
+const StudentProfile = require('../../src/models/StudentProfile');
+const gamificationService = require('../../src/services/gamificationService');
+
+describe('Leaderboards', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep weekly and monthly points and restart them each period', () => {
+    const profile = new GamificationProfile({ userId: new mongoose.Types.ObjectId() });
+
+    // Sunday 31 May and Monday 1 June 2026
+    profile.addPoints(10, new Date('2026-05-31T18:00:00Z'));
+    profile.addPoints(5, new Date('2026-05-31T20:00:00Z'));
+    expect(profile.periodPoints.toObject()).toEqual({
+      weekStart: new Date('2026-05-25T00:00:00Z'),
+      week: 15,
+      monthStart: new Date('2026-05-01T00:00:00Z'),
+      month: 15
+    });
+
+    profile.addPoints(7, new Date('2026-06-01T08:00:00Z'));
+    expect(profile.points).toBe(22);
+    expect(profile.periodPoints.week).toBe(7);
+    expect(profile.periodPoints.month).toBe(7);
+    expect(profile.periodPoints.weekStart).toEqual(new Date('2026-06-01T00:00:00Z'));
+  });
+
+  test('should rank from the index top, share ranks on ties and count the viewer\'s place', async() => {
+    const now = new Date('2026-06-03T10:00:00Z');
+    const profiles = [30, 30, 12].map((week, index) => new GamificationProfile({
+      userId: { _id: new mongoose.Types.ObjectId(), name: `Student ${index}` },
+      periodPoints: { weekStart: new Date('2026-06-01T00:00:00Z'), week }
+    }));
+    const chain = {
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockResolvedValue(profiles)
+    };
+    const find = jest.spyOn(GamificationProfile, 'find').mockReturnValue(chain);
+    const count = jest.spyOn(GamificationProfile, 'countDocuments').mockResolvedValueOnce(25).mockResolvedValueOnce(7);
+    const viewerId = new mongoose.Types.ObjectId();
+    jest.spyOn(GamificationProfile, 'findOne').mockReturnValue({
+      select: async() => ({ points: 40, periodPoints: { week: 9 } })
+    });
+
+    const board = await gamificationService.getLeaderboard({ period: 'weekly', grade: '7', limit: 3, viewerId, now });
+
+    expect(find).toHaveBeenCalledWith({
+      'leaderboard.optOut': { $ne: true },
+      'periodPoints.week': { $gt: 0 },
+      'periodPoints.weekStart': new Date('2026-06-01T00:00:00Z'),
+      grade: '7'
+    });
+    expect(chain.sort).toHaveBeenCalledWith({ 'periodPoints.week': -1, userId: 1 });
+    expect(board.entries.map(({ rank, points }) => [rank, points])).toEqual([[1, 30], [1, 30], [3, 12]]);
+    expect(board.total).toBe(25);
+    expect(count.mock.calls[1][0]['periodPoints.week']).toEqual({ $gt: 9 });
+    expect(board.viewer).toEqual({ rank: 8, points: 9 });
+  });
+
+  test('should give new profiles a grade and pseudonym and update privacy settings', async() => {
+    const userId = new mongoose.Types.ObjectId();
+    jest.spyOn(GamificationProfile, 'findOne').mockResolvedValue(null);
+    jest.spyOn(StudentProfile, 'findOne').mockReturnValue({ select: async() => ({ grade: '8' }) });
+    const create = jest.spyOn(GamificationProfile, 'create').mockImplementation(async data => new GamificationProfile(data));
+
+    const profile = await gamificationService.getProfile(userId);
+    expect(profile.grade).toBe('8');
+    expect(profile.leaderboard.pseudonym).toMatch(/^[A-Z][a-z]+ [A-Z][a-z]+ \d{2}$/);
+    expect(profile.leaderboard.optOut).toBe(false);
+
+    GamificationProfile.findOne.mockResolvedValue(profile);
+    jest.spyOn(profile, 'save').mockResolvedValue(profile);
+    const updated = await gamificationService.updateLeaderboardSettings(userId, { optOut: true, usePseudonym: true });
+    expect(updated.leaderboard.optOut).toBe(true);
+    expect(updated.leaderboard.usePseudonym).toBe(true);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,202 @@
+const llm = require('../../src/services/llmProvider');
+
+const ENV_KEYS = [
+  'LLM_PROVIDER',
+  'LLM_MOCK',
+  'LLM_CHATBOT_PROVIDER',
+  'LLM_CHATBOT_MODEL',
+  'OPENAI_API_KEY',
+  'OLLAMA_MODEL',
+  'FLAKY_TIMEOUT_MS',
+  'FLAKY_MAX_RETRIES',
+  'MOCK_STREAM_DELAY_MS'
+];
+
+const messages = [{ role: 'user', content: 'Explain fractions' }];
+
+describe('LLM Provider Layer', () => {
+  const savedEnv = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    jest.restoreAllMocks();
+  });
+
+  test('should select the provider and model per feature', () => {
+    expect(llm.getFeatureConfig('chatbot').provider).toBe('openai');
+
+    process.env.OPENAI_API_KEY = 'sk-test';
+    expect(llm.getFeatureConfig('generation')).toMatchObject({ provider: 'openai', model: 'gpt-3.5-turbo', maxRetries: 2 });
+
+    process.env.LLM_CHATBOT_PROVIDER = 'ollama';
+    process.env.LLM_CHATBOT_MODEL = 'mistral';
+    expect(llm.getFeatureConfig('chatbot')).toMatchObject({ provider: 'ollama', model: 'mistral', baseUrl: 'http://localhost:11434' });
+    expect(llm.getFeatureConfig('translation').provider).toBe('openai');
+
+    process.env.LLM_MOCK = 'true';
+    expect(llm.getFeatureConfig('chatbot').provider).toBe('mock');
+  });
+
+  test('should return mock text with estimated token usage', async() => {
+    process.env.LLM_PROVIDER = 'mock';
+    const result = await llm.complete('chatbot', { messages, mock: () => 'A fraction is a part of a whole.' });
+
+    expect(result).toMatchObject({ text: 'A fraction is a part of a whole.', provider: 'mock', model: 'mock', attempts: 1 });
+    expect(result.usage).toEqual({ promptTokens: 5, completionTokens: 8, totalTokens: 13, estimated: true });
+  });
+
+  test('should report Ollama token counts', async() => {
+    process.env.LLM_PROVIDER = 'ollama';
+    process.env.OLLAMA_MODEL = 'llama3';
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async() => ({ model: 'llama3', message: { content: ' Halves and quarters. ' }, prompt_eval_count: 12, eval_count: 4 })
+    });
+
+    const result = await llm.complete('chatbot', { messages, maxTokens: 50, json: true });
+
+    expect(fetchMock).toHaveBeenCalledWith('http://localhost:11434/api/chat', expect.objectContaining({ method: 'POST' }));
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({ model: 'llama3', format: 'json', stream: false, options: { num_predict: 50 } });
+    expect(result).toMatchObject({ text: 'Halves and quarters.', provider: 'ollama', model: 'llama3' });
+    expect(result.usage).toEqual({ promptTokens: 12, completionTokens: 4, totalTokens: 16, estimated: false });
+  });
+
+  describe('Timeouts and retries', () => {
+    const calls = [];
+    let behaviour;
+
+    class FlakyProvider {
+      constructor(name) {
+        this.name = name;
+      }
+
+      isConfigured() {
+        return true;
+      }
+
+      complete(request) {
+        calls.push(request);
+        return behaviour(calls.length);
+      }
+    }
+
+    beforeAll(() => {
+      llm.registerProvider('flaky', FlakyProvider, { model: 'flaky-1' });
+    });
+
+    beforeEach(() => {
+      calls.length = 0;
+      process.env.LLM_PROVIDER = 'flaky';
+      process.env.FLAKY_MAX_RETRIES = '2';
+    });
+
+    test('should retry retryable failures and count attempts', async() => {
+      behaviour = attempt => (attempt === 1 ?
+        Promise.reject(new llm.LLMError('Rate limited', { status: 429, retryable: true })) :
+        Promise.resolve({ text: 'ok', model: 'flaky-1', usage: { promptTokens: 3, completionTokens: 1 } }));
+
+      const result = await llm.complete('translation', { messages });
+
+      expect(calls).toHaveLength(2);
+      expect(result).toMatchObject({ text: 'ok', provider: 'flaky', attempts: 2 });
+      expect(result.usage.totalTokens).toBe(4);
+    });
+
+    test('should not retry client errors', async() => {
+      behaviour = () => Promise.reject(new llm.LLMError('Bad request', { status: 400 }));
+
+      await expect(llm.complete('translation', { messages })).rejects.toMatchObject({ status: 400 });
+      expect(calls).toHaveLength(1);
+    });
+
+    test('should time out slow providers', async() => {
+      process.env.FLAKY_TIMEOUT_MS = '20';
+      process.env.FLAKY_MAX_RETRIES = '0';
+      behaviour = () => new Promise(() => {});
+
+      await expect(llm.complete('translation', { messages })).rejects.toMatchObject({ code: 'LLM_TIMEOUT' });
+    });
+  });
+
+  test('should refuse unconfigured providers unless falling back to mock', async() => {
+    process.env.LLM_PROVIDER = 'openai';
+    expect(llm.isConfigured('generation')).toBe(false);
+    await expect(llm.complete('generation', { messages })).rejects.toMatchObject({ code: 'LLM_NOT_CONFIGURED' });
+
+    const fallback = await llm.complete('translation', { messages, mock: 'नमस्ते' }, { fallbackToMock: true });
+    expect(fallback).toMatchObject({ text: 'नमस्ते', provider: 'mock' });
+
+    process.env.LLM_PROVIDER = 'unknown';
+    expect(llm.isConfigured('generation')).toBe(false);
+  });
+
+  describe('streaming', () => {
+    test('should stream mock text word by word and report usage', async() => {
+      const tokens = [];
+      const result = await llm.stream('chatbot', { messages, mock: () => 'A fraction is a part of a whole.' }, {
+        fallbackToMock: true,
+        onToken: token => tokens.push(token)
+      });
+
+      expect(tokens).toEqual(['A ', 'fraction ', 'is ', 'a ', 'part ', 'of ', 'a ', 'whole.']);
+      expect(result).toMatchObject({ text: 'A fraction is a part of a whole.', provider: 'mock', cancelled: false });
+      expect(result.usage.completionTokens).toBe(8);
+    });
+
+    test('should stop and return the partial text when cancelled', async() => {
+      process.env.LLM_MOCK = 'true';
+      process.env.MOCK_STREAM_DELAY_MS = '5';
+      const controller = new AbortController();
+      const tokens = [];
+
+      const result = await llm.stream('chatbot', { messages, mock: 'one two three four five six' }, {
+        signal: controller.signal,
+        onToken: (token) => {
+          tokens.push(token);
+          if (tokens.length === 2) controller.abort();
+        }
+      });
+
+      expect(result).toMatchObject({ text: 'one two', cancelled: true });
+      expect(tokens).toHaveLength(2);
+    });
+
+    test('should parse Ollama streams line by line', async() => {
+      process.env.LLM_PROVIDER = 'ollama';
+      const lines = [
+        '{"model":"llama3","message":{"content":"Halves "},"done":false}\n{"model":"llama3","mes',
+        'sage":{"content":"and quarters."},"done":false}\n',
+        '{"model":"llama3","message":{"content":""},"done":true,"prompt_eval_count":12,"eval_count":4}\n'
+      ];
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        body: (async function* body() {
+          for (const line of lines) yield new TextEncoder().encode(line);
+        })()
+      });
+      const tokens = [];
+
+      const result = await llm.stream('chatbot', { messages }, { onToken: token => tokens.push(token) });
+
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body).stream).toBe(true);
+      expect(tokens).toEqual(['Halves ', 'and quarters.']);
+      expect(result).toMatchObject({ text: 'Halves and quarters.', model: 'llama3', cancelled: false });
+      expect(result.usage).toEqual({ promptTokens: 12, completionTokens: 4, totalTokens: 16, estimated: false });
+    });
+  });
+
+  test('should extract JSON from surrounding text', () => {
+    expect(llm.parseJson('Here you go: {"stem": "2 + 2?"} Enjoy!')).toEqual({ stem: '2 + 2?' });
+    expect(() => llm.parseJson('no json')).toThrow('valid JSON');
+  });
+});
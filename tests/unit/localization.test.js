@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Translation = require('../../src/models/Translation');
+const AnswerValidator = require('../../src/services/answerValidator');
+const localization = require('../../src/services/localization');
+
+const reviewerId = new mongoose.Types.ObjectId();
+
+const question = {
+  _id: new mongoose.Types.ObjectId(),
+  questionType: 'fill-in-blank',
+  stem: 'Plants make food by ____',
+  correctAnswer: 'photosynthesis',
+  acceptedAnswers: ['photo synthesis'],
+  explanation: 'Plants use sunlight to make food'
+};
+
+const approvedTranslation = (fields) => {
+  const translation = new Translation({
+    entityType: 'question',
+    entityId: String(question._id),
+    language: 'hi',
+    sourceHash: Translation.hashSource({}),
+    fields: Object.keys(fields).map(path => ({
+      path,
+      sourceText: question[path],
+      sourceHash: Translation.hashText(question[path]),
+      text: fields[path]
+    }))
+  });
+  translation.review(reviewerId);
+  return translation.approve(reviewerId);
+};
+
+describe('Localised content', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should resolve the language from query, preference and Accept-Language', () => {
+    expect(localization.parseAcceptLanguage('en;q=0.5, te-IN, hi;q=0.8, *;q=0.1')).toEqual(['te', 'hi', 'en']);
+
+    expect(localization.resolveLanguage({ acceptLanguage: 'fr-FR, ta;q=0.9' })).toBe('ta');
+    expect(localization.resolveLanguage({ preferred: 'hi', acceptLanguage: 'ta' })).toBe('hi');
+    expect(localization.resolveLanguage({ query: 'TE', preferred: 'hi' })).toBe('te');
+    expect(localization.resolveLanguage({ query: 'fr', acceptLanguage: 'de' })).toBe('en');
+  });
+
+  test('should apply approved text and fall back to English per field', async() => {
+    const translation = approvedTranslation({ stem: 'पौधे ____ द्वारा भोजन बनाते हैं', correctAnswer: 'प्रकाश संश्लेषण' });
+    // A reviewer edits the stem again; students keep seeing the approved version
+    translation.review(reviewerId, [{ path: 'stem', text: 'पौधे ____ से भोजन बनाते हैं' }]);
+    const find = jest.spyOn(Translation, 'find').mockResolvedValue([translation]);
+
+    const [localized] = await localization.localizeMany('question', [question], 'hi');
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ entityType: 'question', language: 'hi' }));
+    expect(localized.stem).toBe('पौधे ____ द्वारा भोजन बनाते हैं');
+    expect(localized.correctAnswer).toBe('प्रकाश संश्लेषण');
+    expect(localized.explanation).toBe('Plants use sunlight to make food');
+    expect(question.stem).toBe('Plants make food by ____');
+
+    // Once the English stem changes the old approval no longer applies to it
+    const edited = await localization.localize('question', { ...question, stem: 'Green plants make food by ____' }, 'hi');
+    expect(edited.stem).toBe('Green plants make food by ____');
+    expect(edited.correctAnswer).toBe('प्रकाश संश्लेषण');
+
+    expect(await localization.localizeMany('question', [question], 'en')).toEqual([question]);
+  });
+
+  test('should accept fill-in-blank answers typed in Indic scripts', () => {
+    const localized = { ...question, correctAnswer: 'प्रकाश-संश्लेषण', acceptedAnswers: [] };
+    const options = localization.answerOptions(question);
+
+    expect(AnswerValidator.validateAnswer(localized, 'प्रकाश संश्लेषण।', options).isCorrect).toBe(true);
+    expect(AnswerValidator.validateAnswer(localized, 'Photosynthesis', options).isCorrect).toBe(true);
+    expect(AnswerValidator.validateAnswer(localized, 'श्वसन', options).isCorrect).toBe(false);
+
+    expect(AnswerValidator.normalizeAnswer('౧౨')).toBe('12');
+    expect(AnswerValidator.validateAnswer({ questionType: 'fill-in-blank', correctAnswer: '12' }, '१२').isCorrect).toBe(true);
+  });
+});
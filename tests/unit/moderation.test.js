@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const ModerationPolicy = require('../../src/models/ModerationPolicy');
+const ModerationEvent = require('../../src/models/ModerationEvent');
+const moderation = require('../../src/services/moderation');
+
+describe('Moderation', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = new ModerationPolicy({ key: 'default' });
+    jest.spyOn(stored, 'save').mockResolvedValue(stored);
+    jest.spyOn(ModerationPolicy, 'findOne').mockResolvedValue(stored);
+  });
+
+  afterEach(async() => {
+    await moderation.load();
+    jest.restoreAllMocks();
+  });
+
+  test('should block profanity in each supported language, including disguised words', () => {
+    ['You are a b1tch', 'what the fuuuuck', 'तुम चूतिया हो', 'nee thevidiya', 'ಸೂಳೆಮಗ'].forEach(text => {
+      const result = moderation.check(text);
+      expect(result.action).toBe('block');
+      expect(result.categories).toEqual(['profanity']);
+    });
+
+    expect(moderation.check('How do I make a bomb?').categories).toEqual(['offTopic']);
+    ['Some stars are visible to the naked eye', 'Sexual reproduction in plants', 'The class scored 98.5 in 500 BC history'].forEach(text => {
+      expect(moderation.check(text).action).toBe('allow');
+    });
+  });
+
+  test('should not block everyday words that start like profanity', () => {
+    ['isko chod do', 'maine chod diya, ab aage kya padhun?', 'ক্লাসে চোদ্দ জন ছাত্র আছে'].forEach(text => {
+      expect(moderation.check(text).action).toBe('allow');
+    });
+    ['tui chodon', 'চোদাচুদি'].forEach(text => {
+      expect(moderation.check(text).categories).toEqual(['profanity']);
+    });
+  });
+
+  test('should redact personal details and log the event without them', async() => {
+    const create = jest.spyOn(ModerationEvent, 'create').mockResolvedValue({});
+
+    const result = await moderation.moderate('Call me on +91 98765 43210 or mail ravi@example.com about ratios', {
+      source: 'chatbot',
+      direction: 'input',
+      userId: 'student-1'
+    });
+
+    expect(result.action).toBe('redact');
+    expect(result.text).toBe('Call me on [phone number removed] or mail [email removed] about ratios');
+    expect(result.piiTypes).toEqual(['email', 'phone']);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'student-1',
+      action: 'redacted',
+      categories: ['pii'],
+      excerpt: result.text
+    }));
+  });
+
+  test('should leave large numbers in maths text alone', () => {
+    [
+      'The greatest 10-digit number is 9999999999.',
+      'Arrange 8765432109 in expanded form',
+      'Write 987654321012 in the Indian place value system',
+      'Find 98765-43210 and round it to the nearest thousand',
+      'Which is greater: 7000000000 or 6999999999?'
+    ].forEach(text => {
+      expect(moderation.check(text, { direction: 'output' })).toMatchObject({ action: 'allow', text });
+    });
+
+    expect(moderation.check('call me at 9876543210').text).toBe('call me at [phone number removed]');
+    expect(moderation.check('mera number 9876543210 hai').piiTypes).toEqual(['phone']);
+    expect(moderation.check('My phone is 98765 43210').text).toBe('My phone is [phone number removed]');
+    expect(moderation.check('ring 09876543210').piiTypes).toEqual(['phone']);
+    expect(moderation.check('my aadhaar is 234567890123').piiTypes).toEqual(['idNumber']);
+    expect(moderation.check('ID 2345 6789 0123').piiTypes).toEqual(['idNumber']);
+  });
+
+  test('should apply admin policy changes', async() => {
+    const adminId = new mongoose.Types.ObjectId();
+    const policy = await moderation.updatePolicy({
+      rules: { pii: { action: 'block' } },
+      scopes: { output: false },
+      allowedTerms: ['Bastard']
+    }, adminId);
+
+    expect(policy.rules).toEqual({ profanity: { action: 'block' }, pii: { action: 'block' }, offTopic: { action: 'block' } });
+    expect(policy.scopes).toEqual({ input: true, output: false });
+    expect(stored.updatedBy).toEqual(adminId);
+
+    expect(moderation.check('my number is 9876543210').action).toBe('block');
+    expect(moderation.check('the bastard sword').action).toBe('allow');
+    expect(moderation.check('shit', { direction: 'output' }).action).toBe('allow');
+  });
+});
@@ -0,0 +1,136 @@
+const { PassThrough } = require('stream');
+const {
+  toQtiItem,
+  toMoodleQuestion,
+  toGiftQuestion,
+  writeExport
+} = require('../../src/services/questionExport');
+const { parseQti, qtiItemToRecord } = require('../../src/services/questionParsers');
+
+const chapter = { _id: '64b000000000000000000001', chapterName: 'Knowing Our Numbers', ncertReference: 'NCERT-6-M-1' };
+const topic = { _id: '64b000000000000000000002', topicName: 'Comparing Numbers' };
+
+const mcq = {
+  _id: '64b0000000000000000000a1',
+  questionType: 'mcq',
+  stem: 'Which number is the greatest: 4 < x?',
+  choices: ['3', '7 & 8', '1', '2'],
+  correctIndex: 1,
+  passage: 'Read the number line carefully.',
+  explanation: 'Numbers to the right are greater.',
+  difficulty: 0.3,
+  grade: '6',
+  tags: ['numbers'],
+  chapterId: chapter,
+  topicId: topic
+};
+
+const fillInBlank = {
+  _id: '64b0000000000000000000a2',
+  questionType: 'fill-in-blank',
+  stem: 'The green pigment in leaves is called _____.',
+  correctAnswer: 'chlorophyll',
+  acceptedAnswers: ['chlorophyl'],
+  blanksCount: 1,
+  difficulty: 0.5,
+  grade: '6',
+  tags: [],
+  chapterId: chapter,
+  topicId: topic
+};
+
+const shortAnswer = {
+  _id: '64b0000000000000000000a3',
+  questionType: 'short-answer',
+  stem: 'What do plants need for photosynthesis?',
+  correctAnswer: 'sunlight, water and carbon dioxide',
+  acceptedAnswers: ['light, water and CO2'],
+  difficulty: 0.7,
+  grade: '6',
+  tags: [],
+  chapterId: chapter,
+  topicId: topic
+};
+
+async function* generate(questions) {
+  for (const question of questions) {
+    yield question;
+  }
+}
+
+const capture = async(format, questions) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  const ended = new Promise(resolve => output.on('end', resolve));
+  const count = await writeExport(format, generate(questions), output);
+  await ended;
+  return { count, body: Buffer.concat(chunks) };
+};
+
+describe('Question Export', () => {
+  test('should round-trip QTI items through the importer', () => {
+    expect(qtiItemToRecord(toQtiItem(mcq))).toMatchObject({
+      stem: mcq.stem,
+      questionType: 'mcq',
+      choices: mcq.choices,
+      correctIndex: 1,
+      passage: mcq.passage,
+      explanation: mcq.explanation
+    });
+
+    expect(qtiItemToRecord(toQtiItem(fillInBlank))).toMatchObject({
+      stem: fillInBlank.stem,
+      questionType: 'fill-in-blank',
+      blanksCount: 1,
+      correctAnswer: 'chlorophyll',
+      acceptedAnswers: ['chlorophyl']
+    });
+
+    expect(qtiItemToRecord(toQtiItem(shortAnswer))).toMatchObject({
+      questionType: 'short-answer',
+      correctAnswer: shortAnswer.correctAnswer,
+      acceptedAnswers: shortAnswer.acceptedAnswers
+    });
+  });
+
+  test('should package items with curriculum metadata', async() => {
+    const { count, body } = await capture('qti', [mcq, fillInBlank]);
+    const entries = await parseQti(body);
+
+    expect(count).toBe(2);
+    expect(entries).toHaveLength(2);
+    expect(entries[0].record).toMatchObject({
+      chapter: 'NCERT-6-M-1',
+      topic: 'Comparing Numbers',
+      grade: '6',
+      difficulty: '0.3',
+      tags: 'numbers'
+    });
+  });
+
+  test('should write Moodle multichoice and short answer questions', () => {
+    const multichoice = toMoodleQuestion(mcq);
+    expect(multichoice).toContain('<question type="multichoice">');
+    expect(multichoice).toContain('<answer fraction="100" format="html"><text><![CDATA[7 &amp; 8]]></text></answer>');
+    expect(multichoice).toContain('<p>Read the number line carefully.</p><p>Which number is the greatest: 4 &lt; x?</p>');
+
+    const blank = toMoodleQuestion(fillInBlank);
+    expect(blank).toContain('<question type="shortanswer">');
+    expect(blank).toContain('<answer fraction="100" format="moodle_auto_format"><text><![CDATA[chlorophyl]]></text></answer>');
+
+    const cloze = toMoodleQuestion({ ...fillInBlank, stem: 'Water boils at _____ and freezes at _____.', correctAnswer: '100', acceptedAnswers: [] });
+    expect(cloze).toContain('<question type="cloze">');
+    expect(cloze.match(/\{1:SHORTANSWER:=100\}/g)).toHaveLength(2);
+  });
+
+  test('should escape GIFT control characters and place blanks inline', async() => {
+    expect(toGiftQuestion(mcq)).toContain('{~3 =7 & 8 ~1 ~2 ####Numbers to the right are greater.}');
+    expect(toGiftQuestion({ ...mcq, stem: 'Ratio 1:2 = ?' })).toContain('Ratio 1\\:2 \\= ?');
+    expect(toGiftQuestion(fillInBlank)).toContain('is called {=chlorophyll =chlorophyl}.');
+
+    const { count, body } = await capture('gift', [mcq, shortAnswer]);
+    expect(count).toBe(2);
+    expect(body.toString()).toMatch(/^\$CATEGORY: \$course\$\/NCERT-6-M-1\/Comparing Numbers\n/);
+  });
+});
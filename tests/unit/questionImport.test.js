@@ -0,0 +1,144 @@
+const JSZip = require('jszip');
+const {
+  detectFormat,
+  parseCsv,
+  parseJson,
+  parseQti,
+  qtiItemToRecord
+} = require('../../src/services/questionParsers');
+const { normalizeRecord, checkTypeRules } = require('../../src/services/questionImport');
+
+const choiceItem = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="q1" title="Triangles" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>B</value></correctResponse>
+  </responseDeclaration>
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>What is the sum of the angles of a triangle?</prompt>
+      <simpleChoice identifier="A">90 degrees</simpleChoice>
+      <simpleChoice identifier="B">180 degrees</simpleChoice>
+      <simpleChoice identifier="C">360 degrees</simpleChoice>
+    </choiceInteraction>
+  </itemBody>
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="general" showHide="show">The angles always add up to 180 degrees.</modalFeedback>
+</assessmentItem>`;
+
+const textEntryItem = `<assessmentItem identifier="q2" title="Leaves">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>chlorophyll</value></correctResponse>
+    <mapping defaultValue="0"><mapEntry mapKey="chlorophyl" mappedValue="1"/></mapping>
+  </responseDeclaration>
+  <itemBody>
+    <p>The green pigment in leaves is called <textEntryInteraction responseIdentifier="RESPONSE" expectedLength="15"/>.</p>
+  </itemBody>
+</assessmentItem>`;
+
+describe('Question Import', () => {
+  describe('Parsers', () => {
+    test('should detect the format from the file name or MIME type', () => {
+      expect(detectFormat('questions.CSV')).toBe('csv');
+      expect(detectFormat('bank.json')).toBe('json');
+      expect(detectFormat('package.zip')).toBe('qti');
+      expect(detectFormat('upload', 'text/csv')).toBe('csv');
+      expect(detectFormat('notes.txt', 'text/plain')).toBeNull();
+    });
+
+    test('should report CSV rows by line number', () => {
+      const csv = 'stem,choiceA,choiceB,answer\n"Which is larger, 2 or 3?",2,3,B\n\nWhat is 2 + 2 equal to?,4,5,A\n';
+      const entries = parseCsv(Buffer.from(csv));
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toEqual({ row: 2, record: { stem: 'Which is larger, 2 or 3?', choiceA: '2', choiceB: '3', answer: 'B' } });
+      expect(entries[1].row).toBe(4);
+    });
+
+    test('should accept a JSON array or a questions object', () => {
+      expect(parseJson(Buffer.from('[{"stem":"a"},{"stem":"b"}]'))).toHaveLength(2);
+      expect(parseJson(Buffer.from('{"questions":[{"stem":"a"}]}'))[0]).toEqual({ row: 1, record: { stem: 'a' } });
+      expect(() => parseJson(Buffer.from('{"stem":"a"}'))).toThrow('JSON must be an array');
+      expect(() => parseJson(Buffer.from('{oops'))).toThrow('Invalid JSON');
+    });
+
+    test('should read QTI choice and text entry items', () => {
+      expect(qtiItemToRecord(choiceItem)).toEqual({
+        identifier: 'q1',
+        stem: 'What is the sum of the angles of a triangle?',
+        questionType: 'mcq',
+        choices: ['90 degrees', '180 degrees', '360 degrees'],
+        correctIndex: 1,
+        explanation: 'The angles always add up to 180 degrees.'
+      });
+
+      expect(qtiItemToRecord(textEntryItem)).toMatchObject({
+        stem: 'The green pigment in leaves is called _____.',
+        questionType: 'fill-in-blank',
+        blanksCount: 1,
+        correctAnswer: 'chlorophyll',
+        acceptedAnswers: ['chlorophyl']
+      });
+    });
+
+    test('should read items and curriculum metadata from a QTI package', async() => {
+      const zip = new JSZip();
+      zip.file('imsmanifest.xml', `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:ext="urn:ext">
+        <resources>
+          <resource identifier="r1" type="imsqti_item_xmlv2p1" href="items/q1.xml">
+            <metadata><ext:chapter>NCERT-6-M-5</ext:chapter><ext:topic>Angles</ext:topic></metadata>
+          </resource>
+          <resource identifier="r2" type="imsqti_item_xmlv2p1" href="items/missing.xml"/>
+        </resources>
+      </manifest>`);
+      zip.file('items/q1.xml', choiceItem);
+      const entries = await parseQti(await zip.generateAsync({ type: 'nodebuffer' }));
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0].record).toMatchObject({ chapter: 'NCERT-6-M-5', topic: 'Angles', questionType: 'mcq' });
+      expect(entries[1]).toEqual({ row: 2, source: 'items/missing.xml', error: 'Item file items/missing.xml is missing from the package' });
+    });
+  });
+
+  describe('Row normalisation and rules', () => {
+    test('should map CSV columns to question fields', () => {
+      const { question, chapterRef, topicRef } = normalizeRecord({
+        Stem: 'Which number is a prime number?',
+        'Choice A': '4',
+        'Choice B': '6',
+        'Choice C': '7',
+        'Correct Choice': 'c',
+        Difficulty: 'easy',
+        Tags: 'Primes|Numbers',
+        'NCERT Reference': 'NCERT-6-M-3',
+        Topic: 'Prime Numbers'
+      }, { grade: '6' });
+
+      expect(question).toMatchObject({
+        questionType: 'mcq',
+        choices: ['4', '6', '7'],
+        correctIndex: 2,
+        difficulty: 0.2,
+        grade: '6',
+        tags: ['primes', 'numbers']
+      });
+      expect(chapterRef).toBe('NCERT-6-M-3');
+      expect(topicRef).toBe('Prime Numbers');
+    });
+
+    test('should infer the type and count blanks', () => {
+      const { question } = normalizeRecord({ stem: 'Water boils at _____ degrees and freezes at _____.', answer: '100' });
+      expect(question.questionType).toBe('fill-in-blank');
+      expect(question.blanksCount).toBe(2);
+      expect(question.correctAnswer).toBe('100');
+    });
+
+    test('should enforce the per-type rules', () => {
+      const rules = record => checkTypeRules(normalizeRecord(record).question).map(problem => problem.field);
+
+      expect(rules({ stem: 'Pick the right answer here', choices: 'Only one', answer: 'A' })).toEqual(['choices']);
+      expect(rules({ stem: 'Pick the right answer here', choices: 'Yes|No', answer: 'Maybe' })).toEqual(['correctIndex']);
+      expect(rules({ stem: 'Name the process plants use', type: 'fill-in-blank', answer: 'x' })).toEqual(['stem']);
+      expect(rules({ stem: 'Explain photosynthesis briefly', type: 'essay' })).toEqual(['questionType']);
+      expect(rules({ stem: 'Explain photosynthesis briefly', type: 'short answer', answer: 'x', difficulty: 'tough' })).toEqual(['difficulty']);
+    });
+  });
+});
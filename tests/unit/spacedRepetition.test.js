@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const ReviewItem = require('../../src/models/ReviewItem');
+const Question = require('../../src/models/Question');
+const AssessmentSession = require('../../src/models/AssessmentSession');
+const StudentProfile = require('../../src/models/StudentProfile');
+const spacedRepetition = require('../../src/services/spacedRepetition');
+
+describe('Spaced repetition', () => {
+  const studentId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(StudentProfile, 'findOne').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ timezone: 'Asia/Kolkata' })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should grade answers from correctness, time and hints and space reviews out (SM-2)', () => {
+    const { gradeAnswer, schedule } = spacedRepetition;
+    expect(gradeAnswer({ isCorrect: false, responseTimeMs: 5000 })).toBe(1);
+    expect(gradeAnswer({ isCorrect: true, responseTimeMs: 10000, expectedTimeMs: 20000 })).toBe(5);
+    expect(gradeAnswer({ isCorrect: true, responseTimeMs: 25000, expectedTimeMs: 20000 })).toBe(4);
+    expect(gradeAnswer({ isCorrect: true, responseTimeMs: 60000, expectedTimeMs: 20000 })).toBe(3);
+    expect(gradeAnswer({ isCorrect: true, responseTimeMs: 10000, expectedTimeMs: 20000, hintsUsed: 1 })).toBe(3);
+
+    let state = {};
+    const intervals = [];
+    for (let review = 0; review < 4; review += 1) {
+      state = schedule(state, 4, '2026-06-01');
+      intervals.push(state.interval);
+    }
+    expect(intervals).toEqual([1, 6, 15, 38]);
+    expect(state.easeFactor).toBe(2.5);
+    expect(state.dueDay).toBe('2026-07-09');
+
+    // Forgetting starts the question again tomorrow and makes it come round more often
+    state = schedule(state, 1, '2026-07-09');
+    expect(state).toMatchObject({ interval: 1, repetitions: 0, lapses: 1, easeFactor: 1.96, dueDay: '2026-07-10' });
+    for (let review = 0; review < 3; review += 1) {
+      state = schedule(state, 0, '2026-07-10');
+    }
+    expect(state.easeFactor).toBe(1.3);
+    expect(state.lapses).toBe(1);
+  });
+
+  test('should schedule mistakes from any mode and count only due questions as reviews', async() => {
+    const question = new Question({ chapterId: new mongoose.Types.ObjectId(), topicId: new mongoose.Types.ObjectId(), usageCount: 10, averageResponseTime: 20000 });
+    let stored = null;
+    jest.spyOn(ReviewItem, 'findByStudentAndQuestion').mockImplementation(async() => stored);
+    jest.spyOn(ReviewItem.prototype, 'save').mockImplementation(async function() {
+      stored = this;
+      return this;
+    });
+    const answer = (isCorrect, mode, at, responseTimeMs = 10000) => spacedRepetition.recordAnswer({
+      studentId,
+      question,
+      isCorrect,
+      responseTimeMs,
+      mode,
+      now: new Date(at)
+    });
+
+    // Right first time in practice is not something to revise
+    expect(await answer(true, 'practice', '2026-06-01T10:00:00Z')).toBeNull();
+    expect(stored).toBeNull();
+
+    // 20:00 UTC is already 2 June in India
+    const item = await answer(false, 'practice', '2026-06-01T20:00:00Z');
+    expect(item).toMatchObject({ interval: 1, repetitions: 0, lapses: 0, reviews: 1, lastQuality: 1, dueDay: '2026-06-03' });
+    expect(item.chapterId).toEqual(question.chapterId);
+
+    // Answering it right before it is due outside revision changes nothing
+    expect(await answer(true, 'assessment', '2026-06-02T06:00:00Z')).toBeNull();
+    expect(stored.reviews).toBe(1);
+
+    const review = await answer(true, 'revision', '2026-06-03T06:00:00Z');
+    expect(review).toMatchObject({ interval: 1, repetitions: 1, reviews: 2, lastQuality: 5, dueDay: '2026-06-04' });
+
+    const mastered = await spacedRepetition.markMastered({ studentId, question, now: new Date('2026-06-03T06:00:00Z') });
+    expect(mastered).toMatchObject({ interval: 21, dueDay: '2026-06-24', isMature: true });
+  });
+
+  test('should serve due questions most overdue first and forecast upcoming reviews', async() => {
+    const now = new Date('2026-06-10T06:00:00Z');
+    const questions = ['overdue', 'today', 'hard'].map((name, index) => new Question({ _id: new mongoose.Types.ObjectId(), difficulty: [0.5, 0.4, 0.9][index] }));
+    const find = jest.spyOn(ReviewItem, 'find').mockReturnValue({
+      sort: jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue(questions.map(question => ({ questionId: question._id })))
+      })
+    });
+    const questionFind = jest.spyOn(Question, 'find').mockImplementation(async query => questions
+      .filter(question => !query.difficulty || question.difficulty <= query.difficulty.$lte)
+      .reverse());
+
+    const due = await spacedRepetition.getDueQuestions(studentId, { chapterId: 'chapter', difficulty: 'medium', now });
+    expect(due).toEqual(questions.slice(0, 2));
+    expect(find).toHaveBeenCalledWith({ studentId, dueDay: { $lte: '2026-06-10' }, chapterId: 'chapter' });
+    expect(questionFind.mock.calls[0][0].difficulty).toEqual({ $gte: 0.3, $lte: 0.7 });
+
+    jest.spyOn(ReviewItem, 'aggregate').mockResolvedValue([
+      { _id: '2026-06-08', count: 2, mature: 0 },
+      { _id: '2026-06-10', count: 3, mature: 1 },
+      { _id: '2026-06-12', count: 4, mature: 2 },
+      { _id: '2026-07-30', count: 1, mature: 1 }
+    ]);
+    const reviews = await spacedRepetition.getForecast(studentId.toString(), { days: 4, now });
+    expect(reviews).toEqual({
+      today: '2026-06-10',
+      total: 10,
+      overdue: 2,
+      dueToday: 5,
+      mature: 4,
+      forecast: [
+        { day: '2026-06-10', count: 5 },
+        { day: '2026-06-11', count: 0 },
+        { day: '2026-06-12', count: 4 },
+        { day: '2026-06-13', count: 0 }
+      ]
+    });
+  });
+
+  test('should import past mistakes alongside questions that are already scheduled', async() => {
+    const scheduled = new Question({ _id: new mongoose.Types.ObjectId(), chapterId: new mongoose.Types.ObjectId() });
+    const older = new Question({ _id: new mongoose.Types.ObjectId(), chapterId: new mongoose.Types.ObjectId() });
+    jest.spyOn(AssessmentSession, 'aggregate').mockResolvedValue([{ _id: scheduled._id, wrongCount: 1 }, { _id: older._id, wrongCount: 2 }]);
+    jest.spyOn(Question, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([scheduled, older]) });
+    // Only the older mistake has no review item yet
+    const bulkWrite = jest.spyOn(ReviewItem, 'bulkWrite').mockResolvedValue({ upsertedCount: 1 });
+    const claim = jest.spyOn(StudentProfile, 'findOneAndUpdate').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ timezone: 'Asia/Kolkata' })
+    });
+
+    const imported = await spacedRepetition.importPastMistakes(studentId.toString(), new Date('2026-06-01T20:00:00Z'));
+    expect(imported).toBe(1);
+    const operations = bulkWrite.mock.calls[0][0];
+    expect(operations.map(op => op.updateOne.filter.questionId)).toEqual([scheduled._id, older._id]);
+    expect(operations[1].updateOne).toEqual({
+      filter: { studentId: studentId.toString(), questionId: older._id },
+      update: { $setOnInsert: { chapterId: older.chapterId, topicId: undefined, dueDay: '2026-06-02' } },
+      upsert: true
+    });
+
+    // Later mistakes are scheduled as they happen, so the import runs once
+    expect(claim).toHaveBeenCalledWith({ userId: studentId.toString(), reviewsImportedAt: null }, { $set: { reviewsImportedAt: new Date('2026-06-01T20:00:00Z') } });
+    claim.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+    expect(await spacedRepetition.importPastMistakes(studentId.toString())).toBe(0);
+    expect(AssessmentSession.aggregate).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,63 @@
+const stoppingRules = require('../../src/services/stoppingRules');
+
+const buildSession = (overrides = {}, adaptiveParameters = {}) => ({
+  sessionType: 'adaptive',
+  answeredQuestions: 10,
+  abilityTheta: 0,
+  abilityStandardError: 0.6,
+  ...overrides,
+  adaptiveParameters: {
+    minQuestions: 5,
+    maxQuestions: 20,
+    confidenceThreshold: 0.8,
+    ...adaptiveParameters
+  }
+});
+
+describe('stoppingRules', () => {
+  it('never stops before the minimum number of questions', () => {
+    const decision = stoppingRules.evaluate(buildSession({ answeredQuestions: 2, abilityStandardError: 0.1 }));
+    expect(decision.shouldStop).toBe(false);
+  });
+
+  it('stops at the maximum number of questions', () => {
+    const decision = stoppingRules.evaluate(buildSession({ answeredQuestions: 20 }));
+    expect(decision).toEqual({ shouldStop: true, reason: 'max_questions' });
+  });
+
+  it('stops once the standard error meets the confidence threshold', () => {
+    expect(stoppingRules.evaluate(buildSession()).shouldStop).toBe(false);
+
+    const decision = stoppingRules.evaluate(buildSession({ abilityStandardError: 0.4 }));
+    expect(decision).toEqual({ shouldStop: true, reason: 'standard_error' });
+  });
+
+  it('stops when the time limit has run out, even before the minimum', () => {
+    const expired = buildSession({ answeredQuestions: 2, expiresAt: new Date(Date.now() - 1000) });
+    expect(stoppingRules.evaluate(expired)).toEqual({ shouldStop: true, reason: 'time_limit' });
+
+    const running = buildSession({ answeredQuestions: 2, expiresAt: new Date(Date.now() + 60000) });
+    expect(stoppingRules.evaluate(running).shouldStop).toBe(false);
+  });
+
+  it('ignores the standard error rule for fixed sessions', () => {
+    const decision = stoppingRules.evaluate(buildSession({ sessionType: 'fixed', abilityStandardError: 0.1 }));
+    expect(decision.shouldStop).toBe(false);
+  });
+
+  it('classifies against the pass mark once the interval excludes it', () => {
+    const pass = stoppingRules.evaluate(buildSession({ abilityTheta: 2 }, { passMark: 0.5 }));
+    expect(pass).toEqual({ shouldStop: true, reason: 'classification', classification: 'pass' });
+
+    const fail = stoppingRules.evaluate(buildSession({ abilityTheta: -2 }, { passMark: 0.5 }));
+    expect(fail.classification).toBe('fail');
+
+    const undecided = stoppingRules.evaluate(buildSession({ abilityTheta: 0.3 }, { passMark: 0.5 }));
+    expect(undecided.shouldStop).toBe(false);
+  });
+
+  it('approximates normal quantiles', () => {
+    expect(stoppingRules.normalQuantile(0.975)).toBeCloseTo(1.96, 2);
+    expect(stoppingRules.normalQuantile(0.5)).toBeCloseTo(0, 2);
+  });
+});
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const GamificationProfile = require('../../src/models/GamificationProfile');
+const DailyActivity = require('../../src/models/DailyActivity');
+const badgeRules = require('../../src/services/badgeRules');
+const gamificationService = require('../../src/services/gamificationService');
+const { localDay } = require('../../src/utils/timezone');
+
+describe('Streaks and daily goals', () => {
+  let profile;
+  let days;
+
+  beforeEach(() => {
+    profile = new GamificationProfile({
+      userId: new mongoose.Types.ObjectId(),
+      timezone: 'Asia/Kolkata',
+      leaderboard: { pseudonym: 'Calm Owl 12' }
+    });
+    jest.spyOn(profile, 'save').mockResolvedValue(profile);
+    jest.spyOn(GamificationProfile, 'findOne').mockResolvedValue(profile);
+    jest.spyOn(badgeRules, 'evaluate').mockResolvedValue([]);
+
+    // Days kept in memory in place of the collection
+    days = new Map();
+    jest.spyOn(DailyActivity, 'record').mockImplementation(async(userId, day, totals) => {
+      const activity = days.get(day) || new DailyActivity({ userId, day });
+      Object.keys(totals).forEach(key => {
+        activity[key] += totals[key];
+      });
+      days.set(day, activity);
+      return activity;
+    });
+    jest.spyOn(DailyActivity, 'updateOne').mockImplementation(async({ _id }) => {
+      const activity = [...days.values()].find(item => item._id.equals(_id));
+      const modifiedCount = activity.goalMet ? 0 : 1;
+      activity.goalMet = true;
+      return { modifiedCount };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const answer = (at, responseTimeMs = 20000) => gamificationService.awardForAnswer({
+    userId: profile.userId,
+    isCorrect: true,
+    questionId: new mongoose.Types.ObjectId(),
+    responseTimeMs,
+    now: new Date(at)
+  });
+
+  test('should count days in the student\'s timezone, not the server\'s', async() => {
+    // 23:30 and 00:30 in India are on different days, but the same UTC day
+    expect(localDay(new Date('2026-06-09T18:00:00Z'), 'Asia/Kolkata')).toBe('2026-06-09');
+    expect(localDay(new Date('2026-06-09T19:00:00Z'), 'Asia/Kolkata')).toBe('2026-06-10');
+
+    await answer('2026-06-09T18:00:00Z');
+    await answer('2026-06-09T19:00:00Z');
+    expect(profile.streak.current).toBe(2);
+    expect(profile.streak.lastDay).toBe('2026-06-10');
+    expect([...days.keys()]).toEqual(['2026-06-09', '2026-06-10']);
+
+    // Still running the next evening in India, gone two days later
+    expect(gamificationService.getStreak(profile, new Date('2026-06-11T17:00:00Z'))).toMatchObject({ current: 2, todayGoalMet: false });
+    expect(gamificationService.getStreak(profile, new Date('2026-06-12T19:00:00Z')).current).toBe(0);
+  });
+
+  test('should extend the streak once the daily goal is met and spend freezes on missed days', async() => {
+    profile.dailyGoal = { type: 'minutes', target: 10 };
+    await answer('2026-06-01T06:00:00Z', 4 * 60000);
+    await answer('2026-06-01T06:05:00Z', 4 * 60000);
+    expect(profile.streak.current).toBe(0);
+    // A single answer adds at most 5 minutes
+    await answer('2026-06-01T06:10:00Z', 60 * 60000);
+    expect(days.get('2026-06-01').minutes).toBe(13);
+    expect(profile.streak.current).toBe(1);
+
+    profile.dailyGoal = { type: 'questions', target: 1 };
+    for (let day = 2; day <= 7; day += 1) {
+      await answer(`2026-06-0${day}T06:00:00Z`);
+    }
+    expect(profile.streak.current).toBe(7);
+    expect(profile.streak.freezes).toBe(1);
+    expect(profile.events.map(event => event.message)).toContain('Earned a streak freeze for a 7-day streak');
+
+    // 9 June is missed and the freeze covers it; two missed days would end the streak
+    const bulkWrite = jest.spyOn(DailyActivity, 'bulkWrite').mockResolvedValue({});
+    await answer('2026-06-08T06:00:00Z');
+    await answer('2026-06-10T06:00:00Z');
+    expect(profile.streak.current).toBe(9);
+    expect(profile.streak.freezes).toBe(0);
+    expect(bulkWrite.mock.calls[0][0].map(op => op.updateOne.filter.day)).toEqual(['2026-06-09']);
+
+    await answer('2026-06-13T06:00:00Z');
+    expect(profile.streak.current).toBe(1);
+    expect(profile.streak.longest).toBe(9);
+  });
+
+  test('should keep streaks from before daily goals, which only recorded when the student was last active', async() => {
+    profile.streak = { current: 5, longest: 8, lastActive: new Date('2026-06-09T19:00:00Z'), freezes: 0 };
+
+    // 00:30 on 10 June in India
+    expect(gamificationService.getStreak(profile, new Date('2026-06-11T06:00:00Z'))).toMatchObject({ current: 5, lastDay: '2026-06-10' });
+
+    await answer('2026-06-11T06:00:00Z');
+    expect(profile.streak.current).toBe(6);
+    expect(profile.streak.lastDay).toBe('2026-06-11');
+    expect(profile.streak.longest).toBe(8);
+  });
+
+  test('should return every day of the calendar, with or without activity', async() => {
+    jest.spyOn(DailyActivity, 'getRange').mockResolvedValue([
+      new DailyActivity({ userId: profile.userId, day: '2026-06-02', questions: 6, correctAnswers: 4, timeSpentMs: 150000, points: 40, goalMet: true }),
+      new DailyActivity({ userId: profile.userId, day: '2026-06-03', frozen: true })
+    ]);
+
+    const calendar = await gamificationService.getCalendar(profile.userId, { from: '2026-06-01', to: '2026-06-04' });
+    expect(DailyActivity.getRange).toHaveBeenCalledWith(profile.userId, '2026-06-01', '2026-06-04');
+    expect(calendar.timezone).toBe('Asia/Kolkata');
+    expect(calendar.days).toEqual([
+      { day: '2026-06-01', questions: 0, correctAnswers: 0, minutes: 0, points: 0, goalMet: false, frozen: false },
+      { day: '2026-06-02', questions: 6, correctAnswers: 4, minutes: 2, points: 40, goalMet: true, frozen: false },
+      { day: '2026-06-03', questions: 0, correctAnswers: 0, minutes: 0, points: 0, goalMet: false, frozen: true },
+      { day: '2026-06-04', questions: 0, correctAnswers: 0, minutes: 0, points: 0, goalMet: false, frozen: false }
+    ]);
+
+    const lastYear = await gamificationService.getCalendar(profile.userId, {}, new Date('2026-06-10T20:00:00Z'));
+    expect(lastYear.to).toBe('2026-06-11');
+    expect(lastYear.days.length).toBe(gamificationService.MAX_CALENDAR_DAYS);
+    expect(await gamificationService.getCalendar(profile.userId, { from: '2026-06-05', to: '2026-06-04' })).toBeNull();
+  });
+});
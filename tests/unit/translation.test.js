@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Translation = require('../../src/models/Translation');
+const translationService = require('../../src/services/translationService');
+const { extractFields, applyFields } = translationService;
+
+const reviewerId = new mongoose.Types.ObjectId();
+
+const question = {
+  _id: new mongoose.Types.ObjectId(),
+  questionType: 'mcq',
+  stem: 'Choose the correct answer',
+  choices: ['Fill in the blank', ''],
+  explanation: 'Explain your answer'
+};
+
+describe('Translations', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should flatten and re-apply translatable fields', () => {
+    const source = extractFields('question', question);
+    expect(source).toEqual({
+      stem: 'Choose the correct answer',
+      'choices.0': 'Fill in the blank',
+      explanation: 'Explain your answer'
+    });
+
+    const recommendation = { content: 'Revise', resources: [{ title: 'Video', url: 'https://example.com' }] };
+    expect(extractFields('recommendation', recommendation)).toEqual({ content: 'Revise', 'resources.0.title': 'Video' });
+
+    const translated = applyFields({ ...recommendation, resources: [{ ...recommendation.resources[0] }] }, { 'resources.0.title': 'वीडियो' });
+    expect(translated.resources[0]).toEqual({ title: 'वीडियो', url: 'https://example.com' });
+  });
+
+  test('should hash source text independently of field order', () => {
+    const hash = Translation.hashSource({ stem: 'a', explanation: 'b' });
+    expect(Translation.hashSource({ explanation: 'b', stem: 'a' })).toBe(hash);
+    expect(Translation.hashSource({ stem: 'a', explanation: 'c' })).not.toBe(hash);
+  });
+
+  test('should move through machine, reviewed and approved', async() => {
+    const translation = new Translation({
+      entityType: 'question',
+      entityId: String(question._id),
+      language: 'hi',
+      sourceHash: Translation.hashSource({ stem: 'x' }),
+      fields: [{ path: 'stem', sourceText: 'x', sourceHash: Translation.hashText('x'), text: 'क', outdated: true }]
+    });
+    await expect(translation.validate()).resolves.toBeUndefined();
+
+    expect(translation.status).toBe('machine');
+    expect(translation.canTransitionTo('approved')).toBe(false);
+    expect(translation.outdatedFields).toEqual(['stem']);
+
+    translation.review(reviewerId, [{ path: 'stem', text: 'ख' }], 'Fixed wording');
+    expect(translation).toMatchObject({ status: 'reviewed', reviewNotes: 'Fixed wording' });
+    expect(translation.getTextMap()).toEqual({ stem: 'ख' });
+    expect(translation.outdatedFields).toEqual([]);
+    expect(translation.canTransitionTo('approved')).toBe(true);
+
+    translation.approve(reviewerId);
+    expect(translation.status).toBe('approved');
+    expect(translation.canTransitionTo('reviewed')).toBe(true);
+  });
+
+  test('should store machine translations and re-translate only changed fields', async() => {
+    const saved = [];
+    jest.spyOn(Translation.prototype, 'save').mockImplementation(function() {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Translation, 'findOne').mockResolvedValueOnce(null);
+
+    const first = await translationService.translateQuestion(question, 'hi');
+    expect(first.stem).toBe('सही उत्तर चुनें');
+    expect(first.choices).toEqual(['रिक्त स्थान भरें', '']);
+    expect(first.translation).toMatchObject({ language: 'hi', status: 'machine' });
+
+    // A teacher reviews it, then the English explanation changes
+    const stored = saved[0];
+    stored.review(reviewerId, [{ path: 'stem', text: 'सही विकल्प चुनें' }]);
+    Translation.findOne.mockResolvedValueOnce(stored);
+    const performTranslation = jest.spyOn(translationService, 'performTranslation');
+
+    const second = await translationService.translateQuestion({ ...question, explanation: 'Solve this equation' }, 'hi');
+    expect(performTranslation).toHaveBeenCalledTimes(1);
+    expect(second.stem).toBe('सही विकल्प चुनें');
+    expect(second.explanation).toBe('इस समीकरण को हल करें');
+    expect(second.translation.status).toBe('machine');
+    expect(stored.outdatedFields).toEqual(['explanation']);
+  });
+});
@@ -0,0 +1,76 @@
+const UiMessage = require('../../src/models/UiMessage');
+const Translation = require('../../src/models/Translation');
+const uiCatalog = require('../../src/services/uiCatalog');
+
+const PLURAL = '{count, plural, one {# question left} other {# questions left}}';
+
+const mockLean = value => ({
+  sort: () => ({ select: () => ({ lean: async() => value }), lean: async() => value })
+});
+
+describe('UI Catalog', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should check ICU syntax and placeholders of translations', () => {
+    expect(uiCatalog.parseMessage(`Hello {name}, ${PLURAL}`)).toEqual(['count', 'name']);
+    expect(() => uiCatalog.parseMessage('{count, plural, one {# left}}')).toThrow('Invalid ICU message');
+
+    expect(uiCatalog.checkTranslation(PLURAL, '{count, plural, one {# प्रश्न बाकी} other {# प्रश्न बाकी}}')).toBeNull();
+    expect(uiCatalog.checkTranslation(PLURAL, '{total, plural, other {# प्रश्न बाकी}}')).toBe('Unknown placeholder(s): total');
+    expect(uiCatalog.checkTranslation('Hi {name}', 'नमस्ते')).toBe('Missing placeholder(s): name');
+    expect(uiCatalog.checkTranslation('Hi {name}', 'नमस्ते {name')).toMatch(/^Invalid ICU message/);
+  });
+
+  test('should write and parse PO files', () => {
+    const entries = [
+      { key: 'questions_left', source: PLURAL, text: '{count, plural, other {# प्रश्न "बाकी"}}', description: 'Shown during a test', fuzzy: false },
+      { key: 'submit', source: 'Submit\nnow', text: 'जमा करें', fuzzy: true }
+    ];
+    const po = uiCatalog.writePo({ namespace: 'assessment', language: 'hi', entries });
+
+    expect(po).toContain('msgctxt "questions_left"');
+    expect(po).toContain('#, fuzzy');
+
+    const parsed = uiCatalog.parsePo(`\uFEFF${po}`);
+    expect(parsed).toMatchObject({ language: 'hi', namespace: 'assessment' });
+    expect(parsed.entries).toEqual([
+      { key: 'questions_left', source: PLURAL, text: entries[0].text, description: 'Shown during a test', fuzzy: false },
+      { key: 'submit', source: 'Submit\nnow', text: 'जमा करें', description: undefined, fuzzy: true }
+    ]);
+
+    expect(() => uiCatalog.parsePo('msgid "a"\nmsgid_plural "b"\nmsgstr[0] ""')).toThrow(uiCatalog.CatalogFileError);
+    expect(uiCatalog.detectFormat('ui-common-hi.po')).toBe('po');
+  });
+
+  test('should serve approved text with built-in and English fallbacks', async() => {
+    jest.spyOn(UiMessage, 'find').mockReturnValue(mockLean([
+      { key: 'questions_left', message: PLURAL },
+      { key: 'start_assessment', message: 'Start Assessment' },
+      { key: 'submit_answer', message: 'Submit your answer' }
+    ]));
+    const approved = new Translation({
+      entityType: 'ui',
+      entityId: 'questions_left',
+      language: 'hi',
+      fields: [{ path: 'text', sourceText: PLURAL, sourceHash: Translation.hashText(PLURAL), text: '{count} प्रश्न बाकी' }]
+    }).approve();
+    const find = jest.spyOn(Translation, 'find').mockResolvedValue([approved]);
+
+    const catalog = await uiCatalog.getNamespace('assessment', 'hi');
+
+    expect(find.mock.calls[0][0]).toMatchObject({ entityType: 'ui', language: 'hi' });
+    expect(catalog.messages).toEqual({
+      questions_left: '{count} प्रश्न बाकी',
+      start_assessment: 'मूल्यांकन शुरू करें',
+      // The English text differs from the built-in catalogue, so its translation is not used
+      submit_answer: 'Submit your answer'
+    });
+    expect(catalog.version).toMatch(/^[0-9a-f]{16}$/);
+
+    approved.fields[0].approvedText = '{count} सवाल बाकी';
+    const changed = await uiCatalog.getNamespace('assessment', 'hi');
+    expect(changed.version).not.toBe(catalog.version);
+  });
+});